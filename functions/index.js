@@ -0,0 +1,636 @@
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { onDocumentCreated, onDocumentUpdated, onDocumentWritten } from 'firebase-functions/v2/firestore';
+import { defineSecret } from 'firebase-functions/params';
+import { logger } from 'firebase-functions';
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore, FieldValue } from 'firebase-admin/firestore';
+import {
+  OrderRequestError,
+  priceOrder,
+  catalogItemFromDoc,
+  resolveOrderRequest,
+  checkExpectedTotal,
+  checkSlotHasRoom,
+  takeSlotPlace,
+  releaseSlotPlace,
+  countPromotionUse,
+  redeemReward,
+  redeemEntryId,
+  earnPoints,
+  earnEntryId,
+  paymentClaimPath,
+  paymentRequestFor,
+  NO_PAYMENT_METHOD,
+  claimPayment,
+  scheduledForSlot,
+  buildOrderDocument,
+  buildCustomerCancellation,
+  promoCodeOf,
+  returnRedemptions,
+  returnEntryId,
+  refundRecord,
+} from './shared/ordering.js';
+import { normalizePricingRules, pricingRulesPath } from './shared/pricingRules.js';
+import { normalizeCode, normalizePromotion, promoCodesPath, promoUsagePath } from './shared/promotions.js';
+import { createPaymentProviders, providerFor, PaymentError, PAYMENT_STATUS } from './payments.js';
+import { ORDER_ERROR } from './shared/orderErrors.js';
+import { businessDay, orderCounterPath, formatOrderNumber } from './shared/orderNumbers.js';
+import { deliverySlotsPath } from './shared/schedule.js';
+import { hasLegacyLineItems, readLineItems } from './shared/lineItems.js';
+import { loyaltyLedgerPath, loyaltySummaryPath, normalizeReward, rewardsPath } from './shared/loyalty.js';
+
+initializeApp();
+const db = getFirestore();
+
+// Same region as Firestore (see firebase.json).
+const REGION = 'asia-south1';
+
+const gatewayKeyId = defineSecret('PAYMENT_GATEWAY_KEY_ID');
+const gatewayKeySecret = defineSecret('PAYMENT_GATEWAY_KEY_SECRET');
+
+// Secrets are only readable inside a running function, so build providers per call.
+// The emulator always uses the local mock provider for UPI and cards.
+const paymentProviders = () => createPaymentProviders({
+  useMock: process.env.FUNCTIONS_EMULATOR === 'true',
+  gatewayKeyId: gatewayKeyId.value(),
+  gatewayKeySecret: gatewayKeySecret.value(),
+});
+
+// Orders waiting to be made. Keep in sync with KITCHEN_QUEUE_STATUSES in src/orders.js.
+const KITCHEN_QUEUE_STATUSES = ['Placed', 'Accepted', 'Preparing'];
+
+const isValidAppId = (appId) => typeof appId === 'string' && appId.length > 0 && !/[/\\]/.test(appId);
+
+const dataOf = (snap) => (snap?.exists ? snap.data() : null);
+
+// Customer-facing rejections from the shared order checks (ordering.js) become
+// HttpsErrors, keeping the code (orderErrors.js) and values in `details`.
+const asHttpsError = (e) => (e instanceof OrderRequestError ? new HttpsError('failed-precondition', e.message, e.details) : e);
+
+/**
+ * Creates an order for `uid` from an order request
+ * ({ appId, items, fulfilment, deliveryAddress, deliverySlotId, promoCode, rewardId, payment: { method, reference }, expectedGrandTotal }).
+ *
+ * Re-prices every line from the catalog, applies tax and the fee for the
+ * fulfilment mode (fulfilment.js; only deliveries need `deliveryAddress`), and
+ * rejects the order when the customer's displayed total no longer matches. Orders are
+ * for as soon as possible (`deliverySlotId` null, only while the store is open)
+ * or for a delivery slot with places left (schedule.js). On success
+ * the payment is authorized with its provider (payments.js); only then
+ * does the order get the next number of the day (see orderNumbers.js), is written
+ * to the customer's history, and (unless `clearCart` is false) their cart is emptied.
+ * Rejections are HttpsErrors with the reason's code in `details.code` (orderErrors.js).
+ */
+const createOrder = async (uid, data, { clearCart = true } = {}) => {
+  try {
+    return await writeOrder(uid, data, { clearCart });
+  } catch (e) {
+    throw asHttpsError(e);
+  }
+};
+
+const writeOrder = async (uid, data, { clearCart }) => {
+  const {
+    appId,
+    items,
+    promoCode,
+    rewardId,
+    payment: requestedPayment,
+    expectedGrandTotal,
+  } = data || {};
+  if (!isValidAppId(appId) || typeof expectedGrandTotal !== 'number') {
+    throw new HttpsError('invalid-argument', 'The order request is incomplete.');
+  }
+
+  const catalogSnap = await db.collection(`artifacts/${appId}/public/menu/items`).get();
+  if (catalogSnap.empty) {
+    throw new HttpsError('unavailable', 'The menu is being updated. Please try again in a few minutes.', { code: ORDER_ERROR.MENU_UPDATING });
+  }
+  const catalog = new Map(catalogSnap.docs.map(docSnap => [docSnap.id, catalogItemFromDoc(docSnap.id, docSnap.data())]));
+  const pricingSnap = await db.doc(pricingRulesPath(appId)).get();
+  const pricingRules = normalizePricingRules(pricingSnap.exists ? pricingSnap.data() : undefined);
+
+  const { fulfilment, deliveryAddress, slot } = resolveOrderRequest(data, pricingRules);
+  const slotRef = slot ? db.doc(`${deliverySlotsPath(appId)}/${slot.id}`) : null;
+  // Checked again when the place is taken; this just saves authorizing a payment for a full slot.
+  if (slotRef) {
+    checkSlotHasRoom(dataOf(await slotRef.get()), pricingRules);
+  }
+
+  const code = normalizeCode(promoCode);
+  let promotion = null;
+  let usageRef = null;
+  let usageCount = 0;
+  if (code) {
+    if (code.includes('/')) {
+      throw new HttpsError('failed-precondition', 'This code is not valid.', { code: ORDER_ERROR.PROMO_INVALID });
+    }
+    const promoSnap = await db.doc(`${promoCodesPath(appId)}/${code}`).get();
+    if (!promoSnap.exists) {
+      throw new HttpsError('failed-precondition', 'This code is not valid.', { code: ORDER_ERROR.PROMO_INVALID });
+    }
+    promotion = normalizePromotion(code, promoSnap.data());
+    usageRef = db.doc(`${promoUsagePath(appId, uid)}/${code}`);
+    const usageSnap = await usageRef.get();
+    usageCount = usageSnap.exists ? usageSnap.get('count') || 0 : 0;
+  }
+
+  const summaryRef = db.doc(loyaltySummaryPath(appId, uid));
+  let reward = null;
+  let loyaltyBalance = 0;
+  if (rewardId) {
+    const rewardSnap = typeof rewardId === 'string' && !rewardId.includes('/')
+      ? await db.doc(`${rewardsPath(appId)}/${rewardId}`).get()
+      : null;
+    if (!rewardSnap?.exists) {
+      throw new HttpsError('failed-precondition', 'This reward is no longer available.', { code: ORDER_ERROR.REWARD_UNAVAILABLE });
+    }
+    reward = normalizeReward(rewardSnap.id, rewardSnap.data());
+    const summarySnap = await summaryRef.get();
+    loyaltyBalance = summarySnap.exists ? summarySnap.get('balance') || 0 : 0;
+  }
+
+  const priced = priceOrder(catalog, items, pricingRules, {
+    fulfilmentMode: fulfilment.mode,
+    postalCode: deliveryAddress?.postalCode,
+    promotion,
+    usageCount,
+    reward,
+    loyaltyBalance,
+  });
+  checkExpectedTotal(priced, expectedGrandTotal, pricingRules);
+
+  const paymentRequest = paymentRequestFor(priced, requestedPayment);
+  const provider = providerFor(paymentProviders(), paymentRequest);
+  if (!provider) {
+    throw new HttpsError('failed-precondition', 'Please choose a payment method.', { code: ORDER_ERROR.PAYMENT_METHOD_MISSING });
+  }
+  const claimPath = typeof paymentRequest.reference === 'string' ? paymentClaimPath(appId, paymentRequest) : null;
+  const claimRef = claimPath ? db.doc(claimPath) : null;
+  // Checked again when the order is written; this just saves authorizing a payment that is spent.
+  if (claimRef && (await claimRef.get()).exists) {
+    throw new HttpsError('failed-precondition', 'This payment has already been used for another order.', { code: ORDER_ERROR.PAYMENT_USED });
+  }
+  let payment;
+  try {
+    payment = await provider.authorize({ amount: priced.grandTotal, currency: priced.currency, reference: paymentRequest.reference });
+  } catch (e) {
+    if (e instanceof PaymentError) {
+      logger.warn('Payment authorization failed', { method: paymentRequest.method, details: e.details });
+      throw new HttpsError('failed-precondition', e.message, { code: e.details.code ?? ORDER_ERROR.PAYMENT_FAILED });
+    }
+    throw e;
+  }
+
+  const placedAt = new Date();
+  const now = placedAt.toISOString();
+  const day = businessDay(placedAt, pricingRules.timeZone);
+  const counterRef = db.doc(orderCounterPath(appId, day));
+  const orderRef = db.collection(`artifacts/${appId}/users/${uid}/juisip_history`).doc();
+
+  // Firestore retries the whole function on contention, so concurrent orders
+  // each see the counter value left by the previous one.
+  const orderId = await db.runTransaction(async (transaction) => {
+    const counterSnap = await transaction.get(counterRef);
+    const sequence = (counterSnap.exists ? counterSnap.get('lastSequence') || 0 : 0) + 1;
+    const number = formatOrderNumber(day, sequence);
+    // Transactions must do every read before the first write.
+    const usageSnap = usageRef ? await transaction.get(usageRef) : null;
+    const summarySnap = reward ? await transaction.get(summaryRef) : null;
+    const slotSnap = slotRef ? await transaction.get(slotRef) : null;
+    const claimSnap = claimRef ? await transaction.get(claimRef) : null;
+
+    // Claimed here so two orders placed at once cannot both use one payment.
+    if (claimRef) {
+      transaction.create(claimRef, claimPayment(payment, dataOf(claimSnap), { uid, orderDocId: orderRef.id, orderId: number, now }));
+    }
+
+    // Taken here so two orders cannot both get a slot's last place.
+    if (slotRef) {
+      transaction.set(slotRef, takeSlotPlace(slot, dataOf(slotSnap), pricingRules, now));
+    }
+
+    // Re-checked here so two orders placed at once cannot both use a last redemption.
+    if (usageRef) {
+      transaction.set(usageRef, countPromotionUse(promotion, dataOf(usageSnap), number, now));
+    }
+
+    // Points are spent in the same transaction as the order, against the current balance.
+    if (reward) {
+      const { entry, balanceAfter } = redeemReward(reward, dataOf(summarySnap), { orderDocId: orderRef.id, orderId: number, now });
+      transaction.set(db.doc(`${loyaltyLedgerPath(appId, uid)}/${redeemEntryId(orderRef.id)}`), entry);
+      transaction.set(summaryRef, { balance: balanceAfter, updatedAt: now }, { merge: true });
+    }
+
+    transaction.set(counterRef, { day, lastSequence: sequence, updatedAt: now });
+    transaction.set(orderRef, {
+      ...buildOrderDocument({
+        appId,
+        uid,
+        orderId: number,
+        sequence,
+        priced,
+        reward,
+        fulfilment,
+        deliveryAddress,
+        slot,
+        payment,
+        now,
+      }),
+      // The time of the last status change is the server's (see firestore.rules).
+      statusUpdatedAt: FieldValue.serverTimestamp(),
+    });
+    if (clearCart) {
+      transaction.set(db.doc(`artifacts/${appId}/users/${uid}/juisip_cart/current`), { items: [], updatedAt: now });
+    }
+    return number;
+  }).catch(async (e) => {
+    // The order was not written (slot full, code used up, too few points,
+    // contention...), so release the authorized payment before giving up.
+    try {
+      await provider.refund(payment);
+    } catch (refundError) {
+      logger.error('Could not release the payment of an order that failed', { method: payment.method, reference: payment.reference, error: refundError.message });
+    }
+    throw e;
+  });
+
+  return { id: orderRef.id, orderId, grandTotal: priced.grandTotal, fulfilment, scheduledFor: scheduledForSlot(slot) };
+};
+
+/**
+ * Gives back the reward points and promo code use of cancelled order
+ * `orderDocId` (returnRedemptions) within `transaction`, once the order itself
+ * has been read and before anything is written. Returns the fields to add to
+ * the order, which mark it as done.
+ */
+const returnRedemptionsWithin = async (transaction, appId, uid, orderDocId, order, now) => {
+  const code = promoCodeOf(order);
+  const usageRef = code ? db.doc(`${promoUsagePath(appId, uid)}/${code}`) : null;
+  const summaryRef = db.doc(loyaltySummaryPath(appId, uid));
+  const usageSnap = usageRef ? await transaction.get(usageRef) : null;
+  const summarySnap = order.loyalty?.pointsRedeemed ? await transaction.get(summaryRef) : null;
+
+  const returned = returnRedemptions(orderDocId, order, { summary: dataOf(summarySnap), usage: dataOf(usageSnap) }, now);
+  if (returned.entry) {
+    transaction.create(db.doc(`${loyaltyLedgerPath(appId, uid)}/${returnEntryId(orderDocId)}`), returned.entry);
+    transaction.set(summaryRef, returned.summary, { merge: true });
+  }
+  if (returned.usage) {
+    transaction.set(usageRef, returned.usage);
+  }
+  return { redemptionsReturnedAt: now };
+};
+
+/**
+ * placeOrder(orderRequest), see createOrder.
+ *
+ * The only way online orders get created (firestore.rules denies direct client writes).
+ */
+export const placeOrder = onCall({ region: REGION, secrets: [gatewayKeyId, gatewayKeySecret] }, async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'Please sign in again to place your order.', { code: ORDER_ERROR.SIGN_IN_TO_ORDER });
+  }
+  return createOrder(request.auth.uid, request.data);
+});
+
+/**
+ * Places an order the customer queued while offline (src/sync.js). The queue
+ * document reaches Firestore once they reconnect; it gets the outcome written
+ * back as `status: 'placed'` with the order number, or `'rejected'` with the reason.
+ * The client already emptied the cart when it queued the order, so it is left alone here.
+ * Only cash on delivery (or an order with nothing to pay) can be queued, since
+ * online payments need approval first.
+ */
+export const placeQueuedOrder = onDocumentCreated(
+  { document: 'artifacts/{appId}/users/{userId}/orderQueue/{requestId}', region: REGION, secrets: [gatewayKeyId, gatewayKeySecret] },
+  async (event) => {
+    const queued = event.data.data();
+    if (queued.status !== 'queued') return;
+
+    const { appId, userId } = event.params;
+    const processedAt = new Date().toISOString();
+    try {
+      if (queued.payment?.method !== 'cod' && queued.payment?.method !== NO_PAYMENT_METHOD) {
+        throw new HttpsError('failed-precondition', 'Only cash on delivery orders can be placed offline.', { code: ORDER_ERROR.OFFLINE_CASH_ONLY });
+      }
+      const result = await createOrder(userId, { ...queued, appId }, { clearCart: false });
+      await event.data.ref.update({ status: 'placed', orderDocId: result.id, orderId: result.orderId, grandTotal: result.grandTotal, processedAt });
+    } catch (e) {
+      // Anything that is not a customer-facing rejection is still reported, without internals.
+      if (!(e instanceof HttpsError)) {
+        logger.error('Queued order failed', { path: event.data.ref.path, error: e.message });
+      }
+      const reason = e instanceof HttpsError ? e.message : "We couldn't place your order. Please try again.";
+      // The code and values (orderErrors.js) let the storefront say why in the customer's language.
+      const rejection = e instanceof HttpsError ? e.details ?? null : null;
+      await event.data.ref.update({ status: 'rejected', reason, rejection, processedAt });
+    }
+  }
+);
+
+/**
+ * migrateLineItems({ appId })
+ *
+ * One-time conversion of carts and orders saved before the typed line item
+ * schema (lineItems.js): each `itemsJson` string becomes an `items` array.
+ * Admins only. Converted documents are skipped, so it is safe to run again.
+ */
+export const migrateLineItems = onCall({ region: REGION, timeoutSeconds: 540 }, async (request) => {
+  if (request.auth?.token.admin !== true) {
+    throw new HttpsError('permission-denied', 'Only admins can run migrations.');
+  }
+  const { appId } = request.data || {};
+  if (!isValidAppId(appId)) {
+    throw new HttpsError('invalid-argument', 'The migration request is incomplete.');
+  }
+
+  const counts = { carts: 0, orders: 0 };
+  const writer = db.bulkWriter();
+  // User documents are often never written themselves; listDocuments still finds them.
+  const users = await db.collection(`artifacts/${appId}/users`).listDocuments();
+  for (const userRef of users) {
+    const [cartSnap, historySnap] = await Promise.all([
+      userRef.collection('juisip_cart').doc('current').get(),
+      userRef.collection('juisip_history').get(),
+    ]);
+    const convert = (docSnap, kind) => {
+      if (!docSnap.exists || !hasLegacyLineItems(docSnap.data())) return;
+      writer.update(docSnap.ref, { items: readLineItems(docSnap.data()), itemsJson: FieldValue.delete() });
+      counts[kind] += 1;
+    };
+    convert(cartSnap, 'carts');
+    historySnap.docs.forEach(docSnap => convert(docSnap, 'orders'));
+  }
+  await writer.close();
+
+  logger.info('Line items migrated', { appId, ...counts });
+  return counts;
+});
+
+/**
+ * cancelOrder({ appId, orderDocId, reason, note })
+ *
+ * Cancels one of the caller's own orders while the store's window allows it
+ * (`cancellation.allowedStatuses` in pricingRules.js), recording the reason (one
+ * of CANCELLATION_REASON_IDS in ordering.js; 'other' needs a note). The status change is logged
+ * like the kitchen's, so the kitchen display hears of it, and the order's reward
+ * points and promo code use are given back in the same transaction;
+ * refundPaymentOnCancel then refunds the payment. Rejections are HttpsErrors with the reason's code in `details.code`.
+ */
+export const cancelOrder = onCall({ region: REGION }, async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'Please sign in again to cancel your order.', { code: ORDER_ERROR.SIGN_IN_TO_CANCEL });
+  }
+  const { appId, orderDocId, reason, note } = request.data || {};
+  if (!isValidAppId(appId) || typeof orderDocId !== 'string' || !orderDocId || orderDocId.includes('/')) {
+    throw new HttpsError('invalid-argument', 'The cancellation request is incomplete.');
+  }
+
+  const pricingSnap = await db.doc(pricingRulesPath(appId)).get();
+  const { cancellation } = normalizePricingRules(pricingSnap.exists ? pricingSnap.data() : undefined);
+  const uid = request.auth.uid;
+  const orderRef = db.doc(`artifacts/${appId}/users/${uid}/juisip_history/${orderDocId}`);
+
+  // Checked against the order as stored, so a cancellation cannot slip in after the kitchen moved on.
+  await db.runTransaction(async (transaction) => {
+    const orderSnap = await transaction.get(orderRef);
+    if (!orderSnap.exists || orderSnap.get('migratedTo')) {
+      throw new HttpsError('not-found', 'We could not find this order.', { code: ORDER_ERROR.ORDER_NOT_FOUND });
+    }
+    let update;
+    try {
+      update = buildCustomerCancellation(orderSnap.data(), uid, cancellation, { reason, note });
+    } catch (e) {
+      throw asHttpsError(e);
+    }
+    // The points and the promo code go back in the same write as the cancellation.
+    const returned = await returnRedemptionsWithin(transaction, appId, uid, orderDocId, orderSnap.data(), update.statusUpdatedAt);
+    transaction.update(orderRef, { ...update, ...returned, statusUpdatedAt: FieldValue.serverTimestamp() });
+  });
+  return { status: 'Cancelled' };
+});
+
+/**
+ * Refunds the payment of a cancelled order through its provider, whether the
+ * customer or the kitchen cancelled it, and keeps a refund record in
+ * artifacts/{appId}/refunds/{orderDocId} for staff. Cash that was never
+ * collected is closed with nothing to hand back.
+ */
+export const refundPaymentOnCancel = onDocumentUpdated(
+  { document: 'artifacts/{appId}/users/{userId}/juisip_history/{orderId}', region: REGION, secrets: [gatewayKeyId, gatewayKeySecret] },
+  async (event) => {
+    const before = event.data.before.data();
+    const after = event.data.after.data();
+    if (before.status === 'Cancelled' || after.status !== 'Cancelled' || after.migratedTo) return;
+    if (after.payment?.status !== PAYMENT_STATUS.AUTHORIZED && after.payment?.status !== PAYMENT_STATUS.CAPTURED) return;
+
+    const { appId, userId, orderId } = event.params;
+    const provider = providerFor(paymentProviders(), after.payment);
+    if (!provider) {
+      logger.error('No payment provider for order', { path: event.data.after.ref.path, method: after.payment.method });
+      return;
+    }
+    const refundRef = db.doc(`artifacts/${appId}/refunds/${orderId}`);
+    const record = refundRecord(orderId, { ...after, userId }, new Date().toISOString());
+
+    let payment;
+    try {
+      payment = await provider.refund(after.payment);
+    } catch (e) {
+      if (!(e instanceof PaymentError)) throw e;
+      // Left for staff to settle by hand; the order stays cancelled either way.
+      logger.error('Refund failed', { path: event.data.after.ref.path, details: e.details });
+      await refundRef.set({ ...record, status: PAYMENT_STATUS.FAILED, error: e.message });
+      return;
+    }
+    const batch = db.batch();
+    batch.update(event.data.after.ref, { payment, paymentStatus: payment.status });
+    batch.set(refundRef, {
+      ...record,
+      status: payment.status,
+      refundedAmount: payment.refundedAmount ?? 0,
+      refundReference: payment.refundReference || null,
+    });
+    await batch.commit();
+  }
+);
+
+/**
+ * Gives back the reward points and promo code use of an order the kitchen
+ * cancelled. Customer cancellations are handled by cancelOrder itself, which
+ * leaves `redemptionsReturnedAt` on the order so this does nothing twice.
+ */
+export const returnRedemptionsOnCancel = onDocumentUpdated(
+  { document: 'artifacts/{appId}/users/{userId}/juisip_history/{orderId}', region: REGION },
+  async (event) => {
+    const before = event.data.before.data();
+    const after = event.data.after.data();
+    if (before.status === 'Cancelled' || after.status !== 'Cancelled' || after.migratedTo || after.redemptionsReturnedAt) return;
+    if (!after.loyalty?.pointsRedeemed && !promoCodeOf(after)) return;
+
+    const { appId, userId, orderId } = event.params;
+    await db.runTransaction(async (transaction) => {
+      const orderSnap = await transaction.get(event.data.after.ref);
+      if (orderSnap.get('redemptionsReturnedAt')) return;
+      const returned = await returnRedemptionsWithin(transaction, appId, userId, orderId, orderSnap.data(), new Date().toISOString());
+      transaction.update(event.data.after.ref, returned);
+    });
+  }
+);
+
+/**
+ * Gives a cancelled scheduled order's place in its delivery slot back, so
+ * another customer can book it. Leaves `slotReleasedAt` on the order in the
+ * same transaction, so a repeated event frees no second place.
+ */
+export const releaseDeliverySlotOnCancel = onDocumentUpdated(
+  { document: 'artifacts/{appId}/users/{userId}/juisip_history/{orderId}', region: REGION },
+  async (event) => {
+    const before = event.data.before.data();
+    const after = event.data.after.data();
+    if (before.status === 'Cancelled' || after.status !== 'Cancelled' || after.migratedTo || !after.scheduledFor || after.slotReleasedAt) return;
+
+    const slotRef = db.doc(`${deliverySlotsPath(event.params.appId)}/${after.scheduledFor.slotId}`);
+    await db.runTransaction(async (transaction) => {
+      const orderSnap = await transaction.get(event.data.after.ref);
+      if (orderSnap.get('slotReleasedAt')) return;
+      const slotSnap = await transaction.get(slotRef);
+      const now = new Date().toISOString();
+      if (slotSnap.exists) transaction.set(slotRef, releaseSlotPlace(slotSnap.data(), now));
+      transaction.update(event.data.after.ref, { slotReleasedAt: now });
+    });
+  }
+);
+
+/**
+ * Captures the payment once an order is delivered. For cash on delivery this
+ * records that the rider collected the money. A capture the provider refuses
+ * marks the payment failed, with the reason's code, for staff to follow up.
+ */
+export const capturePaymentOnDelivery = onDocumentUpdated(
+  { document: 'artifacts/{appId}/users/{userId}/juisip_history/{orderId}', region: REGION, secrets: [gatewayKeyId, gatewayKeySecret] },
+  async (event) => {
+    const before = event.data.before.data();
+    const after = event.data.after.data();
+    if (before.status === 'Delivered' || after.status !== 'Delivered') return;
+    if (after.payment?.status !== PAYMENT_STATUS.AUTHORIZED) return;
+
+    const provider = providerFor(paymentProviders(), after.payment);
+    if (!provider) {
+      logger.error('No payment provider for order', { path: event.data.after.ref.path, method: after.payment.method });
+      return;
+    }
+    let payment;
+    try {
+      payment = await provider.capture(after.payment);
+    } catch (e) {
+      if (!(e instanceof PaymentError)) throw e;
+      // The order stays delivered either way.
+      logger.error('Capture failed', { path: event.data.after.ref.path, details: e.details });
+      payment = {
+        ...after.payment,
+        status: PAYMENT_STATUS.FAILED,
+        errorCode: e.details?.code ?? ORDER_ERROR.PAYMENT_FAILED,
+        failedAt: new Date().toISOString(),
+      };
+    }
+    await event.data.after.ref.update({ payment, paymentStatus: payment.status });
+  }
+);
+
+/**
+ * Credits loyalty points for an order's grand total when it is delivered.
+ * The ledger entry id is derived from the order, so retries never credit twice.
+ */
+export const creditLoyaltyOnDelivery = onDocumentUpdated(
+  { document: 'artifacts/{appId}/users/{userId}/juisip_history/{orderId}', region: REGION },
+  async (event) => {
+    const before = event.data.before.data();
+    const after = event.data.after.data();
+    if (before.status === 'Delivered' || after.status !== 'Delivered' || after.migratedTo) return;
+
+    const { appId, userId, orderId } = event.params;
+    const entryRef = db.doc(`${loyaltyLedgerPath(appId, userId)}/${earnEntryId(orderId)}`);
+    const summaryRef = db.doc(loyaltySummaryPath(appId, userId));
+    await db.runTransaction(async (transaction) => {
+      const entrySnap = await transaction.get(entryRef);
+      if (entrySnap.exists) return;
+      const summarySnap = await transaction.get(summaryRef);
+      const earned = earnPoints(orderId, after, summarySnap.exists ? summarySnap.data() : null, new Date().toISOString());
+      if (!earned) return;
+
+      transaction.create(entryRef, earned.entry);
+      transaction.set(summaryRef, earned.summary, { merge: true });
+      transaction.update(event.data.after.ref, { pointsEarned: earned.points });
+    });
+  }
+);
+
+/**
+ * Moves a guest's points into the account their orders were moved to when they
+ * signed in (src/account.js). Only functions write loyalty data, so the move
+ * happens here, once the first migrated order copy appears: the guest's ledger
+ * entries go over to the account's ledger and the guest's balance is added to
+ * the account's. Copies that arrive after it find nothing left to move.
+ */
+export const moveLoyaltyOnTransfer = onDocumentCreated(
+  { document: 'artifacts/{appId}/users/{userId}/juisip_history/{orderId}', region: REGION },
+  async (event) => {
+    const { migratedFrom } = event.data.data();
+    if (!migratedFrom) return;
+
+    const { appId, userId } = event.params;
+    const fromSummaryRef = db.doc(loyaltySummaryPath(appId, migratedFrom));
+    const toSummaryRef = db.doc(loyaltySummaryPath(appId, userId));
+    await db.runTransaction(async (transaction) => {
+      const fromSummary = dataOf(await transaction.get(fromSummaryRef));
+      const entriesSnap = await transaction.get(db.collection(loyaltyLedgerPath(appId, migratedFrom)));
+      const toSummary = dataOf(await transaction.get(toSummaryRef));
+      const points = fromSummary?.balance || 0;
+      if (entriesSnap.empty && points === 0) return;
+
+      const now = new Date().toISOString();
+      entriesSnap.docs.forEach((entrySnap) => {
+        transaction.set(db.doc(`${loyaltyLedgerPath(appId, userId)}/${entrySnap.id}`), { ...entrySnap.data(), movedFrom: migratedFrom });
+        transaction.delete(entrySnap.ref);
+      });
+      transaction.set(toSummaryRef, { balance: (toSummary?.balance || 0) + points, updatedAt: now }, { merge: true });
+      transaction.set(fromSummaryRef, { balance: 0, movedTo: userId, updatedAt: now }, { merge: true });
+    });
+  }
+);
+
+/**
+ * Keeps the public kitchen queue (artifacts/{appId}/public/kitchenQueue) in step
+ * with the orders still to be made: when each was placed and is due in the
+ * kitchen and its status, in the order they are due, and nothing about the customer. Order pages estimate ready
+ * times from it (estimateOrderTimes in src/orders.js).
+ */
+export const syncKitchenQueue = onDocumentWritten(
+  { document: 'artifacts/{appId}/users/{userId}/juisip_history/{orderId}', region: REGION },
+  async (event) => {
+    const before = event.data.before.exists ? event.data.before.data() : {};
+    const after = event.data.after.exists ? event.data.after.data() : {};
+    if (before.status === after.status && Boolean(before.migratedTo) === Boolean(after.migratedTo)) return;
+
+    const { appId } = event.params;
+    const openOrders = db.collectionGroup('juisip_history')
+      .where('appId', '==', appId)
+      .where('status', 'in', KITCHEN_QUEUE_STATUSES);
+    // Reading the orders in the transaction keeps two updates at once from
+    // writing the queue out of order.
+    await db.runTransaction(async (transaction) => {
+      const snapshot = await transaction.get(openOrders);
+      const orders = snapshot.docs
+        .filter(docSnap => !docSnap.get('migratedTo'))
+        .map(docSnap => ({
+          placedAt: docSnap.get('placedAt'),
+          dueAt: docSnap.get('kitchenDueAt') || docSnap.get('placedAt'),
+          status: docSnap.get('status'),
+        }));
+      orders.sort((a, b) => a.dueAt.localeCompare(b.dueAt));
+      transaction.set(db.doc(`artifacts/${appId}/public/kitchenQueue`), { orders, updatedAt: new Date().toISOString() });
+    });
+  }
+);
@@ -0,0 +1,204 @@
+// --- Payments ---
+// Every payment method is a provider with the same four operations:
+//
+//   authorize({ amount, currency, reference })    -> payment record
+//   capture(payment)                              -> payment record
+//   refund(payment, amount)                       -> payment record
+//   status(payment)                               -> PAYMENT_STATUS value
+//
+// A payment record is the plain object stored on the order as `payment`:
+// { method, provider, reference, amount, currency, status, ...timestamps }.
+// placeOrder authorizes before it writes the order, the delivery trigger
+// captures, and the cancellation trigger refunds through the same record.
+
+import { DEFAULT_STORE_LOCALE, toMinorUnits } from './shared/locale.js';
+import { NO_PAYMENT_METHOD } from './shared/ordering.js';
+import { ORDER_ERROR } from './shared/orderErrors.js';
+
+export const PAYMENT_STATUS = {
+  AUTHORIZED: 'authorized',
+  CAPTURED: 'captured',
+  REFUNDED: 'refunded',
+  FAILED: 'failed',
+};
+
+// The store's currency (locale.js) unless placeOrder says otherwise.
+export const PAYMENT_CURRENCY = DEFAULT_STORE_LOCALE.currency;
+
+export class PaymentError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'PaymentError';
+    this.details = details;
+  }
+}
+
+const stamp = (payment, status, extra = {}) => ({
+  ...payment,
+  ...extra,
+  status,
+  [`${status}At`]: new Date().toISOString(),
+});
+
+// --- Cash on delivery ---
+// Nothing to check up front; the rider collects the cash, which is the capture.
+export const createCashOnDeliveryProvider = () => ({
+  id: 'cod',
+  async authorize({ amount, currency = PAYMENT_CURRENCY }) {
+    return stamp({ method: 'cod', provider: 'cod', reference: null, amount, currency }, PAYMENT_STATUS.AUTHORIZED);
+  },
+  async capture(payment) {
+    return stamp(payment, PAYMENT_STATUS.CAPTURED);
+  },
+  async refund(payment, amount = payment.amount) {
+    // Only cash that was actually collected has to be handed back.
+    if (payment.status !== PAYMENT_STATUS.CAPTURED) {
+      return stamp(payment, PAYMENT_STATUS.REFUNDED, { refundedAmount: 0 });
+    }
+    return stamp(payment, PAYMENT_STATUS.REFUNDED, { refundedAmount: amount });
+  },
+  async status(payment) {
+    return payment.status;
+  },
+});
+
+// --- Nothing to pay ---
+// Orders whose discounts cover the whole total. There is no payment to take, so
+// the record only says so; it refuses any order that does have a total.
+export const createNoPaymentProvider = () => ({
+  id: NO_PAYMENT_METHOD,
+  async authorize({ amount, currency = PAYMENT_CURRENCY }) {
+    if (amount !== 0) {
+      throw new PaymentError('Please choose a payment method.', { code: ORDER_ERROR.PAYMENT_METHOD_MISSING, amount });
+    }
+    return stamp({ method: NO_PAYMENT_METHOD, provider: NO_PAYMENT_METHOD, reference: null, amount, currency }, PAYMENT_STATUS.AUTHORIZED);
+  },
+  async capture(payment) {
+    return stamp(payment, PAYMENT_STATUS.CAPTURED);
+  },
+  async refund(payment) {
+    return stamp(payment, PAYMENT_STATUS.REFUNDED, { refundedAmount: 0 });
+  },
+  async status(payment) {
+    return payment.status;
+  },
+});
+
+// --- UPI and cards through the payment gateway ---
+// The customer approves the payment in the gateway's checkout (src/payments.js),
+// which gives us a payment id. We only accept it once the gateway itself says the
+// payment is authorized for exactly the order total. The gateway counts in minor units. Captures are manual so an
+// order that fails to place is never charged; the gateway voids the hold.
+const GATEWAY_API = 'https://api.razorpay.com/v1';
+
+const GATEWAY_STATUS = {
+  authorized: PAYMENT_STATUS.AUTHORIZED,
+  captured: PAYMENT_STATUS.CAPTURED,
+  refunded: PAYMENT_STATUS.REFUNDED,
+  failed: PAYMENT_STATUS.FAILED,
+};
+
+export const createGatewayProvider = ({ method, keyId, keySecret, fetchImpl = fetch }) => {
+  const call = async (path, body) => {
+    const response = await fetchImpl(`${GATEWAY_API}${path}`, {
+      method: body ? 'POST' : 'GET',
+      headers: {
+        Authorization: `Basic ${Buffer.from(`${keyId}:${keySecret}`).toString('base64')}`,
+        'Content-Type': 'application/json',
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new PaymentError('The payment provider rejected the request.', { code: ORDER_ERROR.PAYMENT_FAILED, path, error: data.error });
+    }
+    return data;
+  };
+
+  return {
+    id: method,
+    async authorize({ amount, currency = PAYMENT_CURRENCY, reference }) {
+      if (typeof reference !== 'string' || !reference) {
+        throw new PaymentError('Your payment was not completed.', { code: ORDER_ERROR.PAYMENT_NOT_COMPLETED });
+      }
+      const payment = await call(`/payments/${encodeURIComponent(reference)}`);
+      if (payment.status !== 'authorized' || payment.amount !== toMinorUnits(amount, currency) || payment.currency !== currency) {
+        throw new PaymentError('Your payment could not be confirmed. You have not been charged.', {
+          code: ORDER_ERROR.PAYMENT_NOT_CONFIRMED,
+          reference,
+          status: payment.status,
+        });
+      }
+      return stamp({ method, provider: 'gateway', reference, amount, currency }, PAYMENT_STATUS.AUTHORIZED);
+    },
+    async capture(payment) {
+      await call(`/payments/${encodeURIComponent(payment.reference)}/capture`, {
+        amount: toMinorUnits(payment.amount, payment.currency),
+        currency: payment.currency,
+      });
+      return stamp(payment, PAYMENT_STATUS.CAPTURED);
+    },
+    async refund(payment, amount = payment.amount) {
+      // A hold that was never captured is not charged; the gateway releases it on its own.
+      if (payment.status === PAYMENT_STATUS.AUTHORIZED) {
+        return stamp(payment, PAYMENT_STATUS.REFUNDED, { refundedAmount: 0 });
+      }
+      const refund = await call(`/payments/${encodeURIComponent(payment.reference)}/refund`, { amount: toMinorUnits(amount, payment.currency) });
+      return stamp(payment, PAYMENT_STATUS.REFUNDED, { refundedAmount: amount, refundReference: refund.id });
+    },
+    async status(payment) {
+      const { status } = await call(`/payments/${encodeURIComponent(payment.reference)}`);
+      return GATEWAY_STATUS[status] || payment.status;
+    },
+  };
+};
+
+// --- Local mock ---
+// Behaves like the gateway without any network calls. References starting with
+// `decline` fail authorization, which is how tests and the emulator exercise the
+// unhappy path.
+export const createMockProvider = ({ method = 'mock' } = {}) => ({
+  id: method,
+  async authorize({ amount, currency = PAYMENT_CURRENCY, reference }) {
+    if (typeof reference !== 'string' || reference.startsWith('decline')) {
+      throw new PaymentError('Your payment was declined. You have not been charged.', { code: ORDER_ERROR.PAYMENT_DECLINED, reference });
+    }
+    return stamp({ method, provider: 'mock', reference, amount, currency }, PAYMENT_STATUS.AUTHORIZED);
+  },
+  async capture(payment) {
+    if (payment.status !== PAYMENT_STATUS.AUTHORIZED) {
+      throw new PaymentError('Only authorized payments can be captured.', { code: ORDER_ERROR.PAYMENT_FAILED, status: payment.status });
+    }
+    return stamp(payment, PAYMENT_STATUS.CAPTURED);
+  },
+  async refund(payment, amount = payment.amount) {
+    if (amount > payment.amount) {
+      throw new PaymentError('Cannot refund more than was paid.', { code: ORDER_ERROR.PAYMENT_FAILED, amount });
+    }
+    return stamp(payment, PAYMENT_STATUS.REFUNDED, { refundedAmount: amount });
+  },
+  async status(payment) {
+    return payment.status;
+  },
+});
+
+export const ONLINE_METHODS = ['upi', 'card'];
+
+/**
+ * Builds the provider registry keyed by payment method ('cod', 'upi', 'card',
+ * and 'none' for orders with nothing to pay).
+ * With `useMock` (the emulator), UPI and card payments never leave this process.
+ */
+export const createPaymentProviders = ({ useMock = false, gatewayKeyId, gatewayKeySecret } = {}) => {
+  const providers = { cod: createCashOnDeliveryProvider(), [NO_PAYMENT_METHOD]: createNoPaymentProvider() };
+  ONLINE_METHODS.forEach(method => {
+    providers[method] = useMock
+      ? createMockProvider({ method })
+      : createGatewayProvider({ method, keyId: gatewayKeyId, keySecret: gatewayKeySecret });
+  });
+  return providers;
+};
+
+// The provider that handled a stored payment record.
+export const providerFor = (providers, payment) =>
+  (Object.hasOwn(providers, payment?.method ?? '') ? providers[payment.method] : null);
@@ -0,0 +1,29 @@
+// --- Delivery Details ---
+// Server-side twin of toAddress/validateAddress in src/addresses.js. The client
+// validates as the customer types; this is what actually guards the order.
+
+const ADDRESS_FIELDS = ['label', 'name', 'phone', 'line1', 'line2', 'city', 'postalCode'];
+
+const PHONE_PATTERN = /^(?:\+?91)?[6-9]\d{9}$/;
+const POSTAL_CODE_PATTERN = /^[1-9]\d{5}$/;
+const MAX_FIELD_LENGTH = 200;
+
+/**
+ * Returns the cleaned address to store on the order, or null when something
+ * required is missing or malformed.
+ */
+export const deliveryAddressFromRequest = (data) => {
+  if (!data || typeof data !== 'object') return null;
+
+  const address = {};
+  ADDRESS_FIELDS.forEach(field => {
+    address[field] = String(data[field] ?? '').trim();
+  });
+  address.phone = address.phone.replace(/[\s()-]/g, '');
+
+  const isValid = address.name && address.line1 && address.city
+    && PHONE_PATTERN.test(address.phone)
+    && POSTAL_CODE_PATTERN.test(address.postalCode)
+    && ADDRESS_FIELDS.every(field => address[field].length <= MAX_FIELD_LENGTH);
+  return isValid ? address : null;
+};
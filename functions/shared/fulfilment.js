@@ -0,0 +1,94 @@
+// --- Fulfilment ---
+// How an order reaches the customer: delivered to their address, collected from
+// the counter (takeaway) or served at their table (dine-in). Which modes are
+// offered, and the flat fee for takeaway and dine-in, come from `fulfilment` in
+// /artifacts/{appId}/public/pricing (see pricingRules.js); delivery keeps its
+// zone fees under `delivery`. The chosen mode is stored on the order as
+// `fulfilment`: { mode }, plus `contact` ({ name, phone }) for takeaway and
+// `tableNumber` for dine-in.
+
+import { ORDER_ERROR } from './orderErrors.js';
+
+export const FULFILMENT_MODE = {
+  DELIVERY: 'delivery',
+  TAKEAWAY: 'takeaway',
+  DINE_IN: 'dineIn',
+};
+
+export const FULFILMENT_MODES = Object.values(FULFILMENT_MODE);
+
+export const DEFAULT_FULFILMENT = {
+  delivery: { enabled: true },
+  takeaway: { enabled: true, fee: 0 }, // e.g. packaging
+  dineIn: { enabled: true, fee: 0, tableCount: null }, // service charge; tables are numbered 1 to tableCount
+};
+
+// Without a tableCount any table number up to this is accepted.
+const MAX_TABLE_NUMBER = 999;
+const MAX_NAME_LENGTH = 200;
+
+// Same as addresses.js: Indian mobile numbers, with or without the +91 prefix.
+const PHONE_PATTERN = /^(?:\+?91)?[6-9]\d{9}$/;
+
+const toNumberOr = (value, fallback) => (value === null || value === undefined || value === '' || Number.isNaN(Number(value)) ? fallback : Number(value));
+
+// Fills gaps in the `fulfilment` of a Firestore pricing document with the defaults.
+export const normalizeFulfilment = (data = {}) => {
+  const { delivery = {}, takeaway = {}, dineIn = {} } = data;
+  const tableCount = toNumberOr(dineIn.tableCount, null);
+  const fulfilment = {
+    delivery: { enabled: delivery.enabled !== false },
+    takeaway: { enabled: takeaway.enabled !== false, fee: toNumberOr(takeaway.fee, DEFAULT_FULFILMENT.takeaway.fee) },
+    dineIn: {
+      enabled: dineIn.enabled !== false,
+      fee: toNumberOr(dineIn.fee, DEFAULT_FULFILMENT.dineIn.fee),
+      tableCount: Number.isInteger(tableCount) && tableCount > 0 ? tableCount : null,
+    },
+  };
+  // The store always takes orders one way or another; with every mode switched off that is delivery.
+  if (!FULFILMENT_MODES.some(mode => fulfilment[mode].enabled)) fulfilment.delivery.enabled = true;
+  return fulfilment;
+};
+
+export const enabledFulfilmentModes = (fulfilment) => FULFILMENT_MODES.filter(mode => fulfilment[mode].enabled);
+
+// Orders placed before fulfilment modes were all delivered.
+export const fulfilmentModeOf = (order) => order?.fulfilment?.mode || FULFILMENT_MODE.DELIVERY;
+
+/**
+ * Checks an order request's `fulfilment` ({ mode, contact, tableNumber }, a
+ * delivery when missing) against the store's `settings` (normalizeFulfilment):
+ * { fulfilment } with what to store on the order, or { problem, code } with an
+ * English message and its code (orderErrors.js). Dine-in orders are for now, so they cannot carry a
+ * `deliverySlotId`. The delivery address is checked separately (addresses.js).
+ */
+export const fulfilmentFromRequest = (data, settings, { deliverySlotId = null } = {}) => {
+  const mode = data?.mode ?? FULFILMENT_MODE.DELIVERY;
+  if (!FULFILMENT_MODES.includes(mode) || !settings[mode].enabled) {
+    return { problem: 'This way of getting your order is not available right now. Please choose another.', code: ORDER_ERROR.FULFILMENT_UNAVAILABLE };
+  }
+
+  if (mode === FULFILMENT_MODE.TAKEAWAY) {
+    const contact = {
+      name: String(data.contact?.name ?? '').trim(),
+      phone: String(data.contact?.phone ?? '').replace(/[\s()-]/g, ''),
+    };
+    if (!contact.name || contact.name.length > MAX_NAME_LENGTH || !PHONE_PATTERN.test(contact.phone)) {
+      return { problem: 'Please enter the name for the order and a 10-digit mobile number.', code: ORDER_ERROR.CONTACT_INVALID };
+    }
+    return { fulfilment: { mode, contact } };
+  }
+
+  if (mode === FULFILMENT_MODE.DINE_IN) {
+    const tableNumber = Number(data.tableNumber);
+    if (!Number.isInteger(tableNumber) || tableNumber < 1 || tableNumber > (settings.dineIn.tableCount ?? MAX_TABLE_NUMBER)) {
+      return { problem: 'Please enter the number on your table.', code: ORDER_ERROR.TABLE_INVALID };
+    }
+    if (deliverySlotId !== null) {
+      return { problem: 'Dine-in orders are made right away and cannot be scheduled.', code: ORDER_ERROR.DINE_IN_SCHEDULED };
+    }
+    return { fulfilment: { mode, tableNumber } };
+  }
+
+  return { fulfilment: { mode } };
+};
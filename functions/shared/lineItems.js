@@ -0,0 +1,85 @@
+// --- Line Items ---
+// Carts (/users/{userId}/juisip_cart/current) and orders (/users/{userId}/juisip_history)
+// store their lines as an `items` array of maps:
+//   { lineId, id, name, icon, category, basePrice, price, quantity,
+//     modifiers: [{ groupId, groupName, optionId, name, priceDelta }] }
+// firestore.rules checks each line's shape too. Documents written before this
+// schema carry an `itemsJson` string instead; readLineItems still reads them and
+// the migrateLineItems function converts them.
+
+// Also the number of lines firestore.rules validates; keep the two in step.
+export const MAX_LINE_ITEMS = 20;
+export const MAX_LINE_QUANTITY = 99;
+
+const isText = (value) => typeof value === 'string' && value.length > 0;
+const isAmount = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const validateModifier = (value) => {
+  if (!value || typeof value !== 'object') return null;
+  if (!isText(value.groupId) || !isText(value.optionId) || !isAmount(value.priceDelta ?? 0)) return null;
+  return {
+    groupId: value.groupId,
+    groupName: typeof value.groupName === 'string' ? value.groupName : '',
+    optionId: value.optionId,
+    name: typeof value.name === 'string' ? value.name : value.optionId,
+    priceDelta: value.priceDelta ?? 0,
+  };
+};
+
+/**
+ * Checks one stored line and returns it in schema shape, or null when it is
+ * unusable (missing id or name, bad price or quantity, malformed modifiers).
+ */
+export const validateLineItem = (value) => {
+  if (!value || typeof value !== 'object') return null;
+  const id = typeof value.id === 'number' ? String(value.id) : value.id;
+  if (!isText(id) || !isText(value.name) || !isAmount(value.price) || value.price < 0) return null;
+  if (!Number.isInteger(value.quantity) || value.quantity < 1 || value.quantity > MAX_LINE_QUANTITY) return null;
+  if (value.modifiers !== undefined && !Array.isArray(value.modifiers)) return null;
+
+  const modifiers = (value.modifiers || []).map(validateModifier);
+  if (modifiers.includes(null)) return null;
+
+  const line = {
+    id,
+    name: value.name,
+    basePrice: isAmount(value.basePrice) ? value.basePrice : value.price,
+    price: value.price,
+    quantity: value.quantity,
+    modifiers,
+  };
+  // Optional fields are left out rather than stored as undefined.
+  if (isText(value.lineId)) line.lineId = value.lineId;
+  if (isText(value.icon)) line.icon = value.icon;
+  if (isText(value.category)) line.category = value.category;
+  return line;
+};
+
+// The lines to store for `lines`. Invalid ones are dropped, not written.
+export const toStoredLineItems = (lines) => lines.map(validateLineItem).filter(Boolean);
+
+export const hasLegacyLineItems = (data) => !Array.isArray(data?.items) && typeof data?.itemsJson === 'string';
+
+/**
+ * The valid lines of a cart or order document, from `items` or the legacy
+ * `itemsJson`. Lines that fail validation are skipped (and reported) so one bad
+ * entry never empties the whole cart.
+ */
+export const readLineItems = (data) => {
+  let raw = [];
+  if (Array.isArray(data?.items)) {
+    raw = data.items;
+  } else if (hasLegacyLineItems(data)) {
+    try {
+      const parsed = JSON.parse(data.itemsJson || '[]');
+      raw = Array.isArray(parsed) ? parsed : [];
+    } catch (e) {
+      console.error("Error parsing legacy itemsJson:", e);
+    }
+  }
+  const lines = toStoredLineItems(raw);
+  if (lines.length < raw.length) {
+    console.warn(`Skipped ${raw.length - lines.length} invalid line item(s).`);
+  }
+  return lines;
+};
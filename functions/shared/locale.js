@@ -0,0 +1,118 @@
+// --- Currency and Locale ---
+// Every store prices in one currency and shows prices and times in its locale
+// and time zone. They are set in /artifacts/{appId}/public/pricing next to the
+// pricing rules (`currency`, `locale`, `timeZone`) and default to DEFAULT_STORE_LOCALE.
+// Money is added up in integer minor units (paise for INR) so totals never pick
+// up floating point drift; amounts are stored and passed around in major units.
+
+export const DEFAULT_STORE_LOCALE = {
+  currency: 'INR',
+  locale: 'en-IN',
+  timeZone: 'Asia/Kolkata',
+};
+
+const isSupportedCurrency = (currency) => {
+  try {
+    new Intl.NumberFormat('en', { style: 'currency', currency });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const isSupportedLocale = (locale) => {
+  try {
+    return Intl.NumberFormat.supportedLocalesOf([locale]).length > 0;
+  } catch {
+    return false;
+  }
+};
+
+const isSupportedTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Fills gaps (or unknown codes) in a store's settings with the defaults.
+export const normalizeStoreLocale = (data = {}) => ({
+  currency: typeof data.currency === 'string' && isSupportedCurrency(data.currency)
+    ? data.currency.toUpperCase()
+    : DEFAULT_STORE_LOCALE.currency,
+  locale: typeof data.locale === 'string' && isSupportedLocale(data.locale) ? data.locale : DEFAULT_STORE_LOCALE.locale,
+  timeZone: typeof data.timeZone === 'string' && isSupportedTimeZone(data.timeZone) ? data.timeZone : DEFAULT_STORE_LOCALE.timeZone,
+});
+
+// --- Minor units ---
+
+const digitsByCurrency = new Map();
+
+// 2 for INR (paise), 0 for JPY, 3 for KWD.
+export const minorUnitDigits = (currency = DEFAULT_STORE_LOCALE.currency) => {
+  if (!digitsByCurrency.has(currency)) {
+    const { maximumFractionDigits } = new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions();
+    digitsByCurrency.set(currency, maximumFractionDigits);
+  }
+  return digitsByCurrency.get(currency);
+};
+
+// toPrecision first, so 1.005 becomes 101 paise and not 100 (1.005 * 100 is 100.4999...).
+export const toMinorUnits = (amount, currency = DEFAULT_STORE_LOCALE.currency) =>
+  Math.round(Number(((Number(amount) || 0) * 10 ** minorUnitDigits(currency)).toPrecision(12)));
+
+export const fromMinorUnits = (minor, currency = DEFAULT_STORE_LOCALE.currency) =>
+  minor / 10 ** minorUnitDigits(currency);
+
+export const roundMoney = (amount, currency = DEFAULT_STORE_LOCALE.currency) =>
+  fromMinorUnits(toMinorUnits(amount, currency), currency);
+
+export const sumMoney = (amounts, currency = DEFAULT_STORE_LOCALE.currency) =>
+  fromMinorUnits(amounts.reduce((sum, amount) => sum + toMinorUnits(amount, currency), 0), currency);
+
+// A unit price times a quantity, e.g. a cart line total.
+export const multiplyMoney = (amount, quantity, currency = DEFAULT_STORE_LOCALE.currency) =>
+  fromMinorUnits(toMinorUnits(amount, currency) * quantity, currency);
+
+// --- Formatting ---
+
+const formatters = new Map();
+
+const cachedFormatter = (Formatter, locale, options) => {
+  const key = `${Formatter.name}|${locale}|${JSON.stringify(options)}`;
+  if (!formatters.has(key)) formatters.set(key, new Formatter(locale, options));
+  return formatters.get(key);
+};
+
+/**
+ * Formats `amount` (major units) in `storeLocale`'s currency, e.g. ₹1,299.00.
+ * `signDisplay: 'exceptZero'` prefixes credits and discounts with their sign.
+ */
+export const formatMoney = (amount, storeLocale = DEFAULT_STORE_LOCALE, { signDisplay = 'auto' } = {}) =>
+  cachedFormatter(Intl.NumberFormat, storeLocale.locale, { style: 'currency', currency: storeLocale.currency, signDisplay })
+    .format(roundMoney(amount, storeLocale.currency));
+
+export const formatPercent = (rate, storeLocale = DEFAULT_STORE_LOCALE) =>
+  cachedFormatter(Intl.NumberFormat, storeLocale.locale, { style: 'percent', maximumFractionDigits: 2 }).format(rate);
+
+// Order times are shown on the store's clock, wherever the customer's device is.
+export const formatDateTime = (iso, storeLocale = DEFAULT_STORE_LOCALE) =>
+  cachedFormatter(Intl.DateTimeFormat, storeLocale.locale, { dateStyle: 'medium', timeStyle: 'short', timeZone: storeLocale.timeZone })
+    .format(new Date(iso));
+
+export const formatTime = (iso, storeLocale = DEFAULT_STORE_LOCALE) =>
+  cachedFormatter(Intl.DateTimeFormat, storeLocale.locale, { hour: '2-digit', minute: '2-digit', timeZone: storeLocale.timeZone })
+    .format(new Date(iso));
+
+// A delivery slot such as "Mon, 20 Oct, 6:30 – 7:00 pm".
+export const formatTimeRange = (startIso, endIso, storeLocale = DEFAULT_STORE_LOCALE) =>
+  cachedFormatter(Intl.DateTimeFormat, storeLocale.locale, {
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZone: storeLocale.timeZone,
+  }).formatRange(new Date(startIso), new Date(endIso));
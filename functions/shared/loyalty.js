@@ -0,0 +1,77 @@
+// --- Loyalty Points ---
+// Customers earn points on each order's grand total once it is delivered, and
+// spend them on rewards at checkout. Every change is an immutable entry in
+// /artifacts/{appId}/users/{userId}/loyaltyLedger, written only by Cloud
+// Functions together with the running balance in .../loyalty/summary.
+// Rewards are listed in /artifacts/{appId}/public/loyalty/rewards.
+
+import { DEFAULT_STORE_LOCALE, multiplyMoney, sumMoney } from './locale.js';
+import { spreadAmount } from './promotions.js';
+
+// One point per whole currency unit of the grand total (per rupee for INR).
+export const POINTS_PER_UNIT = 1;
+
+export const LEDGER_ENTRY_TYPES = {
+  EARN: 'earn',
+  REDEEM: 'redeem',
+  RETURN: 'return', // points of a cancelled order's redemption, given back
+};
+
+export const loyaltySummaryPath = (appId, uid) => `artifacts/${appId}/users/${uid}/loyalty/summary`;
+export const loyaltyLedgerPath = (appId, uid) => `artifacts/${appId}/users/${uid}/loyaltyLedger`;
+export const rewardsPath = (appId) => `artifacts/${appId}/public/loyalty/rewards`;
+
+export const pointsEarnedFor = (grandTotal) => Math.max(0, Math.floor((Number(grandTotal) || 0) * POINTS_PER_UNIT));
+
+export const normalizeReward = (id, data = {}) => ({
+  id,
+  name: data.name || 'Reward',
+  description: data.description || '',
+  pointsCost: Math.max(1, Math.floor(Number(data.pointsCost) || 0)),
+  value: Math.max(0, Number(data.value) || 0), // amount off the order
+  active: data.active !== false,
+  sortOrder: Number(data.sortOrder) || 0,
+});
+
+/**
+ * Checks that `reward` can be redeemed with `balance` points on `lines` after
+ * the other `discounts`, and returns { ok: false, reason, message } or
+ * { ok: true, discount } in the shape computeOrderTotals expects. The reward never takes an order
+ * below zero; unused value is not kept.
+ */
+export const evaluateReward = (reward, lines, { balance = 0, discounts = [], storeLocale = DEFAULT_STORE_LOCALE } = {}) => {
+  const { currency } = storeLocale;
+  if (!reward || !reward.active) {
+    return { ok: false, reason: 'This reward is no longer available.', message: { id: 'loyalty.rewardUnavailable', params: {} } };
+  }
+  if (balance < reward.pointsCost) {
+    const missing = reward.pointsCost - balance;
+    return {
+      ok: false,
+      reason: `You need ${missing} more points for this reward.`,
+      message: { id: 'loyalty.needMorePoints', params: { count: missing } },
+    };
+  }
+
+  // What is left to pay on each line after the other discounts.
+  const remaining = lines.map((line, index) => {
+    const lineDiscounts = discounts.map(discount => -(discount.perLine?.[index] || 0));
+    return Math.max(0, sumMoney([multiplyMoney(line.price, line.quantity, currency), ...lineDiscounts], currency));
+  });
+  const payable = sumMoney(remaining, currency);
+  const perLine = spreadAmount(Math.min(reward.value, payable), remaining, currency);
+
+  return {
+    ok: true,
+    discount: {
+      code: reward.id,
+      type: 'reward',
+      label: `Reward: ${reward.name} (${reward.pointsCost} pts)`,
+      message: { id: 'price.reward', params: { name: reward.name, count: reward.pointsCost } },
+      amount: sumMoney(perLine, currency),
+      perLine,
+      freeDelivery: false,
+      pointsCost: reward.pointsCost,
+    },
+  };
+};
@@ -0,0 +1,52 @@
+// --- Order Errors ---
+// Stable codes for each reason an order or a cancellation is turned down. They
+// travel as `details.code` on OrderRequestError (ordering.js), on the functions'
+// HttpsErrors and on PaymentError (functions/payments.js, src/payments.js),
+// next to any values the message needs. The storefront shows its own message
+// for each code (`orderError.<code>` in src/i18n/); the English error message
+// is for logs.
+
+export const ORDER_ERROR = {
+  // The request itself
+  CART_EMPTY: 'cartEmpty',
+  TOO_MANY_LINES: 'tooManyLines', // { count }
+  ITEM_UNAVAILABLE: 'itemUnavailable', // { itemName }
+  QUANTITY_INVALID: 'quantityInvalid', // { itemName }
+  OPTIONS_TO_REVIEW: 'optionsToReview', // { itemName, groupName }
+  OPTION_UNAVAILABLE: 'optionUnavailable', // { itemName }
+  PRICE_CHANGED: 'priceChanged', // { grandTotal }
+  MENU_UPDATING: 'menuUpdating',
+  SIGN_IN_TO_ORDER: 'signInToOrder',
+  // Promo codes and rewards
+  PROMO_INVALID: 'promoInvalid',
+  PROMO_REJECTED: 'promoRejected', // { message }: why, as evaluatePromotion put it (promotions.js)
+  PROMO_USED: 'promoUsed',
+  REWARD_UNAVAILABLE: 'rewardUnavailable',
+  REWARD_REJECTED: 'rewardRejected', // { message }: why, as evaluateReward put it (loyalty.js)
+  NOT_ENOUGH_POINTS: 'notEnoughPoints',
+  // Handing the order over (fulfilment.js, delivery.js, schedule.js)
+  FULFILMENT_UNAVAILABLE: 'fulfilmentUnavailable',
+  CONTACT_INVALID: 'contactInvalid',
+  TABLE_INVALID: 'tableInvalid',
+  DINE_IN_SCHEDULED: 'dineInScheduled',
+  ADDRESS_INVALID: 'addressInvalid',
+  NOT_DELIVERABLE: 'notDeliverable', // { postalCode }
+  STORE_CLOSED: 'storeClosed',
+  SLOT_UNAVAILABLE: 'slotUnavailable',
+  SLOT_FULL: 'slotFull',
+  // Payment
+  PAYMENT_METHOD_MISSING: 'paymentMethodMissing',
+  PAYMENT_USED: 'paymentUsed',
+  PAYMENT_NOT_COMPLETED: 'paymentNotCompleted',
+  PAYMENT_NOT_CONFIRMED: 'paymentNotConfirmed',
+  PAYMENT_DECLINED: 'paymentDeclined',
+  PAYMENT_FAILED: 'paymentFailed',
+  PAYMENTS_UNAVAILABLE: 'paymentsUnavailable', // the gateway's checkout did not load (src/payments.js)
+  PAYMENT_CANCELLED: 'paymentCancelled', // closed by the customer (src/payments.js)
+  OFFLINE_CASH_ONLY: 'offlineCashOnly',
+  // Cancelling
+  SIGN_IN_TO_CANCEL: 'signInToCancel',
+  ORDER_NOT_FOUND: 'orderNotFound',
+  CANCEL_REASON_MISSING: 'cancelReasonMissing',
+  NOT_CANCELLABLE: 'notCancellable',
+};
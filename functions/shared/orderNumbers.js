@@ -0,0 +1,30 @@
+// --- Order Numbers ---
+// Orders are numbered per store and per day: JS-20261019-0042 is the 42nd order
+// of 19 Oct 2026 for that store. The running count lives in
+// /artifacts/{appId}/orderCounters/{yyyymmdd} and is only ever bumped inside the
+// transaction that writes the order, so two orders can never share a number.
+
+import { DEFAULT_STORE_LOCALE } from './locale.js';
+
+export const ORDER_NUMBER_PREFIX = 'JS';
+
+// One formatter per time zone; building them is slow.
+const dayFormatters = new Map();
+
+// 'yyyymmdd' for `date` in the store's time zone (`timeZone` in the pricing
+// rules), so the business day follows the store's clock, not the server's (UTC).
+export const businessDay = (date, timeZone = DEFAULT_STORE_LOCALE.timeZone) => {
+  if (!dayFormatters.has(timeZone)) {
+    dayFormatters.set(timeZone, new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }));
+  }
+  return dayFormatters.get(timeZone).format(date).replace(/-/g, '');
+};
+
+export const orderCounterPath = (appId, day) => `artifacts/${appId}/orderCounters/${day}`;
+
+// Every order number of `day` starts with this, so a day's orders sort together.
+export const orderNumberPrefix = (day) => `${ORDER_NUMBER_PREFIX}-${day}-`;
+
+// Four digits covers a busy day; later orders simply get a longer number.
+export const formatOrderNumber = (day, sequence) =>
+  `${orderNumberPrefix(day)}${String(sequence).padStart(4, '0')}`;
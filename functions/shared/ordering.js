@@ -0,0 +1,448 @@
+// --- Ordering ---
+// What placing, cancelling and delivering an order checks and writes. The
+// placeOrder and cancelOrder functions and their triggers (functions/index.js)
+// run it against Firestore, and the local repository (src/localRepository.js)
+// against its own documents; each does its own reads and writes.
+//
+// Pricing is the server-side twin of the client's cart maths (src/modifiers.js);
+// taxes and fees come from the shared pricing rules (pricingRules.js). Every
+// line is re-priced from the catalog; nothing the client sends about prices is trusted.
+
+import { computeOrderTotals } from './pricingRules.js';
+import { sumMoney, toMinorUnits, formatMoney } from './locale.js';
+import { evaluatePromotion } from './promotions.js';
+import { evaluateReward, LEDGER_ENTRY_TYPES, pointsEarnedFor } from './loyalty.js';
+import { MAX_LINE_ITEMS, MAX_LINE_QUANTITY, toStoredLineItems } from './lineItems.js';
+import { FULFILMENT_MODE, fulfilmentFromRequest } from './fulfilment.js';
+import { deliveryAddressFromRequest } from './delivery.js';
+import { resolveDeliveryTime, kitchenDueAt } from './schedule.js';
+import { ORDER_ERROR } from './orderErrors.js';
+
+// Anything about an order request the customer has to fix. `details.code` says
+// what (ORDER_ERROR in orderErrors.js); the English message is for logs.
+export class OrderRequestError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'OrderRequestError';
+    this.details = details;
+  }
+}
+
+const normalizeGroups = (groups) =>
+  (Array.isArray(groups) ? groups : []).map(group => {
+    const options = (Array.isArray(group.options) ? group.options : []).map(option => ({
+      id: String(option.id),
+      name: option.name || String(option.id),
+      priceDelta: Number(option.priceDelta) || 0,
+    }));
+    const minSelect = Math.max(0, Number(group.minSelect) || 0);
+    return {
+      id: String(group.id),
+      name: group.name || String(group.id),
+      minSelect,
+      maxSelect: Math.max(minSelect, Number(group.maxSelect) || options.length),
+      options,
+    };
+  });
+
+// Same shape as normalizeMenuItem in src/menu.js, limited to what pricing needs.
+export const catalogItemFromDoc = (id, data) => ({
+  id,
+  name: data.name || 'Unnamed item',
+  price: Number(data.price) || 0,
+  icon: data.icon || '🥤',
+  category: data.category || 'Other',
+  orderable: data.available !== false && data.archived !== true,
+  modifierGroups: normalizeGroups(data.modifierGroups),
+});
+
+// Must produce the same key as configurationKey in src/modifiers.js.
+const configurationKey = (itemId, modifiers) => {
+  const parts = modifiers.map(mod => `${mod.groupId}:${mod.optionId}`).sort();
+  return parts.length ? `${itemId}|${parts.join(',')}` : String(itemId);
+};
+
+const priceLine = (item, requested, quantity, currency) => {
+  const modifiers = [];
+  item.modifierGroups.forEach(group => {
+    const chosen = requested.filter(mod => mod.groupId === group.id);
+    if (chosen.length < group.minSelect || chosen.length > group.maxSelect) {
+      throw new OrderRequestError(`Please review the ${group.name.toLowerCase()} for ${item.name}.`, {
+        code: ORDER_ERROR.OPTIONS_TO_REVIEW,
+        itemId: item.id,
+        itemName: item.name,
+        groupId: group.id,
+        groupName: group.name,
+      });
+    }
+    chosen.forEach(({ optionId }) => {
+      const option = group.options.find(candidate => candidate.id === optionId);
+      if (!option) {
+        throw new OrderRequestError(`An option for ${item.name} is no longer offered.`, {
+          code: ORDER_ERROR.OPTION_UNAVAILABLE,
+          itemId: item.id,
+          itemName: item.name,
+          groupId: group.id,
+        });
+      }
+      modifiers.push({ groupId: group.id, groupName: group.name, optionId: option.id, name: option.name, priceDelta: option.priceDelta });
+    });
+  });
+
+  if (modifiers.length !== requested.length) {
+    throw new OrderRequestError(`An option for ${item.name} is no longer offered.`, { code: ORDER_ERROR.OPTION_UNAVAILABLE, itemId: item.id, itemName: item.name });
+  }
+
+  const price = sumMoney([item.price, ...modifiers.map(mod => mod.priceDelta)], currency);
+  return {
+    lineId: configurationKey(item.id, modifiers),
+    id: item.id,
+    name: item.name,
+    icon: item.icon,
+    category: item.category,
+    basePrice: item.price,
+    price,
+    modifiers,
+    quantity,
+  };
+};
+
+/**
+ * Prices the requested lines against `catalog` (a Map of item id to
+ * catalogItemFromDoc results) and returns the lines plus order totals under
+ * `rules` (normalizePricingRules) for `fulfilmentMode` (fulfilment.js;
+ * deliveries go to `postalCode`), with
+ * `promotion` (normalizePromotion) and `reward` (normalizeReward, paid for
+ * from `loyaltyBalance`) applied when given.
+ * Throws OrderRequestError for anything the customer has to fix.
+ */
+export const priceOrder = (catalog, requestedLines, rules, {
+  fulfilmentMode,
+  postalCode,
+  promotion = null,
+  usageCount = 0,
+  reward = null,
+  loyaltyBalance = 0,
+  now = new Date(),
+} = {}) => {
+  if (!Array.isArray(requestedLines) || requestedLines.length === 0) {
+    throw new OrderRequestError('Your cart is empty.', { code: ORDER_ERROR.CART_EMPTY });
+  }
+  if (requestedLines.length > MAX_LINE_ITEMS) {
+    throw new OrderRequestError(`Orders can have up to ${MAX_LINE_ITEMS} different items.`, { code: ORDER_ERROR.TOO_MANY_LINES, count: MAX_LINE_ITEMS });
+  }
+
+  const lines = requestedLines.map(requested => {
+    const item = catalog.get(String(requested.id));
+    if (!item || !item.orderable) {
+      throw new OrderRequestError(`${requested.name || 'An item'} is no longer available.`, {
+        code: ORDER_ERROR.ITEM_UNAVAILABLE,
+        itemId: String(requested.id ?? ''),
+        itemName: typeof requested.name === 'string' ? requested.name : '',
+      });
+    }
+    const quantity = Number(requested.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_LINE_QUANTITY) {
+      throw new OrderRequestError(`Please check the quantity of ${item.name}.`, { code: ORDER_ERROR.QUANTITY_INVALID, itemId: item.id, itemName: item.name });
+    }
+    const modifiers = Array.isArray(requested.modifiers)
+      ? requested.modifiers.map(mod => ({ groupId: String(mod.groupId), optionId: String(mod.optionId) }))
+      : [];
+    return priceLine(item, modifiers, quantity, rules.currency);
+  });
+
+  const discounts = [];
+  if (promotion) {
+    const result = evaluatePromotion(promotion, lines, { now, usageCount, storeLocale: rules });
+    if (!result.ok) {
+      throw new OrderRequestError(result.reason, { code: ORDER_ERROR.PROMO_REJECTED, promoCode: promotion.code, message: result.message });
+    }
+    discounts.push(result.discount);
+  }
+  if (reward) {
+    const result = evaluateReward(reward, lines, { balance: loyaltyBalance, discounts, storeLocale: rules });
+    if (!result.ok) {
+      throw new OrderRequestError(result.reason, { code: ORDER_ERROR.REWARD_REJECTED, rewardId: reward.id, message: result.message });
+    }
+    discounts.push(result.discount);
+  }
+
+  const totals = computeOrderTotals(lines, rules, { fulfilmentMode, postalCode, discounts });
+  if (!totals.isDeliverable) {
+    throw new OrderRequestError('Sorry, we do not deliver to this PIN code yet.', { code: ORDER_ERROR.NOT_DELIVERABLE, postalCode: postalCode ?? '' });
+  }
+
+  return { lines, ...totals };
+};
+
+/**
+ * Checks how and when an order request ({ fulfilment, deliveryAddress,
+ * deliverySlotId }) wants its order: { fulfilment, deliveryAddress, slot }, with
+ * the address only for deliveries (delivery.js) and `slot` null for as soon as
+ * possible (schedule.js). Throws OrderRequestError otherwise.
+ */
+export const resolveOrderRequest = ({ fulfilment: requestedFulfilment, deliveryAddress: requestedAddress, deliverySlotId = null }, rules, now = Date.now()) => {
+  const { fulfilment, problem: fulfilmentProblem, code: fulfilmentCode } = fulfilmentFromRequest(requestedFulfilment, rules.fulfilment, { deliverySlotId });
+  if (fulfilmentProblem) {
+    throw new OrderRequestError(fulfilmentProblem, { code: fulfilmentCode });
+  }
+  const isDelivery = fulfilment.mode === FULFILMENT_MODE.DELIVERY;
+  const deliveryAddress = isDelivery ? deliveryAddressFromRequest(requestedAddress) : null;
+  if (isDelivery && !deliveryAddress) {
+    throw new OrderRequestError('Please check your delivery address and phone number.', { code: ORDER_ERROR.ADDRESS_INVALID });
+  }
+  const { slot, problem: deliveryTimeProblem, code: deliveryTimeCode } = resolveDeliveryTime(rules.schedule, rules.timeZone, deliverySlotId, now);
+  if (deliveryTimeProblem) {
+    throw new OrderRequestError(deliveryTimeProblem, { code: deliveryTimeCode });
+  }
+  return { fulfilment, deliveryAddress, slot };
+};
+
+// Both sides add up in minor units, so the totals must match exactly.
+export const checkExpectedTotal = (priced, expectedGrandTotal, rules) => {
+  if (toMinorUnits(priced.grandTotal, priced.currency) !== toMinorUnits(expectedGrandTotal, priced.currency)) {
+    throw new OrderRequestError(
+      `Prices have changed since you opened your cart. Your new total is ${formatMoney(priced.grandTotal, rules)}. Please review your order.`,
+      { code: ORDER_ERROR.PRICE_CHANGED, grandTotal: priced.grandTotal }
+    );
+  }
+};
+
+// Places left in a delivery slot whose document is `stored` (null before its first order).
+const slotRemaining = (stored, rules) => (stored ? stored.remaining : rules.schedule.slotCapacity);
+
+export const checkSlotHasRoom = (stored, rules) => {
+  if (slotRemaining(stored, rules) <= 0) {
+    throw new OrderRequestError('This delivery time is fully booked. Please choose another.', { code: ORDER_ERROR.SLOT_FULL });
+  }
+};
+
+// The delivery slot document once an order takes one of its places.
+export const takeSlotPlace = (slot, stored, rules, now) => {
+  checkSlotHasRoom(stored, rules);
+  return {
+    start: slot.start,
+    end: slot.end,
+    capacity: stored ? stored.capacity : rules.schedule.slotCapacity,
+    remaining: slotRemaining(stored, rules) - 1,
+    updatedAt: now,
+  };
+};
+
+// The delivery slot document once a cancelled order gives its place back.
+export const releaseSlotPlace = (stored, now) => ({
+  ...stored,
+  remaining: Math.min(stored.capacity, stored.remaining + 1),
+  updatedAt: now,
+});
+
+// The customer's promoUsage document for `promotion` once order `orderId` uses it.
+export const countPromotionUse = (promotion, stored, orderId, now) => {
+  const count = stored?.count || 0;
+  if (promotion.perUserLimit !== null && count >= promotion.perUserLimit) {
+    throw new OrderRequestError('You have already used this code.', { code: ORDER_ERROR.PROMO_USED });
+  }
+  return { code: promotion.code, count: count + 1, lastUsedAt: now, lastOrderId: orderId };
+};
+
+export const redeemEntryId = (orderDocId) => `redeem-${orderDocId}`;
+export const earnEntryId = (orderDocId) => `earn-${orderDocId}`;
+export const returnEntryId = (orderDocId) => `return-${orderDocId}`;
+
+/**
+ * Spends `reward.pointsCost` of the balance in the loyalty `summary` on an
+ * order: { entry, balanceAfter }, with the ledger entry to store under
+ * redeemEntryId(orderDocId).
+ */
+export const redeemReward = (reward, summary, { orderDocId, orderId, now }) => {
+  const balance = summary?.balance || 0;
+  if (balance < reward.pointsCost) {
+    throw new OrderRequestError('You no longer have enough points for this reward.', { code: ORDER_ERROR.NOT_ENOUGH_POINTS });
+  }
+  const balanceAfter = balance - reward.pointsCost;
+  return {
+    balanceAfter,
+    entry: {
+      type: LEDGER_ENTRY_TYPES.REDEEM,
+      points: -reward.pointsCost,
+      balanceAfter,
+      orderDocId,
+      orderId,
+      rewardId: reward.id,
+      rewardName: reward.name,
+      createdAt: now,
+    },
+  };
+};
+
+/**
+ * Points for delivering `order`, credited to the loyalty `summary`:
+ * { points, entry, summary } to store (the entry under earnEntryId), or null
+ * when the order earns nothing.
+ */
+export const earnPoints = (orderDocId, order, summary, now) => {
+  const points = pointsEarnedFor(order.grandTotal);
+  if (points === 0) return null;
+  const balanceAfter = (summary?.balance || 0) + points;
+  return {
+    points,
+    entry: {
+      type: LEDGER_ENTRY_TYPES.EARN,
+      points,
+      balanceAfter,
+      orderDocId,
+      orderId: order.orderId,
+      grandTotal: order.grandTotal,
+      createdAt: now,
+    },
+    summary: {
+      balance: balanceAfter,
+      lifetimeEarned: (summary?.lifetimeEarned || 0) + points,
+      updatedAt: now,
+    },
+  };
+};
+
+// The payment method of an order whose discounts cover the whole total.
+export const NO_PAYMENT_METHOD = 'none';
+
+// What to authorize for `priced`: the customer's { method, reference }, or
+// nothing to pay when the total is zero, whatever method was chosen.
+export const paymentRequestFor = (priced, requested) =>
+  (priced.grandTotal === 0 ? { method: NO_PAYMENT_METHOD, reference: null } : requested);
+
+// An online payment pays for one order only: the first order to use its
+// reference claims it in artifacts/{appId}/payments/{reference}, in the same
+// write as the order. Cash on delivery has no reference and nothing to claim.
+export const paymentClaimPath = (appId, payment) =>
+  (payment.reference ? `artifacts/${appId}/payments/${encodeURIComponent(payment.reference)}` : null);
+
+// The claim to store for `payment`, unless the `stored` claim says another order has it.
+export const claimPayment = (payment, stored, { uid, orderDocId, orderId, now }) => {
+  if (stored) {
+    throw new OrderRequestError('This payment has already been used for another order.', { code: ORDER_ERROR.PAYMENT_USED, reference: payment.reference });
+  }
+  return {
+    reference: payment.reference,
+    method: payment.method,
+    amount: payment.amount,
+    currency: payment.currency,
+    userId: uid,
+    orderDocId,
+    orderId,
+    claimedAt: now,
+  };
+};
+
+export const scheduledForSlot = (slot) => (slot ? { slotId: slot.id, start: slot.start, end: slot.end } : null);
+
+/**
+ * The order document for `uid`'s order number `orderId` (the `sequence`th of
+ * the day), priced by priceOrder and paid with `payment` (payments.js).
+ */
+export const buildOrderDocument = ({ appId, uid, orderId, sequence, priced, reward, fulfilment, deliveryAddress, slot, payment, now }) => ({
+  orderId,
+  orderSequence: sequence,
+  appId,
+  userId: uid,
+  currency: priced.currency,
+  items: toStoredLineItems(priced.lines),
+  subtotal: priced.subtotal,
+  taxAmount: priced.taxAmount,
+  taxes: priced.taxes,
+  deliveryFee: priced.deliveryFee,
+  deliveryZone: priced.deliveryZone,
+  fulfilmentFee: priced.fulfilmentFee,
+  smallOrderFee: priced.smallOrderFee,
+  discounts: priced.discounts,
+  discountAmount: priced.discountAmount,
+  loyalty: reward ? { rewardId: reward.id, pointsRedeemed: reward.pointsCost } : null,
+  priceBreakdown: priced.breakdown,
+  grandTotal: priced.grandTotal,
+  fulfilment,
+  deliveryAddress,
+  payment,
+  paymentStatus: payment.status,
+  placedAt: now,
+  scheduledFor: scheduledForSlot(slot),
+  kitchenDueAt: slot ? kitchenDueAt(slot) : now,
+  status: 'Placed',
+  statusUpdatedAt: now,
+  statusHistory: [{ status: 'Placed', at: now, by: uid }],
+});
+
+// --- Cancellation ---
+
+// The storefront labels these (CANCELLATION_REASONS in src/orders.js).
+export const CANCELLATION_REASON_IDS = ['changed_mind', 'ordered_by_mistake', 'taking_too_long', 'wrong_details', 'other'];
+
+// 'other' needs a note; every reason may have one.
+export const MAX_CANCELLATION_NOTE_LENGTH = 200;
+
+export const isCancellableByCustomer = (order, cancellationPolicy) =>
+  cancellationPolicy.allowedStatuses.includes(order.status) && !order.migratedTo;
+
+/**
+ * The update for customer `uid` cancelling `order` at `at` for `reason` (a
+ * CANCELLATION_REASON_IDS entry) with an optional `note`, while the store's
+ * `cancellationPolicy` (pricingRules.js) allows it. Throws OrderRequestError otherwise.
+ */
+export const buildCustomerCancellation = (order, uid, cancellationPolicy, { reason, note } = {}, at = new Date().toISOString()) => {
+  const trimmedNote = typeof note === 'string' ? note.trim().slice(0, MAX_CANCELLATION_NOTE_LENGTH) : '';
+  if (!CANCELLATION_REASON_IDS.includes(reason) || (reason === 'other' && !trimmedNote)) {
+    throw new OrderRequestError('Please tell us why you are cancelling.', { code: ORDER_ERROR.CANCEL_REASON_MISSING });
+  }
+  if (!isCancellableByCustomer(order, cancellationPolicy)) {
+    throw new OrderRequestError('This order is already being prepared and can no longer be cancelled.', { code: ORDER_ERROR.NOT_CANCELLABLE });
+  }
+  return {
+    status: 'Cancelled',
+    statusUpdatedAt: at,
+    statusHistory: [...(order.statusHistory || []), { status: 'Cancelled', at, by: uid }],
+    cancellation: { by: 'customer', reason, note: trimmedNote, at },
+  };
+};
+
+// The promo code `order` used, if any; every other discount is a reward.
+export const promoCodeOf = (order) => order.discounts?.find(discount => discount.type !== 'reward')?.code ?? null;
+
+/**
+ * Gives back what a cancelled `order` spent: its reward's points, credited to
+ * the loyalty `summary` with a ledger entry to store under returnEntryId, and
+ * its use of the promo code, taken off the customer's promoUsage document
+ * `usage` for that code. { entry, summary, usage } with null for anything
+ * there is nothing to give back for.
+ */
+export const returnRedemptions = (orderDocId, order, { summary, usage }, now) => {
+  const points = order.loyalty?.pointsRedeemed || 0;
+  const balanceAfter = (summary?.balance || 0) + points;
+  return {
+    entry: points > 0
+      ? {
+        type: LEDGER_ENTRY_TYPES.RETURN,
+        points,
+        balanceAfter,
+        orderDocId,
+        orderId: order.orderId,
+        rewardId: order.loyalty.rewardId,
+        createdAt: now,
+      }
+      : null,
+    summary: points > 0 ? { balance: balanceAfter, updatedAt: now } : null,
+    usage: usage ? { ...usage, count: Math.max(0, (usage.count || 0) - 1), updatedAt: now } : null,
+  };
+};
+
+// What refundPaymentOnCancel records in artifacts/{appId}/refunds/{orderDocId},
+// before the outcome from the payment provider is added.
+export const refundRecord = (orderDocId, order, now) => ({
+  orderDocId,
+  orderId: order.orderId,
+  userId: order.userId,
+  method: order.payment.method,
+  amount: order.payment.amount,
+  currency: order.payment.currency,
+  cancelledBy: order.cancellation?.by || 'kitchen',
+  reason: order.cancellation?.reason || null,
+  createdAt: now,
+});
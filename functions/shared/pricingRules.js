@@ -0,0 +1,252 @@
+// --- Pricing Rules ---
+// Taxes and fees on top of the cart subtotal. The rules live in the Firestore
+// document /artifacts/{appId}/public/pricing (edited by admins) and fall back to
+// DEFAULT_PRICING_RULES when it is missing. The same document sets the store's
+// currency, locale and time zone (see locale.js), so rules can be passed
+// wherever a store locale is expected, the opening hours delivery slots are
+// cut from (see schedule.js) and the fulfilment modes on offer (see fulfilment.js).
+
+import {
+  DEFAULT_STORE_LOCALE,
+  normalizeStoreLocale,
+  toMinorUnits,
+  fromMinorUnits,
+  formatMoney,
+  formatPercent,
+} from './locale.js';
+import { DEFAULT_SCHEDULE, normalizeSchedule } from './schedule.js';
+import { DEFAULT_FULFILMENT, FULFILMENT_MODE, normalizeFulfilment } from './fulfilment.js';
+
+export const DEFAULT_PRICING_RULES = {
+  ...DEFAULT_STORE_LOCALE,
+  tax: {
+    label: 'Tax',
+    defaultRate: 0.08,
+    categoryRates: {}, // e.g. { Drinks: 0.12, Bowls: 0.05 } for GST slabs
+  },
+  delivery: {
+    defaultFee: 5.00,
+    // Zones match on PIN code prefixes. A zone has a flat `fee`, or a `distanceKm`
+    // priced through `distanceBands` ([{ upToKm, fee }], ascending).
+    zones: [],
+    distanceBands: [],
+    servesOtherAreas: true, // false: addresses outside every zone cannot order
+    freeAbove: null, // subtotal from which delivery is free
+  },
+  smallOrder: {
+    below: null, // subtotal under which the surcharge applies
+    surcharge: 0,
+  },
+  cancellation: {
+    // Customers may cancel their own order while it has one of these statuses.
+    allowedStatuses: ['Placed', 'Accepted'],
+  },
+  schedule: DEFAULT_SCHEDULE,
+  fulfilment: DEFAULT_FULFILMENT,
+};
+
+// The statuses the order lifecycle (src/orders.js) lets move to Cancelled.
+const CANCELLABLE_STATUSES = ['Placed', 'Accepted', 'Preparing'];
+
+export const pricingRulesPath = (appId) => `artifacts/${appId}/public/pricing`;
+
+const toNumberOr = (value, fallback) => (value === null || value === undefined || value === '' || Number.isNaN(Number(value)) ? fallback : Number(value));
+
+// Fills gaps in a Firestore pricing document with the defaults.
+export const normalizePricingRules = (data = {}) => {
+  const tax = data.tax || {};
+  const delivery = data.delivery || {};
+  const smallOrder = data.smallOrder || {};
+  const cancellation = data.cancellation || {};
+  const categoryRates = {};
+  Object.entries(tax.categoryRates || {}).forEach(([category, rate]) => {
+    categoryRates[category] = toNumberOr(rate, DEFAULT_PRICING_RULES.tax.defaultRate);
+  });
+
+  return {
+    ...normalizeStoreLocale(data),
+    tax: {
+      label: tax.label || DEFAULT_PRICING_RULES.tax.label,
+      defaultRate: toNumberOr(tax.defaultRate, DEFAULT_PRICING_RULES.tax.defaultRate),
+      categoryRates,
+    },
+    delivery: {
+      defaultFee: toNumberOr(delivery.defaultFee, DEFAULT_PRICING_RULES.delivery.defaultFee),
+      zones: (Array.isArray(delivery.zones) ? delivery.zones : []).map(zone => ({
+        id: String(zone.id),
+        name: zone.name || String(zone.id),
+        postalCodePrefixes: (Array.isArray(zone.postalCodePrefixes) ? zone.postalCodePrefixes : []).map(String),
+        fee: toNumberOr(zone.fee, null),
+        distanceKm: toNumberOr(zone.distanceKm, null),
+      })),
+      distanceBands: (Array.isArray(delivery.distanceBands) ? delivery.distanceBands : [])
+        .map(band => ({ upToKm: Number(band.upToKm), fee: Number(band.fee) }))
+        .sort((a, b) => a.upToKm - b.upToKm),
+      servesOtherAreas: delivery.servesOtherAreas !== false,
+      freeAbove: toNumberOr(delivery.freeAbove, null),
+    },
+    smallOrder: {
+      below: toNumberOr(smallOrder.below, null),
+      surcharge: toNumberOr(smallOrder.surcharge, 0),
+    },
+    cancellation: {
+      allowedStatuses: Array.isArray(cancellation.allowedStatuses)
+        ? CANCELLABLE_STATUSES.filter(status => cancellation.allowedStatuses.includes(status))
+        : DEFAULT_PRICING_RULES.cancellation.allowedStatuses,
+    },
+    schedule: normalizeSchedule(data.schedule),
+    fulfilment: normalizeFulfilment(data.fulfilment),
+  };
+};
+
+export const taxRateFor = (rules, category) => rules.tax.categoryRates[category] ?? rules.tax.defaultRate;
+
+// The zone with the longest matching PIN code prefix, or null.
+export const deliveryZoneFor = (rules, postalCode) => {
+  if (!postalCode) return null;
+  let best = null;
+  let bestLength = 0;
+  rules.delivery.zones.forEach(zone => {
+    zone.postalCodePrefixes.forEach(prefix => {
+      if (prefix.length > bestLength && String(postalCode).startsWith(prefix)) {
+        best = zone;
+        bestLength = prefix.length;
+      }
+    });
+  });
+  return best;
+};
+
+const zoneFee = (rules, zone) => {
+  if (!zone) return rules.delivery.defaultFee;
+  if (zone.fee !== null) return zone.fee;
+  if (zone.distanceKm !== null) {
+    const band = rules.delivery.distanceBands.find(entry => zone.distanceKm <= entry.upToKm);
+    if (band) return band.fee;
+  }
+  return rules.delivery.defaultFee;
+};
+
+// The flat fee for collecting the order or eating in, as a breakdown line.
+const FULFILMENT_FEE_LINES = {
+  [FULFILMENT_MODE.TAKEAWAY]: { label: 'Packaging Fee', message: { id: 'price.takeawayFee', params: {} } },
+  [FULFILMENT_MODE.DINE_IN]: { label: 'Service Charge', message: { id: 'price.dineInFee', params: {} } },
+};
+
+/**
+ * Prices `lines` ({ price, quantity, category }) under `rules` for
+ * `fulfilmentMode` (fulfilment.js). Deliveries pay the delivery fee: `postalCode`
+ * picks the zone, and without it the default fee is used as an estimate.
+ * Takeaway and dine-in orders pay their flat fee from `rules.fulfilment` instead.
+ * `discounts` are applied promo codes and rewards ({ code, type, label, message,
+ * amount, perLine, freeDelivery }, see evaluatePromotion and evaluateReward).
+ *
+ * Returns the totals plus `breakdown`, the summary lines to show between the
+ * subtotal and the total ({ key, label, message, amount }), and `isDeliverable`.
+ * `label` is English; `message` ({ id, params }) lets the storefront translate it.
+ * Everything is added up in minor units of `rules.currency`.
+ */
+export const computeOrderTotals = (lines, rules, { fulfilmentMode = FULFILMENT_MODE.DELIVERY, postalCode, discounts = [] } = {}) => {
+  const toMinor = (amount) => toMinorUnits(amount, rules.currency);
+  const toMajor = (minor) => fromMinorUnits(minor, rules.currency);
+  const lineMinor = lines.map(line => toMinor(line.price) * line.quantity);
+  const subtotalMinor = lineMinor.reduce((sum, value) => sum + value, 0);
+
+  // One tax line per rate, so GST slabs show separately. Tax is due on what the
+  // customer actually pays for each line, after its share of the discount.
+  const taxableByRate = new Map();
+  lines.forEach((line, index) => {
+    const rate = taxRateFor(rules, line.category);
+    const taxable = lineMinor[index] - discounts.reduce((sum, discount) => sum + toMinor(discount.perLine?.[index] || 0), 0);
+    taxableByRate.set(rate, (taxableByRate.get(rate) || 0) + taxable);
+  });
+  const taxesMinor = [...taxableByRate.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([rate, taxable]) => ({ rate, amount: Math.round(taxable * rate) }));
+  const taxMinor = taxesMinor.reduce((sum, tax) => sum + tax.amount, 0);
+
+  const isDelivery = fulfilmentMode === FULFILMENT_MODE.DELIVERY;
+  const zone = isDelivery ? deliveryZoneFor(rules, postalCode) : null;
+  const isDeliverable = !isDelivery || !postalCode || Boolean(zone) || rules.delivery.servesOtherAreas;
+  const isFreeDelivery = rules.delivery.freeAbove !== null && subtotalMinor >= toMinor(rules.delivery.freeAbove);
+  const deliveryMinor = isDelivery && subtotalMinor > 0 && !isFreeDelivery ? toMinor(zoneFee(rules, zone)) : 0;
+  const fulfilmentMinor = !isDelivery && subtotalMinor > 0 ? toMinor(rules.fulfilment[fulfilmentMode]?.fee || 0) : 0;
+
+  const hasSmallOrderFee = subtotalMinor > 0 && rules.smallOrder.below !== null && subtotalMinor < toMinor(rules.smallOrder.below);
+  const smallOrderMinor = hasSmallOrderFee ? toMinor(rules.smallOrder.surcharge) : 0;
+
+  // Thresholds above use the subtotal before discounts. Delivery is waived at most once.
+  let deliveryWaived = false;
+  const appliedDiscounts = discounts.map(discount => {
+    const waivesDelivery = discount.freeDelivery && !deliveryWaived;
+    deliveryWaived = deliveryWaived || waivesDelivery;
+    return {
+      code: discount.code,
+      type: discount.type,
+      label: discount.label,
+      message: discount.message || null,
+      amountMinor: toMinor(discount.amount || 0) + (waivesDelivery ? deliveryMinor : 0),
+    };
+  });
+  const discountMinor = appliedDiscounts.reduce((sum, discount) => sum + discount.amountMinor, 0);
+
+  const subtotal = toMajor(subtotalMinor);
+  const taxes = taxesMinor.map(tax => ({ rate: tax.rate, amount: toMajor(tax.amount) }));
+  const deliveryFee = toMajor(deliveryMinor);
+  const fulfilmentFee = toMajor(fulfilmentMinor);
+  const smallOrderFee = toMajor(smallOrderMinor);
+
+  const freeAbove = rules.delivery.freeAbove !== null ? formatMoney(rules.delivery.freeAbove, rules) : null;
+  const smallOrderBelow = hasSmallOrderFee ? formatMoney(rules.smallOrder.below, rules) : null;
+  let deliveryLine;
+  if (isFreeDelivery && subtotalMinor > 0) {
+    deliveryLine = { label: `Delivery Fee (free over ${freeAbove})`, message: { id: 'price.deliveryFreeOver', params: { amount: freeAbove } } };
+  } else if (zone) {
+    deliveryLine = { label: `Delivery Fee (${zone.name})`, message: { id: 'price.deliveryZone', params: { zone: zone.name } } };
+  } else {
+    deliveryLine = { label: 'Delivery Fee', message: { id: 'price.delivery', params: {} } };
+  }
+
+  const breakdown = [
+    { key: 'subtotal', label: 'Subtotal', message: { id: 'price.subtotal', params: {} }, amount: subtotal },
+    ...appliedDiscounts.map(discount => ({
+      key: `discount-${discount.type}-${discount.code}`,
+      label: discount.label,
+      message: discount.message,
+      amount: -toMajor(discount.amountMinor),
+    })),
+    ...taxes.map(tax => {
+      const rate = formatPercent(tax.rate, rules);
+      return { key: `tax-${tax.rate}`, label: `${rules.tax.label} (${rate})`, message: { id: 'price.tax', params: { label: rules.tax.label, rate } }, amount: tax.amount };
+    }),
+  ];
+  if (isDelivery) {
+    breakdown.push({ key: 'delivery', ...deliveryLine, amount: deliveryFee });
+  } else if (fulfilmentMinor > 0) {
+    breakdown.push({ key: 'fulfilment', ...FULFILMENT_FEE_LINES[fulfilmentMode], amount: fulfilmentFee });
+  }
+  if (hasSmallOrderFee) {
+    breakdown.push({
+      key: 'smallOrder',
+      label: `Small Order Fee (under ${smallOrderBelow})`,
+      message: { id: 'price.smallOrder', params: { amount: smallOrderBelow } },
+      amount: smallOrderFee,
+    });
+  }
+
+  return {
+    currency: rules.currency,
+    subtotal,
+    taxes,
+    taxAmount: toMajor(taxMinor),
+    deliveryFee,
+    deliveryZone: zone ? zone.id : null,
+    fulfilmentFee,
+    smallOrderFee,
+    discounts: appliedDiscounts.map(({ code, type, amountMinor }) => ({ code, type, amount: toMajor(amountMinor) })),
+    discountAmount: toMajor(discountMinor),
+    grandTotal: toMajor(subtotalMinor - discountMinor + taxMinor + deliveryMinor + fulfilmentMinor + smallOrderMinor),
+    isDeliverable,
+    breakdown,
+  };
+};
@@ -0,0 +1,135 @@
+// --- Promo Codes ---
+// Codes live in /artifacts/{appId}/promoCodes/{CODE} (admins only; customers may
+// read a code they type but never list them). How often each customer used a
+// code is counted in /artifacts/{appId}/users/{userId}/promoUsage/{CODE} by placeOrder.
+
+import { DEFAULT_STORE_LOCALE, toMinorUnits, fromMinorUnits, multiplyMoney, sumMoney, formatMoney } from './locale.js';
+
+export const PROMO_TYPES = {
+  PERCENTAGE: 'percentage', // `value` percent off eligible items, capped by `maxDiscount`
+  FLAT: 'flat', // `value` off eligible items
+  BOGO: 'bogo', // every second eligible item free, cheapest first
+  FREE_DELIVERY: 'free_delivery',
+};
+
+export const promoCodesPath = (appId) => `artifacts/${appId}/promoCodes`;
+export const promoUsagePath = (appId, uid) => `artifacts/${appId}/users/${uid}/promoUsage`;
+
+export const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+const toNumberOr = (value, fallback) => (value === null || value === undefined || value === '' || Number.isNaN(Number(value)) ? fallback : Number(value));
+
+export const normalizePromotion = (code, data = {}) => ({
+  code: normalizeCode(code),
+  type: Object.values(PROMO_TYPES).includes(data.type) ? data.type : null,
+  value: toNumberOr(data.value, 0),
+  maxDiscount: toNumberOr(data.maxDiscount, null),
+  description: data.description || '',
+  active: data.active !== false,
+  startsAt: data.startsAt || null,
+  expiresAt: data.expiresAt || null,
+  minSubtotal: toNumberOr(data.minSubtotal, 0),
+  perUserLimit: toNumberOr(data.perUserLimit, null),
+  categories: Array.isArray(data.categories) ? data.categories.map(String) : [], // empty: every category
+});
+
+// Spreads `amount` over the lines by their value in whole minor units, putting
+// the rounding leftover on the last line that has any value.
+export const spreadAmount = (amount, values, currency = DEFAULT_STORE_LOCALE.currency) => {
+  const minorValues = values.map(value => toMinorUnits(value, currency));
+  const total = minorValues.reduce((sum, value) => sum + value, 0);
+  const lastIndex = minorValues.reduce((last, value, index) => (value > 0 ? index : last), -1);
+  if (total <= 0) return values.map(() => 0);
+  const amountMinor = toMinorUnits(amount, currency);
+  let remaining = amountMinor;
+  return minorValues.map((value, index) => {
+    if (index === lastIndex) return fromMinorUnits(remaining, currency);
+    const share = Math.round(amountMinor * value / total);
+    remaining -= share;
+    return fromMinorUnits(share, currency);
+  });
+};
+
+const bogoDiscounts = (lines, eligible, currency) => {
+  const units = [];
+  lines.forEach((line, index) => {
+    if (!eligible[index]) return;
+    for (let i = 0; i < line.quantity; i += 1) units.push({ index, price: toMinorUnits(line.price, currency) });
+  });
+  units.sort((a, b) => b.price - a.price);
+  const perLine = lines.map(() => 0);
+  units.forEach((unit, position) => {
+    if (position % 2 === 1) perLine[unit.index] += unit.price;
+  });
+  return perLine.map(minor => fromMinorUnits(minor, currency));
+};
+
+// A failed check: `reason` is English, `message` the catalog id for the storefront (src/i18n/).
+const rejection = (reason, id, params = {}) => ({ ok: false, reason, message: { id, params } });
+
+/**
+ * Checks `promotion` against the cart `lines` ({ price, quantity, category })
+ * and returns either { ok: false, reason, message } with a customer-facing reason
+ * or { ok: true, discount } where discount is what computeOrderTotals expects:
+ * { code, type, label, message, amount, perLine, freeDelivery }. Amounts are in
+ * `storeLocale`'s currency (the pricing rules will do).
+ */
+export const evaluatePromotion = (promotion, lines, { now = new Date(), usageCount = 0, storeLocale = DEFAULT_STORE_LOCALE } = {}) => {
+  const { currency } = storeLocale;
+  if (!promotion || !promotion.type || !promotion.active) {
+    return rejection('This code is not valid.', 'promo.invalid');
+  }
+  if (promotion.startsAt && now < new Date(promotion.startsAt)) {
+    return rejection('This code is not active yet.', 'promo.notActive');
+  }
+  if (promotion.expiresAt && now >= new Date(promotion.expiresAt)) {
+    return rejection('This code has expired.', 'promo.expired');
+  }
+  if (promotion.perUserLimit !== null && usageCount >= promotion.perUserLimit) {
+    return rejection('You have already used this code.', 'promo.used');
+  }
+
+  const subtotal = sumMoney(lines.map(line => multiplyMoney(line.price, line.quantity, currency)), currency);
+  if (toMinorUnits(subtotal, currency) < toMinorUnits(promotion.minSubtotal, currency)) {
+    const amount = formatMoney(promotion.minSubtotal - subtotal, storeLocale);
+    return rejection(`Add ${amount} more to use this code.`, 'promo.minSubtotal', { amount });
+  }
+
+  const eligible = lines.map(line => promotion.categories.length === 0 || promotion.categories.includes(line.category));
+  if (!eligible.some(Boolean)) {
+    const categories = promotion.categories.join(', ');
+    return rejection(`This code only applies to ${categories}.`, 'promo.categories', { categories });
+  }
+
+  const lineValues = lines.map((line, index) => (eligible[index] ? multiplyMoney(line.price, line.quantity, currency) : 0));
+  const eligibleSubtotal = sumMoney(lineValues, currency);
+  let perLine = lines.map(() => 0);
+
+  if (promotion.type === PROMO_TYPES.PERCENTAGE) {
+    let amount = fromMinorUnits(Math.round(toMinorUnits(eligibleSubtotal, currency) * promotion.value / 100), currency);
+    if (promotion.maxDiscount !== null) amount = Math.min(amount, promotion.maxDiscount);
+    perLine = spreadAmount(amount, lineValues, currency);
+  } else if (promotion.type === PROMO_TYPES.FLAT) {
+    perLine = spreadAmount(Math.min(promotion.value, eligibleSubtotal), lineValues, currency);
+  } else if (promotion.type === PROMO_TYPES.BOGO) {
+    perLine = bogoDiscounts(lines, eligible, currency);
+    if (perLine.every(amount => amount === 0)) {
+      return rejection('Add a second eligible item to use this code.', 'promo.bogo');
+    }
+  }
+
+  const amount = sumMoney(perLine, currency);
+  const isFreeDelivery = promotion.type === PROMO_TYPES.FREE_DELIVERY;
+  return {
+    ok: true,
+    discount: {
+      code: promotion.code,
+      type: promotion.type,
+      label: isFreeDelivery ? `Free delivery (${promotion.code})` : `Discount (${promotion.code})`,
+      message: { id: isFreeDelivery ? 'price.freeDelivery' : 'price.discount', params: { code: promotion.code } },
+      amount,
+      perLine,
+      freeDelivery: isFreeDelivery,
+    },
+  };
+};
@@ -0,0 +1,161 @@
+// --- Delivery Times ---
+// Customers order for as soon as possible (while the store is open) or for a
+// delivery slot later on. Slots are cut from the opening hours in `schedule` in
+// /artifacts/{appId}/public/pricing (see pricingRules.js), on the store's clock.
+// Each slot takes at most `slotCapacity` orders: /artifacts/{appId}/deliverySlots/{slotId}
+// keeps the places left, and placeOrder takes one in the transaction that
+// writes the order. Cancelling a scheduled order gives its place back.
+
+import { ORDER_ERROR } from './orderErrors.js';
+
+export const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+export const DEFAULT_SCHEDULE = {
+  // Per weekday, { opens, closes } periods in 24-hour store time ('24:00' for
+  // midnight). A weekday left out or set to [] is closed all day.
+  openingHours: Object.fromEntries(WEEKDAYS.map(day => [day, [{ opens: '08:00', closes: '22:00' }]])),
+  slotMinutes: 30,
+  slotCapacity: 10, // orders per slot
+  daysAhead: 2, // slots are offered for today and this many days after
+  leadMinutes: 60, // the earliest slot starts at least this long from now
+};
+
+// Scheduled orders reach the kitchen this long before their slot starts, enough
+// to make them and ride out.
+export const KITCHEN_LEAD_MINUTES = 45;
+
+export const deliverySlotsPath = (appId) => `artifacts/${appId}/deliverySlots`;
+
+const TIME_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+
+const toMinutes = (time) => Number(time.slice(0, 2)) * 60 + Number(time.slice(3));
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const wholeNumberOr = (value, fallback, min) =>
+  (value !== null && value !== '' && Number.isInteger(Number(value)) && Number(value) >= min ? Number(value) : fallback);
+
+// Fills gaps in the `schedule` of a Firestore pricing document with the defaults.
+export const normalizeSchedule = (data = {}) => {
+  const openingHours = data.openingHours && typeof data.openingHours === 'object'
+    ? data.openingHours
+    : DEFAULT_SCHEDULE.openingHours;
+  return {
+    openingHours: Object.fromEntries(WEEKDAYS.map(day => [
+      day,
+      (Array.isArray(openingHours[day]) ? openingHours[day] : [])
+        .filter(period => TIME_PATTERN.test(period?.opens) && TIME_PATTERN.test(period?.closes) && period.opens < period.closes)
+        .map(({ opens, closes }) => ({ opens, closes })),
+    ])),
+    slotMinutes: wholeNumberOr(data.slotMinutes, DEFAULT_SCHEDULE.slotMinutes, 5),
+    slotCapacity: wholeNumberOr(data.slotCapacity, DEFAULT_SCHEDULE.slotCapacity, 1),
+    daysAhead: wholeNumberOr(data.daysAhead, DEFAULT_SCHEDULE.daysAhead, 0),
+    leadMinutes: wholeNumberOr(data.leadMinutes, DEFAULT_SCHEDULE.leadMinutes, 0),
+  };
+};
+
+// --- Store clock ---
+
+const clockFormatters = new Map();
+
+// The store's calendar day and minutes past midnight at `time` (milliseconds).
+const storeClock = (time, timeZone) => {
+  if (!clockFormatters.has(timeZone)) {
+    clockFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      weekday: 'short',
+    }));
+  }
+  const parts = Object.fromEntries(clockFormatters.get(timeZone).formatToParts(new Date(time)).map(part => [part.type, part.value]));
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    weekday: parts.weekday.toLowerCase(),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+};
+
+// How far the store's clock is ahead of UTC at `time`, in minutes.
+const utcOffsetMinutes = (time, timeZone) => {
+  const clock = storeClock(time, timeZone);
+  const wall = Date.UTC(clock.year, clock.month - 1, clock.day) + clock.minutes * 60000;
+  return Math.round((wall - Math.floor(time / 60000) * 60000) / 60000);
+};
+
+// The moment the store's clock shows `minutes` past midnight on a calendar day.
+const storeTime = ({ year, month, day }, minutes, timeZone) => {
+  const wall = Date.UTC(year, month - 1, day) + minutes * 60000;
+  const guess = wall - utcOffsetMinutes(wall, timeZone) * 60000;
+  // Near a daylight saving change the offset at the guess is the one that applies.
+  return wall - utcOffsetMinutes(guess, timeZone) * 60000;
+};
+
+// --- Slots ---
+
+// Whether ASAP orders can be taken at `now`.
+export const isOpenAt = (schedule, timeZone, now = Date.now()) => {
+  const clock = storeClock(now, timeZone);
+  return schedule.openingHours[clock.weekday].some(({ opens, closes }) =>
+    toMinutes(opens) <= clock.minutes && clock.minutes < toMinutes(closes));
+};
+
+/**
+ * The slots customers can choose at `now`: [{ id, start, end }] with ISO times,
+ * earliest first. Ids are the store's date and start time, e.g.
+ * '20261020-1830'. Slots start every `slotMinutes` from opening, end by
+ * closing time and begin at least `leadMinutes` from now.
+ */
+export const upcomingSlots = (schedule, timeZone, now = Date.now()) => {
+  const slots = [];
+  const today = storeClock(now, timeZone);
+  for (let offset = 0; offset <= schedule.daysAhead; offset += 1) {
+    // Calendar arithmetic in UTC, where every day is 24 hours long.
+    const date = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+    const calendarDay = { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+    const dayId = `${calendarDay.year}${pad(calendarDay.month)}${pad(calendarDay.day)}`;
+    schedule.openingHours[WEEKDAYS[date.getUTCDay()]].forEach(({ opens, closes }) => {
+      for (let minutes = toMinutes(opens); minutes + schedule.slotMinutes <= toMinutes(closes); minutes += schedule.slotMinutes) {
+        const start = storeTime(calendarDay, minutes, timeZone);
+        if (start < now + schedule.leadMinutes * 60000) continue;
+        slots.push({
+          id: `${dayId}-${pad(Math.floor(minutes / 60))}${pad(minutes % 60)}`,
+          start: new Date(start).toISOString(),
+          end: new Date(storeTime(calendarDay, minutes + schedule.slotMinutes, timeZone)).toISOString(),
+        });
+      }
+    });
+  }
+  slots.sort((a, b) => a.start.localeCompare(b.start));
+  return slots;
+};
+
+// Places left in a slot, given { [slotId]: remaining } from its Firestore documents.
+// A slot nobody has booked yet has no document.
+export const placesLeft = (schedule, remainingBySlot, slotId) => remainingBySlot[slotId] ?? schedule.slotCapacity;
+
+/**
+ * Checks an order request's `deliverySlotId` (null for as soon as possible) at
+ * `now`: { slot } with the chosen slot, or null for ASAP, or { problem, code }
+ * with an English message and its code (orderErrors.js). Capacity is checked where the place is taken.
+ */
+export const resolveDeliveryTime = (schedule, timeZone, deliverySlotId, now = Date.now()) => {
+  if (deliverySlotId === null || deliverySlotId === undefined) {
+    return isOpenAt(schedule, timeZone, now)
+      ? { slot: null }
+      : { problem: "We're closed right now. Please choose a delivery time.", code: ORDER_ERROR.STORE_CLOSED };
+  }
+  const slot = typeof deliverySlotId === 'string'
+    ? upcomingSlots(schedule, timeZone, now).find(entry => entry.id === deliverySlotId)
+    : null;
+  return slot ? { slot } : { problem: 'This delivery time is no longer available. Please choose another.', code: ORDER_ERROR.SLOT_UNAVAILABLE };
+};
+
+// When the kitchen should start on an order for `slot`.
+export const kitchenDueAt = (slot) => new Date(new Date(slot.start).getTime() - KITCHEN_LEAD_MINUTES * 60000).toISOString();
@@ -0,0 +1,171 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Mail, Phone, User, LogOut } from 'lucide-react';
+import {
+  sendEmailSignInLink,
+  createRecaptchaVerifier,
+  sendPhoneCode,
+  phoneCredential,
+  phoneCredentialFromError,
+  signInAndKeepGuestData,
+  describeUser,
+  describeTransfer,
+} from './account.js';
+
+const inputClass = 'w-full p-3 border border-gray-300 rounded-lg focus:ring-lime-500 focus:border-lime-500 transition-colors';
+const RECAPTCHA_CONTAINER_ID = 'juisip-recaptcha';
+
+// Message ids for the auth errors customers can actually cause.
+const AUTH_ERROR_MESSAGES = {
+  'auth/invalid-email': 'account.error.invalidEmail',
+  'auth/invalid-phone-number': 'account.error.invalidPhone',
+  'auth/invalid-verification-code': 'account.error.wrongCode',
+  'auth/code-expired': 'account.error.codeExpired',
+  'auth/too-many-requests': 'account.error.tooManyAttempts',
+};
+
+const authErrorMessage = (e, t) => t(AUTH_ERROR_MESSAGES[e.code] || 'account.error.failed');
+
+/**
+ * Sign-in screen for guests (email link or phone OTP) and account summary with
+ * sign-out for signed-in customers. Guest carts and orders are kept either way.
+ */
+const AccountScreen = ({ auth, db, appId, user, notice, t, onSignedIn, onSignOut }) => {
+  const [method, setMethod] = useState('email'); // 'email', 'phone'
+  const [email, setEmail] = useState('');
+  const [phoneNumber, setPhoneNumber] = useState('');
+  const [code, setCode] = useState('');
+  const [verificationId, setVerificationId] = useState(null);
+  const [status, setStatus] = useState(null); // { type: 'info' | 'error', text }
+  const [isBusy, setIsBusy] = useState(false);
+  const verifierRef = useRef(null);
+
+  useEffect(() => () => {
+    verifierRef.current?.clear();
+    verifierRef.current = null;
+  }, []);
+
+  const run = async (action) => {
+    setIsBusy(true);
+    setStatus(null);
+    try {
+      await action();
+    } catch (e) {
+      console.error("Sign-in error:", e);
+      setStatus({ type: 'error', text: authErrorMessage(e, t) });
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleSendLink = (e) => {
+    e.preventDefault();
+    run(async () => {
+      await sendEmailSignInLink(auth, email.trim());
+      setStatus({ type: 'info', text: t('account.linkSent', { email: email.trim() }) });
+    });
+  };
+
+  const handleSendCode = (e) => {
+    e.preventDefault();
+    run(async () => {
+      if (!verifierRef.current) {
+        verifierRef.current = createRecaptchaVerifier(auth, RECAPTCHA_CONTAINER_ID);
+      }
+      const id = await sendPhoneCode(auth, phoneNumber.replace(/[\s-]/g, ''), verifierRef.current);
+      setVerificationId(id);
+      setStatus({ type: 'info', text: t('account.codeSent', { phone: phoneNumber }) });
+    });
+  };
+
+  const handleVerifyCode = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const result = await signInAndKeepGuestData(auth, db, appId, phoneCredential(verificationId, code.trim()), phoneCredentialFromError);
+      setVerificationId(null);
+      setCode('');
+      setStatus({ type: 'info', text: describeTransfer(result, t) });
+      onSignedIn();
+    });
+  };
+
+  if (user && !user.isAnonymous) {
+    return (
+      <div className="py-12 px-4 max-w-lg mx-auto">
+        <div className="bg-white p-8 rounded-xl shadow-lg border border-gray-100 text-center">
+          <User className="w-12 h-12 text-lime-500 mx-auto mb-4" />
+          <h2 className="text-2xl font-bold text-gray-800">{describeUser(user, t)}</h2>
+          {(notice || status) && <p className="text-sm text-lime-700 mt-2">{status?.text || notice}</p>}
+          <button
+            onClick={onSignOut}
+            className="mt-6 inline-flex items-center px-6 py-3 border border-red-300 text-red-600 rounded-full font-semibold hover:bg-red-50 transition duration-150"
+          >
+            <LogOut className="w-4 h-4 mr-2" /> {t('account.signOut')}
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="py-12 px-4 max-w-lg mx-auto">
+      <div className="bg-white p-8 rounded-xl shadow-lg border border-gray-100">
+        <h2 className="text-2xl font-bold text-gray-800 mb-2">{t('account.signIn')}</h2>
+        <p className="text-gray-500 mb-6 text-sm">{t('account.signInHint')}</p>
+
+        {notice && <p className="mb-4 text-sm text-lime-700">{notice}</p>}
+
+        <div className="flex space-x-2 mb-6">
+          {[
+            { name: 'email', label: t('account.emailLink'), icon: <Mail className="w-4 h-4 mr-1" /> },
+            { name: 'phone', label: t('account.phone'), icon: <Phone className="w-4 h-4 mr-1" /> },
+          ].map(({ name, label, icon }) => (
+            <button
+              key={name}
+              onClick={() => { setMethod(name); setStatus(null); }}
+              className={`flex items-center px-4 py-2 text-sm font-medium rounded-full transition-colors duration-200 ${
+                method === name ? 'bg-lime-600 text-white shadow-md' : 'bg-gray-100 text-gray-700 hover:bg-lime-100'
+              }`}
+            >
+              {icon} {label}
+            </button>
+          ))}
+        </div>
+
+        {method === 'email' && (
+          <form onSubmit={handleSendLink} className="space-y-4">
+            <input type="email" placeholder="you@example.com" value={email} onChange={(e) => setEmail(e.target.value)} required className={inputClass} />
+            <button type="submit" disabled={isBusy} className="w-full py-3 bg-lime-500 text-white rounded-xl font-bold hover:bg-lime-600 transition-colors duration-150 disabled:bg-gray-400">
+              {isBusy ? t('account.sending') : t('account.sendLink')}
+            </button>
+          </form>
+        )}
+
+        {method === 'phone' && (verificationId ? (
+          <form onSubmit={handleVerifyCode} className="space-y-4">
+            <input type="text" inputMode="numeric" autoComplete="one-time-code" placeholder="123456" value={code} onChange={(e) => setCode(e.target.value)} required className={inputClass} />
+            <button type="submit" disabled={isBusy} className="w-full py-3 bg-lime-500 text-white rounded-xl font-bold hover:bg-lime-600 transition-colors duration-150 disabled:bg-gray-400">
+              {isBusy ? t('account.verifying') : t('account.verifyCode')}
+            </button>
+            <button type="button" onClick={() => { setVerificationId(null); setStatus(null); }} className="w-full text-sm text-gray-500 hover:underline">
+              {t('account.differentNumber')}
+            </button>
+          </form>
+        ) : (
+          <form onSubmit={handleSendCode} className="space-y-4">
+            <input type="tel" placeholder="+91 98765 43210" value={phoneNumber} onChange={(e) => setPhoneNumber(e.target.value)} required className={inputClass} />
+            <button type="submit" disabled={isBusy} className="w-full py-3 bg-lime-500 text-white rounded-xl font-bold hover:bg-lime-600 transition-colors duration-150 disabled:bg-gray-400">
+              {isBusy ? t('account.sending') : t('account.sendCode')}
+            </button>
+          </form>
+        ))}
+
+        {status && (
+          <p className={`mt-4 text-sm ${status.type === 'error' ? 'text-red-600' : 'text-lime-700'}`}>{status.text}</p>
+        )}
+        <div id={RECAPTCHA_CONTAINER_ID}></div>
+      </div>
+    </div>
+  );
+};
+
+export default AccountScreen;
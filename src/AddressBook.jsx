@@ -0,0 +1,130 @@
+import React, { useState } from 'react';
+import { MapPin, Pencil, Plus, Star, Trash2 } from 'lucide-react';
+import AddressForm from './AddressForm.jsx';
+import {
+  EMPTY_ADDRESS,
+  toAddress,
+  validateAddress,
+  formatAddress,
+} from './addresses.js';
+
+/**
+ * The customer's saved delivery addresses, shown on the account screen.
+ * `addresses` comes from App's listener, already sorted with the default first.
+ */
+const AddressBook = ({ repository, userId, addresses, t }) => {
+  const [editing, setEditing] = useState(null); // { id: string | null, value, errors } while the form is open
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  // `failureMessage` is the message id shown if the write is rejected.
+  const run = async (failureMessage, write) => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      await write();
+      return true;
+    } catch (e) {
+      console.error(`Address book write failed (${failureMessage}):`, e);
+      setError(t(failureMessage));
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const address = toAddress(editing.value);
+    const errors = validateAddress(address);
+    if (Object.keys(errors).length > 0) {
+      setEditing({ ...editing, errors });
+      return;
+    }
+    if (await run('addressBook.saveFailed', () => repository.saveAddress(userId, editing.id, address, addresses))) {
+      setEditing(null);
+    }
+  };
+
+  return (
+    <div className="py-6 px-4 max-w-lg mx-auto">
+      <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-100">
+        <div className="flex justify-between items-center mb-4 border-b pb-2">
+          <h3 className="text-xl font-bold text-gray-800 flex items-center"><MapPin className="w-5 h-5 mr-2 text-lime-600" /> {t('addressBook.title')}</h3>
+          {!editing && (
+            <button
+              onClick={() => setEditing({ id: null, value: EMPTY_ADDRESS, errors: {} })}
+              className="flex items-center text-sm font-semibold text-lime-600 hover:underline"
+            >
+              <Plus className="w-4 h-4 mr-1" /> {t('addressBook.add')}
+            </button>
+          )}
+        </div>
+
+        {editing ? (
+          <form onSubmit={handleSubmit} className="space-y-4" noValidate>
+            <AddressForm value={editing.value} errors={editing.errors} onChange={(value) => setEditing({ ...editing, value })} t={t} />
+            <div className="flex space-x-3">
+              <button type="submit" disabled={isSaving} className="flex-1 py-2 bg-lime-500 text-white rounded-lg font-semibold hover:bg-lime-600 disabled:bg-gray-400">
+                {isSaving ? t('addressBook.saving') : t('addressBook.save')}
+              </button>
+              <button type="button" onClick={() => setEditing(null)} className="flex-1 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50">
+                {t('addressBook.cancel')}
+              </button>
+            </div>
+          </form>
+        ) : addresses.length === 0 ? (
+          <p className="text-sm text-gray-500">{t('addressBook.empty')}</p>
+        ) : (
+          <ul className="space-y-3">
+            {addresses.map(address => (
+              <li key={address.id} className="p-3 border border-gray-100 rounded-lg">
+                <div className="flex justify-between items-start">
+                  <div className="text-sm text-gray-700">
+                    <p className="font-semibold text-gray-900">
+                      {address.label || address.name}
+                      {address.isDefault && <span className="ml-2 px-2 py-0.5 text-xs bg-lime-100 text-lime-800 rounded-full">{t('addressBook.default')}</span>}
+                    </p>
+                    <p>{address.name} · {address.phone}</p>
+                    <p className="text-gray-500">{formatAddress(address)}</p>
+                  </div>
+                  <div className="flex space-x-1 ml-2">
+                    {!address.isDefault && (
+                      <button
+                        title={t('addressBook.makeDefault')}
+                        disabled={isSaving}
+                        onClick={() => run('addressBook.defaultFailed', () => repository.setDefaultAddress(userId, address.id, addresses))}
+                        className="p-1 text-gray-400 hover:text-lime-600"
+                      >
+                        <Star className="w-4 h-4" />
+                      </button>
+                    )}
+                    <button
+                      title={t('addressBook.edit')}
+                      onClick={() => setEditing({ id: address.id, value: toAddress(address), errors: {} })}
+                      className="p-1 text-gray-400 hover:text-lime-600"
+                    >
+                      <Pencil className="w-4 h-4" />
+                    </button>
+                    <button
+                      title={t('addressBook.delete')}
+                      disabled={isSaving}
+                      onClick={() => run('addressBook.deleteFailed', () => repository.deleteAddress(userId, address.id))}
+                      className="p-1 text-gray-400 hover:text-red-600"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {error && <p className="mt-3 text-sm text-red-600">{error}</p>}
+      </div>
+    </div>
+  );
+};
+
+export default AddressBook;
@@ -0,0 +1,42 @@
+import React from 'react';
+
+const inputClass = 'w-full p-3 border rounded-lg focus:ring-lime-500 focus:border-lime-500 transition-colors';
+
+const FIELDS = [
+  { name: 'name', autoComplete: 'name' },
+  { name: 'phone', type: 'tel', autoComplete: 'tel', placeholder: '98765 43210' },
+  { name: 'line1', autoComplete: 'address-line1' },
+  { name: 'line2', autoComplete: 'address-line2' },
+  { name: 'city', autoComplete: 'address-level2', half: true },
+  { name: 'postalCode', inputMode: 'numeric', autoComplete: 'postal-code', half: true },
+  { name: 'label' },
+];
+
+/**
+ * Controlled delivery address fields. `value` follows EMPTY_ADDRESS in
+ * addresses.js and `errors` comes from validateAddress; the parent owns both.
+ * Field labels are the `address.<name>` messages.
+ */
+const AddressForm = ({ value, errors = {}, onChange, t, showLabel = true }) => (
+  <div className="grid grid-cols-2 gap-3">
+    {FIELDS.filter(field => showLabel || field.name !== 'label').map(field => (
+      <label key={field.name} className={`block text-sm text-gray-700 ${field.half ? 'col-span-1' : 'col-span-2'}`}>
+        {t(`address.${field.name}`)}
+        <input
+          type={field.type || 'text'}
+          name={field.name}
+          value={value[field.name]}
+          onChange={(e) => onChange({ ...value, [field.name]: e.target.value })}
+          autoComplete={field.autoComplete}
+          inputMode={field.inputMode}
+          placeholder={field.placeholder}
+          aria-invalid={Boolean(errors[field.name])}
+          className={`${inputClass} mt-1 ${errors[field.name] ? 'border-red-400' : 'border-gray-300'}`}
+        />
+        {errors[field.name] && <span className="block mt-1 text-xs text-red-600">{errors[field.name]}</span>}
+      </label>
+    ))}
+  </div>
+);
+
+export default AddressForm;
@@ -0,0 +1,345 @@
+import React, { useState, useMemo } from 'react';
+import { Shield, ArrowUp, ArrowDown, Pencil, Archive, ArchiveRestore, Plus, X } from 'lucide-react';
+import { FALLBACK_MENU_ITEMS, FALLBACK_CATEGORIES, bySortOrder } from './menu.js';
+import { formatMoney, minorUnitDigits, roundMoney } from '../functions/shared/locale.js';
+import { LANGUAGES, DEFAULT_LANGUAGE, normalizeTranslations } from './i18n.js';
+import SalesReport from './SalesReport.jsx';
+
+const EMPTY_ITEM_FORM = { name: '', price: '', icon: '🥤', category: '', description: '', available: true, translations: {} };
+const EMPTY_CATEGORY_FORM = { name: '', translations: {} };
+
+// Names and descriptions are entered in English; these get optional translations.
+const TRANSLATED_LANGUAGES = LANGUAGES.filter(language => language.id !== DEFAULT_LANGUAGE);
+
+// Returns `form` with translations[language][field] set to `value`.
+const withTranslation = (form, language, field, value) => ({
+  ...form,
+  translations: { ...form.translations, [language]: { ...form.translations[language], [field]: value } },
+});
+
+const inputClass = 'w-full p-2 border border-gray-300 rounded-lg focus:ring-lime-500 focus:border-lime-500 transition-colors';
+
+/**
+ * Staff console for the live menu catalog. Every change is written straight to
+ * the repository, so customers' MenuScreen picks it up through its listener.
+ * The day's takings (SalesReport) sit underneath. Only rendered for users whose ID token carries the `admin` custom claim.
+ */
+const AdminScreen = ({ repository, menuItems, menuCategories, isMenuLive, storeLocale }) => {
+  const [tab, setTab] = useState('items'); // 'items', 'categories'
+  const [showArchived, setShowArchived] = useState(false);
+  const [itemForm, setItemForm] = useState(null); // { id?, ...fields } while the editor is open
+  const [categoryForm, setCategoryForm] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+  const priceStep = 1 / 10 ** minorUnitDigits(storeLocale.currency);
+
+  const sortedItems = useMemo(() =>
+    [...menuItems].sort(bySortOrder).filter(item => showArchived || !item.archived),
+    [menuItems, showArchived]
+  );
+
+  const sortedCategories = useMemo(() =>
+    [...menuCategories].sort(bySortOrder).filter(cat => showArchived || !cat.archived),
+    [menuCategories, showArchived]
+  );
+
+  const nextSortOrder = (list) => list.reduce((max, entry) => Math.max(max, entry.sortOrder ?? 0), 0) + 1;
+
+  // Wraps every write so failures surface in the console UI instead of the global error screen.
+  const runWrite = async (label, write) => {
+    setIsSaving(true);
+    setMessage(null);
+    try {
+      await write();
+      setMessage({ type: 'success', text: `${label} saved.` });
+      return true;
+    } catch (e) {
+      console.error(`Admin write failed (${label}):`, e);
+      setMessage({ type: 'error', text: `${label} failed: ${e.message}` });
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  // --- Catalog seeding ---
+  const seedCatalog = () => runWrite('Catalog import', () => repository.seedMenu(FALLBACK_CATEGORIES, FALLBACK_MENU_ITEMS));
+
+  // --- Items ---
+  const saveItem = async (e) => {
+    e.preventDefault();
+    const price = Number(itemForm.price);
+    if (!itemForm.name.trim() || !itemForm.category || !(price > 0)) {
+      setMessage({ type: 'error', text: 'Name, category and a price above zero are required.' });
+      return;
+    }
+
+    const data = {
+      name: itemForm.name.trim(),
+      price: roundMoney(price, storeLocale.currency),
+      icon: itemForm.icon.trim() || '🥤',
+      category: itemForm.category,
+      description: itemForm.description.trim(),
+      translations: normalizeTranslations(itemForm.translations),
+      available: itemForm.available,
+      updatedAt: new Date().toISOString(),
+    };
+
+    const saved = await runWrite(data.name, () => (itemForm.id
+      ? repository.updateMenuEntry('items', itemForm.id, data)
+      : repository.addMenuEntry('items', { ...data, archived: false, sortOrder: nextSortOrder(menuItems) })
+    ));
+    if (saved) setItemForm(null);
+  };
+
+  const setItemFlags = (item, flags) => runWrite(item.name, () =>
+    repository.updateMenuEntry('items', item.id, { ...flags, updatedAt: new Date().toISOString() })
+  );
+
+  // --- Categories ---
+  const saveCategory = async (e) => {
+    e.preventDefault();
+    const name = categoryForm.name.trim();
+    if (!name) {
+      setMessage({ type: 'error', text: 'Category name is required.' });
+      return;
+    }
+
+    const translations = normalizeTranslations(categoryForm.translations);
+    const saved = await runWrite(name, () => (categoryForm.id
+      ? repository.updateMenuEntry('categories', categoryForm.id, { name, translations })
+      : repository.addMenuEntry('categories', { name, translations, archived: false, sortOrder: nextSortOrder(menuCategories) })
+    ));
+    if (saved) setCategoryForm(null);
+  };
+
+  const setCategoryArchived = (category, archived) => runWrite(category.name, () =>
+    repository.updateMenuEntry('categories', category.id, { archived })
+  );
+
+  // Swaps an entry with its neighbour and rewrites sortOrder for the whole list, so
+  // documents that never had an explicit order end up with one.
+  const move = (list, kind, index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= list.length) return;
+    const reordered = [...list];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+
+    runWrite('New order', () => repository.reorderMenu(kind, reordered.map(entry => entry.id)));
+  };
+
+  const categoryName = (id) => menuCategories.find(cat => cat.id === id)?.name || id;
+
+  const rowButton = 'p-2 rounded-full text-gray-600 hover:bg-gray-100 disabled:opacity-30 disabled:cursor-not-allowed transition duration-150';
+
+  return (
+    <div className="py-6 px-4 max-w-4xl mx-auto">
+      <h2 className="text-3xl font-bold mb-6 text-gray-800 flex items-center">
+        <Shield className="w-7 h-7 mr-2 text-lime-600" />
+        Menu Management
+      </h2>
+
+      {!isMenuLive && (
+        <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 p-4 rounded-xl mb-6 flex items-center justify-between">
+          <p className="text-sm">The live catalog is empty, so customers see the bundled menu. Import it to start editing.</p>
+          <button
+            onClick={seedCatalog}
+            disabled={isSaving}
+            className="ml-4 px-4 py-2 bg-lime-500 text-white rounded-full text-sm font-semibold hover:bg-lime-600 transition duration-150 whitespace-nowrap"
+          >
+            Import bundled menu
+          </button>
+        </div>
+      )}
+
+      {message && (
+        <p className={`mb-4 text-sm font-medium ${message.type === 'error' ? 'text-red-600' : 'text-lime-700'}`}>{message.text}</p>
+      )}
+
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex space-x-2">
+          {['items', 'categories'].map(name => (
+            <button
+              key={name}
+              onClick={() => setTab(name)}
+              className={`px-4 py-2 text-sm font-medium rounded-full capitalize transition-colors duration-200 ${
+                tab === name ? 'bg-lime-600 text-white shadow-md' : 'bg-gray-100 text-gray-700 hover:bg-lime-100'
+              }`}
+            >
+              {name}
+            </button>
+          ))}
+        </div>
+        <label className="flex items-center text-sm text-gray-600">
+          <input type="checkbox" checked={showArchived} onChange={(e) => setShowArchived(e.target.checked)} className="mr-2" />
+          Show archived
+        </label>
+      </div>
+
+      {tab === 'items' && (
+        <div className="space-y-4">
+          {itemForm ? (
+            <form onSubmit={saveItem} className="bg-white p-6 rounded-xl shadow-lg border border-gray-100 space-y-3">
+              <h3 className="text-xl font-bold text-gray-800 border-b pb-2">{itemForm.id ? 'Edit Item' : 'New Item'}</h3>
+              <div className="grid grid-cols-1 sm:grid-cols-4 gap-3">
+                <input type="text" placeholder="Icon" value={itemForm.icon} onChange={(e) => setItemForm({ ...itemForm, icon: e.target.value })} className={inputClass} />
+                <input type="text" placeholder="Name" value={itemForm.name} onChange={(e) => setItemForm({ ...itemForm, name: e.target.value })} required className={`${inputClass} sm:col-span-3`} />
+                <input type="number" placeholder={`Price (${storeLocale.currency})`} min={priceStep} step={priceStep} value={itemForm.price} onChange={(e) => setItemForm({ ...itemForm, price: e.target.value })} required className={inputClass} />
+                <select value={itemForm.category} onChange={(e) => setItemForm({ ...itemForm, category: e.target.value })} required className={`${inputClass} sm:col-span-3`}>
+                  <option value="">Select a category</option>
+                  {sortedCategories.filter(cat => !cat.archived).map(cat => (
+                    <option key={cat.id} value={cat.id}>{cat.name}</option>
+                  ))}
+                </select>
+              </div>
+              <textarea placeholder="Description" rows="2" value={itemForm.description} onChange={(e) => setItemForm({ ...itemForm, description: e.target.value })} className={inputClass}></textarea>
+              {TRANSLATED_LANGUAGES.map(language => (
+                <fieldset key={language.id} className="grid grid-cols-1 sm:grid-cols-4 gap-3" lang={language.id}>
+                  <legend className="text-sm font-semibold text-gray-700 mb-1">{language.name}</legend>
+                  <input
+                    type="text"
+                    placeholder={`Name (${language.name})`}
+                    value={itemForm.translations[language.id]?.name || ''}
+                    onChange={(e) => setItemForm(withTranslation(itemForm, language.id, 'name', e.target.value))}
+                    className={inputClass}
+                  />
+                  <input
+                    type="text"
+                    placeholder={`Description (${language.name})`}
+                    value={itemForm.translations[language.id]?.description || ''}
+                    onChange={(e) => setItemForm(withTranslation(itemForm, language.id, 'description', e.target.value))}
+                    className={`${inputClass} sm:col-span-3`}
+                  />
+                </fieldset>
+              ))}
+              <label className="flex items-center text-sm text-gray-700">
+                <input type="checkbox" checked={itemForm.available} onChange={(e) => setItemForm({ ...itemForm, available: e.target.checked })} className="mr-2" />
+                Available to order
+              </label>
+              <div className="flex space-x-2">
+                <button type="submit" disabled={isSaving} className="px-6 py-2 bg-lime-500 text-white rounded-full font-semibold hover:bg-lime-600 transition duration-150">
+                  {isSaving ? 'Saving...' : 'Save Item'}
+                </button>
+                <button type="button" onClick={() => setItemForm(null)} className="px-6 py-2 text-gray-600 bg-gray-100 rounded-full hover:bg-gray-200 transition duration-150">
+                  Cancel
+                </button>
+              </div>
+            </form>
+          ) : (
+            <button
+              onClick={() => setItemForm({ ...EMPTY_ITEM_FORM, category: sortedCategories[0]?.id || '' })}
+              disabled={!isMenuLive}
+              className="flex items-center px-4 py-2 bg-lime-500 text-white rounded-full font-semibold hover:bg-lime-600 disabled:bg-gray-300 transition duration-150 shadow-md"
+            >
+              <Plus className="w-4 h-4 mr-1" /> Add Item
+            </button>
+          )}
+
+          {sortedItems.map((item, index) => (
+            <div key={item.id} className={`bg-white p-4 rounded-xl shadow-md border border-gray-100 flex items-center justify-between ${item.archived ? 'opacity-50' : ''}`}>
+              <div className="flex items-center">
+                <span className="text-2xl mr-4">{item.icon}</span>
+                <div>
+                  <p className="font-semibold text-gray-900">{item.name} {item.archived && <span className="text-xs text-gray-500">(archived)</span>}</p>
+                  <p className="text-sm text-gray-500">{formatMoney(item.price, storeLocale)} · {categoryName(item.category)}</p>
+                </div>
+              </div>
+              <div className="flex items-center space-x-1">
+                <label className="flex items-center text-xs text-gray-600 mr-2">
+                  <input
+                    type="checkbox"
+                    checked={item.available}
+                    disabled={!isMenuLive || isSaving}
+                    onChange={(e) => setItemFlags(item, { available: e.target.checked })}
+                    className="mr-1"
+                  />
+                  Available
+                </label>
+                <button onClick={() => move(sortedItems, 'items', index, -1)} disabled={!isMenuLive || isSaving || index === 0} className={rowButton} aria-label={`Move ${item.name} up`}>
+                  <ArrowUp className="w-4 h-4" />
+                </button>
+                <button onClick={() => move(sortedItems, 'items', index, 1)} disabled={!isMenuLive || isSaving || index === sortedItems.length - 1} className={rowButton} aria-label={`Move ${item.name} down`}>
+                  <ArrowDown className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => setItemForm({ id: item.id, name: item.name, price: String(item.price), icon: item.icon, category: item.category, description: item.description, available: item.available, translations: item.translations })}
+                  disabled={!isMenuLive}
+                  className={rowButton}
+                  aria-label={`Edit ${item.name}`}
+                >
+                  <Pencil className="w-4 h-4" />
+                </button>
+                <button onClick={() => setItemFlags(item, { archived: !item.archived })} disabled={!isMenuLive || isSaving} className={rowButton} aria-label={item.archived ? `Restore ${item.name}` : `Archive ${item.name}`}>
+                  {item.archived ? <ArchiveRestore className="w-4 h-4" /> : <Archive className="w-4 h-4" />}
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {tab === 'categories' && (
+        <div className="space-y-4">
+          {categoryForm ? (
+            <form onSubmit={saveCategory} className="bg-white p-6 rounded-xl shadow-lg border border-gray-100 flex flex-wrap items-center gap-2">
+              <input type="text" placeholder="Category name" value={categoryForm.name} onChange={(e) => setCategoryForm({ ...categoryForm, name: e.target.value })} required className={`${inputClass} flex-1 min-w-[10rem]`} />
+              {TRANSLATED_LANGUAGES.map(language => (
+                <input
+                  key={language.id}
+                  type="text"
+                  lang={language.id}
+                  placeholder={`Name (${language.name})`}
+                  value={categoryForm.translations[language.id]?.name || ''}
+                  onChange={(e) => setCategoryForm(withTranslation(categoryForm, language.id, 'name', e.target.value))}
+                  className={`${inputClass} flex-1 min-w-[10rem]`}
+                />
+              ))}
+              <button type="submit" disabled={isSaving} className="px-6 py-2 bg-lime-500 text-white rounded-full font-semibold hover:bg-lime-600 transition duration-150 whitespace-nowrap">
+                {isSaving ? 'Saving...' : 'Save'}
+              </button>
+              <button type="button" onClick={() => setCategoryForm(null)} className="p-2 text-gray-500 hover:text-gray-800 rounded-full transition" aria-label="Cancel">
+                <X className="w-5 h-5" />
+              </button>
+            </form>
+          ) : (
+            <button
+              onClick={() => setCategoryForm({ ...EMPTY_CATEGORY_FORM })}
+              disabled={!isMenuLive}
+              className="flex items-center px-4 py-2 bg-lime-500 text-white rounded-full font-semibold hover:bg-lime-600 disabled:bg-gray-300 transition duration-150 shadow-md"
+            >
+              <Plus className="w-4 h-4 mr-1" /> Add Category
+            </button>
+          )}
+
+          {sortedCategories.map((cat, index) => (
+            <div key={cat.id} className={`bg-white p-4 rounded-xl shadow-md border border-gray-100 flex items-center justify-between ${cat.archived ? 'opacity-50' : ''}`}>
+              <div>
+                <p className="font-semibold text-gray-900">{cat.name} {cat.archived && <span className="text-xs text-gray-500">(archived)</span>}</p>
+                <p className="text-sm text-gray-500">{menuItems.filter(item => item.category === cat.id && !item.archived).length} active items</p>
+              </div>
+              <div className="flex items-center space-x-1">
+                <button onClick={() => move(sortedCategories, 'categories', index, -1)} disabled={!isMenuLive || isSaving || index === 0} className={rowButton} aria-label={`Move ${cat.name} up`}>
+                  <ArrowUp className="w-4 h-4" />
+                </button>
+                <button onClick={() => move(sortedCategories, 'categories', index, 1)} disabled={!isMenuLive || isSaving || index === sortedCategories.length - 1} className={rowButton} aria-label={`Move ${cat.name} down`}>
+                  <ArrowDown className="w-4 h-4" />
+                </button>
+                <button onClick={() => setCategoryForm({ id: cat.id, name: cat.name, translations: cat.translations })} disabled={!isMenuLive} className={rowButton} aria-label={`Edit ${cat.name}`}>
+                  <Pencil className="w-4 h-4" />
+                </button>
+                <button onClick={() => setCategoryArchived(cat, !cat.archived)} disabled={!isMenuLive || isSaving} className={rowButton} aria-label={cat.archived ? `Restore ${cat.name}` : `Archive ${cat.name}`}>
+                  {cat.archived ? <ArchiveRestore className="w-4 h-4" /> : <Archive className="w-4 h-4" />}
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <SalesReport repository={repository} storeLocale={storeLocale} />
+      <div className="h-16 md:h-0"></div> {/* Spacer for mobile footer */}
+    </div>
+  );
+};
+
+export default AdminScreen;
@@ -0,0 +1,545 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { CheckCircle, Clock, CloudOff, Bike, ShoppingBag, UtensilsCrossed } from 'lucide-react';
+import AddressForm from './AddressForm.jsx';
+import {
+  EMPTY_ADDRESS,
+  toAddress,
+  validateAddress,
+  formatAddress,
+  defaultAddressOf,
+} from './addresses.js';
+import { cartLineKey, describeModifiers } from './modifiers.js';
+import { displayOrderNumber } from './orders.js';
+import { DEFAULT_PAYMENT_METHOD } from './payments.js';
+import { computeOrderTotals } from '../functions/shared/pricingRules.js';
+import { evaluateReward } from '../functions/shared/loyalty.js';
+import { formatMoney, multiplyMoney, formatTimeRange } from '../functions/shared/locale.js';
+import { isOpenAt, upcomingSlots, placesLeft } from '../functions/shared/schedule.js';
+import { FULFILMENT_MODE, enabledFulfilmentModes, fulfilmentFromRequest } from '../functions/shared/fulfilment.js';
+import { localizedLineName } from './i18n.js';
+import PriceBreakdown from './PriceBreakdown.jsx';
+
+const NEW_ADDRESS = 'new';
+
+const FULFILMENT_ICONS = {
+  [FULFILMENT_MODE.DELIVERY]: Bike,
+  [FULFILMENT_MODE.TAKEAWAY]: ShoppingBag,
+  [FULFILMENT_MODE.DINE_IN]: UtensilsCrossed,
+};
+
+const inputClass = 'w-full mt-1 p-3 border border-gray-300 rounded-lg focus:ring-lime-500 focus:border-lime-500 transition-colors';
+
+/**
+ * How the order is handed over (delivery, takeaway or dine-in, see
+ * fulfilment.js) and the details each needs, order review and the final cost.
+ * Lives outside JuiSipApp so the controlled forms keep their state (and focus)
+ * while App re-renders. Placing the order is left to `onPlaceOrder(fulfilment,
+ * deliveryAddress, paymentMethod, grandTotal, rewardId, deliverySlotId)`, with a
+ * null address unless it is delivered and a null slot for as soon as
+ * possible. `rewards` can be redeemed with `pointsBalance` points.
+ * Text comes from `t`; `menuItems` supplies translated item names.
+ * `placedOrder.queued` means the order was saved offline (see sync.js).
+ */
+const CheckoutScreen = ({
+  repository,
+  userId,
+  cart,
+  menuItems,
+  pricingRules,
+  discount,
+  promoField,
+  addresses,
+  rewards,
+  pointsBalance,
+  paymentMethods,
+  isPlacing,
+  error,
+  placedOrder,
+  onPlaceOrder,
+  onRefreshPrices,
+  onNavigate,
+  t,
+}) => {
+  const [chosenMode, setChosenMode] = useState(null); // null until the customer picks one
+  const [pickupContact, setPickupContact] = useState(null); // null until the customer edits it
+  const [tableNumber, setTableNumber] = useState('');
+  const [selectedAddressId, setSelectedAddressId] = useState(null); // null until the customer picks one
+  const [draft, setDraft] = useState(EMPTY_ADDRESS);
+  const [draftErrors, setDraftErrors] = useState({});
+  const [saveToBook, setSaveToBook] = useState(true);
+  const [detailsError, setDetailsError] = useState(null);
+  const [paymentMethod, setPaymentMethod] = useState(DEFAULT_PAYMENT_METHOD);
+  const [rewardId, setRewardId] = useState(null);
+  const [wantsAsap, setWantsAsap] = useState(true);
+  const [slotId, setSlotId] = useState(null); // null until the customer picks one
+  const [remainingBySlot, setRemainingBySlot] = useState({});
+  const [now, setNow] = useState(Date.now());
+
+  // Slots open up and close as time passes.
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 60000);
+    return () => clearInterval(timer);
+  }, []);
+
+  useEffect(() => {
+    if (!repository) return;
+
+    const unsubscribe = repository.watchDeliverySlots(new Date().toISOString(), setRemainingBySlot, (e) => {
+      // Booked slots just look free; placeOrder still turns down a full one.
+      console.error("Error listening to delivery slots:", e);
+    });
+
+    return () => unsubscribe();
+  }, [repository]);
+
+  // Until the customer chooses, offer the first mode the store has on.
+  const modes = enabledFulfilmentModes(pricingRules.fulfilment);
+  const mode = modes.includes(chosenMode) ? chosenMode : modes[0];
+  const isDelivery = mode === FULFILMENT_MODE.DELIVERY;
+  const isDineIn = mode === FULFILMENT_MODE.DINE_IN;
+
+  // Until the customer chooses, start from their default address (or a blank form).
+  const defaultAddress = defaultAddressOf(addresses);
+  const chosenId = selectedAddressId ?? defaultAddress?.id ?? NEW_ADDRESS;
+  const chosenAddress = addresses.find(address => address.id === chosenId);
+  const isNewAddress = !chosenAddress;
+  const contact = pickupContact ?? { name: defaultAddress?.name || '', phone: defaultAddress?.phone || '' };
+
+  // Delivery fees depend on where the order goes, so price for the address on screen.
+  const postalCode = isDelivery ? toAddress(isNewAddress ? draft : chosenAddress).postalCode : null;
+  // A reward applies after the promo code, to whatever is left to pay.
+  const promoDiscounts = discount ? [discount] : [];
+  const chosenReward = rewards.find(reward => reward.id === rewardId);
+  const rewardResult = chosenReward ? evaluateReward(chosenReward, cart, { balance: pointsBalance, discounts: promoDiscounts, storeLocale: pricingRules }) : null;
+  const discounts = rewardResult?.ok ? [...promoDiscounts, rewardResult.discount] : promoDiscounts;
+  const totals = computeOrderTotals(cart, pricingRules, { fulfilmentMode: mode, postalCode, discounts });
+
+  const { schedule, timeZone } = pricingRules;
+  const isOpen = isOpenAt(schedule, timeZone, now);
+  const slots = useMemo(() => upcomingSlots(schedule, timeZone, now), [schedule, timeZone, now]);
+  const isBookable = (slot) => placesLeft(schedule, remainingBySlot, slot.id) > 0;
+  // Until the customer picks a slot (or theirs fills up), offer the first one free.
+  const chosenSlot = slots.find(slot => slot.id === slotId && isBookable(slot)) ?? slots.find(isBookable);
+  // Dine-in orders are for now, so they can only be placed while the store is open.
+  const isAsap = (wantsAsap || isDineIn) && isOpen;
+  const timeTitle = t(isDelivery ? 'checkout.deliveryTime' : 'checkout.pickupTime');
+  // An order the discounts pay for in full still goes through, with nothing to pay.
+  const canPlaceOrder = !isPlacing && cart.length > 0 && totals.isDeliverable && (isAsap || (!isDineIn && Boolean(chosenSlot)));
+
+  const handlePlaceOrder = async () => {
+    setDetailsError(null);
+    const rewardToRedeem = rewardResult?.ok ? chosenReward.id : null;
+    const deliverySlotId = isAsap ? null : chosenSlot.id;
+
+    if (!isDelivery) {
+      const { fulfilment, problem } = fulfilmentFromRequest({ mode, contact, tableNumber }, pricingRules.fulfilment, { deliverySlotId });
+      if (problem) {
+        setDetailsError(t(isDineIn ? 'checkout.checkTable' : 'checkout.checkPickup'));
+        return;
+      }
+      onPlaceOrder(fulfilment, null, paymentMethod, totals.grandTotal, rewardToRedeem, deliverySlotId);
+      return;
+    }
+
+    const deliveryAddress = toAddress(isNewAddress ? draft : chosenAddress);
+    const errors = validateAddress(deliveryAddress);
+
+    if (Object.keys(errors).length > 0) {
+      if (isNewAddress) {
+        setDraftErrors(errors);
+      } else {
+        // Saved before validation tightened; let the customer fix it in a fresh form.
+        setSelectedAddressId(NEW_ADDRESS);
+        setDraft(deliveryAddress);
+        setDraftErrors(errors);
+      }
+      setDetailsError(t('checkout.checkAddress'));
+      return;
+    }
+    setDraftErrors({});
+
+    if (isNewAddress && saveToBook) {
+      try {
+        const id = await repository.saveAddress(userId, null, deliveryAddress, addresses);
+        setSelectedAddressId(id);
+      } catch (e) {
+        // Not worth blocking the order over; the address still goes on the order.
+        console.error("Failed to save address:", e);
+      }
+    }
+
+    onPlaceOrder({ mode }, deliveryAddress, paymentMethod, totals.grandTotal, rewardToRedeem, deliverySlotId);
+  };
+
+  if (placedOrder?.queued) {
+    return (
+      <div className="py-12 px-4 max-w-4xl mx-auto text-center">
+        <div className="bg-white p-8 rounded-xl shadow-2xl border-4 border-yellow-400">
+          <CloudOff className="w-16 h-16 text-yellow-500 mx-auto mb-6" />
+          <h2 className="text-3xl font-bold text-gray-800 mb-3">{t('checkout.queued')}</h2>
+          <p className="text-gray-500 mb-8">{t('checkout.queuedHint')}</p>
+          <button
+            onClick={() => onNavigate('menu')}
+            className="px-6 py-3 bg-lime-500 text-white rounded-full font-semibold hover:bg-lime-600 transition duration-150 shadow-lg"
+          >
+            {t('checkout.newOrder')}
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  if (placedOrder) {
+    return (
+      <div className="py-12 px-4 max-w-4xl mx-auto text-center">
+        <div className="bg-white p-8 rounded-xl shadow-2xl border-4 border-lime-500">
+          <CheckCircle className="w-16 h-16 text-lime-500 mx-auto mb-6" />
+          <h2 className="text-3xl font-bold text-gray-800 mb-3">{t('checkout.confirmed')}</h2>
+          <p className="text-xl text-gray-600 mb-6">{t('checkout.placed', { number: displayOrderNumber(placedOrder.orderId) })}</p>
+          {placedOrder.scheduledFor && (
+            <p className="text-gray-600 mb-6">
+              {t(placedOrder.fulfilment?.mode === FULFILMENT_MODE.TAKEAWAY ? 'checkout.scheduledPickup' : 'checkout.scheduledFor', {
+                time: formatTimeRange(placedOrder.scheduledFor.start, placedOrder.scheduledFor.end, pricingRules),
+              })}
+            </p>
+          )}
+          {placedOrder.fulfilment?.mode === FULFILMENT_MODE.DINE_IN && (
+            <p className="text-gray-600 mb-6">{t('checkout.servedAt', { number: placedOrder.fulfilment.tableNumber })}</p>
+          )}
+          <p className="text-gray-500 mb-8">
+            {t('checkout.thanks')}
+          </p>
+          <div className="flex justify-center space-x-4">
+            <button
+              onClick={() => onNavigate('menu')}
+              className="px-6 py-3 bg-lime-500 text-white rounded-full font-semibold hover:bg-lime-600 transition duration-150 shadow-lg"
+            >
+              {t('checkout.newOrder')}
+            </button>
+             <button
+              onClick={() => onNavigate('history')}
+              className="px-6 py-3 border border-lime-500 text-lime-600 rounded-full font-semibold hover:bg-lime-50 transition duration-150 shadow-lg"
+            >
+              {t('checkout.viewHistory')}
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="py-6 px-4 max-w-4xl mx-auto">
+      <h2 className="text-3xl font-bold mb-6 text-gray-800">{t('checkout.title')}</h2>
+
+      <div className="grid grid-cols-1 gap-8 lg:grid-cols-3">
+        {/* Order Details */}
+        <div className="lg:col-span-2 space-y-6">
+          {modes.length > 1 && (
+            <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-100">
+              <h3 className="text-xl font-bold text-gray-800 mb-4 border-b pb-2">{t('checkout.fulfilment')}</h3>
+              <div className="grid grid-cols-1 sm:grid-cols-3 gap-2" role="radiogroup" aria-label={t('checkout.fulfilment')}>
+                {modes.map(entry => {
+                  const Icon = FULFILMENT_ICONS[entry];
+                  return (
+                    <label key={entry} className={`flex items-start p-3 border rounded-lg cursor-pointer ${mode === entry ? 'border-lime-500 bg-lime-50' : 'border-gray-200'}`}>
+                      <input
+                        type="radio"
+                        name="fulfilment"
+                        checked={mode === entry}
+                        onChange={() => setChosenMode(entry)}
+                        className="mt-1 mr-3 accent-lime-600"
+                      />
+                      <span className="text-sm text-gray-700">
+                        <span className="font-semibold text-gray-900 flex items-center"><Icon className="w-4 h-4 mr-1 text-lime-600" /> {t(`fulfilment.${entry}`)}</span>
+                        <span className="block text-gray-500">{t(`fulfilment.${entry}.description`)}</span>
+                      </span>
+                    </label>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+
+          {mode === FULFILMENT_MODE.TAKEAWAY && (
+            <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-100">
+              <h3 className="text-xl font-bold text-gray-800 mb-4 border-b pb-2">{t('checkout.pickupDetails')}</h3>
+              <div className="grid grid-cols-2 gap-3">
+                <label className="block text-sm text-gray-700 col-span-2 sm:col-span-1">
+                  {t('address.name')}
+                  <input
+                    type="text"
+                    name="name"
+                    value={contact.name}
+                    onChange={(e) => setPickupContact({ ...contact, name: e.target.value })}
+                    autoComplete="name"
+                    className={inputClass}
+                  />
+                </label>
+                <label className="block text-sm text-gray-700 col-span-2 sm:col-span-1">
+                  {t('address.phone')}
+                  <input
+                    type="tel"
+                    name="phone"
+                    value={contact.phone}
+                    onChange={(e) => setPickupContact({ ...contact, phone: e.target.value })}
+                    autoComplete="tel"
+                    placeholder="98765 43210"
+                    className={inputClass}
+                  />
+                </label>
+              </div>
+              <p className="mt-3 text-sm text-gray-500">{t('checkout.pickupHint')}</p>
+            </div>
+          )}
+
+          {isDineIn && (
+            <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-100">
+              <h3 className="text-xl font-bold text-gray-800 mb-4 border-b pb-2">{t('checkout.dineInDetails')}</h3>
+              <label className="block text-sm text-gray-700 max-w-xs">
+                {t('checkout.tableNumber')}
+                <input
+                  type="number"
+                  name="tableNumber"
+                  min="1"
+                  max={pricingRules.fulfilment.dineIn.tableCount ?? undefined}
+                  inputMode="numeric"
+                  value={tableNumber}
+                  onChange={(e) => setTableNumber(e.target.value)}
+                  className={inputClass}
+                />
+              </label>
+              {!isOpen && <p className="mt-3 text-sm text-red-600" role="alert">{t('checkout.dineInClosed')}</p>}
+            </div>
+          )}
+
+          {isDelivery && (
+            <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-100">
+              <div className="flex justify-between items-center mb-4 border-b pb-2">
+                <h3 className="text-xl font-bold text-gray-800">{t('checkout.delivery')}</h3>
+                {addresses.length > 0 && (
+                  <button onClick={() => onNavigate('account')} className="text-sm text-lime-600 hover:underline">
+                    {t('checkout.manageAddresses')}
+                  </button>
+                )}
+              </div>
+
+              {addresses.length > 0 && (
+                <div className="space-y-2 mb-4" role="radiogroup" aria-label={t('checkout.deliveryAddress')}>
+                  {addresses.map(address => (
+                    <label key={address.id} className={`flex items-start p-3 border rounded-lg cursor-pointer ${chosenId === address.id ? 'border-lime-500 bg-lime-50' : 'border-gray-200'}`}>
+                      <input
+                        type="radio"
+                        name="deliveryAddress"
+                        checked={chosenId === address.id}
+                        onChange={() => setSelectedAddressId(address.id)}
+                        className="mt-1 mr-3 accent-lime-600"
+                      />
+                      <span className="text-sm text-gray-700">
+                        <span className="font-semibold text-gray-900">{address.label || address.name}</span>
+                        {address.isDefault && <span className="ml-2 text-xs text-lime-700">{t('checkout.default')}</span>}
+                        <span className="block">{address.name} · {address.phone}</span>
+                        <span className="block text-gray-500">{formatAddress(address)}</span>
+                      </span>
+                    </label>
+                  ))}
+                  <label className={`flex items-center p-3 border rounded-lg cursor-pointer ${isNewAddress ? 'border-lime-500 bg-lime-50' : 'border-gray-200'}`}>
+                    <input
+                      type="radio"
+                      name="deliveryAddress"
+                      checked={isNewAddress}
+                      onChange={() => setSelectedAddressId(NEW_ADDRESS)}
+                      className="mr-3 accent-lime-600"
+                    />
+                    <span className="text-sm font-semibold text-gray-900">{t('checkout.newAddress')}</span>
+                  </label>
+                </div>
+              )}
+
+              {isNewAddress && (
+                <div className="space-y-4">
+                  <AddressForm value={draft} errors={draftErrors} onChange={setDraft} t={t} showLabel={saveToBook} />
+                  <label className="flex items-center text-sm text-gray-700">
+                    <input type="checkbox" checked={saveToBook} onChange={(e) => setSaveToBook(e.target.checked)} className="mr-2 accent-lime-600" />
+                    {t('checkout.saveAddress')}
+                  </label>
+                </div>
+              )}
+
+            </div>
+          )}
+
+          {!isDineIn && (
+            <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-100">
+              <h3 className="text-xl font-bold text-gray-800 mb-4 border-b pb-2 flex items-center">
+                <Clock className="w-5 h-5 mr-2 text-lime-600" />
+                {timeTitle}
+              </h3>
+              <div className="space-y-2" role="radiogroup" aria-label={timeTitle}>
+                <label className={`flex items-start p-3 border rounded-lg ${isOpen ? 'cursor-pointer' : 'opacity-60'} ${isAsap ? 'border-lime-500 bg-lime-50' : 'border-gray-200'}`}>
+                  <input
+                    type="radio"
+                    name="deliveryTime"
+                    checked={isAsap}
+                    disabled={!isOpen}
+                    onChange={() => setWantsAsap(true)}
+                    className="mt-1 mr-3 accent-lime-600"
+                  />
+                  <span className="text-sm text-gray-700">
+                    <span className="font-semibold text-gray-900">{t('checkout.asap')}</span>
+                    <span className="block text-gray-500">{isOpen ? t(isDelivery ? 'checkout.eta' : 'checkout.pickupEta') : t('checkout.closedNow')}</span>
+                  </span>
+                </label>
+                <label className={`flex items-start p-3 border rounded-lg cursor-pointer ${!isAsap ? 'border-lime-500 bg-lime-50' : 'border-gray-200'}`}>
+                  <input
+                    type="radio"
+                    name="deliveryTime"
+                    checked={!isAsap}
+                    onChange={() => setWantsAsap(false)}
+                    className="mt-1 mr-3 accent-lime-600"
+                  />
+                  <span className="text-sm font-semibold text-gray-900">{t('checkout.scheduleLater')}</span>
+                </label>
+              </div>
+
+              {!isAsap && (
+                slots.some(isBookable) ? (
+                  <select
+                    value={chosenSlot.id}
+                    onChange={(e) => setSlotId(e.target.value)}
+                    aria-label={t('checkout.chooseSlot')}
+                    className="w-full mt-3 p-2 border border-gray-300 rounded-lg text-sm focus:ring-lime-500 focus:border-lime-500"
+                  >
+                    {slots.map(slot => {
+                      const time = formatTimeRange(slot.start, slot.end, pricingRules);
+                      return (
+                        <option key={slot.id} value={slot.id} disabled={!isBookable(slot)}>
+                          {isBookable(slot) ? time : t('checkout.slotFull', { time })}
+                        </option>
+                      );
+                    })}
+                  </select>
+                ) : (
+                  <p className="mt-3 text-sm text-red-600" role="alert">{t('checkout.noSlots')}</p>
+                )
+              )}
+            </div>
+          )}
+
+          <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-100">
+            <h3 className="text-xl font-bold text-gray-800 mb-4 border-b pb-2">{t('checkout.items')}</h3>
+            <ul className="space-y-2 text-sm text-gray-700">
+              {cart.map(item => (
+                <li key={cartLineKey(item)} className="flex justify-between">
+                  <span>
+                    <span className="mr-2">{item.icon}</span>
+                    {item.quantity} x {localizedLineName(item, menuItems, t.language)}
+                    {item.modifiers?.length > 0 && <span className="block ml-7 text-xs text-gray-500">{describeModifiers(item)}</span>}
+                  </span>
+                  <span className="font-medium">{formatMoney(multiplyMoney(item.price, item.quantity, pricingRules.currency), pricingRules)}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+
+          <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-100">
+            <h3 className="text-xl font-bold text-gray-800 mb-4 border-b pb-2">{t('checkout.paymentMethod')}</h3>
+            {totals.grandTotal === 0 ? (
+              <p className="text-sm text-gray-700">{t('checkout.nothingToPay')}</p>
+            ) : (
+              <div className="space-y-2" role="radiogroup" aria-label={t('checkout.paymentMethod')}>
+                {paymentMethods.map(method => (
+                  <label key={method.id} className={`flex items-start p-3 border rounded-lg cursor-pointer ${paymentMethod === method.id ? 'border-lime-500 bg-lime-50' : 'border-gray-200'}`}>
+                    <input
+                      type="radio"
+                      name="paymentMethod"
+                      checked={paymentMethod === method.id}
+                      onChange={() => setPaymentMethod(method.id)}
+                      className="mt-1 mr-3 accent-lime-600"
+                    />
+                    <span className="text-sm text-gray-700">
+                      <span className="font-semibold text-gray-900">{t(`payment.${method.id}`)}</span>
+                      <span className="block text-gray-500">{t(`payment.${method.id}.description`)}</span>
+                    </span>
+                  </label>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <button
+            onClick={() => onNavigate('cart')}
+            className="flex items-center text-lime-600 hover:underline transition duration-150"
+          >
+            &larr; {t('checkout.backToCart')}
+          </button>
+        </div>
+
+        {/* Final Summary */}
+        <div className="lg:col-span-1">
+          <div className="bg-white p-6 rounded-xl shadow-lg sticky top-24 border border-gray-100">
+            <h3 className="text-xl font-bold mb-4 border-b pb-2 text-gray-800">{t('checkout.finalCost')}</h3>
+            <PriceBreakdown totals={totals} storeLocale={pricingRules} t={t} totalLabel={t('checkout.totalDue')} />
+            {promoField}
+
+            {rewards.length > 0 && (
+              <div className="mt-4">
+                <label htmlFor="reward" className="block text-sm font-semibold text-gray-700 mb-1">
+                  {t('loyalty.usePoints')} <span className="font-normal text-gray-500">{t('loyalty.available', { count: pointsBalance })}</span>
+                </label>
+                <select
+                  id="reward"
+                  value={rewardId || ''}
+                  onChange={(e) => setRewardId(e.target.value || null)}
+                  className="w-full p-2 border border-gray-300 rounded-lg text-sm focus:ring-lime-500 focus:border-lime-500"
+                >
+                  <option value="">{t('loyalty.noReward')}</option>
+                  {rewards.map(reward => (
+                    <option key={reward.id} value={reward.id} disabled={reward.pointsCost > pointsBalance}>
+                      {t('loyalty.rewardOption', { name: reward.name, count: reward.pointsCost })}
+                    </option>
+                  ))}
+                </select>
+                {rewardResult && !rewardResult.ok && <p className="mt-1 text-xs text-red-600">{t(rewardResult.message.id, rewardResult.message.params)}</p>}
+              </div>
+            )}
+
+            {detailsError && (
+              <p className="mt-4 text-sm text-red-600" role="alert">{detailsError}</p>
+            )}
+
+            {!totals.isDeliverable && (
+              <p className="mt-4 text-sm text-red-600" role="alert">{t('checkout.notDeliverable')}</p>
+            )}
+
+            {error && (
+              <div className="mt-4 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700" role="alert">
+                {error}
+                <button onClick={onRefreshPrices} className="block mt-2 font-semibold text-red-800 hover:underline">
+                  {t('checkout.refreshPrices')}
+                </button>
+              </div>
+            )}
+
+            <button
+              onClick={handlePlaceOrder}
+              disabled={!canPlaceOrder}
+              className={`w-full mt-6 py-4 rounded-xl font-bold text-xl transition-all duration-300 shadow-2xl ${
+                !canPlaceOrder
+                  ? 'bg-gray-400 cursor-not-allowed'
+                  : 'bg-lime-500 text-white hover:bg-lime-600 active:scale-[0.99]'
+              }`}
+            >
+              {isPlacing ? t('checkout.placing') : t('checkout.place')}
+            </button>
+            {isPlacing && (
+               <p className="text-center text-sm text-lime-600 mt-2">{t('checkout.placingHint')}</p>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CheckoutScreen;
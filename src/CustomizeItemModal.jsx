@@ -0,0 +1,113 @@
+import React, { useState, useMemo } from 'react';
+import { X, Plus, Minus } from 'lucide-react';
+import {
+  defaultSelections,
+  validateSelections,
+  toggleSelection,
+  unitPriceFor,
+  buildCartLine,
+  isGroupRequired,
+} from './modifiers.js';
+import { formatMoney, multiplyMoney } from '../functions/shared/locale.js';
+import { localizedField } from './i18n.js';
+
+/**
+ * Modal for picking an item's modifier options (size, sweetness, add-ons, ...)
+ * before it goes into the cart. Rules come from the item's modifierGroups.
+ * Prices are shown in `storeLocale`'s currency.
+ */
+const CustomizeItemModal = ({ item, storeLocale, t, onAdd, onClose }) => {
+  const [selections, setSelections] = useState(() => defaultSelections(item));
+  const [quantity, setQuantity] = useState(1);
+  const [showErrors, setShowErrors] = useState(false);
+
+  const errors = useMemo(() => validateSelections(item, selections), [item, selections]);
+  const unitPrice = useMemo(() => unitPriceFor(item, selections), [item, selections]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (Object.keys(errors).length > 0) {
+      setShowErrors(true);
+      return;
+    }
+    onAdd(buildCartLine(item, selections, quantity));
+  };
+
+  const formatDelta = (delta) => {
+    if (delta === 0) return '';
+    return formatMoney(delta, storeLocale, { signDisplay: 'always' });
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-gray-900 bg-opacity-75 p-4">
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-lg max-h-[90vh] flex flex-col">
+        <div className="p-4 sm:p-6 flex justify-between items-center border-b border-gray-100">
+          <h3 className="text-2xl font-bold text-gray-800">
+            <span className="mr-2">{item.icon}</span>{localizedField(item, 'name', t.language)}
+          </h3>
+          <button onClick={onClose} className="p-2 text-gray-500 hover:text-gray-800 rounded-full transition" aria-label={t('customize.close')}>
+            <X size={20} />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="overflow-y-auto p-4 sm:p-6 flex-grow space-y-6">
+          {item.modifierGroups.map(group => {
+            const chosen = selections[group.id] || [];
+            return (
+              <fieldset key={group.id}>
+                <legend className="text-lg font-semibold text-gray-800 mb-2">
+                  {group.name}
+                  <span className="ml-2 text-xs font-normal text-gray-500">
+                    {isGroupRequired(group) ? t('customize.required') : t('customize.optional')}
+                    {group.maxSelect > 1 && ` · ${t('customize.upTo', { count: group.maxSelect })}`}
+                  </span>
+                </legend>
+                <div className="flex flex-wrap gap-2">
+                  {group.options.map(option => {
+                    const isSelected = chosen.includes(option.id);
+                    return (
+                      <button
+                        key={option.id}
+                        type="button"
+                        onClick={() => setSelections(toggleSelection(selections, group, option.id))}
+                        className={`px-4 py-2 rounded-full text-sm font-medium transition-colors ${
+                          isSelected ? 'bg-lime-600 text-white shadow-md' : 'bg-gray-100 text-gray-700 hover:bg-lime-100'
+                        }`}
+                        aria-pressed={isSelected}
+                      >
+                        {option.name} {formatDelta(option.priceDelta)}
+                      </button>
+                    );
+                  })}
+                </div>
+                {showErrors && errors[group.id] && (
+                  <p className="text-sm text-red-600 mt-1">{errors[group.id]}</p>
+                )}
+              </fieldset>
+            );
+          })}
+
+          <div className="flex items-center justify-between pt-4 border-t border-gray-100">
+            <div className="flex items-center border border-gray-300 rounded-full bg-gray-50">
+              <button type="button" onClick={() => setQuantity(Math.max(1, quantity - 1))} className="p-2 text-gray-600 hover:bg-gray-200 rounded-l-full" aria-label={t('cart.decrease')}>
+                <Minus className="w-4 h-4" />
+              </button>
+              <span className="px-3 font-medium text-gray-800">{quantity}</span>
+              <button type="button" onClick={() => setQuantity(quantity + 1)} className="p-2 text-gray-600 hover:bg-gray-200 rounded-r-full" aria-label={t('cart.increase')}>
+                <Plus className="w-4 h-4" />
+              </button>
+            </div>
+            <button
+              type="submit"
+              className="px-6 py-3 bg-lime-500 text-white rounded-full font-bold hover:bg-lime-600 transition duration-150 shadow-lg"
+            >
+              {t('customize.addToCart', { price: formatMoney(multiplyMoney(unitPrice, quantity, storeLocale.currency), storeLocale) })}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default CustomizeItemModal;
@@ -1,8 +1,60 @@
 import React, { useState, useEffect, useMemo } from 'react';
 import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged, signOut } from 'firebase/auth';
-import { getFirestore, doc, setDoc, onSnapshot, collection, query, updateDoc, deleteDoc, addDoc } from 'firebase/firestore';
-import { ShoppingCart, User, X, Home, Clock, CheckCircle, History } from 'lucide-react';
+import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged, signOut, connectAuthEmulator } from 'firebase/auth';
+import { initializeFirestore, persistentLocalCache, persistentMultipleTabManager, connectFirestoreEmulator } from 'firebase/firestore';
+import { getFunctions, connectFunctionsEmulator } from 'firebase/functions';
+import { ShoppingCart, User, X, Home, Clock, History, Shield, ChefHat, LogOut, Award, Languages } from 'lucide-react';
+import AdminScreen from './AdminScreen.jsx';
+import KitchenScreen from './KitchenScreen.jsx';
+import OrderProgress from './OrderProgress.jsx';
+import { statusBadgeClass, displayOrderNumber, statusMessageId } from './orders.js';
+import { FULFILMENT_MODE, fulfilmentModeOf } from '../functions/shared/fulfilment.js';
+import { buildReorderPlan, mergeCartLines, exceedsCartLimit } from './cart.js';
+import { MAX_LINE_ITEMS, MAX_LINE_QUANTITY } from '../functions/shared/lineItems.js';
+import { buildCartLine, cartLineKey, describeModifiers } from './modifiers.js';
+import CustomizeItemModal from './CustomizeItemModal.jsx';
+import AccountScreen from './AccountScreen.jsx';
+import CheckoutScreen from './CheckoutScreen.jsx';
+import AddressBook from './AddressBook.jsx';
+import { defaultAddressOf } from './addresses.js';
+import { DEFAULT_PRICING_RULES, computeOrderTotals } from '../functions/shared/pricingRules.js';
+import PriceBreakdown from './PriceBreakdown.jsx';
+import PromoCodeField from './PromoCodeField.jsx';
+import { normalizeCode, evaluatePromotion } from '../functions/shared/promotions.js';
+import { approvePayment, availablePaymentMethods, describePaymentStatus, PaymentError } from './payments.js';
+import { formatMoney, formatDateTime, formatTimeRange, multiplyMoney } from '../functions/shared/locale.js';
+import { NO_PAYMENT_METHOD } from '../functions/shared/ordering.js';
+import LoyaltyWallet from './LoyaltyWallet.jsx';
+import NotFoundScreen from './NotFoundScreen.jsx';
+import OrderDetailScreen from './OrderDetailScreen.jsx';
+import { NOT_FOUND_VIEW, routePath, useRoute } from './routes.js';
+import SyncIndicator from './SyncIndicator.jsx';
+import QueuedOrders from './QueuedOrders.jsx';
+import { SYNC_STATUS, QUEUED_ORDER_STATUS, QUEUEABLE_PAYMENT_METHODS, syncStatusOf } from './sync.js';
+import { OrderRejectedError, rejectionMessage } from './repository.js';
+import { createFirestoreRepository } from './firestoreRepository.js';
+import { createLocalRepository, localUserId } from './localRepository.js';
+import {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  isSupportedLanguage,
+  languageLocale,
+  initialLanguage,
+  rememberLanguage,
+  createTranslator,
+  localizedField,
+  localizedLineName,
+} from './i18n.js';
+import {
+  isEmailSignInLink,
+  emailLinkCredential,
+  clearEmailSignInState,
+  signInAndKeepGuestData,
+  describeTransfer,
+  describeUser,
+  toAccountSummary,
+} from './account.js';
+import { FALLBACK_MENU_ITEMS, FALLBACK_CATEGORIES, buildCategoryList } from './menu.js';
 
 //--- Global Firebase Configuration Variables (MANDATORY USE) ---
 const localFirebaseConfig = {
@@ -19,60 +71,119 @@ const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
 const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : localFirebaseConfig;
 //const firebaseConfig = typeof __firebase_config !== 'undefined' ? JSON.parse(__firebase_config) : {};
 const initialAuthToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
+// Set VITE_USE_FIREBASE_EMULATORS=true (e.g. in .env.local) to run against `firebase emulators:start`.
+const useEmulators = import.meta.env.VITE_USE_FIREBASE_EMULATORS === 'true';
+// Set VITE_USE_LOCAL_DATA=true to run without Firebase at all (see localRepository.js).
+// Without an API key there is nothing to connect to, so local data is used as well.
+const useLocalData = import.meta.env.VITE_USE_LOCAL_DATA === 'true' || !firebaseConfig.apiKey;
+// Online payments are approved without the gateway against the emulators and on local data.
+const useMockPayments = useEmulators || useLocalData;
 // --- END Global Firebase Configuration Variables ---
 
-// Initial menu data
-const MENU_ITEMS = [
-  { id: '1', name: 'Zesty Lemonade', price: 5.99, icon: '🍋', category: 'Drinks' },
-  { id: '2', name: 'Classic Green Smoothie', price: 7.49, icon: '🥬', category: 'Drinks' },
-  { id: '3', name: 'Açai Energy Bowl', price: 10.99, icon: '🫐', category: 'Bowls' },
-  { id: '4', name: 'Protein Power Wrap', price: 9.99, icon: '🌯', category: 'Wraps' },
-  { id: '5', name: 'Watermelon Refresher', price: 6.50, icon: '🍉', category: 'Drinks' },
-  { id: '6', name: 'Mediterranean Salad Wrap', price: 11.50, icon: '🥗', category: 'Wraps' },
-];
-
-// Utility function for exponential backoff (required for API calls)
-const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
-
 const App = () => {
   // --- Firebase State ---
-  const [db, setDb] = useState(null);
+  const [db, setDb] = useState(null); // Only for moving guest data on sign-in; everything else goes through `repository`
   const [auth, setAuth] = useState(null);
+  const [repository, setRepository] = useState(null); // Firestore or local data, see repository.js
   const [userId, setUserId] = useState(null);
+  const [authUser, setAuthUser] = useState(null); // toAccountSummary() of the signed-in user
   const [isAuthReady, setIsAuthReady] = useState(false);
+  const [isAdmin, setIsAdmin] = useState(false); // From the `admin` custom claim on the ID token
+  const [isStaff, setIsStaff] = useState(false); // `staff` or `admin` claim: may use the kitchen display
 
   // --- App State ---
   const [cart, setCart] = useState([]);
-  const [view, setView] = useState('menu'); // 'menu', 'cart', 'checkout', 'history'
+  const [route, navigate] = useRoute(); // The screen to show comes from the URL, see routes.js
+  const { view } = route; // 'menu', 'cart', 'checkout', 'history', 'order', 'account', 'admin', 'kitchen' or NOT_FOUND_VIEW
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
   const [isOrderPlaced, setIsOrderPlaced] = useState(false);
-  const [activeCategory, setActiveCategory] = useState('all');
+  const [placedOrder, setPlacedOrder] = useState(null); // { id, orderId, grandTotal, fulfilment, scheduledFor } returned by placeOrder
+  const [checkoutError, setCheckoutError] = useState(null); // Why the server rejected the order, shown in CheckoutScreen
+  const activeCategory = route.category || 'all';
   const [orderHistory, setOrderHistory] = useState([]); // NEW: State for storing past orders
+  const [addresses, setAddresses] = useState([]); // Saved delivery addresses, default first
+  const [pricingRules, setPricingRules] = useState(DEFAULT_PRICING_RULES); // Taxes, fees and the store's currency/locale, see pricingRules.js
+  const [appliedPromo, setAppliedPromo] = useState(null); // { promotion, usageCount } for the code in use
+  const [pointsBalance, setPointsBalance] = useState(0); // From the loyalty summary kept by Cloud Functions
+  const [rewards, setRewards] = useState([]); // Active rewards, cheapest first
+  const [menuItems, setMenuItems] = useState(FALLBACK_MENU_ITEMS);
+  const [menuCategories, setMenuCategories] = useState(FALLBACK_CATEGORIES);
+  const [isMenuLive, setIsMenuLive] = useState(false); // false while showing the bundled fallback menu
+  const [customizingItem, setCustomizingItem] = useState(null); // Menu item whose options are being picked
+  const [isProfileMenuOpen, setIsProfileMenuOpen] = useState(false);
+  const [accountNotice, setAccountNotice] = useState(null); // Result of finishing an email-link sign-in
+  const [reorderPlan, setReorderPlan] = useState(null); // { orderId, lines, unavailable, priceChanges } while confirming a reorder
+  const [language, setLanguage] = useState(initialLanguage); // Customer-facing language, see i18n.js
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+  const [cartSyncMetadata, setCartSyncMetadata] = useState({ hasPendingWrites: false, fromCache: true }); // From the cart snapshot, see sync.js
+  const [cartSaveFailed, setCartSaveFailed] = useState(false);
+  const [cartNotice, setCartNotice] = useState(null); // Why something could not go into the cart
+  const [queuedOrders, setQueuedOrders] = useState([]); // Orders placed offline, see sync.js
+
+  // --- Language ---
+  const t = useMemo(() => createTranslator(language), [language]);
+  // Prices and dates stay in the store's currency and time zone but read in the
+  // customer's language (English keeps the store's own locale).
+  const localizedRules = useMemo(() =>
+    language === DEFAULT_LANGUAGE ? pricingRules : { ...pricingRules, locale: languageLocale(language) },
+    [pricingRules, language]
+  );
+
+  useEffect(() => {
+    document.documentElement.lang = language;
+  }, [language]);
 
   // --- Firebase Initialization and Authentication ---
   useEffect(() => {
     try {
-      if (!firebaseConfig.apiKey) {
-        console.warn("Firebase config is missing API key. Running in local mock mode.");
-        setUserId(crypto.randomUUID());
+      if (useLocalData) {
+        console.warn("Running on local data: nothing is sent to Firebase.");
+        setRepository(createLocalRepository({ appId }));
+        setUserId(localUserId());
+        // The only user of this browser runs the store too, so the kitchen and menu console can be tried out.
+        setIsAdmin(true);
+        setIsStaff(true);
         setIsAuthReady(true);
-        setIsLoading(false);
         return;
       }
 
       const app = initializeApp(firebaseConfig);
-      const firestore = getFirestore(app);
+      // Persistent cache: the menu, cart and history load offline, and writes queue until reconnected.
+      const firestore = initializeFirestore(app, {
+        localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() }),
+      });
       const userAuth = getAuth(app);
+      // Same region as Firestore and the deployed functions (see firebase.json).
+      const cloudFunctions = getFunctions(app, 'asia-south1');
+
+      if (useEmulators) {
+        connectAuthEmulator(userAuth, 'http://127.0.0.1:9099', { disableWarnings: true });
+        connectFirestoreEmulator(firestore, '127.0.0.1', 8080);
+        connectFunctionsEmulator(cloudFunctions, '127.0.0.1', 5001);
+      }
 
       setDb(firestore);
+      setRepository(createFirestoreRepository({ db: firestore, functions: cloudFunctions, appId }));
       setAuth(userAuth);
 
       // Authentication handler
       const unsubscribe = onAuthStateChanged(userAuth, async (user) => {
+        setAuthUser(toAccountSummary(user));
         if (user) {
           setUserId(user.uid);
+          try {
+            const tokenResult = await user.getIdTokenResult();
+            setIsAdmin(tokenResult.claims.admin === true);
+            setIsStaff(tokenResult.claims.admin === true || tokenResult.claims.staff === true);
+          } catch (e) {
+            console.error("Failed to read auth claims:", e);
+            setIsAdmin(false);
+            setIsStaff(false);
+          }
         } else {
+          setIsAdmin(false);
+          setIsStaff(false);
           // Sign in using custom token or anonymously
           try {
             if (initialAuthToken) {
@@ -81,7 +192,7 @@ const App = () => {
               await signInAnonymously(userAuth);
             }
           } catch (e) {
-          cd   console.error("Firebase Auth Error:", e);
+            console.error("Firebase Auth Error:", e);
             setError("Failed to authenticate user.");
             setUserId(crypto.randomUUID()); // Fallback non-authenticated ID
           }
@@ -97,29 +208,64 @@ const App = () => {
     }
   }, []);
 
+  // --- Completing an Email-link Sign-in ---
+  // The link from sendEmailSignInLink reopens the app with the sign-in code in the URL.
+  useEffect(() => {
+    if (!auth || !isAuthReady || !auth.currentUser) return;
+    if (!isEmailSignInLink(auth, window.location.href)) return;
+
+    const credential = emailLinkCredential(window.location.href, t);
+    // Drop the one-time code from the address bar whatever happens next.
+    window.history.replaceState(null, '', window.location.pathname);
+    if (!credential) return;
+
+    signInAndKeepGuestData(auth, db, appId, credential)
+      .then((result) => {
+        clearEmailSignInState();
+        setAuthUser(toAccountSummary(auth.currentUser));
+        setAccountNotice(describeTransfer(result, t));
+      })
+      .catch((e) => {
+        console.error("Email link sign-in failed:", e);
+        setAccountNotice(t('account.linkExpired'));
+      })
+      .finally(() => navigate({ view: 'account' }, { replace: true }));
+  }, [auth, db, isAuthReady, navigate, t]);
+
+  const handleSignOut = async () => {
+    setIsProfileMenuOpen(false);
+    try {
+      await signOut(auth);
+      // onAuthStateChanged starts a fresh guest session.
+      setAccountNotice(null);
+      navigate({ view: 'menu' });
+    } catch (e) {
+      console.error("Sign-out failed:", e);
+      setAccountNotice(t('account.signOutFailed'));
+    }
+  };
+
+  // --- Connection State ---
+  useEffect(() => {
+    const handleOnline = () => setIsOnline(true);
+    const handleOffline = () => setIsOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, []);
+
   // --- Data Fetching and Real-time Cart Listener (Private Data) ---
   useEffect(() => {
-    if (db && userId && isAuthReady) {
+    if (repository && userId && isAuthReady) {
       setIsLoading(false);
 
-      // Path for private user cart data: /artifacts/{appId}/users/{userId}/juisip_cart
-      const cartRef = doc(db, `artifacts/${appId}/users/${userId}/juisip_cart/current`);
-
-      const unsubscribe = onSnapshot(cartRef, (docSnap) => {
-        if (docSnap.exists()) {
-          const data = docSnap.data();
-          try {
-            // Firestore data is retrieved as a string and needs to be parsed
-            const parsedCart = JSON.parse(data.itemsJson || '[]');
-            setCart(parsedCart);
-          } catch (e) {
-            console.error("Error parsing cart data from Firestore:", e);
-            setCart([]);
-          }
-        } else {
-          // Document does not exist, initialize cart to empty array
-          setCart([]);
-        }
+      // The sync indicator follows the cart's snapshot metadata (see sync.js).
+      const unsubscribe = repository.watchCart(userId, (lines, metadata) => {
+        setCartSyncMetadata(metadata);
+        setCart(lines);
       }, (e) => {
         console.error("Error listening to cart changes:", e);
         setError("Could not load real-time cart data.");
@@ -128,91 +274,194 @@ const App = () => {
       // Clean up the listener on component unmount or dependency change
       return () => unsubscribe();
     }
-  }, [db, userId, isAuthReady]);
+  }, [repository, userId, isAuthReady]);
+
+  // --- Real-time Menu Catalog Listener (Public Data) ---
+  useEffect(() => {
+    if (!repository || !isAuthReady) return;
+
+    const unsubscribeItems = repository.watchMenuItems((items) => {
+      // Nothing cached and nothing seeded yet: keep showing the bundled menu.
+      if (items.length === 0) {
+        setMenuItems(FALLBACK_MENU_ITEMS);
+        setIsMenuLive(false);
+        return;
+      }
+      setMenuItems(items);
+      setIsMenuLive(true);
+    }, (e) => {
+      console.error("Error listening to menu changes, using bundled menu:", e);
+      setMenuItems(FALLBACK_MENU_ITEMS);
+      setIsMenuLive(false);
+    });
+
+    const unsubscribeCategories = repository.watchMenuCategories((categories) => {
+      setMenuCategories(categories.length === 0 ? FALLBACK_CATEGORIES : categories);
+    }, (e) => {
+      console.error("Error listening to menu categories, using bundled categories:", e);
+      setMenuCategories(FALLBACK_CATEGORIES);
+    });
+
+    return () => {
+      unsubscribeItems();
+      unsubscribeCategories();
+    };
+  }, [repository, isAuthReady]);
+
+  // --- Pricing Rules Listener (Public Data) ---
+  // Defaults apply when the rules are missing or unreadable.
+  useEffect(() => {
+    if (!repository || !isAuthReady) return;
+
+    const unsubscribePricing = repository.watchPricingRules(setPricingRules, (e) => {
+      console.error("Error listening to pricing rules:", e);
+      setPricingRules(DEFAULT_PRICING_RULES);
+    });
+
+    return () => unsubscribePricing();
+  }, [repository, isAuthReady]);
 
   // --- Real-time Order History Listener (Private User Data) ---
   useEffect(() => {
-    if (db && userId && isAuthReady) {
-        // Path for private history: /artifacts/{appId}/users/{userId}/juisip_history
-        const historyColRef = collection(db, `artifacts/${appId}/users/${userId}/juisip_history`);
-
-        const unsubscribeHistory = onSnapshot(historyColRef, (snapshot) => {
-            const historyData = snapshot.docs.map(doc => {
-                const data = doc.data();
-                return {
-                    id: doc.id,
-                    ...data,
-                    // Parse items back from JSON string
-                    items: JSON.parse(data.itemsJson || '[]'),
-                    // Ensure timestamp is handled correctly for display
-                    placedAt: data.placedAt || new Date().toISOString(),
-                    displayDate: new Date(data.placedAt).toLocaleString(),
-                }
-            });
-
-            // Sort newest first based on placedAt ISO string
-            historyData.sort((a, b) => new Date(b.placedAt).getTime() - new Date(a.placedAt).getTime());
-
-            setOrderHistory(historyData);
-        }, (e) => {
-            console.error("Error listening to order history:", e);
-        });
-
-        return () => unsubscribeHistory();
-    }
-}, [db, userId, isAuthReady]);
-
-
-  // --- Data Writing (Updating Cart to Firestore) ---
-  const updateCartInDb = async (newCart) => {
-    if (!db || !userId) return;
-
-    // Use exponential backoff for writing data
-    const maxRetries = 3;
-    const cartRef = doc(db, `artifacts/${appId}/users/${userId}/juisip_cart/current`);
-
-    for (let attempt = 0; attempt < maxRetries; attempt++) {
-      try {
-        await setDoc(cartRef, {
-          itemsJson: JSON.stringify(newCart),
-          updatedAt: new Date().toISOString(),
-        });
-        return; // Success
-      } catch (e) {
-        if (attempt < maxRetries - 1) {
-          console.warn(`Firestore write failed (Attempt ${attempt + 1}). Retrying...`);
-          await sleep(1000 * (2 ** attempt)); // 1s, 2s, 4s delay
-        } else {
-          console.error("Failed to save cart to Firestore after multiple retries:", e);
-          setError("Failed to save cart. Please check your connection.");
-        }
+    if (!repository || !userId || !isAuthReady) return;
+
+    const unsubscribeHistory = repository.watchOrderHistory(userId, setOrderHistory, (e) => {
+      console.error("Error listening to order history:", e);
+    });
+
+    return () => unsubscribeHistory();
+  }, [repository, userId, isAuthReady]);
+
+  // --- Address Book Listener (Private User Data) ---
+  useEffect(() => {
+    if (!repository || !userId || !isAuthReady) return;
+
+    const unsubscribeAddresses = repository.watchAddresses(userId, setAddresses, (e) => {
+      console.error("Error listening to addresses:", e);
+    });
+
+    return () => unsubscribeAddresses();
+  }, [repository, userId, isAuthReady]);
+
+  // --- Loyalty Listeners ---
+  // The balance is private to the customer; rewards are public.
+  useEffect(() => {
+    if (!repository || !userId || !isAuthReady) return;
+
+    const unsubscribeSummary = repository.watchPointsBalance(userId, setPointsBalance, (e) => {
+      console.error("Error listening to points balance:", e);
+    });
+
+    const unsubscribeRewards = repository.watchRewards(setRewards, (e) => {
+      console.error("Error listening to rewards:", e);
+      setRewards([]);
+    });
+
+    return () => {
+      unsubscribeSummary();
+      unsubscribeRewards();
+    };
+  }, [repository, userId, isAuthReady]);
+
+  // --- Language Preference Listener (Private User Data) ---
+  // A language chosen on another device wins over the one remembered here.
+  useEffect(() => {
+    if (!repository || !userId || !isAuthReady) return;
+
+    const unsubscribePreferences = repository.watchPreferences(userId, (preferences) => {
+      const saved = preferences?.language;
+      if (isSupportedLanguage(saved)) {
+        setLanguage(saved);
+        rememberLanguage(saved);
       }
+    }, (e) => {
+      console.error("Error listening to preferences:", e);
+    });
+
+    return () => unsubscribePreferences();
+  }, [repository, userId, isAuthReady]);
+
+  const changeLanguage = async (nextLanguage) => {
+    if (!isSupportedLanguage(nextLanguage)) return;
+    setLanguage(nextLanguage);
+    rememberLanguage(nextLanguage);
+    if (!repository || !userId) return;
+    try {
+      await repository.savePreferences(userId, { language: nextLanguage });
+    } catch (e) {
+      // The choice still applies here; it just won't follow the customer to other devices.
+      console.error("Failed to save language preference:", e);
     }
   };
 
+  // --- Queued Orders Listener (Private User Data) ---
+  // placeQueuedOrder writes the outcome back onto each entry.
+  useEffect(() => {
+    if (!repository || !userId || !isAuthReady) return;
+
+    const unsubscribeQueue = repository.watchOrderQueue(userId, setQueuedOrders, (e) => {
+      console.error("Error listening to queued orders:", e);
+    });
+
+    return () => unsubscribeQueue();
+  }, [repository, userId, isAuthReady]);
+
+  // --- Data Writing (Updating the Stored Cart) ---
+  // With Firestore the write lands in the local cache at once and is sent
+  // whenever there is a connection, so nothing here waits or retries. The
+  // promise only settles once the server has it, and rejects if the server refuses it.
+  const updateCartInDb = (newCart) => {
+    if (!repository || !userId) return;
+
+    repository.saveCart(userId, newCart)
+      .then(() => setCartSaveFailed(false))
+      .catch((e) => {
+        console.error("Failed to save cart:", e);
+        setCartSaveFailed(true);
+      });
+  };
+
+  const cartSyncStatus = cartSaveFailed ? SYNC_STATUS.ERROR : syncStatusOf(cartSyncMetadata, isOnline);
+
   // --- Cart Manipulation Logic ---
-  const addToCart = (item) => {
-    const existingItemIndex = cart.findIndex(cartItem => cartItem.id === item.id);
+  // Cart lines are keyed by item + configuration (see cartLineKey), so the same
+  // smoothie in two sizes stays as two lines.
+  const addToCart = (line) => {
+    const lineKey = cartLineKey(line);
+    const existingItemIndex = cart.findIndex(cartItem => cartLineKey(cartItem) === lineKey);
     let newCart;
 
     if (existingItemIndex > -1) {
       newCart = cart.map((cartItem, index) =>
         index === existingItemIndex
-          ? { ...cartItem, quantity: cartItem.quantity + 1 }
+          ? { ...cartItem, quantity: Math.min(cartItem.quantity + line.quantity, MAX_LINE_QUANTITY) }
           : cartItem
       );
+    } else if (cart.length >= MAX_LINE_ITEMS) {
+      setCartNotice(t('cart.lineLimit', { count: MAX_LINE_ITEMS }));
+      return;
     } else {
-      newCart = [...cart, { ...item, quantity: 1 }];
+      newCart = [...cart, line];
     }
+    setCartNotice(null);
     setCart(newCart);
     updateCartInDb(newCart);
   };
 
-  const updateQuantity = (itemId, change) => {
+  // Items with options open the customisation modal; plain items go straight in.
+  const handleAddItem = (item) => {
+    if (item.modifierGroups?.length) {
+      setCustomizingItem(item);
+    } else {
+      addToCart(buildCartLine(item, {}, 1));
+    }
+  };
+
+  const updateQuantity = (lineKey, change) => {
     const newCart = cart
       .map(item =>
-        item.id === itemId
-          ? { ...item, quantity: item.quantity + change }
+        cartLineKey(item) === lineKey
+          ? { ...item, quantity: Math.min(item.quantity + change, MAX_LINE_QUANTITY) }
           : item
       )
       .filter(item => item.quantity > 0); // Remove if quantity drops to 0
@@ -221,42 +470,209 @@ const App = () => {
     updateCartInDb(newCart);
   };
 
-  const removeFromCart = (itemId) => {
-    const newCart = cart.filter(item => item.id !== itemId);
+  const removeFromCart = (lineKey) => {
+    const newCart = cart.filter(item => cartLineKey(item) !== lineKey);
+    setCartNotice(null);
     setCart(newCart);
     updateCartInDb(newCart);
   };
 
   const clearCart = () => {
+    setCartNotice(null);
     setCart([]);
     updateCartInDb([]);
   };
 
+  // Re-prices cart lines from the live menu (used after the server rejects stale prices).
+  // Lines that can no longer be ordered are dropped.
+  const refreshCartPrices = () => {
+    const { lines } = buildReorderPlan(cart, customerMenu);
+    setCart(lines);
+    updateCartInDb(lines);
+    setCheckoutError(null);
+  };
+
+  // --- Reorder Logic ---
+  const startReorder = (order) => {
+    setReorderPlan({ orderId: order.id, ...buildReorderPlan(order.items, customerMenu) });
+  };
+
+  // mode: 'merge' keeps what is already in the cart, 'replace' starts from an empty one
+  const applyReorder = (mode) => {
+    if (!reorderPlan) return;
+    const base = mode === 'merge' ? cart : [];
+    const newCart = mergeCartLines(base, reorderPlan.lines);
+    setCartNotice(exceedsCartLimit(base, reorderPlan.lines) ? t('cart.lineLimit', { count: MAX_LINE_ITEMS }) : null);
+    setCart(newCart);
+    updateCartInDb(newCart);
+    setReorderPlan(null);
+    navigate({ view: 'cart' });
+  };
+
   // --- Calculated Values ---
   const cartTotalItems = useMemo(() => cart.reduce((sum, item) => sum + item.quantity, 0), [cart]);
 
-  const cartSubtotal = useMemo(() =>
-    cart.reduce((sum, item) => sum + item.price * item.quantity, 0),
-    [cart]
+  // --- Promo Codes ---
+  // An applied code is re-checked whenever the cart changes; it stays applied
+  // (with the reason shown) while it gives no discount, e.g. below its minimum.
+  const promoResult = useMemo(() =>
+    appliedPromo ? evaluatePromotion(appliedPromo.promotion, cart, { usageCount: appliedPromo.usageCount, storeLocale: localizedRules }) : null,
+    [appliedPromo, cart, localizedRules]
+  );
+  const promoDiscount = promoResult?.ok ? promoResult.discount : null;
+  const promoProblem = promoResult && !promoResult.ok ? t(promoResult.message.id, promoResult.message.params) : null;
+
+  // Resolves to an error message, or null once the code is applied.
+  const applyPromoCode = async (input) => {
+    const code = normalizeCode(input);
+    if (!repository || !userId || !code || code.includes('/')) return t('promo.invalid');
+    try {
+      const found = await repository.findPromotion(userId, code);
+      if (!found) return t('promo.invalid');
+      const { promotion, usageCount } = found;
+      const result = evaluatePromotion(promotion, cart, { usageCount, storeLocale: localizedRules });
+      if (!result.ok) return t(result.message.id, result.message.params);
+      setAppliedPromo({ promotion, usageCount });
+      return null;
+    } catch (e) {
+      console.error("Error checking promo code:", e);
+      return t('promo.checkFailed');
+    }
+  };
+
+  // The cart estimates delivery to the default address; checkout reprices for the chosen one.
+  const defaultAddress = defaultAddressOf(addresses);
+  const cartTotals = useMemo(() =>
+    computeOrderTotals(cart, localizedRules, { postalCode: defaultAddress?.postalCode, discounts: promoDiscount ? [promoDiscount] : [] }),
+    [cart, localizedRules, defaultAddress?.postalCode, promoDiscount]
   );
 
-  const taxRate = 0.08;
-  const taxAmount = cartSubtotal * taxRate;
-  const deliveryFee = cartSubtotal > 0 ? 5.00 : 0.00;
-  const grandTotal = cartSubtotal + taxAmount + deliveryFee;
+  // --- Placing Orders ---
+  // Orders are created by the repository's placeOrder (the `placeOrder` Cloud Function), which re-prices every
+  // line from the catalog. We only send what was ordered, where it goes and the total we showed.
+  // Online payments are approved by the customer first; the function then
+  // authorizes them with the provider and only writes the order if that succeeds.
+  // `grandTotal` is what checkout showed for this address under the current pricing rules,
+  // after the promo code and the reward (`rewardId`, or null) the customer chose.
+  // `fulfilment` says how the order is handed over (see fulfilment.js); `deliveryAddress` is null
+  // unless it is delivered. `deliverySlotId` is null for as soon as possible (see schedule.js).
+  // Offline, the order goes to the order queue instead (see queueOrder).
+  const handlePlaceOrder = async (fulfilment, deliveryAddress, paymentMethod, grandTotal, rewardId, deliverySlotId) => {
+    if (!cart.length || !repository || !userId) return;
+
+    setCheckoutError(null);
+    const orderRequest = {
+        items: cart.map(line => ({
+            id: line.id,
+            name: line.name,
+            quantity: line.quantity,
+            modifiers: (line.modifiers || []).map(mod => ({ groupId: mod.groupId, optionId: mod.optionId })),
+        })),
+        fulfilment,
+        deliveryAddress,
+        deliverySlotId: deliverySlotId || null,
+        promoCode: promoDiscount ? promoDiscount.code : null,
+        rewardId: rewardId || null,
+        expectedGrandTotal: grandTotal,
+    };
+    if (!isOnline && !repository.isLocal) {
+        queueOrder(orderRequest, paymentMethod);
+        return;
+    }
+
+    setIsLoading(true);
+    try {
+        const contact = deliveryAddress || fulfilment.contact || null;
+        const payment = await approvePayment(paymentMethod, { amount: grandTotal, currency: pricingRules.currency, contact, useMock: useMockPayments });
+        const result = await repository.placeOrder(userId, { ...orderRequest, payment });
+
+        // The function empties the cart document too; the cart listener will catch up.
+        setCart([]);
+        setPlacedOrder(result);
+        setAppliedPromo(null);
+        // Set order placed flag to trigger confirmation screen rendering
+        setIsOrderPlaced(true);
+    } catch (e) {
+        console.error("Failed to place order:", e);
+        // Rejections from placeOrder say why in `details.code`; anything else is not for customers.
+        const isCustomerFacing = e instanceof PaymentError || e instanceof OrderRejectedError;
+        setCheckoutError((isCustomerFacing && rejectionMessage(e.details, t, localizedRules)) || t('checkout.failed'));
+    } finally {
+        setIsLoading(false);
+    }
+  };
+
+  // --- Offline Orders ---
+  // The queue document is written to the local cache and sent when the
+  // connection returns; placeQueuedOrder then places it like placeOrder would.
+  const queueOrder = (orderRequest, chosenMethod) => {
+    const paymentMethod = orderRequest.expectedGrandTotal === 0 ? NO_PAYMENT_METHOD : chosenMethod;
+    if (!QUEUEABLE_PAYMENT_METHODS.includes(paymentMethod)) {
+      setCheckoutError(t('checkout.offlinePayment'));
+      return;
+    }
+    // Not awaited: offline, the write only resolves once the server has it.
+    const queued = repository.queueOrder(userId, {
+      ...orderRequest,
+      payment: { method: paymentMethod, reference: null },
+      status: QUEUED_ORDER_STATUS.QUEUED,
+      createdAt: new Date().toISOString(),
+    });
+    queued.saved.catch((e) => {
+      console.error("Failed to queue order:", e);
+    });
+
+    setCart([]);
+    updateCartInDb([]);
+    setAppliedPromo(null);
+    setPlacedOrder({ id: queued.id, queued: true });
+    setIsOrderPlaced(true);
+  };
+
+  // A rejected queued order's lines go back into the cart at today's prices.
+  const restoreQueuedOrder = (entry) => {
+    const { lines } = buildReorderPlan(entry.items || [], customerMenu);
+    const newCart = mergeCartLines(cart, lines);
+    setCartNotice(exceedsCartLimit(cart, lines) ? t('cart.lineLimit', { count: MAX_LINE_ITEMS }) : null);
+    setCart(newCart);
+    updateCartInDb(newCart);
+    dismissQueuedOrder(entry);
+    navigate({ view: 'cart' });
+  };
+
+  const dismissQueuedOrder = (entry) => {
+    repository.dismissQueuedOrder(userId, entry.id).catch((e) => {
+      console.error("Failed to dismiss queued order:", e);
+    });
+  };
 
   // --- Categories ---
+  // Archived entries stay in state for the admin console but are hidden from customers.
+  const customerMenu = useMemo(() => {
+    const archivedCategories = new Set(menuCategories.filter(cat => cat.archived).map(cat => cat.id));
+    return menuItems.filter(item => !item.archived && !archivedCategories.has(item.category));
+  }, [menuItems, menuCategories]);
+
   const categories = useMemo(() => {
-    const uniqueCategories = new Set(MENU_ITEMS.map(item => item.category));
-    return ['all', ...Array.from(uniqueCategories)];
-  }, []);
+    const usedCategories = new Set(customerMenu.map(item => item.category));
+    const withItems = buildCategoryList(menuCategories, customerMenu).filter(cat => usedCategories.has(cat.id));
+    return [
+      { id: 'all', name: t('menu.allCategories') },
+      ...withItems.map(cat => ({ ...cat, name: localizedField(cat, 'name', language) })),
+    ];
+  }, [customerMenu, menuCategories, t, language]);
+
+  const categoryNames = useMemo(() =>
+    Object.fromEntries(categories.map(cat => [cat.id, cat.name])),
+    [categories]
+  );
 
   const filteredMenu = useMemo(() => {
     if (activeCategory === 'all') {
-      return MENU_ITEMS;
+      return customerMenu;
     }
-    return MENU_ITEMS.filter(item => item.category === activeCategory);
-  }, [activeCategory]);
+    return customerMenu.filter(item => item.category === activeCategory);
+  }, [activeCategory, customerMenu]);
 
   // --- Components ---
 
@@ -264,25 +680,101 @@ const App = () => {
     <header className="bg-white shadow-lg p-4 sticky top-0 z-50">
       <div className="max-w-4xl mx-auto flex justify-between items-center">
         <h1 className="text-3xl font-extrabold text-lime-600 tracking-tight">
-          JuiSip <span className="text-lime-400">Cloud Kitchen</span>
+          JuiSip <span className="text-lime-400">{t('header.tagline')}</span>
         </h1>
         <div className="flex items-center space-x-4">
-          <div className="text-gray-500 text-sm flex items-center">
-            <User className="w-4 h-4 mr-1" />
-            <span className="truncate max-w-[80px] sm:max-w-none">{userId || 'Loading...'}</span>
+          <label className="flex items-center text-gray-500" title={t('header.language')}>
+            <Languages className="w-4 h-4 mr-1" />
+            <select
+              value={language}
+              onChange={(e) => changeLanguage(e.target.value)}
+              aria-label={t('header.language')}
+              className="bg-transparent text-sm focus:outline-none focus:ring-0 cursor-pointer"
+            >
+              {LANGUAGES.map(entry => (
+                <option key={entry.id} value={entry.id} lang={entry.id}>{entry.name}</option>
+              ))}
+            </select>
+          </label>
+          {/* PROFILE MENU */}
+          <div className="relative">
+            <button
+              onClick={() => setIsProfileMenuOpen(!isProfileMenuOpen)}
+              className="text-gray-500 text-sm flex items-center hover:text-lime-600 transition duration-150"
+              aria-haspopup="menu"
+              aria-expanded={isProfileMenuOpen}
+            >
+              <User className="w-4 h-4 mr-1" />
+              <span className="truncate max-w-[80px] sm:max-w-[160px]">{describeUser(authUser, t) || userId}</span>
+            </button>
+            {isProfileMenuOpen && (
+              <div className="absolute right-0 mt-2 w-48 bg-white rounded-xl shadow-xl border border-gray-100 py-2 z-50" role="menu">
+                <button
+                  onClick={() => { navigate({ view: 'account' }); setIsProfileMenuOpen(false); }}
+                  className="w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-lime-50"
+                  role="menuitem"
+                >
+                  {authUser && !authUser.isAnonymous ? t('header.myAccount') : t('header.signIn')}
+                </button>
+                <button
+                  onClick={() => { navigate({ view: 'history' }); setIsProfileMenuOpen(false); }}
+                  className="w-full text-left px-4 py-2 text-sm text-gray-700 hover:bg-lime-50"
+                  role="menuitem"
+                >
+                  {t('header.orderHistory')}
+                </button>
+                {authUser && !authUser.isAnonymous && (
+                  <button
+                    onClick={handleSignOut}
+                    className="w-full text-left px-4 py-2 text-sm text-red-600 hover:bg-red-50 flex items-center"
+                    role="menuitem"
+                  >
+                    <LogOut className="w-4 h-4 mr-2" /> {t('header.signOut')}
+                  </button>
+                )}
+              </div>
+            )}
           </div>
+          {isStaff && (
+            <button
+              onClick={() => navigate({ view: 'kitchen' })}
+              className={`p-2 rounded-full transition duration-150 shadow-md ${view === 'kitchen' ? 'bg-lime-500 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+              aria-label={t('header.openKitchen')}
+            >
+              <ChefHat className="w-5 h-5" />
+            </button>
+          )}
+          {isAdmin && (
+            <button
+              onClick={() => navigate({ view: 'admin' })}
+              className={`p-2 rounded-full transition duration-150 shadow-md ${view === 'admin' ? 'bg-lime-500 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+              aria-label={t('header.manageMenu')}
+            >
+              <Shield className="w-5 h-5" />
+            </button>
+          )}
           {/* HISTORY BUTTON (Desktop) */}
           <button
-            onClick={() => setView('history')}
-            className={`p-2 rounded-full transition duration-150 shadow-md ${view === 'history' ? 'bg-lime-500 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
-            aria-label="View order history"
+            onClick={() => navigate({ view: 'history' })}
+            className={`p-2 rounded-full transition duration-150 shadow-md ${view === 'history' || view === 'order' ? 'bg-lime-500 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+            aria-label={t('header.viewHistory')}
           >
             <History className="w-5 h-5" />
           </button>
           <button
-            onClick={() => setView('cart')}
+            onClick={() => navigate({ view: 'account' })}
+            className="flex items-center text-sm font-semibold text-lime-700 hover:text-lime-800 transition duration-150"
+            aria-label={t('header.pointsLabel', { count: pointsBalance })}
+            title={t('header.pointsTitle')}
+          >
+            <Award className="w-4 h-4 mr-1" />
+            {t('header.points', { count: pointsBalance })}
+          </button>
+          {repository && !repository.isLocal && <SyncIndicator status={cartSyncStatus} t={t} />}
+          <button
+            onClick={() => navigate({ view: 'cart' })}
             className="relative p-2 bg-lime-500 text-white rounded-full hover:bg-lime-600 transition duration-150 shadow-md"
-            aria-label="View shopping cart"
+            aria-label={t('header.viewCart')}
           >
             <ShoppingCart className="w-5 h-5" />
             {cartTotalItems > 0 && (
@@ -299,23 +791,23 @@ const App = () => {
   const FooterNav = () => (
     <footer className="fixed bottom-0 left-0 right-0 bg-white border-t border-gray-200 z-50 shadow-2xl md:hidden">
       <div className="flex justify-around items-center h-16 max-w-lg mx-auto">
-        <button onClick={() => setView('menu')} className={`flex flex-col items-center justify-center p-2 transition duration-150 ${view === 'menu' ? 'text-lime-600 font-semibold' : 'text-gray-500 hover:text-lime-500'}`}>
+        <button onClick={() => navigate({ view: 'menu' })} className={`flex flex-col items-center justify-center p-2 transition duration-150 ${view === 'menu' ? 'text-lime-600 font-semibold' : 'text-gray-500 hover:text-lime-500'}`}>
           <Home className="w-5 h-5" />
-          <span className="text-xs mt-1">Menu</span>
+          <span className="text-xs mt-1">{t('nav.menu')}</span>
         </button>
-        <button onClick={() => setView('cart')} className={`relative flex flex-col items-center justify-center p-2 transition duration-150 ${view === 'cart' ? 'text-lime-600 font-semibold' : 'text-gray-500 hover:text-lime-500'}`}>
+        <button onClick={() => navigate({ view: 'cart' })} className={`relative flex flex-col items-center justify-center p-2 transition duration-150 ${view === 'cart' ? 'text-lime-600 font-semibold' : 'text-gray-500 hover:text-lime-500'}`}>
           <ShoppingCart className="w-5 h-5" />
           {cartTotalItems > 0 && (
             <span className="absolute top-0 right-3 flex items-center justify-center h-4 w-4 bg-red-500 text-white text-[10px] font-bold rounded-full">
               {cartTotalItems}
             </span>
           )}
-          <span className="text-xs mt-1">Cart</span>
+          <span className="text-xs mt-1">{t('nav.cart')}</span>
         </button>
         {/* HISTORY BUTTON (Mobile) */}
-        <button onClick={() => setView('history')} className={`flex flex-col items-center justify-center p-2 transition duration-150 ${view === 'history' ? 'text-lime-600 font-semibold' : 'text-gray-500 hover:text-lime-500'}`}>
+        <button onClick={() => navigate({ view: 'history' })} className={`flex flex-col items-center justify-center p-2 transition duration-150 ${view === 'history' || view === 'order' ? 'text-lime-600 font-semibold' : 'text-gray-500 hover:text-lime-500'}`}>
           <History className="w-5 h-5" />
-          <span className="text-xs mt-1">History</span>
+          <span className="text-xs mt-1">{t('nav.history')}</span>
         </button>
       </div>
     </footer>
@@ -323,21 +815,25 @@ const App = () => {
 
   const MenuScreen = () => (
     <div className="py-6 px-4 max-w-4xl mx-auto">
-      <h2 className="text-3xl font-bold mb-6 text-gray-800">Fresh Menu Today</h2>
+      <h2 className="text-3xl font-bold mb-6 text-gray-800">{t('menu.title')}</h2>
+      {!isMenuLive && (
+        <p className="text-sm text-gray-500 -mt-4 mb-4">{t('menu.offline')}</p>
+      )}
+      {cartNotice && <p className="text-sm text-red-600 mb-4" role="alert">{cartNotice}</p>}
 
       {/* Category Tabs */}
       <div className="flex space-x-2 overflow-x-auto pb-4 sticky top-[72px] bg-white z-40 mb-4 rounded-xl shadow-inner p-2">
         {categories.map(cat => (
           <button
-            key={cat}
-            onClick={() => setActiveCategory(cat)}
+            key={cat.id}
+            onClick={() => navigate({ view: 'menu', category: cat.id }, { preserveScroll: true })}
             className={`px-4 py-2 text-sm font-medium rounded-full transition-colors duration-200 whitespace-nowrap capitalize ${
-              activeCategory === cat
+              activeCategory === cat.id
                 ? 'bg-lime-600 text-white shadow-md'
                 : 'bg-gray-100 text-gray-700 hover:bg-lime-100'
             }`}
           >
-            {cat}
+            {cat.name}
           </button>
         ))}
       </div>
@@ -346,22 +842,30 @@ const App = () => {
         {filteredMenu.map(item => (
           <div
             key={item.id}
-            className="bg-white p-5 rounded-xl shadow-lg hover:shadow-xl transition-shadow duration-300 border border-gray-100 flex items-center justify-between"
+            className={`bg-white p-5 rounded-xl shadow-lg hover:shadow-xl transition-shadow duration-300 border border-gray-100 flex items-center justify-between ${
+              item.available ? '' : 'opacity-60'
+            }`}
           >
             <div className="flex items-center">
               <span className="text-3xl mr-4">{item.icon}</span>
               <div>
-                <h3 className="text-lg font-semibold text-gray-900">{item.name}</h3>
-                <p className="text-lime-600 font-bold">${item.price.toFixed(2)}</p>
-                <p className="text-xs text-gray-500 capitalize">{item.category}</p>
+                <h3 className="text-lg font-semibold text-gray-900">{localizedField(item, 'name', language)}</h3>
+                {item.description && <p className="text-sm text-gray-500">{localizedField(item, 'description', language)}</p>}
+                <p className="text-lime-600 font-bold">{formatMoney(item.price, localizedRules)}</p>
+                <p className="text-xs text-gray-500 capitalize">{categoryNames[item.category] || item.category}</p>
               </div>
             </div>
             <button
-              onClick={() => addToCart(item)}
-              className="px-4 py-2 bg-lime-500 text-white font-semibold rounded-full hover:bg-lime-600 transition-transform duration-150 active:scale-95 shadow-lg"
-              aria-label={`Add ${item.name} to cart`}
+              onClick={() => handleAddItem(item)}
+              disabled={!item.available}
+              className={`px-4 py-2 font-semibold rounded-full transition-transform duration-150 shadow-lg ${
+                item.available
+                  ? 'bg-lime-500 text-white hover:bg-lime-600 active:scale-95'
+                  : 'bg-gray-300 text-gray-600 cursor-not-allowed'
+              }`}
+              aria-label={t('menu.addToCart', { name: localizedField(item, 'name', language) })}
             >
-              Add
+              {item.available ? (item.modifierGroups?.length ? t('menu.customize') : t('menu.add')) : t('menu.soldOut')}
             </button>
           </div>
         ))}
@@ -372,18 +876,19 @@ const App = () => {
 
   const CartScreen = () => (
     <div className="py-6 px-4 max-w-4xl mx-auto">
-      <h2 className="text-3xl font-bold mb-6 text-gray-800">Your Cart ({cartTotalItems} Items)</h2>
+      <h2 className="text-3xl font-bold mb-6 text-gray-800">{t('cart.title', { count: cartTotalItems })}</h2>
+      {cartNotice && <p className="text-sm text-red-600 -mt-4 mb-4" role="alert">{cartNotice}</p>}
 
       {cart.length === 0 ? (
         <div className="text-center p-10 bg-white rounded-xl shadow-lg border-2 border-dashed border-gray-200">
           <ShoppingCart className="w-12 h-12 text-gray-400 mx-auto mb-4" />
-          <p className="text-xl font-semibold text-gray-600">Your sip list is empty.</p>
-          <p className="text-gray-500 mt-2">Time to add some refreshing juices or bowls!</p>
+          <p className="text-xl font-semibold text-gray-600">{t('cart.empty')}</p>
+          <p className="text-gray-500 mt-2">{t('cart.emptyHint')}</p>
           <button
-            onClick={() => setView('menu')}
+            onClick={() => navigate({ view: 'menu' })}
             className="mt-6 px-6 py-3 bg-lime-500 text-white rounded-full font-semibold hover:bg-lime-600 transition duration-150 shadow-lg"
           >
-            Back to Menu
+            {t('cart.backToMenu')}
           </button>
         </div>
       ) : (
@@ -392,14 +897,15 @@ const App = () => {
           <div className="lg:col-span-2 space-y-4">
             {cart.map(item => (
               <div
-                key={item.id}
+                key={cartLineKey(item)}
                 className="bg-white p-4 rounded-xl shadow-md flex items-center justify-between border border-gray-100"
               >
                 <div className="flex items-center">
                   <span className="text-2xl mr-4">{item.icon}</span>
                   <div>
-                    <p className="font-semibold text-gray-900">{item.name}</p>
-                    <p className="text-sm text-gray-500">${item.price.toFixed(2)} each</p>
+                    <p className="font-semibold text-gray-900">{localizedLineName(item, menuItems, language)}</p>
+                    {item.modifiers?.length > 0 && <p className="text-xs text-gray-500">{describeModifiers(item)}</p>}
+                    <p className="text-sm text-gray-500">{t('cart.each', { price: formatMoney(item.price, localizedRules) })}</p>
                   </div>
                 </div>
 
@@ -407,30 +913,30 @@ const App = () => {
                   {/* Quantity Controls */}
                   <div className="flex items-center border border-gray-300 rounded-full bg-gray-50">
                     <button
-                      onClick={() => updateQuantity(item.id, -1)}
+                      onClick={() => updateQuantity(cartLineKey(item), -1)}
                       className="p-2 text-gray-600 hover:bg-gray-200 rounded-l-full transition-colors duration-100"
-                      aria-label="Decrease quantity"
+                      aria-label={t('cart.decrease')}
                     >
                       -
                     </button>
                     <span className="px-3 font-medium text-gray-800">{item.quantity}</span>
                     <button
-                      onClick={() => updateQuantity(item.id, 1)}
+                      onClick={() => updateQuantity(cartLineKey(item), 1)}
                       className="p-2 text-gray-600 hover:bg-gray-200 rounded-r-full transition-colors duration-100"
-                      aria-label="Increase quantity"
+                      aria-label={t('cart.increase')}
                     >
                       +
                     </button>
                   </div>
 
-                  <p className="font-bold text-lime-600 w-16 text-right">
-                    ${(item.price * item.quantity).toFixed(2)}
+                  <p className="font-bold text-lime-600 w-20 text-right">
+                    {formatMoney(multiplyMoney(item.price, item.quantity, localizedRules.currency), localizedRules)}
                   </p>
 
                   <button
-                    onClick={() => removeFromCart(item.id)}
+                    onClick={() => removeFromCart(cartLineKey(item))}
                     className="p-1 text-red-500 hover:text-red-700 transition duration-150"
-                    aria-label="Remove item from cart"
+                    aria-label={t('cart.remove')}
                   >
                     <X className="w-5 h-5" />
                   </button>
@@ -438,44 +944,44 @@ const App = () => {
               </div>
             ))}
             <button onClick={clearCart} className="text-red-500 hover:underline text-sm mt-4">
-              Clear All Items
+              {t('cart.clear')}
             </button>
           </div>
 
           {/* Cart Summary */}
           <div className="lg:col-span-1">
             <div className="bg-white p-6 rounded-xl shadow-lg sticky top-24 border border-gray-100">
-              <h3 className="text-xl font-bold mb-4 border-b pb-2 text-gray-800">Order Summary</h3>
-              <dl className="space-y-2 text-gray-700">
-                <div className="flex justify-between">
-                  <dt>Subtotal ({cartTotalItems} items)</dt>
-                  <dd>${cartSubtotal.toFixed(2)}</dd>
-                </div>
-                <div className="flex justify-between">
-                  <dt>Tax (8.0%)</dt>
-                  <dd>${taxAmount.toFixed(2)}</dd>
-                </div>
-                <div className="flex justify-between">
-                  <dt>Delivery Fee</dt>
-                  <dd>${deliveryFee.toFixed(2)}</dd>
-                </div>
-                <div className="flex justify-between pt-4 border-t border-gray-200 mt-4 font-bold text-lg text-gray-900">
-                  <dt>Grand Total</dt>
-                  <dd>${grandTotal.toFixed(2)}</dd>
-                </div>
-              </dl>
+              <h3 className="text-xl font-bold mb-4 border-b pb-2 text-gray-800">{t('cart.summary')}</h3>
+              <PriceBreakdown
+                totals={cartTotals}
+                storeLocale={localizedRules}
+                t={t}
+                subtotalLabel={t('cart.subtotal', { count: cartTotalItems })}
+                totalLabel={t('cart.grandTotal')}
+                totalClassName="text-lg"
+              />
+              {!defaultAddress && cartTotals.deliveryFee > 0 && (
+                <p className="mt-2 text-xs text-gray-500">{t('cart.deliveryEstimate')}</p>
+              )}
+              <PromoCodeField
+                appliedCode={appliedPromo?.promotion.code}
+                problem={promoProblem}
+                onApply={applyPromoCode}
+                onRemove={() => setAppliedPromo(null)}
+                t={t}
+              />
 
               <button
-                onClick={() => setView('checkout')}
+                onClick={() => navigate({ view: 'checkout' })}
                 className="w-full mt-6 py-3 bg-lime-500 text-white rounded-xl font-bold text-lg hover:bg-lime-600 transition-colors duration-150 active:scale-[0.99] shadow-xl"
               >
-                Proceed to Checkout
+                {t('cart.checkout')}
               </button>
               <button
-                onClick={() => setView('menu')}
+                onClick={() => navigate({ view: 'menu' })}
                 className="w-full mt-2 py-2 text-lime-600 bg-lime-50 hover:bg-lime-100 rounded-xl transition-colors duration-150"
               >
-                Continue Shopping
+                {t('cart.continue')}
               </button>
             </div>
           </div>
@@ -485,154 +991,6 @@ const App = () => {
     </div>
   );
 
-  const CheckoutScreen = () => {
-    // UPDATED: Logic to save the order to history collection before clearing the cart
-    const handlePlaceOrder = async () => {
-      if (!cart.length || grandTotal === 0 || !db || !userId) return;
-
-      setIsLoading(true);
-      const orderId = Math.floor(Math.random() * 90000) + 10000;
-      const now = new Date().toISOString();
-
-      const orderData = {
-          orderId: orderId,
-          userId: userId,
-          itemsJson: JSON.stringify(cart), // Save complex array as JSON string
-          grandTotal: grandTotal,
-          subtotal: cartSubtotal,
-          deliveryFee: deliveryFee,
-          taxAmount: taxAmount,
-          placedAt: now,
-          status: 'Preparing', // Initial status
-      };
-
-      try {
-          // 1. Add order to the private history collection
-          const historyColRef = collection(db, `artifacts/${appId}/users/${userId}/juisip_history`);
-          await addDoc(historyColRef, orderData);
-
-          // 2. Simulate network processing time
-          await sleep(1000);
-
-          // 3. Clear the cart in the database (this triggers the cart listener to empty the UI cart state)
-          await updateCartInDb([]);
-
-          // Set order placed flag to trigger confirmation screen rendering
-          setIsOrderPlaced(true);
-      } catch (e) {
-          console.error("Failed to place order:", e);
-          setError("Failed to place order due to a database error.");
-      } finally {
-          setIsLoading(false);
-      }
-    };
-
-    if (isOrderPlaced) {
-      return (
-        <div className="py-12 px-4 max-w-4xl mx-auto text-center">
-          <div className="bg-white p-8 rounded-xl shadow-2xl border-4 border-lime-500">
-            <CheckCircle className="w-16 h-16 text-lime-500 mx-auto mb-6" />
-            <h2 className="text-3xl font-bold text-gray-800 mb-3">Order Confirmed!</h2>
-            <p className="text-xl text-gray-600 mb-6">Your order #{orderHistory[0]?.orderId || '...'} has been placed.</p>
-            <p className="text-gray-500 mb-8">
-              Thank you for sipping with JuiSip. You will receive a notification when your items are ready for delivery.
-            </p>
-            <div className="flex justify-center space-x-4">
-              <button
-                onClick={() => { setView('menu'); setIsOrderPlaced(false); }}
-                className="px-6 py-3 bg-lime-500 text-white rounded-full font-semibold hover:bg-lime-600 transition duration-150 shadow-lg"
-              >
-                Start New Order
-              </button>
-               <button
-                onClick={() => { setView('history'); setIsOrderPlaced(false); }}
-                className="px-6 py-3 border border-lime-500 text-lime-600 rounded-full font-semibold hover:bg-lime-50 transition duration-150 shadow-lg"
-              >
-                View History
-              </button>
-            </div>
-          </div>
-        </div>
-      );
-    }
-
-    return (
-      <div className="py-6 px-4 max-w-4xl mx-auto">
-        <h2 className="text-3xl font-bold mb-6 text-gray-800">Final Checkout</h2>
-
-        <div className="grid grid-cols-1 gap-8 lg:grid-cols-3">
-          {/* Order Details */}
-          <div className="lg:col-span-2 space-y-6">
-            <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-100">
-              <h3 className="text-xl font-bold text-gray-800 mb-4 border-b pb-2">Delivery Information</h3>
-              <form className="space-y-4">
-                <input type="text" placeholder="Full Name" defaultValue="Jane Doe" required className="w-full p-3 border border-gray-300 rounded-lg focus:ring-lime-500 focus:border-lime-500 transition-colors"/>
-                <input type="tel" placeholder="Phone Number" defaultValue="555-123-4567" required className="w-full p-3 border border-gray-300 rounded-lg focus:ring-lime-500 focus:border-lime-500 transition-colors"/>
-                <textarea placeholder="Delivery Address" defaultValue="123 Fresh Juice Lane, Apt 4B" required rows="3" className="w-full p-3 border border-gray-300 rounded-lg focus:ring-lime-500 focus:border-lime-500 transition-colors"></textarea>
-                <div className="flex items-center space-x-2">
-                  <Clock className="w-5 h-5 text-lime-600" />
-                  <p className="text-sm text-gray-600">Estimated Delivery: 30 - 45 minutes</p>
-                </div>
-              </form>
-            </div>
-
-            <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-100">
-              <h3 className="text-xl font-bold text-gray-800 mb-4 border-b pb-2">Payment Method</h3>
-              <p className="text-gray-600">Simulated payment: Cash on Delivery</p>
-            </div>
-
-            <button
-              onClick={() => setView('cart')}
-              className="flex items-center text-lime-600 hover:underline transition duration-150"
-            >
-              &larr; Back to Cart
-            </button>
-          </div>
-
-          {/* Final Summary */}
-          <div className="lg:col-span-1">
-            <div className="bg-white p-6 rounded-xl shadow-lg sticky top-24 border border-gray-100">
-              <h3 className="text-xl font-bold mb-4 border-b pb-2 text-gray-800">Final Cost</h3>
-              <dl className="space-y-2 text-gray-700">
-                <div className="flex justify-between">
-                  <dt>Subtotal</dt>
-                  <dd>${cartSubtotal.toFixed(2)}</dd>
-                </div>
-                <div className="flex justify-between">
-                  <dt>Tax (8.0%)</dt>
-                  <dd>${taxAmount.toFixed(2)}</dd>
-                </div>
-                <div className="flex justify-between">
-                  <dt>Delivery Fee</dt>
-                  <dd>${deliveryFee.toFixed(2)}</dd>
-                </div>
-                <div className="flex justify-between pt-4 border-t border-gray-200 mt-4 font-bold text-xl text-gray-900">
-                  <dt>Total Due</dt>
-                  <dd>${grandTotal.toFixed(2)}</dd>
-                </div>
-              </dl>
-
-              <button
-                onClick={handlePlaceOrder}
-                disabled={isLoading || grandTotal === 0}
-                className={`w-full mt-6 py-4 rounded-xl font-bold text-xl transition-all duration-300 shadow-2xl ${
-                  isLoading || grandTotal === 0
-                    ? 'bg-gray-400 cursor-not-allowed'
-                    : 'bg-lime-500 text-white hover:bg-lime-600 active:scale-[0.99]'
-                }`}
-              >
-                {isLoading ? 'Processing Order...' : 'Place Order Now'}
-              </button>
-              {isLoading && (
-                 <p className="text-center text-sm text-lime-600 mt-2">Saving order to database...</p>
-              )}
-            </div>
-          </div>
-        </div>
-      </div>
-    );
-  };
-
   // NEW: Component to display past orders
   const OrderHistoryScreen = () => {
     if (orderHistory.length === 0) {
@@ -640,17 +998,17 @@ const App = () => {
             <div className="py-12 px-4 max-w-4xl mx-auto text-center">
                 <div className="bg-white p-10 rounded-xl shadow-lg border-2 border-dashed border-gray-200">
                     <History className="w-12 h-12 text-gray-400 mx-auto mb-4" />
-                    <p className="text-xl font-semibold text-gray-600">No past orders found.</p>
-                    <p className="text-gray-500 mt-2">Start your first order today!</p>
+                    <p className="text-xl font-semibold text-gray-600">{t('history.empty')}</p>
+                    <p className="text-gray-500 mt-2">{t('history.emptyHint')}</p>
                     <button
-                        onClick={() => setView('menu')}
+                        onClick={() => navigate({ view: 'menu' })}
                         className="mt-6 px-6 py-3 bg-lime-500 text-white rounded-full font-semibold hover:bg-lime-600 transition duration-150 shadow-lg"
                     >
-                        Browse Menu
+                        {t('history.browseMenu')}
                     </button>
                 </div>
                 <div className="text-sm text-gray-500 mt-6">
-                  <p>User ID: {userId}</p>
+                  <p>{t('history.userId', { id: userId })}</p>
                 </div>
             </div>
         );
@@ -658,49 +1016,116 @@ const App = () => {
 
     return (
         <div className="py-6 px-4 max-w-4xl mx-auto">
-            <h2 className="text-3xl font-bold mb-6 text-gray-800">Your Order History</h2>
+            <h2 className="text-3xl font-bold mb-6 text-gray-800">{t('history.title')}</h2>
 
             <div className="space-y-6">
-                {orderHistory.map(order => (
+                {orderHistory.map(order => {
+                  // Orders keep the currency they were paid in, even if the store's changes later.
+                  const orderLocale = { ...localizedRules, currency: order.currency || localizedRules.currency };
+                  return (
                     <div key={order.id} className="bg-white p-6 rounded-xl shadow-lg border border-gray-100">
                         <div className="flex justify-between items-start border-b pb-3 mb-3">
                             <div>
-                                <h3 className="text-xl font-bold text-gray-900">Order #{order.orderId}</h3>
-                                <p className="text-sm text-gray-500 mt-1">Placed on: {order.displayDate}</p>
+                                <h3 className="text-xl font-bold text-gray-900">
+                                    {/* A real link, so it can be opened in a new tab or copied */}
+                                    <a
+                                        href={routePath({ view: 'order', orderId: order.id })}
+                                        onClick={(e) => { e.preventDefault(); navigate({ view: 'order', orderId: order.id }); }}
+                                        className="hover:text-lime-600 hover:underline"
+                                    >
+                                        {t('history.order', { number: displayOrderNumber(order.orderId) })}
+                                    </a>
+                                </h3>
+                                <p className="text-sm text-gray-500 mt-1">{t('history.placedOn', { date: formatDateTime(order.placedAt, orderLocale) })}</p>
+                                <p className="text-sm text-gray-500">
+                                    {fulfilmentModeOf(order) === FULFILMENT_MODE.DINE_IN
+                                        ? t('history.dineIn', { number: order.fulfilment.tableNumber })
+                                        : t(`fulfilment.${fulfilmentModeOf(order)}`)}
+                                </p>
+                                {order.scheduledFor && (
+                                    <p className="text-sm text-gray-500">{t('history.scheduledFor', { time: formatTimeRange(order.scheduledFor.start, order.scheduledFor.end, orderLocale) })}</p>
+                                )}
                             </div>
                             <div className="text-right">
-                                <p className="text-2xl font-extrabold text-lime-600">${order.grandTotal.toFixed(2)}</p>
-                                <span className={`inline-flex items-center px-3 py-1 text-xs font-semibold rounded-full mt-1 ${
-                                    order.status === 'Delivered' ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'
-                                }`}>
+                                <p className="text-2xl font-extrabold text-lime-600">{formatMoney(order.grandTotal, orderLocale)}</p>
+                                <span className={`inline-flex items-center px-3 py-1 text-xs font-semibold rounded-full mt-1 ${statusBadgeClass(order.status)}`}>
                                     <Clock className="w-3 h-3 mr-1" />
-                                    {order.status}
+                                    {t(statusMessageId(order))}
                                 </span>
+                                {describePaymentStatus(order, t) && (
+                                    <p className="text-xs text-gray-500 mt-1">{describePaymentStatus(order, t)}</p>
+                                )}
                             </div>
                         </div>
 
+                        <OrderProgress order={order} storeLocale={orderLocale} t={t} />
+
                         <ul className="space-y-2 text-sm text-gray-700">
                             {order.items.map(item => (
-                                <li key={item.id} className="flex justify-between">
+                                <li key={cartLineKey(item)} className="flex justify-between">
                                     <span className="flex items-center">
                                         <span className="mr-2">{item.icon}</span>
-                                        {item.name}
+                                        {localizedLineName(item, menuItems, language)}
+                                        {item.modifiers?.length > 0 && <span className="ml-2 text-xs text-gray-500">({describeModifiers(item)})</span>}
                                     </span>
                                     <span className="font-medium">
-                                        {item.quantity} x ${item.price.toFixed(2)}
+                                        {t('history.quantityPrice', { quantity: item.quantity, price: formatMoney(item.price, orderLocale) })}
                                     </span>
                                 </li>
                             ))}
                         </ul>
 
-                        <button
-                            onClick={() => { /* Re-order logic can be implemented here */ }}
-                            className="mt-4 px-4 py-2 bg-lime-50 text-lime-600 rounded-full text-sm font-semibold hover:bg-lime-100 transition duration-150"
-                        >
-                            Reorder (Simulated)
-                        </button>
+                        {reorderPlan?.orderId === order.id ? (
+                            <div className="mt-4 p-4 bg-lime-50 rounded-xl text-sm text-gray-700 space-y-2">
+                                {reorderPlan.unavailable.length > 0 && (
+                                    <p className="text-red-600">
+                                        {t('history.unavailable', { names: reorderPlan.unavailable.map(item => localizedLineName(item, menuItems, language)).join(', ') })}
+                                    </p>
+                                )}
+                                {reorderPlan.priceChanges.map(change => (
+                                    <p key={change.id} className="text-yellow-700">
+                                        {t('history.priceChanged', {
+                                            name: localizedLineName({ id: change.itemId, name: change.name }, menuItems, language),
+                                            oldPrice: formatMoney(change.oldPrice, localizedRules),
+                                            newPrice: formatMoney(change.newPrice, localizedRules),
+                                        })}
+                                    </p>
+                                ))}
+                                {reorderPlan.lines.length === 0 ? (
+                                    <p className="font-semibold">{t('history.nothingToReorder')}</p>
+                                ) : (
+                                    <div className="flex flex-wrap gap-2 pt-1">
+                                        {cart.length > 0 ? (
+                                            <>
+                                                <button onClick={() => applyReorder('merge')} className="px-4 py-2 bg-lime-500 text-white rounded-full font-semibold hover:bg-lime-600 transition duration-150">
+                                                    {t('history.addToCart')}
+                                                </button>
+                                                <button onClick={() => applyReorder('replace')} className="px-4 py-2 border border-lime-500 text-lime-600 rounded-full font-semibold hover:bg-lime-100 transition duration-150">
+                                                    {t('history.replaceCart')}
+                                                </button>
+                                            </>
+                                        ) : (
+                                            <button onClick={() => applyReorder('replace')} className="px-4 py-2 bg-lime-500 text-white rounded-full font-semibold hover:bg-lime-600 transition duration-150">
+                                                {t('history.addAll')}
+                                            </button>
+                                        )}
+                                    </div>
+                                )}
+                                <button onClick={() => setReorderPlan(null)} className="text-gray-500 hover:underline">
+                                    {t('history.cancel')}
+                                </button>
+                            </div>
+                        ) : (
+                            <button
+                                onClick={() => startReorder(order)}
+                                className="mt-4 px-4 py-2 bg-lime-50 text-lime-600 rounded-full text-sm font-semibold hover:bg-lime-100 transition duration-150"
+                            >
+                                {t('history.reorder')}
+                            </button>
+                        )}
                     </div>
-                ))}
+                  );
+                })}
             </div>
              <div className="h-16 md:h-0"></div> {/* Spacer for mobile footer */}
         </div>
@@ -724,7 +1149,7 @@ const App = () => {
         return (
             <div className="flex flex-col items-center justify-center h-[80vh] text-gray-600">
                 <div className="animate-spin rounded-full h-16 w-16 border-t-4 border-b-4 border-lime-500 mb-4"></div>
-                <p className="text-lg font-semibold">Connecting to JuiSip services...</p>
+                <p className="text-lg font-semibold">{t('app.connecting')}</p>
             </div>
         );
     }
@@ -733,12 +1158,88 @@ const App = () => {
       case 'cart':
         return <CartScreen />;
       case 'checkout':
-        return <CheckoutScreen />;
+        return (
+          <CheckoutScreen
+            repository={repository}
+            userId={userId}
+            cart={cart}
+            menuItems={menuItems}
+            pricingRules={localizedRules}
+            discount={promoDiscount}
+            promoField={(
+              <PromoCodeField
+                appliedCode={appliedPromo?.promotion.code}
+                problem={promoProblem}
+                onApply={applyPromoCode}
+                onRemove={() => setAppliedPromo(null)}
+                t={t}
+              />
+            )}
+            addresses={addresses}
+            rewards={rewards}
+            pointsBalance={pointsBalance}
+            paymentMethods={availablePaymentMethods(useMockPayments)}
+            isPlacing={isLoading}
+            error={checkoutError}
+            placedOrder={isOrderPlaced ? placedOrder : null}
+            onPlaceOrder={handlePlaceOrder}
+            onRefreshPrices={refreshCartPrices}
+            onNavigate={(nextView) => { navigate({ view: nextView }); setIsOrderPlaced(false); }}
+            t={t}
+          />
+        );
       case 'history': // NEW: History view
         return <OrderHistoryScreen />;
+      case 'order':
+        return (
+          <OrderDetailScreen
+            repository={repository}
+            userId={userId}
+            orderId={route.orderId}
+            menuItems={menuItems}
+            storeLocale={localizedRules}
+            t={t}
+            onNavigate={navigate}
+          />
+        );
+      case 'account':
+        // Signing in needs Firebase Auth; on local data there is only this browser's customer.
+        return (
+          <>
+            {auth ? (
+              <AccountScreen
+                auth={auth}
+                db={db}
+                appId={appId}
+                user={authUser}
+                notice={accountNotice}
+                t={t}
+                onSignedIn={() => setAuthUser(toAccountSummary(auth.currentUser))}
+                onSignOut={handleSignOut}
+              />
+            ) : (
+              <p className="max-w-lg mx-auto px-4 pt-6 text-sm text-gray-500">{t('app.localData')}</p>
+            )}
+            {userId && <AddressBook repository={repository} userId={userId} addresses={addresses} t={t} />}
+            {userId && <LoyaltyWallet repository={repository} userId={userId} balance={pointsBalance} rewards={rewards} storeLocale={localizedRules} t={t} />}
+          </>
+        );
+      case 'admin':
+        // Staff-only; anyone else who lands here just sees the menu.
+        return isAdmin
+          ? <AdminScreen repository={repository} menuItems={menuItems} menuCategories={menuCategories} isMenuLive={isMenuLive} storeLocale={pricingRules} />
+          : <MenuScreen />;
+      case 'kitchen':
+        return isStaff ? <KitchenScreen repository={repository} userId={userId} storeLocale={pricingRules} /> : <MenuScreen />;
       case 'menu':
-      default:
+        // The bundled fallback menu may lack categories the live one has, so only judge the live one.
+        if (isMenuLive && !categoryNames[activeCategory]) {
+          return <NotFoundScreen t={t} message={t('notFound.category')} onHome={() => navigate({ view: 'menu' })} />;
+        }
         return <MenuScreen />;
+      case NOT_FOUND_VIEW:
+      default:
+        return <NotFoundScreen t={t} onHome={() => navigate({ view: 'menu' })} />;
     }
   };
 
@@ -746,9 +1247,26 @@ const App = () => {
     <div className="min-h-screen bg-gray-50 font-sans pb-16 md:pb-0">
       <Header />
       <main className="min-h-[calc(100vh-64px)]">
+        <QueuedOrders
+          entries={queuedOrders}
+          storeLocale={localizedRules}
+          t={t}
+          onRestore={restoreQueuedOrder}
+          onDismiss={dismissQueuedOrder}
+          onViewHistory={() => navigate({ view: 'history' })}
+        />
         {renderContent()}
       </main>
       <FooterNav />
+      {customizingItem && (
+        <CustomizeItemModal
+          item={customizingItem}
+          storeLocale={localizedRules}
+          t={t}
+          onAdd={(line) => { addToCart(line); setCustomizingItem(null); }}
+          onClose={() => setCustomizingItem(null)}
+        />
+      )}
     </div>
   );
 };
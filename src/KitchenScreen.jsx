@@ -0,0 +1,297 @@
+import React, { useState, useEffect } from 'react';
+import { ChefHat, Timer, XCircle, CalendarClock, Bike, ShoppingBag, UtensilsCrossed } from 'lucide-react';
+import {
+  ORDER_STATUS,
+  nextForwardStatus,
+  canTransition,
+  statusBadgeClass,
+  formatElapsed,
+  displayOrderNumber,
+  cancellationReasonLabel,
+  KITCHEN_CANCELLATION_REASONS,
+  MAX_CANCELLATION_NOTE_LENGTH,
+  kitchenDueTime,
+  isDueInKitchen,
+  statusLabel,
+} from './orders.js';
+import { FULFILMENT_MODE, fulfilmentModeOf } from '../functions/shared/fulfilment.js';
+import { cartLineKey, describeModifiers } from './modifiers.js';
+import { formatTime, formatTimeRange } from '../functions/shared/locale.js';
+
+// Tickets due longer ago than this are highlighted so nothing sits forgotten on the pass.
+const LATE_AFTER_MINUTES = 20;
+
+// Customer cancellations this recent are announced when the screen opens.
+const CANCELLATION_LOOKBACK_MINUTES = 30;
+
+const FULFILMENT_ICONS = {
+  [FULFILMENT_MODE.DELIVERY]: Bike,
+  [FULFILMENT_MODE.TAKEAWAY]: ShoppingBag,
+  [FULFILMENT_MODE.DINE_IN]: UtensilsCrossed,
+};
+
+// Who the order goes to, for the top of the ticket.
+const describeFulfilment = (order) => {
+  const { fulfilment } = order;
+  switch (fulfilmentModeOf(order)) {
+    case FULFILMENT_MODE.TAKEAWAY:
+      return `Takeaway for ${fulfilment.contact.name} · ${fulfilment.contact.phone}`;
+    case FULFILMENT_MODE.DINE_IN:
+      return `Dine-in · Table ${fulfilment.tableNumber}`;
+    default:
+      return 'Delivery';
+  }
+};
+
+/**
+ * Kitchen display: every open order across all customers in the order they are
+ * due, how each one is handed over (fulfilment.js), with buttons to advance its
+ * status. Orders for a later delivery slot only
+ * show up KITCHEN_LEAD_MINUTES (schedule.js) before it; until then they are just
+ * counted. Status writes land on the customer's own order document, so their
+ * OrderHistoryScreen badge updates through its listener.
+ * Orders customers cancel drop off the board and are announced above it until
+ * dismissed. Staff cancelling an order confirm it and give a reason first, since
+ * the refund and returned points that follow cannot be undone.
+ */
+const KitchenScreen = ({ repository, userId, storeLocale }) => {
+  const [orders, setOrders] = useState([]);
+  const [now, setNow] = useState(Date.now());
+  const [updatingId, setUpdatingId] = useState(null);
+  const [error, setError] = useState(null);
+  const [cancellations, setCancellations] = useState([]);
+  const [dismissedIds, setDismissedIds] = useState([]);
+  const [confirmingCancelId, setConfirmingCancelId] = useState(null);
+  const [cancelReason, setCancelReason] = useState(''); // A KITCHEN_CANCELLATION_REASONS id
+  const [cancelNote, setCancelNote] = useState('');
+  const [cancellationsSince] = useState(() => new Date(Date.now() - CANCELLATION_LOOKBACK_MINUTES * 60000).toISOString());
+
+  useEffect(() => {
+    if (!repository) return;
+
+    const unsubscribe = repository.watchKitchenOrders((tickets) => {
+      setOrders(tickets);
+      setError(null);
+    }, (e) => {
+      console.error("Error listening to kitchen orders:", e);
+      setError("Could not load incoming orders.");
+    });
+
+    return () => unsubscribe();
+  }, [repository]);
+
+  useEffect(() => {
+    if (!repository) return;
+
+    const unsubscribe = repository.watchKitchenCancellations(cancellationsSince, setCancellations, (e) => {
+      console.error("Error listening to cancellations:", e);
+    });
+
+    return () => unsubscribe();
+  }, [repository, cancellationsSince]);
+
+  // Re-render every 30 seconds so elapsed times stay current.
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 30000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const changeStatus = async (order, status) => {
+    setUpdatingId(order.id);
+    try {
+      await repository.updateOrderStatus(order, status, userId);
+      setError(null);
+    } catch (e) {
+      console.error("Failed to update order status:", e);
+      setError(`Could not update order ${displayOrderNumber(order.orderId)}: ${e.message}`);
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
+  const startCancel = (order) => {
+    setConfirmingCancelId(`${order.userId}-${order.id}`);
+    setCancelReason('');
+    setCancelNote('');
+  };
+
+  const cancelOrder = async (order) => {
+    setUpdatingId(order.id);
+    try {
+      await repository.cancelOrderInKitchen(order, userId, { reason: cancelReason, note: cancelNote });
+      setConfirmingCancelId(null);
+      setError(null);
+    } catch (e) {
+      console.error("Failed to cancel order:", e);
+      setError(`Could not cancel order ${displayOrderNumber(order.orderId)}: ${e.message}`);
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
+  const canConfirmCancel = cancelReason !== '' && (cancelReason !== 'other' || cancelNote.trim() !== '');
+  const announcedCancellations = cancellations.filter(order => !dismissedIds.includes(`${order.userId}-${order.id}`));
+  const dueOrders = orders.filter(order => isDueInKitchen(order, now));
+  const laterOrders = orders.filter(order => !isDueInKitchen(order, now));
+
+  return (
+    <div className="py-6 px-4 max-w-6xl mx-auto">
+      <h2 className="text-3xl font-bold mb-6 text-gray-800 flex items-center">
+        <ChefHat className="w-7 h-7 mr-2 text-lime-600" />
+        Kitchen Orders ({dueOrders.length})
+      </h2>
+
+      {laterOrders.length > 0 && (
+        <p className="mb-4 flex items-center text-sm text-gray-600">
+          <CalendarClock className="w-4 h-4 mr-2 text-lime-600" />
+          {laterOrders.length} scheduled {laterOrders.length === 1 ? 'order' : 'orders'} for later; the next is due at {formatTime(kitchenDueTime(laterOrders[0]), storeLocale)}.
+        </p>
+      )}
+
+      {error && <p className="mb-4 text-sm font-medium text-red-600">{error}</p>}
+
+      {announcedCancellations.map(order => (
+        <div key={`${order.userId}-${order.id}`} role="alert" className="mb-4 p-4 flex items-start bg-red-50 border border-red-200 rounded-xl">
+          <XCircle className="w-5 h-5 mr-3 mt-0.5 text-red-600 flex-shrink-0" />
+          <div className="flex-grow">
+            <p className="font-semibold text-red-800">
+              Order {displayOrderNumber(order.orderId)} was cancelled by the customer: {cancellationReasonLabel(order.cancellation.reason)}
+            </p>
+            {order.cancellation.note && <p className="text-sm text-red-700 mt-1">"{order.cancellation.note}"</p>}
+          </div>
+          <button
+            onClick={() => setDismissedIds(ids => [...ids, `${order.userId}-${order.id}`])}
+            className="ml-3 px-3 py-1 text-sm text-red-700 font-semibold rounded-lg hover:bg-red-100 transition-colors duration-150"
+          >
+            Dismiss
+          </button>
+        </div>
+      ))}
+
+      {dueOrders.length === 0 ? (
+        <div className="text-center p-10 bg-white rounded-xl shadow-lg border-2 border-dashed border-gray-200">
+          <p className="text-xl font-semibold text-gray-600">No open orders.</p>
+          <p className="text-gray-500 mt-2">New orders will appear here as soon as they are placed.</p>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+          {dueOrders.map(order => {
+            const mode = fulfilmentModeOf(order);
+            const FulfilmentIcon = FULFILMENT_ICONS[mode];
+            const next = nextForwardStatus(order.status, mode);
+            const isUpdating = updatingId === order.id;
+            const isConfirmingCancel = confirmingCancelId === `${order.userId}-${order.id}`;
+            const isLate = (now - new Date(kitchenDueTime(order)).getTime()) / 60000 > LATE_AFTER_MINUTES;
+            return (
+              <div key={`${order.userId}-${order.id}`} className={`bg-white p-5 rounded-xl shadow-lg border-2 ${isLate ? 'border-red-400' : 'border-gray-100'}`}>
+                <div className="flex justify-between items-start border-b pb-3 mb-3">
+                  <div>
+                    <h3 className="text-xl font-bold text-gray-900">{displayOrderNumber(order.orderId)}</h3>
+                    <span className={`inline-flex items-center px-3 py-1 text-xs font-semibold rounded-full mt-1 ${statusBadgeClass(order.status)}`}>
+                      {statusLabel(order)}
+                    </span>
+                  </div>
+                  <p className={`flex items-center text-sm font-semibold ${isLate ? 'text-red-600' : 'text-gray-600'}`}>
+                    <Timer className="w-4 h-4 mr-1" />
+                    {formatElapsed(kitchenDueTime(order), now)}
+                  </p>
+                </div>
+
+                <p className="flex items-center text-sm font-semibold text-gray-700 mb-2">
+                  <FulfilmentIcon className="w-4 h-4 mr-1 text-lime-600" />
+                  {describeFulfilment(order)}
+                </p>
+
+                {order.scheduledFor && (
+                  <p className="flex items-center text-sm font-semibold text-lime-700 mb-3">
+                    <CalendarClock className="w-4 h-4 mr-1" />
+                    {mode === FULFILMENT_MODE.TAKEAWAY ? 'Pickup' : 'Deliver'} {formatTimeRange(order.scheduledFor.start, order.scheduledFor.end, storeLocale)}
+                  </p>
+                )}
+
+                <ul className="space-y-1 text-gray-800 mb-4">
+                  {order.items.map(item => (
+                    <li key={cartLineKey(item)} className="flex items-start">
+                      <span className="font-bold text-lg w-10">{item.quantity}×</span>
+                      <span className="mr-2">{item.icon}</span>
+                      <span>
+                        {item.name}
+                        {item.modifiers?.length > 0 && <span className="block text-sm text-gray-500">{describeModifiers(item)}</span>}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+
+                {isConfirmingCancel ? (
+                  <div className="space-y-2 text-sm">
+                    <p className="font-semibold text-gray-800">Cancel this order? The customer is refunded and this cannot be undone.</p>
+                    <select
+                      value={cancelReason}
+                      onChange={(e) => setCancelReason(e.target.value)}
+                      aria-label="Reason"
+                      className="w-full p-2 border border-gray-300 rounded-lg focus:ring-lime-500 focus:border-lime-500"
+                    >
+                      <option value="" disabled>Choose a reason</option>
+                      {KITCHEN_CANCELLATION_REASONS.map(reason => (
+                        <option key={reason.id} value={reason.id}>{reason.label}</option>
+                      ))}
+                    </select>
+                    <input
+                      type="text"
+                      value={cancelNote}
+                      onChange={(e) => setCancelNote(e.target.value)}
+                      maxLength={MAX_CANCELLATION_NOTE_LENGTH}
+                      placeholder={cancelReason === 'other' ? 'Note (required)' : 'Note (optional)'}
+                      aria-label="Note"
+                      className="w-full p-2 border border-gray-300 rounded-lg focus:ring-lime-500 focus:border-lime-500"
+                    />
+                    <div className="flex space-x-2">
+                      <button
+                        onClick={() => cancelOrder(order)}
+                        disabled={isUpdating || !canConfirmCancel}
+                        className="flex-grow py-2 bg-red-500 text-white rounded-xl font-bold hover:bg-red-600 transition-colors duration-150 disabled:bg-gray-400"
+                      >
+                        {isUpdating ? 'Cancelling...' : 'Cancel order'}
+                      </button>
+                      <button
+                        onClick={() => setConfirmingCancelId(null)}
+                        disabled={isUpdating}
+                        className="px-4 py-2 border border-gray-300 text-gray-700 rounded-xl font-semibold hover:bg-gray-100 transition-colors duration-150"
+                      >
+                        Keep order
+                      </button>
+                    </div>
+                  </div>
+                ) : (
+                  <div className="flex space-x-2">
+                    {next && (
+                      <button
+                        onClick={() => changeStatus(order, next)}
+                        disabled={isUpdating}
+                        className="flex-grow py-2 bg-lime-500 text-white rounded-xl font-bold hover:bg-lime-600 transition-colors duration-150 disabled:bg-gray-400"
+                      >
+                        {isUpdating ? 'Updating...' : `Mark ${statusLabel(order, next)}`}
+                      </button>
+                    )}
+                    {canTransition(order.status, ORDER_STATUS.CANCELLED, mode) && (
+                      <button
+                        onClick={() => startCancel(order)}
+                        disabled={isUpdating}
+                        className="px-4 py-2 text-red-600 bg-red-50 rounded-xl font-semibold hover:bg-red-100 transition-colors duration-150"
+                      >
+                        Cancel
+                      </button>
+                    )}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+      <div className="h-16 md:h-0"></div> {/* Spacer for mobile footer */}
+    </div>
+  );
+};
+
+export default KitchenScreen;
@@ -0,0 +1,84 @@
+import React, { useState, useEffect } from 'react';
+import { Award } from 'lucide-react';
+import { displayOrderNumber } from './orders.js';
+import { LEDGER_ENTRY_TYPES, POINTS_PER_UNIT } from '../functions/shared/loyalty.js';
+import { formatMoney, formatDateTime } from '../functions/shared/locale.js';
+
+const LEDGER_PAGE_SIZE = 20;
+
+const ledgerEntryLabel = (entry, t) => {
+  if (entry.type === LEDGER_ENTRY_TYPES.REDEEM) return t('loyalty.redeemed', { name: entry.rewardName || t('loyalty.aReward') });
+  if (entry.type === LEDGER_ENTRY_TYPES.RETURN) return t('loyalty.returned');
+  return t('loyalty.earned');
+};
+
+/**
+ * Points balance, the rewards on offer and the latest ledger entries, shown on
+ * the account screen. The ledger is read-only here; only placing, cancelling and delivering orders write it.
+ */
+const LoyaltyWallet = ({ repository, userId, balance, rewards, storeLocale, t }) => {
+  const [entries, setEntries] = useState([]);
+
+  useEffect(() => {
+    if (!repository || !userId) return;
+
+    const unsubscribe = repository.watchLedger(userId, LEDGER_PAGE_SIZE, setEntries, (e) => {
+      console.error("Error listening to the points ledger:", e);
+    });
+
+    return () => unsubscribe();
+  }, [repository, userId]);
+
+  return (
+    <div className="py-6 px-4 max-w-lg mx-auto">
+      <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-100">
+        <div className="flex justify-between items-center mb-4 border-b pb-2">
+          <h3 className="text-xl font-bold text-gray-800 flex items-center"><Award className="w-5 h-5 mr-2 text-lime-600" /> {t('loyalty.title')}</h3>
+          <span className="text-2xl font-extrabold text-lime-600">{balance}</span>
+        </div>
+        <p className="text-sm text-gray-500 mb-4">{t('loyalty.earnRule', { amount: formatMoney(1 / POINTS_PER_UNIT, storeLocale) })}</p>
+
+        {rewards.length > 0 && (
+          <>
+            <h4 className="font-semibold text-gray-800 mb-2">{t('loyalty.rewards')}</h4>
+            <ul className="space-y-2 mb-6">
+              {rewards.map(reward => (
+                <li key={reward.id} className="flex justify-between items-start text-sm">
+                  <span className="text-gray-700">
+                    <span className="font-semibold text-gray-900">{reward.name}</span>
+                    {reward.description && <span className="block text-gray-500">{reward.description}</span>}
+                  </span>
+                  <span className={`ml-4 whitespace-nowrap font-semibold ${balance >= reward.pointsCost ? 'text-lime-700' : 'text-gray-400'}`}>
+                    {t('loyalty.points', { count: reward.pointsCost })}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+
+        <h4 className="font-semibold text-gray-800 mb-2">{t('loyalty.history')}</h4>
+        {entries.length === 0 ? (
+          <p className="text-sm text-gray-500">{t('loyalty.noHistory')}</p>
+        ) : (
+          <ul className="divide-y divide-gray-100 text-sm">
+            {entries.map(entry => (
+              <li key={entry.id} className="flex justify-between py-2">
+                <span className="text-gray-700">
+                  {ledgerEntryLabel(entry, t)}
+                  {entry.orderId && <span className="text-gray-500"> · {t('loyalty.order', { number: displayOrderNumber(entry.orderId) })}</span>}
+                  <span className="block text-xs text-gray-400">{formatDateTime(entry.createdAt, storeLocale)}</span>
+                </span>
+                <span className={`font-semibold ${entry.points < 0 ? 'text-gray-700' : 'text-lime-700'}`}>
+                  {entry.points > 0 ? '+' : ''}{entry.points}
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LoyaltyWallet;
@@ -0,0 +1,24 @@
+import React from 'react';
+import { SearchX } from 'lucide-react';
+
+/**
+ * Shown for paths routes.js does not know, and for links to a menu category or
+ * order that does not exist. `message` replaces the generic explanation.
+ */
+const NotFoundScreen = ({ t, message, onHome }) => (
+  <div className="py-12 px-4 max-w-lg mx-auto text-center">
+    <div className="bg-white p-10 rounded-xl shadow-lg border-2 border-dashed border-gray-200">
+      <SearchX className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+      <h2 className="text-xl font-semibold text-gray-700">{t('notFound.title')}</h2>
+      <p className="text-gray-500 mt-2">{message || t('notFound.body')}</p>
+      <button
+        onClick={onHome}
+        className="mt-6 px-6 py-3 bg-lime-500 text-white rounded-full font-semibold hover:bg-lime-600 transition duration-150 shadow-lg"
+      >
+        {t('notFound.backToMenu')}
+      </button>
+    </div>
+  </div>
+);
+
+export default NotFoundScreen;
@@ -0,0 +1,297 @@
+import React, { useState, useEffect } from 'react';
+import { Clock, MapPin, CreditCard, Timer, ShoppingBag, UtensilsCrossed } from 'lucide-react';
+import OrderProgress from './OrderProgress.jsx';
+import NotFoundScreen from './NotFoundScreen.jsx';
+import {
+  statusBadgeClass,
+  displayOrderNumber,
+  isCancellableByCustomer,
+  isTerminalStatus,
+  CANCELLATION_REASONS,
+  MAX_CANCELLATION_NOTE_LENGTH,
+  estimateOrderTimes,
+  normalizeKitchenQueue,
+  ORDER_STATUS,
+  statusMessageId,
+} from './orders.js';
+import { FULFILMENT_MODE } from '../functions/shared/fulfilment.js';
+import { formatAddress } from './addresses.js';
+import { describePaymentStatus } from './payments.js';
+import { cartLineKey, describeModifiers } from './modifiers.js';
+import { localizedLineName } from './i18n.js';
+import { formatMoney, formatDateTime, formatTime, formatTimeRange } from '../functions/shared/locale.js';
+import { routePath } from './routes.js';
+import { OrderRejectedError, rejectionMessage } from './repository.js';
+
+/**
+ * One order, live from its document: the progress tracker and every status
+ * change so far, its delivery slot or estimated ready and delivery times from
+ * the kitchen queue, what was ordered, how it reaches them (fulfilment.js) and
+ * how it is paid. The customer can cancel
+ * it, giving a reason, while the store's window allows (isCancellableByCustomer);
+ * the refund then shows up in the payment status. `onNavigate(route)` leaves the page.
+ */
+const OrderDetailScreen = ({ repository, userId, orderId, menuItems, storeLocale, t, onNavigate }) => {
+  const [order, setOrder] = useState(undefined); // undefined while loading, null when there is no such order
+  const [queue, setQueue] = useState(() => normalizeKitchenQueue());
+  const [now, setNow] = useState(Date.now());
+  const [isConfirmingCancel, setIsConfirmingCancel] = useState(false);
+  const [cancelReason, setCancelReason] = useState(null); // A CANCELLATION_REASONS id
+  const [cancelNote, setCancelNote] = useState('');
+  const [isCancelling, setIsCancelling] = useState(false);
+  const [cancelError, setCancelError] = useState(null);
+
+  useEffect(() => {
+    if (!repository || !userId) return;
+    setOrder(undefined);
+
+    const unsubscribe = repository.watchOrder(userId, orderId, setOrder, (e) => {
+      console.error("Error listening to the order:", e);
+      setOrder(null);
+    });
+
+    return () => unsubscribe();
+  }, [repository, userId, orderId]);
+
+  const isOpen = Boolean(order) && order.status !== ORDER_STATUS.DELIVERED && !isTerminalStatus(order.status);
+
+  // The queue only matters until the order is delivered or closed.
+  useEffect(() => {
+    if (!repository || !isOpen) return;
+
+    const unsubscribe = repository.watchKitchenQueue(setQueue, (e) => {
+      console.error("Error listening to the kitchen queue:", e);
+    });
+
+    return () => unsubscribe();
+  }, [repository, isOpen]);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    const timer = setInterval(() => setNow(Date.now()), 30000);
+    return () => clearInterval(timer);
+  }, [isOpen]);
+
+  if (order === null) {
+    return <NotFoundScreen t={t} message={t('notFound.order')} onHome={() => onNavigate({ view: 'menu' })} />;
+  }
+
+  if (order === undefined) {
+    return (
+      <div className="flex justify-center py-16">
+        <div className="animate-spin rounded-full h-10 w-10 border-t-4 border-b-4 border-lime-500"></div>
+      </div>
+    );
+  }
+
+  // Orders keep the currency they were paid in, even if the store's changes later.
+  const orderLocale = { ...storeLocale, currency: order.currency || storeLocale.currency };
+  const estimate = estimateOrderTimes(order, queue, now);
+  const isMade = order.status === ORDER_STATUS.READY || order.status === ORDER_STATUS.OUT_FOR_DELIVERY;
+  const isCancellable = isCancellableByCustomer(order, storeLocale.cancellation);
+  const canConfirmCancel = Boolean(cancelReason) && (cancelReason !== 'other' || cancelNote.trim() !== '');
+  const paymentStatus = describePaymentStatus(order, t);
+
+  const cancelOrder = async () => {
+    setIsCancelling(true);
+    setCancelError(null);
+    try {
+      await repository.cancelOrder(userId, order.id, { reason: cancelReason, note: cancelNote });
+      setIsConfirmingCancel(false);
+    } catch (e) {
+      console.error("Cancelling the order failed:", e);
+      setCancelError((e instanceof OrderRejectedError && rejectionMessage(e.details, t, storeLocale)) || t('orderDetail.cancelFailed'));
+    } finally {
+      setIsCancelling(false);
+    }
+  };
+
+  return (
+    <div className="py-6 px-4 max-w-4xl mx-auto space-y-6">
+      <a
+        href={routePath({ view: 'history' })}
+        onClick={(e) => { e.preventDefault(); onNavigate({ view: 'history' }); }}
+        className="inline-block text-sm font-semibold text-lime-600 hover:underline"
+      >
+        {t('history.allOrders')}
+      </a>
+
+      <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-100">
+        <div className="flex justify-between items-start border-b pb-3 mb-4">
+          <div>
+            <h2 className="text-2xl font-bold text-gray-900">{t('history.order', { number: displayOrderNumber(order.orderId) })}</h2>
+            <p className="text-sm text-gray-500 mt-1">{t('history.placedOn', { date: formatDateTime(order.placedAt, orderLocale) })}</p>
+            {order.scheduledFor && (
+              <p className="text-sm font-semibold text-lime-700">
+                {t('history.scheduledFor', { time: formatTimeRange(order.scheduledFor.start, order.scheduledFor.end, orderLocale) })}
+              </p>
+            )}
+          </div>
+          <span className={`inline-flex items-center px-3 py-1 text-xs font-semibold rounded-full ${statusBadgeClass(order.status)}`}>
+            <Clock className="w-3 h-3 mr-1" />
+            {t(statusMessageId(order))}
+          </span>
+        </div>
+
+        <OrderProgress order={order} storeLocale={orderLocale} t={t} />
+
+        {order.cancellation?.by === 'customer' && (
+          <p className="text-sm text-gray-600 -mt-1 mb-2">
+            {t('orderDetail.cancelledBecause', { reason: t(`cancelReason.${order.cancellation.reason}`) })}
+            {order.cancellation.note && <span className="block text-gray-500">“{order.cancellation.note}”</span>}
+          </p>
+        )}
+
+        {estimate && (
+          <div className="flex items-start p-3 rounded-lg bg-lime-50 text-sm text-lime-800" role="status">
+            <Timer className="w-4 h-4 mr-2 mt-0.5 shrink-0" />
+            <div>
+              {!isMade && (
+                <p className="font-semibold">{t('orderDetail.readyBy', { time: formatTime(estimate.readyAt, orderLocale) })}</p>
+              )}
+              {estimate.deliveredAt && (
+                <p className={isMade ? 'font-semibold' : ''}>
+                  {t('orderDetail.deliveredBy', { time: formatTime(estimate.deliveredAt, orderLocale) })}
+                </p>
+              )}
+              {estimate.ordersAhead > 0 && (
+                <p className="text-xs text-lime-700 mt-1">{t('orderDetail.ordersAhead', { count: estimate.ordersAhead })}</p>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-100">
+          <h3 className="font-semibold text-gray-800 mb-3">{t('orderDetail.timeline')}</h3>
+          <ol className="border-l-2 border-lime-200 space-y-3 ml-1">
+            {(order.statusHistory || []).map((entry, index) => (
+              <li key={`${entry.status}-${entry.at}-${index}`} className="pl-4 relative">
+                <span className="absolute -left-[7px] top-1.5 w-3 h-3 rounded-full bg-lime-500"></span>
+                <p className="text-sm font-semibold text-gray-800">{t(statusMessageId(order, entry.status))}</p>
+                <p className="text-xs text-gray-500">{formatDateTime(entry.at, orderLocale)}</p>
+              </li>
+            ))}
+          </ol>
+        </div>
+
+        <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-100 space-y-4 text-sm">
+          {order.deliveryAddress && (
+            <div>
+              <h3 className="font-semibold text-gray-800 mb-1 flex items-center"><MapPin className="w-4 h-4 mr-2 text-lime-600" /> {t('orderDetail.deliverTo')}</h3>
+              <p className="text-gray-700">{order.deliveryAddress.name}{order.deliveryAddress.phone && ` · ${order.deliveryAddress.phone}`}</p>
+              <p className="text-gray-500">{formatAddress(order.deliveryAddress)}</p>
+            </div>
+          )}
+          {order.fulfilment?.mode === FULFILMENT_MODE.TAKEAWAY && (
+            <div>
+              <h3 className="font-semibold text-gray-800 mb-1 flex items-center"><ShoppingBag className="w-4 h-4 mr-2 text-lime-600" /> {t('orderDetail.pickup')}</h3>
+              <p className="text-gray-700">{order.fulfilment.contact.name} · {order.fulfilment.contact.phone}</p>
+            </div>
+          )}
+          {order.fulfilment?.mode === FULFILMENT_MODE.DINE_IN && (
+            <div>
+              <h3 className="font-semibold text-gray-800 mb-1 flex items-center"><UtensilsCrossed className="w-4 h-4 mr-2 text-lime-600" /> {t('fulfilment.dineIn')}</h3>
+              <p className="text-gray-700">{t('fulfilment.table', { number: order.fulfilment.tableNumber })}</p>
+            </div>
+          )}
+          {order.payment && (
+            <div>
+              <h3 className="font-semibold text-gray-800 mb-1 flex items-center"><CreditCard className="w-4 h-4 mr-2 text-lime-600" /> {t('orderDetail.payment')}</h3>
+              <p className="text-gray-700">{t(`payment.${order.payment.method}`)}</p>
+              {paymentStatus && <p className="text-gray-500">{paymentStatus}</p>}
+            </div>
+          )}
+        </div>
+      </div>
+
+      <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-100">
+        <ul className="space-y-2 text-sm text-gray-700">
+          {order.items.map(item => (
+            <li key={cartLineKey(item)} className="flex justify-between">
+              <span className="flex items-center">
+                <span className="mr-2">{item.icon}</span>
+                {localizedLineName(item, menuItems, t.language)}
+                {item.modifiers?.length > 0 && <span className="ml-2 text-xs text-gray-500">({describeModifiers(item)})</span>}
+              </span>
+              <span className="font-medium">
+                {t('history.quantityPrice', { quantity: item.quantity, price: formatMoney(item.price, orderLocale) })}
+              </span>
+            </li>
+          ))}
+        </ul>
+        <div className="flex justify-between border-t mt-4 pt-3 font-bold text-gray-900">
+          <span>{t('orderDetail.total')}</span>
+          <span className="text-lime-600">{formatMoney(order.grandTotal, orderLocale)}</span>
+        </div>
+      </div>
+
+      {isCancellable && (
+        <div className="bg-white p-6 rounded-xl shadow-lg border border-gray-100 text-sm">
+          {isConfirmingCancel ? (
+            <div className="space-y-3">
+              <p className="font-semibold text-gray-800">{t('orderDetail.cancelConfirm')}</p>
+              <fieldset className="space-y-1">
+                <legend className="text-gray-600 mb-1">{t('orderDetail.cancelReason')}</legend>
+                {CANCELLATION_REASONS.map(reason => (
+                  <label key={reason.id} className="flex items-center space-x-2 cursor-pointer">
+                    <input
+                      type="radio"
+                      name="cancelReason"
+                      value={reason.id}
+                      checked={cancelReason === reason.id}
+                      onChange={() => setCancelReason(reason.id)}
+                      className="text-lime-600 focus:ring-lime-500"
+                    />
+                    <span>{t(`cancelReason.${reason.id}`)}</span>
+                  </label>
+                ))}
+              </fieldset>
+              <textarea
+                value={cancelNote}
+                onChange={(e) => setCancelNote(e.target.value)}
+                maxLength={MAX_CANCELLATION_NOTE_LENGTH}
+                rows={2}
+                placeholder={cancelReason === 'other' ? t('orderDetail.cancelNoteRequired') : t('orderDetail.cancelNote')}
+                aria-label={t('orderDetail.cancelNote')}
+                className="w-full p-2 border border-gray-300 rounded-lg focus:ring-lime-500 focus:border-lime-500"
+              />
+              <div className="flex flex-wrap gap-2">
+                <button
+                  onClick={cancelOrder}
+                  disabled={isCancelling || !canConfirmCancel}
+                  className="px-4 py-2 bg-red-500 text-white rounded-full font-semibold hover:bg-red-600 transition duration-150 disabled:bg-gray-400"
+                >
+                  {isCancelling ? t('orderDetail.cancelling') : t('orderDetail.confirmCancel')}
+                </button>
+                <button
+                  onClick={() => setIsConfirmingCancel(false)}
+                  disabled={isCancelling}
+                  className="px-4 py-2 border border-gray-300 text-gray-700 rounded-full font-semibold hover:bg-gray-100 transition duration-150"
+                >
+                  {t('orderDetail.keepOrder')}
+                </button>
+              </div>
+            </div>
+          ) : (
+            <button
+              onClick={() => { setIsConfirmingCancel(true); setCancelError(null); }}
+              className="px-4 py-2 border border-red-300 text-red-600 rounded-full font-semibold hover:bg-red-50 transition duration-150"
+            >
+              {t('orderDetail.cancel')}
+            </button>
+          )}
+        </div>
+      )}
+      {/* Outside the block above: a refused cancellation usually means the order just left the cancel window. */}
+      {cancelError && <p className="text-sm text-red-600 text-center" role="alert">{cancelError}</p>}
+      {!isCancellable && isOpen && (
+        <p className="text-xs text-gray-500 text-center">{t('orderDetail.cancelClosed')}</p>
+      )}
+      <div className="h-16 md:h-0"></div> {/* Spacer for mobile footer */}
+    </div>
+  );
+};
+
+export default OrderDetailScreen;
@@ -0,0 +1,54 @@
+import React from 'react';
+import { CheckCircle, Ban } from 'lucide-react';
+import { progressStepsFor, isTerminalStatus, statusTimestamps, statusMessageId } from './orders.js';
+import { fulfilmentModeOf } from '../functions/shared/fulfilment.js';
+import { formatTime } from '../functions/shared/locale.js';
+
+/**
+ * Step-by-step tracker for a single order, driven by its status and transition
+ * log; takeaway and dine-in orders have no delivery step. Cancelled
+ * orders show a single closing banner instead.
+ * Times are on the store's clock (`storeLocale`).
+ */
+const OrderProgress = ({ order, storeLocale, t }) => {
+  const timestamps = statusTimestamps(order);
+
+  if (isTerminalStatus(order.status)) {
+    return (
+      <div className="flex items-center p-3 mb-3 rounded-lg bg-red-50 text-red-700 text-sm">
+        <Ban className="w-4 h-4 mr-2" />
+        <span>
+          {timestamps[order.status]
+            ? t('order.closedAt', { status: t(`status.${order.status}`), time: formatTime(timestamps[order.status], storeLocale) })
+            : t('order.closed', { status: t(`status.${order.status}`) })}
+        </span>
+      </div>
+    );
+  }
+
+  const steps = progressStepsFor(fulfilmentModeOf(order));
+  const currentIndex = steps.indexOf(order.status);
+
+  return (
+    <ol className="flex items-start justify-between mb-4" aria-label={t('order.progress')}>
+      {steps.map((step, index) => {
+        const isDone = index <= currentIndex;
+        return (
+          <li key={step} className="flex-1 flex flex-col items-center text-center">
+            <div className="flex items-center w-full">
+              <div className={`flex-1 h-1 ${index === 0 ? 'invisible' : isDone ? 'bg-lime-500' : 'bg-gray-200'}`}></div>
+              {isDone
+                ? <CheckCircle className="w-5 h-5 text-lime-500" />
+                : <span className="w-5 h-5 rounded-full border-2 border-gray-300"></span>}
+              <div className={`flex-1 h-1 ${index === steps.length - 1 ? 'invisible' : index < currentIndex ? 'bg-lime-500' : 'bg-gray-200'}`}></div>
+            </div>
+            <span className={`text-[10px] sm:text-xs mt-1 ${index === currentIndex ? 'font-semibold text-lime-700' : 'text-gray-500'}`}>{t(statusMessageId(order, step))}</span>
+            {timestamps[step] && <span className="text-[10px] text-gray-400">{formatTime(timestamps[step], storeLocale)}</span>}
+          </li>
+        );
+      })}
+    </ol>
+  );
+};
+
+export default OrderProgress;
@@ -0,0 +1,25 @@
+import React from 'react';
+import { formatMoney } from '../functions/shared/locale.js';
+
+/**
+ * Summary lines from computeOrderTotals (pricingRules.js) followed by the total.
+ * `totalLabel` differs between the cart ("Grand Total") and checkout ("Total Due").
+ * `storeLocale` is usually the pricing rules the totals were computed with.
+ * Lines are shown through `t` using their message id, else their English label.
+ */
+const PriceBreakdown = ({ totals, storeLocale, t, totalLabel, subtotalLabel, totalClassName = 'text-xl' }) => (
+  <dl className="space-y-2 text-gray-700">
+    {totals.breakdown.map(line => (
+      <div key={line.key} className={`flex justify-between ${line.amount < 0 ? 'text-lime-700' : ''}`}>
+        <dt>{line.key === 'subtotal' && subtotalLabel ? subtotalLabel : line.message ? t(line.message.id, line.message.params) : line.label}</dt>
+        <dd>{formatMoney(line.amount, storeLocale)}</dd>
+      </div>
+    ))}
+    <div className={`flex justify-between pt-4 border-t border-gray-200 mt-4 font-bold text-gray-900 ${totalClassName}`}>
+      <dt>{totalLabel}</dt>
+      <dd>{formatMoney(totals.grandTotal, storeLocale)}</dd>
+    </div>
+  </dl>
+);
+
+export default PriceBreakdown;
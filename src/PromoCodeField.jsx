@@ -0,0 +1,62 @@
+import React, { useState } from 'react';
+import { Tag, X } from 'lucide-react';
+
+/**
+ * Promo code entry for the cart and checkout summaries. `onApply(code)`
+ * resolves to an error message, or null once the code is applied. `problem`
+ * explains why an applied code currently gives no discount.
+ */
+const PromoCodeField = ({ appliedCode, problem, onApply, onRemove, t }) => {
+  const [code, setCode] = useState('');
+  const [error, setError] = useState(null);
+  const [isChecking, setIsChecking] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!code.trim()) return;
+    setIsChecking(true);
+    setError(null);
+    const message = await onApply(code);
+    setIsChecking(false);
+    if (message) {
+      setError(message);
+    } else {
+      setCode('');
+    }
+  };
+
+  if (appliedCode) {
+    return (
+      <div className="mt-4">
+        <div className="flex items-center justify-between p-2 bg-lime-50 border border-lime-200 rounded-lg text-sm">
+          <span className="flex items-center font-semibold text-lime-800"><Tag className="w-4 h-4 mr-2" /> {appliedCode}</span>
+          <button onClick={onRemove} title={t('promo.remove')} className="p-1 text-gray-500 hover:text-red-600">
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+        {problem && <p className="mt-1 text-xs text-red-600">{problem}</p>}
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="mt-4">
+      <div className="flex space-x-2">
+        <input
+          type="text"
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          placeholder={t('promo.placeholder')}
+          aria-label={t('promo.placeholder')}
+          className="flex-1 min-w-0 p-2 border border-gray-300 rounded-lg uppercase focus:ring-lime-500 focus:border-lime-500"
+        />
+        <button type="submit" disabled={isChecking} className="px-4 py-2 border border-lime-500 text-lime-700 rounded-lg font-semibold hover:bg-lime-50 disabled:opacity-50">
+          {isChecking ? '...' : t('promo.apply')}
+        </button>
+      </div>
+      {error && <p className="mt-1 text-xs text-red-600">{error}</p>}
+    </form>
+  );
+};
+
+export default PromoCodeField;
@@ -0,0 +1,51 @@
+import React from 'react';
+import { Clock, CheckCircle, AlertTriangle } from 'lucide-react';
+import { QUEUED_ORDER_STATUS } from './sync.js';
+import { displayOrderNumber } from './orders.js';
+import { rejectionMessage } from './repository.js';
+
+/**
+ * Banners for orders placed while offline (see sync.js): waiting to be sent,
+ * confirmed by placeQueuedOrder, or rejected with its reason (`rejection`, see
+ * rejectionMessage; queue entries from before it only have the English `reason`). `onRestore(entry)`
+ * puts a rejected order's items back in the cart; `onDismiss(entry)` removes it.
+ */
+const QueuedOrders = ({ entries, storeLocale, t, onRestore, onDismiss, onViewHistory }) => {
+  if (entries.length === 0) return null;
+
+  return (
+    <div className="max-w-4xl mx-auto px-4 pt-4 space-y-2">
+      {entries.map(entry => {
+        if (entry.status === QUEUED_ORDER_STATUS.PLACED) {
+          return (
+            <div key={entry.id} className="flex flex-wrap items-center justify-between gap-2 p-3 bg-lime-50 border border-lime-200 rounded-lg text-sm text-lime-800" role="status">
+              <span className="flex items-center"><CheckCircle className="w-4 h-4 mr-2" /> {t('queue.placed', { number: displayOrderNumber(entry.orderId) })}</span>
+              <span className="space-x-3">
+                <button onClick={() => { onViewHistory(); onDismiss(entry); }} className="font-semibold hover:underline">{t('queue.viewOrder')}</button>
+                <button onClick={() => onDismiss(entry)} className="text-gray-500 hover:underline">{t('queue.dismiss')}</button>
+              </span>
+            </div>
+          );
+        }
+        if (entry.status === QUEUED_ORDER_STATUS.REJECTED) {
+          return (
+            <div key={entry.id} className="flex flex-wrap items-center justify-between gap-2 p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700" role="alert">
+              <span className="flex items-center"><AlertTriangle className="w-4 h-4 mr-2 shrink-0" /> {t('queue.rejected', { reason: rejectionMessage(entry.rejection, t, storeLocale) || entry.reason })}</span>
+              <span className="space-x-3">
+                <button onClick={() => onRestore(entry)} className="font-semibold hover:underline">{t('queue.restore')}</button>
+                <button onClick={() => onDismiss(entry)} className="text-gray-500 hover:underline">{t('queue.dismiss')}</button>
+              </span>
+            </div>
+          );
+        }
+        return (
+          <div key={entry.id} className="flex items-center p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800" role="status">
+            <Clock className="w-4 h-4 mr-2" /> {entry.isPending ? t('queue.waiting') : t('queue.sending')}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default QueuedOrders;
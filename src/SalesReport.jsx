@@ -0,0 +1,80 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { BarChart3 } from 'lucide-react';
+import { summarizeSales } from './orders.js';
+import { businessDay } from '../functions/shared/orderNumbers.js';
+import { formatMoney } from '../functions/shared/locale.js';
+
+// businessDay's yyyymmdd to and from the yyyy-mm-dd of a date input.
+const toInputDate = (day) => `${day.slice(0, 4)}-${day.slice(4, 6)}-${day.slice(6, 8)}`;
+const fromInputDate = (value) => value.replace(/-/g, '');
+
+/**
+ * Takings for one business day. Cancelled orders are listed separately and
+ * never counted as sales (summarizeSales).
+ */
+const SalesReport = ({ repository, storeLocale }) => {
+  // Today in the store's time zone until the admin picks a day.
+  const [pickedDay, setDay] = useState(null);
+  const day = pickedDay ?? businessDay(new Date(), storeLocale.timeZone);
+  const [orders, setOrders] = useState(null); // null while loading
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!repository) return;
+    setOrders(null);
+
+    const unsubscribe = repository.watchSalesOrders(day, (dayOrders) => {
+      setOrders(dayOrders);
+      setError(null);
+    }, (e) => {
+      console.error("Error listening to sales orders:", e);
+      setError("Could not load the day's orders.");
+    });
+
+    return () => unsubscribe();
+  }, [repository, day]);
+
+  const summary = useMemo(() => orders && summarizeSales(orders, storeLocale.currency), [orders, storeLocale.currency]);
+
+  return (
+    <section className="mt-8 bg-white p-6 rounded-xl shadow-lg border border-gray-100">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-xl font-bold text-gray-800 flex items-center">
+          <BarChart3 className="w-5 h-5 mr-2 text-lime-600" />
+          Sales
+        </h3>
+        <input
+          type="date"
+          value={toInputDate(day)}
+          onChange={(e) => e.target.value && setDay(fromInputDate(e.target.value))}
+          className="p-2 border border-gray-300 rounded-lg focus:ring-lime-500 focus:border-lime-500"
+          aria-label="Business day"
+        />
+      </div>
+
+      {error && <p className="text-sm font-medium text-red-600">{error}</p>}
+      {!error && !summary && <p className="text-sm text-gray-500">Loading...</p>}
+      {!error && summary && (
+        <dl className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+          <div className="p-4 bg-lime-50 rounded-xl">
+            <dt className="text-sm text-gray-600">Sales</dt>
+            <dd className="text-2xl font-bold text-gray-900">{formatMoney(summary.sales, storeLocale)}</dd>
+          </div>
+          <div className="p-4 bg-gray-50 rounded-xl">
+            <dt className="text-sm text-gray-600">Orders</dt>
+            <dd className="text-2xl font-bold text-gray-900">{summary.orderCount}</dd>
+          </div>
+          <div className="p-4 bg-red-50 rounded-xl">
+            <dt className="text-sm text-gray-600">Cancelled (not counted)</dt>
+            <dd className="text-2xl font-bold text-gray-900">
+              {summary.cancelledCount}
+              <span className="ml-2 text-sm font-normal text-gray-500">{formatMoney(summary.cancelledAmount, storeLocale)}</span>
+            </dd>
+          </div>
+        </dl>
+      )}
+    </section>
+  );
+};
+
+export default SalesReport;
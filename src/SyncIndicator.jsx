@@ -0,0 +1,26 @@
+import React from 'react';
+import { Cloud, CloudOff, RefreshCw, AlertTriangle } from 'lucide-react';
+import { SYNC_STATUS } from './sync.js';
+
+const STATUS_STYLES = {
+  [SYNC_STATUS.SYNCED]: { Icon: Cloud, className: 'text-lime-600' },
+  [SYNC_STATUS.SYNCING]: { Icon: RefreshCw, className: 'text-gray-500', iconClassName: 'animate-spin' },
+  [SYNC_STATUS.OFFLINE]: { Icon: CloudOff, className: 'text-yellow-700' },
+  [SYNC_STATUS.ERROR]: { Icon: AlertTriangle, className: 'text-red-600' },
+};
+
+/**
+ * Small header badge showing whether the cart is saved, still syncing, kept
+ * offline on this device, or failed to save (`status` is a SYNC_STATUS value).
+ */
+const SyncIndicator = ({ status, t }) => {
+  const { Icon, className, iconClassName = '' } = STATUS_STYLES[status] || STATUS_STYLES[SYNC_STATUS.SYNCING];
+  return (
+    <span className={`flex items-center text-xs font-medium ${className}`} title={t(`sync.${status}Hint`)} role="status">
+      <Icon className={`w-4 h-4 sm:mr-1 ${iconClassName}`} />
+      <span className="hidden sm:inline">{t(`sync.${status}`)}</span>
+    </span>
+  );
+};
+
+export default SyncIndicator;
@@ -0,0 +1,199 @@
+import {
+  sendSignInLinkToEmail,
+  isSignInWithEmailLink,
+  EmailAuthProvider,
+  PhoneAuthProvider,
+  RecaptchaVerifier,
+  linkWithCredential,
+  signInWithCredential,
+} from 'firebase/auth';
+import { doc, collection, getDoc, getDocs, setDoc, writeBatch } from 'firebase/firestore';
+import { ORDER_HISTORY_COLLECTION } from './orders.js';
+import { mergeCartLines } from './cart.js';
+import { readLineItems, toStoredLineItems } from '../functions/shared/lineItems.js';
+import { addressesPath } from './addresses.js';
+import { loyaltySummaryPath } from '../functions/shared/loyalty.js';
+
+// --- Customer Accounts ---
+// Guests start as anonymous users. Signing in with an email link or phone OTP
+// first tries to link the credential to the anonymous user, which keeps the uid
+// and therefore all of its data. If the email/phone already belongs to another
+// account, we sign in to that account and move the guest's cart and orders over.
+// Their loyalty points follow the orders: the moveLoyaltyOnTransfer function
+// moves them once the first order copy arrives, since only functions write them.
+
+const EMAIL_STORAGE_KEY = 'juisip_email_for_sign_in';
+
+// Errors meaning the credential is already attached to a different account.
+const ACCOUNT_EXISTS_CODES = ['auth/credential-already-in-use', 'auth/email-already-in-use', 'auth/account-exists-with-different-credential'];
+
+const userPath = (appId, uid) => `artifacts/${appId}/users/${uid}`;
+
+// --- Email link ---
+
+export const sendEmailSignInLink = async (auth, email) => {
+  await sendSignInLinkToEmail(auth, email, {
+    url: window.location.href,
+    handleCodeInApp: true,
+  });
+  window.localStorage.setItem(EMAIL_STORAGE_KEY, email);
+};
+
+export const isEmailSignInLink = (auth, href) => isSignInWithEmailLink(auth, href);
+
+/**
+ * Builds the credential for an email link that opened the app. The email is
+ * normally remembered from sendEmailSignInLink; on another device we ask for it.
+ */
+export const emailLinkCredential = (href, t) => {
+  const email = window.localStorage.getItem(EMAIL_STORAGE_KEY)
+    || window.prompt(t('account.confirmEmail'));
+  if (!email) return null;
+  return EmailAuthProvider.credentialWithLink(email, href);
+};
+
+export const clearEmailSignInState = () => window.localStorage.removeItem(EMAIL_STORAGE_KEY);
+
+// --- Phone OTP ---
+
+// `containerId` is an element the invisible reCAPTCHA can attach to. It is
+// skipped entirely when the app runs against the Auth emulator.
+export const createRecaptchaVerifier = (auth, containerId) =>
+  new RecaptchaVerifier(auth, containerId, { size: 'invisible' });
+
+// Sends the OTP and returns the verification id needed to build the credential.
+export const sendPhoneCode = (auth, phoneNumber, verifier) =>
+  new PhoneAuthProvider(auth).verifyPhoneNumber(phoneNumber, verifier);
+
+export const phoneCredential = (verificationId, code) => PhoneAuthProvider.credential(verificationId, code);
+
+// --- Guest data transfer ---
+
+const readGuestData = async (db, appId, uid) => {
+  const cartSnap = await getDoc(doc(db, `${userPath(appId, uid)}/juisip_cart/current`));
+  const historySnap = await getDocs(collection(db, `${userPath(appId, uid)}/${ORDER_HISTORY_COLLECTION}`));
+  const addressesSnap = await getDocs(collection(db, addressesPath(appId, uid)));
+  const loyaltySnap = await getDoc(doc(db, loyaltySummaryPath(appId, uid)));
+  return {
+    cart: cartSnap.exists() ? readLineItems(cartSnap.data()) : [],
+    orders: historySnap.docs
+      .filter(docSnap => !docSnap.data().migratedTo)
+      .map(docSnap => ({ id: docSnap.id, data: docSnap.data() })),
+    addresses: addressesSnap.docs.map(docSnap => ({ id: docSnap.id, data: docSnap.data() })),
+    points: loyaltySnap.exists() ? loyaltySnap.data().balance || 0 : 0,
+  };
+};
+
+// Written by the guest before switching accounts. Security rules only accept
+// copies and hand-over marks that quote this token, which proves the signed-in
+// account really came from that guest session.
+const createTransferToken = async (db, appId, uid) => {
+  const token = crypto.randomUUID();
+  await setDoc(doc(db, `${userPath(appId, uid)}/account/transfer`), { token, createdAt: new Date().toISOString() });
+  return token;
+};
+
+// The security rules read each copied order's original twice, and a batch may
+// make at most 20 such reads, so orders move a few at a time.
+const ORDERS_PER_BATCH = 5;
+
+const moveGuestData = async (db, appId, fromUid, toUid, token, guestData) => {
+  // A copy is only accepted in the same batch as its original's hand-over mark.
+  for (let start = 0; start < guestData.orders.length; start += ORDERS_PER_BATCH) {
+    const ordersBatch = writeBatch(db);
+    guestData.orders.slice(start, start + ORDERS_PER_BATCH).forEach(({ id, data }) => {
+      ordersBatch.set(doc(db, `${userPath(appId, toUid)}/${ORDER_HISTORY_COLLECTION}/${id}`), {
+        ...data,
+        userId: toUid,
+        migratedFrom: fromUid,
+        transferToken: token,
+      });
+      // Marks the original so the kitchen display and later transfers skip it.
+      ordersBatch.update(doc(db, `${userPath(appId, fromUid)}/${ORDER_HISTORY_COLLECTION}/${id}`), {
+        migratedTo: toUid,
+        transferToken: token,
+      });
+    });
+    await ordersBatch.commit();
+  }
+
+  const batch = writeBatch(db);
+
+  // The account keeps its own default address.
+  guestData.addresses.forEach(({ id, data }) => {
+    batch.set(doc(db, addressesPath(appId, toUid), id), { ...data, isDefault: false });
+  });
+
+  if (guestData.cart.length > 0) {
+    const cartRef = doc(db, `${userPath(appId, toUid)}/juisip_cart/current`);
+    const existing = await getDoc(cartRef);
+    const accountCart = existing.exists() ? readLineItems(existing.data()) : [];
+    batch.set(cartRef, {
+      items: toStoredLineItems(mergeCartLines(accountCart, guestData.cart)),
+      updatedAt: new Date().toISOString(),
+    });
+  }
+
+  await batch.commit();
+};
+
+/**
+ * Signs the current (usually anonymous) user in with `credential`. Returns
+ * { linked: true } when the guest account was upgraded in place, or
+ * { linked: false, moved: { orders, cartLines, points } } when the guest's data was
+ * moved into an existing account. The points arrive shortly after, once
+ * moveLoyaltyOnTransfer has run; they only move along with at least one order.
+ *
+ * `credentialFromError` recovers a usable credential from the link failure
+ * for one-time credentials such as phone OTPs.
+ */
+export const signInAndKeepGuestData = async (auth, db, appId, credential, credentialFromError) => {
+  const guest = auth.currentUser;
+
+  if (!guest || !guest.isAnonymous) {
+    await signInWithCredential(auth, credential);
+    return { linked: false, moved: null };
+  }
+
+  try {
+    await linkWithCredential(guest, credential);
+    return { linked: true, moved: null };
+  } catch (e) {
+    if (!ACCOUNT_EXISTS_CODES.includes(e.code)) throw e;
+
+    // Snapshot everything while we can still read it as the guest.
+    const guestData = await readGuestData(db, appId, guest.uid);
+    const token = await createTransferToken(db, appId, guest.uid);
+    const retryCredential = (credentialFromError && credentialFromError(e)) || credential;
+
+    const { user } = await signInWithCredential(auth, retryCredential);
+    await moveGuestData(db, appId, guest.uid, user.uid, token, guestData);
+    const points = guestData.orders.length > 0 ? guestData.points : 0;
+    return { linked: false, moved: { orders: guestData.orders.length, cartLines: guestData.cart.length, points } };
+  }
+};
+
+export const phoneCredentialFromError = (e) => PhoneAuthProvider.credentialFromError(e);
+
+export const describeTransfer = (result, t) => {
+  if (!result.moved) return t('account.signedIn');
+  const { orders, cartLines, points } = result.moved;
+  return t(points > 0 ? 'account.movedWithPoints' : 'account.moved', { orders, cartLines, points });
+};
+
+// Plain snapshot of the fields the UI shows, so it can live in React state.
+// Linking keeps the same user object, so callers refresh it by hand afterwards.
+export const toAccountSummary = (user) => (user ? {
+  uid: user.uid,
+  isAnonymous: user.isAnonymous,
+  email: user.email,
+  phoneNumber: user.phoneNumber,
+  displayName: user.displayName,
+} : null);
+
+// Short label for the profile menu.
+export const describeUser = (user, t) => {
+  if (!user) return t('account.loading');
+  if (user.isAnonymous) return t('account.guest');
+  return user.displayName || user.email || user.phoneNumber || t('account.account');
+};
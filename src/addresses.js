@@ -0,0 +1,80 @@
+// --- Delivery Addresses ---
+// Each customer keeps an address book under
+// /artifacts/{appId}/users/{userId}/addresses. The chosen address is copied onto
+// the order when it is placed, so later edits never change past orders.
+// Keep the field rules in sync with functions/shared/delivery.js and firestore.rules.
+
+export const ADDRESS_FIELDS = ['label', 'name', 'phone', 'line1', 'line2', 'city', 'postalCode'];
+
+export const EMPTY_ADDRESS = { label: '', name: '', phone: '', line1: '', line2: '', city: '', postalCode: '' };
+
+// Indian mobile numbers, with or without the +91 prefix.
+const PHONE_PATTERN = /^(?:\+?91)?[6-9]\d{9}$/;
+const POSTAL_CODE_PATTERN = /^[1-9]\d{5}$/;
+const MAX_FIELD_LENGTH = 200;
+
+export const addressesPath = (appId, uid) => `artifacts/${appId}/users/${uid}/addresses`;
+
+export const normalizePhone = (phone) => String(phone || '').replace(/[\s()-]/g, '');
+
+// Trimmed copy with only the known fields, ready to validate or store.
+export const toAddress = (data = {}) => {
+  const address = {};
+  ADDRESS_FIELDS.forEach(field => {
+    address[field] = String(data[field] ?? '').trim();
+  });
+  address.phone = normalizePhone(address.phone);
+  return address;
+};
+
+/**
+ * Returns a map of field name to message for everything wrong with `address`;
+ * an empty object means the address can be used.
+ */
+export const validateAddress = (address) => {
+  const errors = {};
+  if (!address.name) errors.name = 'Enter the name of the person receiving the order.';
+  if (!PHONE_PATTERN.test(address.phone)) errors.phone = 'Enter a 10-digit mobile number, e.g. 98765 43210.';
+  if (!address.line1) errors.line1 = 'Enter the house number and street.';
+  if (!address.city) errors.city = 'Enter the city.';
+  if (!POSTAL_CODE_PATTERN.test(address.postalCode)) errors.postalCode = 'Enter a 6-digit PIN code.';
+  ADDRESS_FIELDS.forEach(field => {
+    if (!errors[field] && address[field].length > MAX_FIELD_LENGTH) errors[field] = 'This is too long.';
+  });
+  return errors;
+};
+
+export const isValidAddress = (address) => Object.keys(validateAddress(address)).length === 0;
+
+export const formatAddress = (address) =>
+  [address.line1, address.line2, address.city, address.postalCode].filter(Boolean).join(', ');
+
+// Default address first, then by label/name so the list does not jump around.
+export const sortAddresses = (addresses) => [...addresses].sort((a, b) =>
+  (b.isDefault === true) - (a.isDefault === true)
+  || (a.label || a.name).localeCompare(b.label || b.name)
+);
+
+// The address checkout starts with: the default one, else the first saved one.
+export const defaultAddressOf = (addresses) => addresses.find(address => address.isDefault) || addresses[0] || null;
+
+/**
+ * The document to store when creating (`id` null) or updating an address. The
+ * first address a customer saves becomes their default. Repositories write it
+ * (see saveAddress in repository.js).
+ */
+export const toStoredAddress = (address, id, addresses) => {
+  const existing = addresses.find(entry => entry.id === id);
+  return {
+    ...toAddress(address),
+    isDefault: existing ? existing.isDefault === true : addresses.length === 0,
+    updatedAt: new Date().toISOString(),
+  };
+};
+
+// The { id, isDefault } updates that make `id` the only default; written together
+// so there is never more than one default.
+export const defaultAddressChanges = (addresses, id) =>
+  addresses
+    .filter(address => (address.isDefault === true) !== (address.id === id))
+    .map(address => ({ id: address.id, isDefault: address.id === id }));
@@ -0,0 +1,65 @@
+import { buildCartLine, cartLineKey, defaultSelections, selectionsFromLine, validateSelections } from './modifiers.js';
+import { MAX_LINE_ITEMS, MAX_LINE_QUANTITY } from '../functions/shared/lineItems.js';
+
+// --- Cart Helpers ---
+// Cart lines are built by buildCartLine (menu item + chosen modifiers + quantity)
+// and stored as the cart document's `items` (see lineItems.js).
+
+export const cartPath = (appId, uid) => `artifacts/${appId}/users/${uid}/juisip_cart/current`;
+
+/**
+ * Rebuilds cart lines from a past order against the current menu. Lines are
+ * priced from the menu, not the order; anything no longer orderable is left
+ * out and reported, and price differences are reported alongside.
+ */
+export const buildReorderPlan = (orderItems, menuItems) => {
+  const menuById = new Map(menuItems.map(item => [item.id, item]));
+  const lines = [];
+  const unavailable = [];
+  const priceChanges = [];
+
+  orderItems.forEach(orderLine => {
+    const current = menuById.get(orderLine.id);
+    if (!current || current.archived || !current.available) {
+      unavailable.push(orderLine);
+      return;
+    }
+    // Options that were dropped or whose rules changed make the old configuration unorderable.
+    // Lines from before customisation existed get the item's defaults.
+    const selections = orderLine.modifiers ? selectionsFromLine(orderLine) : defaultSelections(current);
+    if (Object.keys(validateSelections(current, selections)).length > 0) {
+      unavailable.push(orderLine);
+      return;
+    }
+    const line = buildCartLine(current, selections, orderLine.quantity);
+    if (line.price !== orderLine.price) {
+      priceChanges.push({ id: line.lineId, itemId: current.id, name: current.name, oldPrice: orderLine.price, newPrice: line.price });
+    }
+    lines.push(line);
+  });
+
+  return { lines, unavailable, priceChanges };
+};
+
+// Adds `lines` into `cart`. Lines already in the cart take the incoming (current)
+// price and details, and their quantities are added together (up to
+// MAX_LINE_QUANTITY). New lines beyond MAX_LINE_ITEMS are left out.
+export const mergeCartLines = (cart, lines) => {
+  const merged = cart.map(line => ({ ...line }));
+  lines.forEach(line => {
+    const existing = merged.find(cartLine => cartLineKey(cartLine) === cartLineKey(line));
+    if (existing) {
+      Object.assign(existing, line, { quantity: Math.min(existing.quantity + line.quantity, MAX_LINE_QUANTITY) });
+    } else if (merged.length < MAX_LINE_ITEMS) {
+      merged.push({ ...line });
+    }
+  });
+  return merged;
+};
+
+// True when merging `lines` into `cart` would leave some of them out.
+export const exceedsCartLimit = (cart, lines) => {
+  const keys = new Set(cart.map(cartLineKey));
+  lines.forEach(line => keys.add(cartLineKey(line)));
+  return keys.size > MAX_LINE_ITEMS;
+};
@@ -0,0 +1,343 @@
+import {
+  doc,
+  collection,
+  collectionGroup,
+  query,
+  where,
+  orderBy,
+  limit,
+  onSnapshot,
+  getDoc,
+  setDoc,
+  addDoc,
+  updateDoc,
+  deleteDoc,
+  writeBatch,
+  runTransaction,
+  serverTimestamp,
+  Timestamp,
+} from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { OrderRejectedError } from './repository.js';
+import { cartPath } from './cart.js';
+import { readLineItems, hasLegacyLineItems, toStoredLineItems } from '../functions/shared/lineItems.js';
+import {
+  ORDER_STATUS,
+  ORDER_HISTORY_COLLECTION,
+  ACTIVE_KITCHEN_STATUSES,
+  orderHistoryPath,
+  kitchenQueuePath,
+  normalizeKitchenQueue,
+  buildStatusUpdate,
+  buildKitchenCancellation,
+  kitchenDueTime,
+} from './orders.js';
+import { addressesPath, sortAddresses, toStoredAddress, defaultAddressChanges } from './addresses.js';
+import { menuItemsPath, menuCategoriesPath, normalizeMenuItem, normalizeMenuCategory, bySortOrder } from './menu.js';
+import { DEFAULT_PRICING_RULES, normalizePricingRules, pricingRulesPath } from '../functions/shared/pricingRules.js';
+import { normalizePromotion, promoCodesPath, promoUsagePath } from '../functions/shared/promotions.js';
+import { loyaltySummaryPath, loyaltyLedgerPath, rewardsPath, normalizeReward } from '../functions/shared/loyalty.js';
+import { preferencesPath } from './i18n.js';
+import { orderQueuePath } from './sync.js';
+import { orderNumberPrefix } from '../functions/shared/orderNumbers.js';
+import { deliverySlotsPath } from '../functions/shared/schedule.js';
+
+// placeOrder's and cancelOrder's HttpsError codes for requests the customer has to change; `details.code` says why.
+const CUSTOMER_FACING_CODES = ['functions/failed-precondition', 'functions/unavailable', 'functions/unauthenticated', 'functions/not-found'];
+
+// Calls the function `name`, turning customer-facing rejections into OrderRejectedError.
+const callForCustomer = async (functions, name, data) => {
+  try {
+    const result = await httpsCallable(functions, name)(data);
+    return result.data;
+  } catch (e) {
+    if (CUSTOMER_FACING_CODES.includes(e.code)) {
+      throw new OrderRejectedError(e.message, e.details || {});
+    }
+    throw e;
+  }
+};
+
+const menuPath = (appId, kind) => (kind === 'categories' ? menuCategoriesPath(appId) : menuItemsPath(appId));
+
+// `statusUpdatedAt` is the server's time of the last status change
+// (firestore.rules checks it), stored as a timestamp, and so is the time of a
+// kitchen cancellation; orders from before that keep an ISO string. The app
+// always works with ISO strings.
+const isoTime = (value) => (value instanceof Timestamp ? value.toDate().toISOString() : value);
+
+const orderFromSnapshot = (docSnap) => {
+  const data = docSnap.data({ serverTimestamps: 'estimate' });
+  return {
+    id: docSnap.id,
+    ...data,
+    // Validated lines from `items` (or the legacy itemsJson)
+    items: readLineItems(data),
+    placedAt: data.placedAt || new Date().toISOString(),
+    statusUpdatedAt: isoTime(data.statusUpdatedAt),
+    ...(data.cancellation && { cancellation: { ...data.cancellation, at: isoTime(data.cancellation.at) } }),
+  };
+};
+
+// Applies `buildUpdate(storedOrder)` in a transaction, so the change is checked
+// against the order as stored, not a stale snapshot.
+const changeOrderStatus = (db, orderRef, buildUpdate) =>
+  runTransaction(db, async (transaction) => {
+    const snapshot = await transaction.get(orderRef);
+    if (!snapshot.exists()) {
+      throw new Error('Order no longer exists.');
+    }
+    const update = buildUpdate(snapshot.data());
+    transaction.update(orderRef, update);
+    return update;
+  });
+
+/**
+ * The repository (see repository.js) over Cloud Firestore `db` and the Cloud
+ * Functions client `functions`, for the store `appId`. Orders are placed by the
+ * placeOrder function; firestore.rules decides what else each user may touch.
+ */
+export const createFirestoreRepository = ({ db, functions, appId }) => ({
+  isLocal: false,
+
+  // --- Catalog ---
+  watchMenuItems: (onChange, onError) =>
+    onSnapshot(collection(db, menuItemsPath(appId)), (snapshot) => {
+      const items = snapshot.docs.map(docSnap => normalizeMenuItem(docSnap.id, docSnap.data()));
+      items.sort(bySortOrder);
+      onChange(items);
+    }, onError),
+
+  watchMenuCategories: (onChange, onError) =>
+    onSnapshot(collection(db, menuCategoriesPath(appId)), (snapshot) => {
+      onChange(snapshot.docs.map(docSnap => normalizeMenuCategory(docSnap.id, docSnap.data())));
+    }, onError),
+
+  watchPricingRules: (onChange, onError) =>
+    onSnapshot(doc(db, pricingRulesPath(appId)), (snapshot) => {
+      onChange(snapshot.exists() ? normalizePricingRules(snapshot.data()) : DEFAULT_PRICING_RULES);
+    }, onError),
+
+  watchRewards: (onChange, onError) =>
+    onSnapshot(collection(db, rewardsPath(appId)), (snapshot) => {
+      const active = snapshot.docs
+        .map(docSnap => normalizeReward(docSnap.id, docSnap.data()))
+        .filter(reward => reward.active);
+      active.sort((a, b) => a.sortOrder - b.sortOrder || a.pointsCost - b.pointsCost);
+      onChange(active);
+    }, onError),
+
+  watchKitchenQueue: (onChange, onError) =>
+    onSnapshot(doc(db, kitchenQueuePath(appId)), (snapshot) => {
+      onChange(normalizeKitchenQueue(snapshot.exists() ? snapshot.data() : undefined));
+    }, onError),
+
+  // Only booked slots have a document.
+  watchDeliverySlots: (from, onChange, onError) =>
+    onSnapshot(query(collection(db, deliverySlotsPath(appId)), where('start', '>=', from)), (snapshot) => {
+      onChange(Object.fromEntries(snapshot.docs.map(docSnap => [docSnap.id, docSnap.data().remaining])));
+    }, onError),
+
+  findPromotion: async (uid, code) => {
+    const promoSnap = await getDoc(doc(db, promoCodesPath(appId), code));
+    if (!promoSnap.exists()) return null;
+    const usageSnap = await getDoc(doc(db, promoUsagePath(appId, uid), code));
+    return {
+      promotion: normalizePromotion(code, promoSnap.data()),
+      usageCount: usageSnap.exists() ? usageSnap.data().count || 0 : 0,
+    };
+  },
+
+  // --- Cart ---
+  // Metadata changes too, so the sync indicator sees pending writes land.
+  watchCart: (uid, onChange, onError) => {
+    const cartRef = doc(db, cartPath(appId, uid));
+    return onSnapshot(cartRef, { includeMetadataChanges: true }, (docSnap) => {
+      const metadata = { hasPendingWrites: docSnap.metadata.hasPendingWrites, fromCache: docSnap.metadata.fromCache };
+      if (!docSnap.exists()) {
+        onChange([], metadata);
+        return;
+      }
+      const data = docSnap.data();
+      // Lines are validated on the way in (lineItems.js); bad ones are skipped, not the whole cart.
+      const lines = readLineItems(data);
+      onChange(lines, metadata);
+      // Carts saved before the typed schema are rewritten once in the new shape.
+      if (hasLegacyLineItems(data) && !docSnap.metadata.hasPendingWrites) {
+        setDoc(cartRef, { items: lines, updatedAt: new Date().toISOString() }).catch((e) => {
+          console.error("Failed to migrate cart to typed line items:", e);
+        });
+      }
+    }, onError);
+  },
+
+  // The write lands in the local cache at once; the promise settles when the server has it.
+  saveCart: (uid, lines) =>
+    setDoc(doc(db, cartPath(appId, uid)), { items: toStoredLineItems(lines), updatedAt: new Date().toISOString() }),
+
+  // --- Orders ---
+  watchOrderHistory: (uid, onChange, onError) =>
+    onSnapshot(collection(db, orderHistoryPath(appId, uid)), (snapshot) => {
+      const orders = snapshot.docs.map(orderFromSnapshot);
+      orders.sort((a, b) => new Date(b.placedAt).getTime() - new Date(a.placedAt).getTime());
+      onChange(orders);
+    }, onError),
+
+  watchOrder: (uid, id, onChange, onError) =>
+    onSnapshot(doc(db, orderHistoryPath(appId, uid), id), (docSnap) => {
+      onChange(docSnap.exists() ? orderFromSnapshot(docSnap) : null);
+    }, onError),
+
+  // The function checks the store's window and refunds follow from refundPaymentOnCancel.
+  cancelOrder: (uid, id, { reason, note }) =>
+    callForCustomer(functions, 'cancelOrder', { appId, orderDocId: id, reason, note }),
+
+  placeOrder: (uid, orderRequest) => callForCustomer(functions, 'placeOrder', { appId, ...orderRequest }),
+
+  // --- Addresses ---
+  watchAddresses: (uid, onChange, onError) =>
+    onSnapshot(collection(db, addressesPath(appId, uid)), (snapshot) => {
+      onChange(sortAddresses(snapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() }))));
+    }, onError),
+
+  saveAddress: async (uid, id, address, addresses) => {
+    const ref = id ? doc(db, addressesPath(appId, uid), id) : doc(collection(db, addressesPath(appId, uid)));
+    await setDoc(ref, toStoredAddress(address, id, addresses));
+    return ref.id;
+  },
+
+  deleteAddress: (uid, id) => deleteDoc(doc(db, addressesPath(appId, uid), id)),
+
+  setDefaultAddress: async (uid, id, addresses) => {
+    const batch = writeBatch(db);
+    defaultAddressChanges(addresses, id).forEach(change => {
+      batch.update(doc(db, addressesPath(appId, uid), change.id), { isDefault: change.isDefault });
+    });
+    await batch.commit();
+  },
+
+  // --- Loyalty ---
+  watchPointsBalance: (uid, onChange, onError) =>
+    onSnapshot(doc(db, loyaltySummaryPath(appId, uid)), (snapshot) => {
+      onChange(snapshot.exists() ? snapshot.data().balance || 0 : 0);
+    }, onError),
+
+  watchLedger: (uid, pageSize, onChange, onError) =>
+    onSnapshot(query(collection(db, loyaltyLedgerPath(appId, uid)), orderBy('createdAt', 'desc'), limit(pageSize)), (snapshot) => {
+      onChange(snapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() })));
+    }, onError),
+
+  // --- Preferences ---
+  watchPreferences: (uid, onChange, onError) =>
+    onSnapshot(doc(db, preferencesPath(appId, uid)), (snapshot) => {
+      onChange(snapshot.exists() ? snapshot.data() : null);
+    }, onError),
+
+  savePreferences: (uid, preferences) =>
+    setDoc(doc(db, preferencesPath(appId, uid)), { ...preferences, updatedAt: new Date().toISOString() }, { merge: true }),
+
+  // --- Offline order queue ---
+  watchOrderQueue: (uid, onChange, onError) =>
+    onSnapshot(collection(db, orderQueuePath(appId, uid)), { includeMetadataChanges: true }, (snapshot) => {
+      const entries = snapshot.docs.map(docSnap => ({
+        id: docSnap.id,
+        ...docSnap.data(),
+        isPending: docSnap.metadata.hasPendingWrites, // Not yet sent to the server
+      }));
+      entries.sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+      onChange(entries);
+    }, onError),
+
+  // Offline, the write only resolves once the server has it, so callers should not wait for `saved`.
+  queueOrder: (uid, entry) => {
+    const queueRef = doc(collection(db, orderQueuePath(appId, uid)));
+    return { id: queueRef.id, saved: setDoc(queueRef, entry) };
+  },
+
+  dismissQueuedOrder: (uid, id) => deleteDoc(doc(db, orderQueuePath(appId, uid), id)),
+
+  // --- Kitchen ---
+  watchKitchenOrders: (onChange, onError) => {
+    const openOrders = query(
+      collectionGroup(db, ORDER_HISTORY_COLLECTION),
+      where('appId', '==', appId),
+      where('status', 'in', ACTIVE_KITCHEN_STATUSES)
+    );
+    return onSnapshot(openOrders, (snapshot) => {
+      const orders = snapshot.docs
+        // Guest orders moved into a customer account live on as the account's copy.
+        .filter(docSnap => !docSnap.data().migratedTo)
+        .map(docSnap => ({ id: docSnap.id, ...docSnap.data(), items: readLineItems(docSnap.data()) }));
+      orders.sort((a, b) => new Date(kitchenDueTime(a)).getTime() - new Date(kitchenDueTime(b)).getTime());
+      onChange(orders);
+    }, onError);
+  },
+
+  watchKitchenCancellations: (since, onChange, onError) => {
+    const cancelled = query(
+      collectionGroup(db, ORDER_HISTORY_COLLECTION),
+      where('appId', '==', appId),
+      where('status', '==', ORDER_STATUS.CANCELLED),
+      where('statusUpdatedAt', '>=', Timestamp.fromDate(new Date(since)))
+    );
+    return onSnapshot(cancelled, (snapshot) => {
+      const orders = snapshot.docs
+        .map(orderFromSnapshot)
+        .filter(order => order.cancellation?.by === 'customer' && !order.migratedTo);
+      orders.sort((a, b) => b.statusUpdatedAt.localeCompare(a.statusUpdatedAt));
+      onChange(orders);
+    }, onError);
+  },
+
+  // Order numbers start with the business day, so a range on them picks out the day.
+  watchSalesOrders: (day, onChange, onError) => {
+    const prefix = orderNumberPrefix(day);
+    const dayOrders = query(
+      collectionGroup(db, ORDER_HISTORY_COLLECTION),
+      where('appId', '==', appId),
+      where('orderId', '>=', prefix),
+      where('orderId', '<', `${prefix}\uf8ff`)
+    );
+    return onSnapshot(dayOrders, (snapshot) => onChange(snapshot.docs.map(orderFromSnapshot)), onError);
+  },
+
+  updateOrderStatus: (order, to, by, extra = {}) =>
+    changeOrderStatus(db, doc(db, orderHistoryPath(appId, order.userId), order.id), stored => ({
+      ...buildStatusUpdate(stored, to, by, extra),
+      statusUpdatedAt: serverTimestamp(),
+    })),
+
+  cancelOrderInKitchen: (order, by, { reason, note }) =>
+    changeOrderStatus(db, doc(db, orderHistoryPath(appId, order.userId), order.id), stored => {
+      const update = buildKitchenCancellation(stored, by, { reason, note });
+      return {
+        ...update,
+        statusUpdatedAt: serverTimestamp(),
+        cancellation: { ...update.cancellation, at: serverTimestamp() },
+      };
+    }),
+
+  // --- Menu console ---
+  seedMenu: async (categories, items) => {
+    const batch = writeBatch(db);
+    categories.forEach(({ id, ...data }) => {
+      batch.set(doc(db, menuCategoriesPath(appId), id), { ...data, archived: false });
+    });
+    items.forEach(({ id, ...data }) => {
+      batch.set(doc(db, menuItemsPath(appId), id), { ...data, archived: false, updatedAt: new Date().toISOString() });
+    });
+    await batch.commit();
+  },
+
+  addMenuEntry: async (kind, data) => (await addDoc(collection(db, menuPath(appId, kind)), data)).id,
+
+  updateMenuEntry: (kind, id, fields) => updateDoc(doc(db, menuPath(appId, kind), id), fields),
+
+  reorderMenu: async (kind, ids) => {
+    const batch = writeBatch(db);
+    ids.forEach((id, position) => {
+      batch.update(doc(db, menuPath(appId, kind), id), { sortOrder: position + 1 });
+    });
+    await batch.commit();
+  },
+});
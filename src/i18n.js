@@ -0,0 +1,104 @@
+// --- Internationalisation ---
+// UI strings come from the message catalogs in src/i18n/ (one per language,
+// English is the reference). Messages may use {placeholders}, and plural
+// messages are objects keyed by Intl.PluralRules category ({ one, other }).
+// The customer's language is kept on this device and, once signed in, in
+// /artifacts/{appId}/users/{userId}/account/preferences so it follows them.
+// Menu items and categories carry their own translations (see localizedField).
+
+import en from './i18n/en.js';
+import hi from './i18n/hi.js';
+import mr from './i18n/mr.js';
+
+export const LANGUAGES = [
+  { id: 'en', name: 'English', locale: 'en-IN' },
+  { id: 'hi', name: 'हिन्दी', locale: 'hi-IN' },
+  { id: 'mr', name: 'मराठी', locale: 'mr-IN' },
+];
+
+export const DEFAULT_LANGUAGE = 'en';
+
+const CATALOGS = { en, hi, mr };
+
+const LANGUAGE_STORAGE_KEY = 'juisip.language';
+
+export const preferencesPath = (appId, uid) => `artifacts/${appId}/users/${uid}/account/preferences`;
+
+export const isSupportedLanguage = (language) => Object.hasOwn(CATALOGS, language ?? '');
+
+// The Intl locale prices, dates and numbers are formatted in for `language`.
+export const languageLocale = (language) =>
+  (LANGUAGES.find(entry => entry.id === language) || LANGUAGES[0]).locale;
+
+// The language remembered on this device, else the browser's first supported one.
+export const initialLanguage = () => {
+  try {
+    const stored = localStorage.getItem(LANGUAGE_STORAGE_KEY);
+    if (isSupportedLanguage(stored)) return stored;
+  } catch {
+    // Storage can be blocked (private mode); fall through to the browser's languages.
+  }
+  const preferred = (typeof navigator !== 'undefined' ? navigator.languages || [] : [])
+    .map(tag => tag.split('-')[0])
+    .find(isSupportedLanguage);
+  return preferred || DEFAULT_LANGUAGE;
+};
+
+export const rememberLanguage = (language) => {
+  try {
+    localStorage.setItem(LANGUAGE_STORAGE_KEY, language);
+  } catch {
+    // Not fatal: the choice still applies for this visit and is saved to the account.
+  }
+};
+
+/**
+ * Returns t(key, params) for `language`. Missing keys fall back to English and
+ * then to the key itself. Numbers in params are formatted for the language, and
+ * `params.count` picks the plural form.
+ */
+export const createTranslator = (language) => {
+  const catalog = CATALOGS[language] || CATALOGS[DEFAULT_LANGUAGE];
+  const locale = languageLocale(language);
+  const pluralRules = new Intl.PluralRules(locale);
+  const numberFormat = new Intl.NumberFormat(locale);
+
+  const t = (key, params = {}) => {
+    let message = catalog[key] ?? CATALOGS[DEFAULT_LANGUAGE][key] ?? key;
+    if (typeof message === 'object') {
+      const count = Number(params.count) || 0;
+      message = message[pluralRules.select(count)] ?? message.other;
+    }
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+      if (!(name in params)) return placeholder;
+      const value = params[name];
+      return typeof value === 'number' ? numberFormat.format(value) : String(value);
+    });
+  };
+  t.language = language;
+  return t;
+};
+
+// Menu entries may carry `translations: { hi: { name, description }, ... }`;
+// anything not translated shows in the catalog's own language.
+export const localizedField = (entry, field, language) =>
+  entry?.translations?.[language]?.[field] || entry?.[field] || '';
+
+// Cart and order lines keep the English name they were added with; show the
+// menu item's translation when it still exists.
+export const localizedLineName = (line, menuItems, language) =>
+  menuItems.find(item => item.id === line.id)?.translations?.[language]?.name || line.name;
+
+// Keeps only { [language]: { name, description } } with string values.
+export const normalizeTranslations = (translations) => {
+  const result = {};
+  Object.entries(translations && typeof translations === 'object' ? translations : {}).forEach(([language, fields]) => {
+    if (!isSupportedLanguage(language) || !fields || typeof fields !== 'object') return;
+    const kept = {};
+    ['name', 'description'].forEach(field => {
+      if (typeof fields[field] === 'string' && fields[field].trim()) kept[field] = fields[field].trim();
+    });
+    if (Object.keys(kept).length > 0) result[language] = kept;
+  });
+  return result;
+};
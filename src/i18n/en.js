@@ -0,0 +1,357 @@
+// English messages, the reference catalog. Every key used in the UI must be
+// here; other languages fall back to these for anything they do not translate.
+export default {
+  // Header and navigation
+  'header.tagline': 'Cloud Kitchen',
+  'header.myAccount': 'My Account',
+  'header.signIn': 'Sign In',
+  'header.orderHistory': 'Order History',
+  'header.signOut': 'Sign Out',
+  'header.language': 'Language',
+  'header.openKitchen': 'Open kitchen display',
+  'header.manageMenu': 'Manage menu',
+  'header.viewHistory': 'View order history',
+  'header.viewCart': 'View shopping cart',
+  'header.points': { one: '{count} pt', other: '{count} pts' },
+  'header.pointsLabel': { one: '{count} loyalty point', other: '{count} loyalty points' },
+  'header.pointsTitle': 'Your JuiSip points',
+  'nav.menu': 'Menu',
+  'nav.cart': 'Cart',
+  'nav.history': 'History',
+
+  // App states
+  'app.connecting': 'Connecting to JuiSip services...',
+  'app.localData': 'Running on local data in this browser. Signing in needs a Firebase project.',
+
+  // Not found (routes.js)
+  'notFound.title': 'Page not found',
+  'notFound.body': 'There is nothing at this address. The link may be mistyped or out of date.',
+  'notFound.category': 'This menu category does not exist or is no longer on the menu.',
+  'notFound.order': 'We could not find this order in your order history.',
+  'notFound.backToMenu': 'Back to the Menu',
+
+  // Menu
+  'menu.title': 'Fresh Menu Today',
+  'menu.offline': "Showing our standard menu. Live prices and availability will load when you're back online.",
+  'menu.allCategories': 'All',
+  'menu.add': 'Add',
+  'menu.customize': 'Customize',
+  'menu.soldOut': 'Sold out',
+  'menu.addToCart': 'Add {name} to cart',
+
+  // Item customisation
+  'customize.close': 'Close customisation',
+  'customize.required': 'Required',
+  'customize.optional': 'Optional',
+  'customize.upTo': 'up to {count}',
+  'customize.addToCart': 'Add to Cart · {price}',
+
+  // Cart
+  'cart.title': { one: 'Your Cart ({count} item)', other: 'Your Cart ({count} items)' },
+  'cart.empty': 'Your sip list is empty.',
+  'cart.emptyHint': 'Time to add some refreshing juices or bowls!',
+  'cart.backToMenu': 'Back to Menu',
+  'cart.each': '{price} each',
+  'cart.decrease': 'Decrease quantity',
+  'cart.increase': 'Increase quantity',
+  'cart.remove': 'Remove item from cart',
+  'cart.clear': 'Clear All Items',
+  'cart.summary': 'Order Summary',
+  'cart.subtotal': { one: 'Subtotal ({count} item)', other: 'Subtotal ({count} items)' },
+  'cart.grandTotal': 'Grand Total',
+  'cart.deliveryEstimate': 'Delivery fee is an estimate until you choose an address.',
+  'cart.checkout': 'Proceed to Checkout',
+  'cart.continue': 'Continue Shopping',
+  'cart.lineLimit': 'Your cart can hold up to {count} different items.',
+
+  // Price breakdown (computeOrderTotals in pricingRules.js)
+  'price.subtotal': 'Subtotal',
+  'price.tax': '{label} ({rate})',
+  'price.delivery': 'Delivery Fee',
+  'price.deliveryZone': 'Delivery Fee ({zone})',
+  'price.deliveryFreeOver': 'Delivery Fee (free over {amount})',
+  'price.smallOrder': 'Small Order Fee (under {amount})',
+  'price.takeawayFee': 'Packaging Fee',
+  'price.dineInFee': 'Service Charge',
+  'price.discount': 'Discount ({code})',
+  'price.freeDelivery': 'Free delivery ({code})',
+  'price.reward': { one: 'Reward: {name} ({count} pt)', other: 'Reward: {name} ({count} pts)' },
+
+  // Promo codes (promotions.js)
+  'promo.placeholder': 'Promo code',
+  'promo.apply': 'Apply',
+  'promo.remove': 'Remove code',
+  'promo.invalid': 'This code is not valid.',
+  'promo.notActive': 'This code is not active yet.',
+  'promo.expired': 'This code has expired.',
+  'promo.used': 'You have already used this code.',
+  'promo.minSubtotal': 'Add {amount} more to use this code.',
+  'promo.categories': 'This code only applies to {categories}.',
+  'promo.bogo': 'Add a second eligible item to use this code.',
+  'promo.checkFailed': "We couldn't check this code. Please try again.",
+
+  // Loyalty (loyalty.js)
+  'loyalty.title': 'JuiSip Points',
+  'loyalty.earnRule': 'Earn a point for every {amount} you spend, credited once your order is delivered.',
+  'loyalty.rewards': 'Rewards',
+  'loyalty.history': 'History',
+  'loyalty.noHistory': 'No points yet. Your first delivered order starts the count.',
+  'loyalty.earned': 'Earned',
+  'loyalty.redeemed': 'Redeemed {name}',
+  'loyalty.aReward': 'a reward',
+  'loyalty.returned': 'Given back for a cancelled order',
+  'loyalty.order': 'Order {number}',
+  'loyalty.points': { one: '{count} pt', other: '{count} pts' },
+  'loyalty.usePoints': 'Use points',
+  'loyalty.available': { one: '({count} available)', other: '({count} available)' },
+  'loyalty.noReward': 'No reward',
+  'loyalty.rewardOption': { one: '{name} ({count} pt)', other: '{name} ({count} pts)' },
+  'loyalty.rewardUnavailable': 'This reward is no longer available.',
+  'loyalty.needMorePoints': { one: 'You need {count} more point for this reward.', other: 'You need {count} more points for this reward.' },
+
+  // Checkout
+  'checkout.title': 'Final Checkout',
+  'checkout.delivery': 'Delivery Information',
+  'checkout.manageAddresses': 'Manage addresses',
+  'checkout.deliveryAddress': 'Delivery address',
+  'checkout.default': 'Default',
+  'checkout.newAddress': 'Deliver to a new address',
+  'checkout.saveAddress': 'Save this address for next time',
+  'checkout.fulfilment': 'How would you like your order?',
+  'checkout.pickupDetails': 'Pickup Details',
+  'checkout.pickupHint': "Collect your order from the counter. We'll call this number if we need you.",
+  'checkout.dineInDetails': 'Your Table',
+  'checkout.tableNumber': 'Table number',
+  'checkout.dineInClosed': "We're closed right now, so we can't take dine-in orders.",
+  'checkout.eta': 'Estimated Delivery: 30 - 45 minutes',
+  'checkout.deliveryTime': 'Delivery Time',
+  'checkout.asap': 'As soon as possible',
+  'checkout.closedNow': "We're closed right now. Choose a time below.",
+  'checkout.scheduleLater': 'Schedule for later',
+  'checkout.chooseSlot': 'Delivery slot',
+  'checkout.slotFull': '{time} (fully booked)',
+  'checkout.noSlots': 'No delivery times are available in the next few days.',
+  'checkout.pickupTime': 'Pickup Time',
+  'checkout.pickupEta': 'Usually ready in 15 - 20 minutes',
+  'checkout.items': 'Your Items',
+  'checkout.paymentMethod': 'Payment Method',
+  'checkout.nothingToPay': 'Your discounts cover the whole order, so there is nothing to pay.',
+  'checkout.backToCart': 'Back to Cart',
+  'checkout.finalCost': 'Final Cost',
+  'checkout.totalDue': 'Total Due',
+  'checkout.checkAddress': 'Please check the delivery details.',
+  'checkout.checkPickup': 'Please enter the name for the order and a 10-digit mobile number.',
+  'checkout.checkTable': 'Please enter the number on your table.',
+  'checkout.notDeliverable': 'Sorry, we do not deliver to this PIN code yet.',
+  'checkout.refreshPrices': 'Update my cart to current prices',
+  'checkout.placing': 'Processing Order...',
+  'checkout.place': 'Place Order Now',
+  'checkout.placingHint': 'Confirming payment and placing your order...',
+  'checkout.confirmed': 'Order Confirmed!',
+  'checkout.placed': 'Your order {number} has been placed.',
+  'checkout.scheduledFor': 'It will be delivered {time}.',
+  'checkout.scheduledPickup': 'It will be ready to collect {time}.',
+  'checkout.servedAt': "We'll bring it to table {number}.",
+  'checkout.thanks': 'Thank you for sipping with JuiSip. You will receive a notification when your items are ready for delivery.',
+  'checkout.newOrder': 'Start New Order',
+  'checkout.viewHistory': 'View History',
+  'checkout.failed': "We couldn't place your order. Please check your connection and try again.",
+  'checkout.queued': 'Order Queued',
+  'checkout.queuedHint': "You're offline. We'll place your order as soon as you're back online and confirm it here.",
+  'checkout.offlinePayment': "Online payments need a connection. Choose Cash on Delivery or try again once you're back online.",
+
+  // Fulfilment modes (fulfilment.js)
+  'fulfilment.delivery': 'Delivery',
+  'fulfilment.delivery.description': 'To your door',
+  'fulfilment.takeaway': 'Takeaway',
+  'fulfilment.takeaway.description': 'Collect from the counter',
+  'fulfilment.dineIn': 'Dine-in',
+  'fulfilment.dineIn.description': 'Served at your table',
+  'fulfilment.table': 'Table {number}',
+
+  // Offline sync (sync.js)
+  'sync.synced': 'Saved',
+  'sync.syncing': 'Syncing',
+  'sync.offline': 'Offline',
+  'sync.error': 'Not saved',
+  'sync.syncedHint': 'Your cart is saved.',
+  'sync.syncingHint': 'Saving your cart...',
+  'sync.offlineHint': "You're offline. Your cart is kept on this device and syncs when you reconnect.",
+  'sync.errorHint': "Your last cart change couldn't be saved.",
+  'queue.waiting': "Your order will be placed when you're back online.",
+  'queue.sending': 'Placing your queued order...',
+  'queue.placed': 'Your queued order {number} is confirmed.',
+  'queue.rejected': "We couldn't place your queued order: {reason}",
+  'queue.restore': 'Put items back in cart',
+  'queue.viewOrder': 'View order',
+  'queue.dismiss': 'Dismiss',
+
+  // Payment methods and statuses (payments.js)
+  'payment.cod': 'Cash on Delivery',
+  'payment.cod.description': 'Pay the rider in cash or UPI when your order arrives.',
+  'payment.upi': 'UPI',
+  'payment.upi.description': 'Approve the payment in your UPI app.',
+  'payment.card': 'Credit / Debit Card',
+  'payment.card.description': 'Visa, Mastercard, RuPay.',
+  'payment.none': 'Nothing to pay',
+  'payment.status.authorized': 'Payment authorized',
+  'payment.status.captured': 'Paid',
+  'payment.status.refunded': 'Refunded',
+  'payment.status.failed': 'Payment failed',
+  'payment.status.codDue': 'Cash due on delivery',
+  'payment.status.released': 'Nothing was charged',
+
+  // Address form and book (addresses.js)
+  'address.name': 'Full name',
+  'address.phone': 'Mobile number',
+  'address.line1': 'House no., building, street',
+  'address.line2': 'Area, landmark (optional)',
+  'address.city': 'City',
+  'address.postalCode': 'PIN code',
+  'address.label': 'Save as (e.g. Home, Work)',
+  'addressBook.title': 'Delivery Addresses',
+  'addressBook.add': 'Add',
+  'addressBook.empty': 'No saved addresses yet. Add one here or at checkout.',
+  'addressBook.default': 'Default',
+  'addressBook.makeDefault': 'Make default',
+  'addressBook.edit': 'Edit',
+  'addressBook.delete': 'Delete',
+  'addressBook.save': 'Save Address',
+  'addressBook.saving': 'Saving...',
+  'addressBook.cancel': 'Cancel',
+  'addressBook.saveFailed': 'Saving the address failed. Please try again.',
+  'addressBook.defaultFailed': 'Changing the default address failed. Please try again.',
+  'addressBook.deleteFailed': 'Deleting the address failed. Please try again.',
+
+  // Order history
+  'history.title': 'Your Order History',
+  'history.empty': 'No past orders found.',
+  'history.emptyHint': 'Start your first order today!',
+  'history.browseMenu': 'Browse Menu',
+  'history.userId': 'User ID: {id}',
+  'history.order': 'Order {number}',
+  'history.placedOn': 'Placed on: {date}',
+  'history.scheduledFor': 'Scheduled for: {time}',
+  'history.dineIn': 'Dine-in · Table {number}',
+  'history.quantityPrice': '{quantity} x {price}',
+  'history.unavailable': 'No longer available: {names}',
+  'history.priceChanged': '{name}: price changed from {oldPrice} to {newPrice}',
+  'history.nothingToReorder': 'None of the items in this order can be ordered right now.',
+  'history.addToCart': 'Add to Current Cart',
+  'history.replaceCart': 'Replace Cart',
+  'history.addAll': 'Add to Cart',
+  'history.cancel': 'Cancel',
+  'history.reorder': 'Reorder',
+  'history.allOrders': '← All orders',
+
+  // Order detail page (OrderDetailScreen.jsx)
+  'orderDetail.readyBy': 'Estimated ready by {time}',
+  'orderDetail.deliveredBy': 'Estimated delivery by {time}',
+  'orderDetail.ordersAhead': { one: '{count} order ahead of yours', other: '{count} orders ahead of yours' },
+  'orderDetail.timeline': 'Status updates',
+  'orderDetail.deliverTo': 'Delivering to',
+  'orderDetail.pickup': 'Pickup for',
+  'orderDetail.payment': 'Payment',
+  'orderDetail.total': 'Total',
+  'orderDetail.cancel': 'Cancel Order',
+  'orderDetail.cancelConfirm': 'Cancel this order? This cannot be undone.',
+  'orderDetail.confirmCancel': 'Yes, cancel it',
+  'orderDetail.keepOrder': 'Keep my order',
+  'orderDetail.cancelling': 'Cancelling...',
+  'orderDetail.cancelFailed': "We couldn't cancel your order. Please check your connection and try again.",
+  'orderDetail.cancelClosed': 'The kitchen is already working on this order, so it can no longer be cancelled.',
+  'orderDetail.cancelReason': 'Why are you cancelling?',
+  'orderDetail.cancelNote': 'Anything else we should know? (optional)',
+  'orderDetail.cancelNoteRequired': 'Please tell us the reason',
+  'orderDetail.cancelledBecause': 'You cancelled this order: {reason}',
+
+  // Cancellation reasons (orders.js CANCELLATION_REASONS)
+  'cancelReason.changed_mind': 'I changed my mind',
+  'cancelReason.ordered_by_mistake': 'I ordered by mistake',
+  'cancelReason.taking_too_long': 'It is taking too long',
+  'cancelReason.wrong_details': 'Wrong address or items',
+  'cancelReason.other': 'Something else',
+
+  // Order progress (orders.js statuses)
+  'order.progress': 'Order progress',
+  'order.closed': 'Order {status}',
+  'order.closedAt': 'Order {status} at {time}',
+  'status.Placed': 'Placed',
+  'status.Accepted': 'Accepted',
+  'status.Preparing': 'Preparing',
+  'status.Ready': 'Ready',
+  'status.Out for delivery': 'Out for delivery',
+  'status.Delivered': 'Delivered',
+  'status.Cancelled': 'Cancelled',
+  'status.takeaway.Ready': 'Ready for pickup',
+  'status.takeaway.Delivered': 'Picked up',
+  'status.dineIn.Ready': 'Ready to serve',
+  'status.dineIn.Delivered': 'Served',
+
+  // Account (account.js, AccountScreen.jsx)
+  'account.loading': 'Loading...',
+  'account.guest': 'Guest',
+  'account.account': 'Account',
+  'account.signIn': 'Sign In',
+  'account.signInHint': 'Keep your cart and order history safe across devices. Anything you ordered as a guest comes with you.',
+  'account.emailLink': 'Email link',
+  'account.phone': 'Phone',
+  'account.sending': 'Sending...',
+  'account.sendLink': 'Email Me a Sign-in Link',
+  'account.sendCode': 'Send Code',
+  'account.verifying': 'Verifying...',
+  'account.verifyCode': 'Verify Code',
+  'account.differentNumber': 'Use a different number',
+  'account.signOut': 'Sign Out',
+  'account.linkSent': 'We sent a sign-in link to {email}. Open it on this device to finish.',
+  'account.codeSent': 'Enter the 6-digit code sent to {phone}.',
+  'account.confirmEmail': 'Please confirm the email address you used to sign in',
+  'account.signedIn': 'You are signed in.',
+  'account.moved': 'Welcome back! We moved {orders} past order(s) and {cartLines} cart item(s) from this device into your account.',
+  'account.movedWithPoints': 'Welcome back! We moved {orders} past order(s), {cartLines} cart item(s) and {points} point(s) from this device into your account.',
+  'account.linkExpired': 'That sign-in link is invalid or has expired. Please request a new one.',
+  'account.signOutFailed': 'Could not sign out. Please try again.',
+  'account.error.invalidEmail': 'That email address does not look right.',
+  'account.error.invalidPhone': 'Enter your phone number with country code, e.g. +91 98765 43210.',
+  'account.error.wrongCode': 'That code is not correct. Please try again.',
+  'account.error.codeExpired': 'That code has expired. Please request a new one.',
+  'account.error.tooManyAttempts': 'Too many attempts. Please wait a moment and try again.',
+  'account.error.failed': 'Sign-in failed. Please try again.',
+
+  // Why an order or cancellation was turned down (orderErrors.js)
+  'orderError.cartEmpty': 'Your cart is empty.',
+  'orderError.tooManyLines': 'Orders can have up to {count} different items.',
+  'orderError.itemUnavailable': '{itemName} is no longer available.',
+  'orderError.quantityInvalid': 'Please check the quantity of {itemName}.',
+  'orderError.optionsToReview': 'Please review the {groupName} choice for {itemName}.',
+  'orderError.optionUnavailable': 'An option for {itemName} is no longer offered.',
+  'orderError.priceChanged': 'Prices have changed since you opened your cart. Your new total is {total}. Please review your order.',
+  'orderError.menuUpdating': 'The menu is being updated. Please try again in a few minutes.',
+  'orderError.signInToOrder': 'Please sign in again to place your order.',
+  'orderError.promoInvalid': 'This code is not valid.',
+  'orderError.promoUsed': 'You have already used this code.',
+  'orderError.rewardUnavailable': 'This reward is no longer available.',
+  'orderError.notEnoughPoints': 'You no longer have enough points for this reward.',
+  'orderError.fulfilmentUnavailable': 'This way of getting your order is not available right now. Please choose another.',
+  'orderError.contactInvalid': 'Please enter the name for the order and a 10-digit mobile number.',
+  'orderError.tableInvalid': 'Please enter the number on your table.',
+  'orderError.dineInScheduled': 'Dine-in orders are made right away and cannot be scheduled.',
+  'orderError.addressInvalid': 'Please check your delivery address and phone number.',
+  'orderError.notDeliverable': 'Sorry, we do not deliver to this PIN code yet.',
+  'orderError.storeClosed': "We're closed right now. Please choose a delivery time.",
+  'orderError.slotUnavailable': 'This delivery time is no longer available. Please choose another.',
+  'orderError.slotFull': 'This delivery time is fully booked. Please choose another.',
+  'orderError.paymentMethodMissing': 'Please choose a payment method.',
+  'orderError.paymentUsed': 'This payment has already been used for another order.',
+  'orderError.paymentNotCompleted': 'Your payment was not completed.',
+  'orderError.paymentNotConfirmed': 'Your payment could not be confirmed. You have not been charged.',
+  'orderError.paymentDeclined': 'Your payment was declined. You have not been charged.',
+  'orderError.paymentFailed': 'We could not process your payment. You have not been charged.',
+  'orderError.paymentsUnavailable': 'Online payments are not available right now. Please try Cash on Delivery.',
+  'orderError.paymentCancelled': 'Payment was cancelled. You have not been charged.',
+  'orderError.offlineCashOnly': 'Only cash on delivery orders can be placed offline.',
+  'orderError.signInToCancel': 'Please sign in again to cancel your order.',
+  'orderError.orderNotFound': 'We could not find this order.',
+  'orderError.cancelReasonMissing': 'Please tell us why you are cancelling.',
+  'orderError.notCancellable': 'This order is already being prepared and can no longer be cancelled.',
+};
@@ -0,0 +1,355 @@
+// Hindi messages. Keys missing here fall back to English (en.js).
+export default {
+  // Header and navigation
+  'header.tagline': 'क्लाउड किचन',
+  'header.myAccount': 'मेरा खाता',
+  'header.signIn': 'साइन इन करें',
+  'header.orderHistory': 'ऑर्डर इतिहास',
+  'header.signOut': 'साइन आउट करें',
+  'header.language': 'भाषा',
+  'header.openKitchen': 'किचन डिस्प्ले खोलें',
+  'header.manageMenu': 'मेन्यू प्रबंधित करें',
+  'header.viewHistory': 'ऑर्डर इतिहास देखें',
+  'header.viewCart': 'शॉपिंग कार्ट देखें',
+  'header.points': { one: '{count} पॉइंट', other: '{count} पॉइंट' },
+  'header.pointsLabel': { one: '{count} लॉयल्टी पॉइंट', other: '{count} लॉयल्टी पॉइंट' },
+  'header.pointsTitle': 'आपके JuiSip पॉइंट',
+  'nav.menu': 'मेन्यू',
+  'nav.cart': 'कार्ट',
+  'nav.history': 'इतिहास',
+
+  // App states
+  'app.connecting': 'JuiSip से कनेक्ट हो रहा है...',
+  'app.localData': 'इस ब्राउज़र के लोकल डेटा पर चल रहा है। साइन इन के लिए Firebase प्रोजेक्ट चाहिए।',
+
+  // Not found (routes.js)
+  'notFound.title': 'पेज नहीं मिला',
+  'notFound.body': 'इस पते पर कुछ नहीं है। लिंक गलत लिखा हो सकता है या पुराना हो सकता है।',
+  'notFound.category': 'मेन्यू की यह श्रेणी मौजूद नहीं है या अब मेन्यू में नहीं है।',
+  'notFound.order': 'यह ऑर्डर आपके ऑर्डर इतिहास में नहीं मिला।',
+  'notFound.backToMenu': 'मेन्यू पर वापस जाएँ',
+
+  // Menu
+  'menu.title': 'आज का ताज़ा मेन्यू',
+  'menu.offline': 'हमारा सामान्य मेन्यू दिखाया जा रहा है। ऑनलाइन होते ही ताज़ा दाम और उपलब्धता दिखेगी।',
+  'menu.allCategories': 'सभी',
+  'menu.add': 'जोड़ें',
+  'menu.customize': 'अपने हिसाब से बनाएँ',
+  'menu.soldOut': 'खत्म हो गया',
+  'menu.addToCart': '{name} कार्ट में जोड़ें',
+
+  // Item customisation
+  'customize.close': 'विकल्प बंद करें',
+  'customize.required': 'ज़रूरी',
+  'customize.optional': 'वैकल्पिक',
+  'customize.upTo': 'अधिकतम {count}',
+  'customize.addToCart': 'कार्ट में जोड़ें · {price}',
+
+  // Cart
+  'cart.title': { one: 'आपका कार्ट ({count} आइटम)', other: 'आपका कार्ट ({count} आइटम)' },
+  'cart.empty': 'आपकी सिप लिस्ट खाली है।',
+  'cart.emptyHint': 'कुछ ताज़ा जूस या बाउल जोड़िए!',
+  'cart.backToMenu': 'मेन्यू पर वापस जाएँ',
+  'cart.each': '{price} प्रति नग',
+  'cart.decrease': 'मात्रा घटाएँ',
+  'cart.increase': 'मात्रा बढ़ाएँ',
+  'cart.remove': 'कार्ट से हटाएँ',
+  'cart.clear': 'सभी आइटम हटाएँ',
+  'cart.summary': 'ऑर्डर सारांश',
+  'cart.subtotal': { one: 'उप-योग ({count} आइटम)', other: 'उप-योग ({count} आइटम)' },
+  'cart.grandTotal': 'कुल योग',
+  'cart.deliveryEstimate': 'पता चुनने तक डिलीवरी शुल्क अनुमानित है।',
+  'cart.checkout': 'चेकआउट करें',
+  'cart.continue': 'खरीदारी जारी रखें',
+  'cart.lineLimit': 'आपके कार्ट में अधिकतम {count} अलग-अलग आइटम आ सकते हैं।',
+
+  // Price breakdown
+  'price.subtotal': 'उप-योग',
+  'price.delivery': 'डिलीवरी शुल्क',
+  'price.deliveryZone': 'डिलीवरी शुल्क ({zone})',
+  'price.deliveryFreeOver': 'डिलीवरी शुल्क ({amount} से ऊपर मुफ़्त)',
+  'price.smallOrder': 'छोटे ऑर्डर का शुल्क ({amount} से कम)',
+  'price.takeawayFee': 'पैकेजिंग शुल्क',
+  'price.dineInFee': 'सर्विस चार्ज',
+  'price.discount': 'छूट ({code})',
+  'price.freeDelivery': 'मुफ़्त डिलीवरी ({code})',
+  'price.reward': { one: 'इनाम: {name} ({count} पॉइंट)', other: 'इनाम: {name} ({count} पॉइंट)' },
+
+  // Promo codes
+  'promo.placeholder': 'प्रोमो कोड',
+  'promo.apply': 'लागू करें',
+  'promo.remove': 'कोड हटाएँ',
+  'promo.invalid': 'यह कोड मान्य नहीं है।',
+  'promo.notActive': 'यह कोड अभी शुरू नहीं हुआ है।',
+  'promo.expired': 'इस कोड की अवधि समाप्त हो गई है।',
+  'promo.used': 'आप यह कोड पहले ही इस्तेमाल कर चुके हैं।',
+  'promo.minSubtotal': 'यह कोड इस्तेमाल करने के लिए {amount} का और सामान जोड़ें।',
+  'promo.categories': 'यह कोड केवल {categories} पर लागू है।',
+  'promo.bogo': 'यह कोड इस्तेमाल करने के लिए एक और योग्य आइटम जोड़ें।',
+  'promo.checkFailed': 'हम यह कोड जाँच नहीं सके। कृपया फिर से कोशिश करें।',
+
+  // Loyalty
+  'loyalty.title': 'JuiSip पॉइंट',
+  'loyalty.earnRule': 'हर {amount} खर्च पर एक पॉइंट पाएँ, जो ऑर्डर डिलीवर होने पर जुड़ता है।',
+  'loyalty.rewards': 'इनाम',
+  'loyalty.history': 'इतिहास',
+  'loyalty.noHistory': 'अभी कोई पॉइंट नहीं। पहला डिलीवर हुआ ऑर्डर गिनती शुरू करेगा।',
+  'loyalty.earned': 'मिले',
+  'loyalty.redeemed': '{name} भुनाया',
+  'loyalty.aReward': 'एक इनाम',
+  'loyalty.returned': 'रद्द ऑर्डर के लिए वापस मिले',
+  'loyalty.order': 'ऑर्डर {number}',
+  'loyalty.points': { one: '{count} पॉइंट', other: '{count} पॉइंट' },
+  'loyalty.usePoints': 'पॉइंट इस्तेमाल करें',
+  'loyalty.available': { one: '({count} उपलब्ध)', other: '({count} उपलब्ध)' },
+  'loyalty.noReward': 'कोई इनाम नहीं',
+  'loyalty.rewardOption': { one: '{name} ({count} पॉइंट)', other: '{name} ({count} पॉइंट)' },
+  'loyalty.rewardUnavailable': 'यह इनाम अब उपलब्ध नहीं है।',
+  'loyalty.needMorePoints': { one: 'इस इनाम के लिए आपको {count} और पॉइंट चाहिए।', other: 'इस इनाम के लिए आपको {count} और पॉइंट चाहिए।' },
+
+  // Checkout
+  'checkout.title': 'चेकआउट',
+  'checkout.delivery': 'डिलीवरी की जानकारी',
+  'checkout.manageAddresses': 'पते प्रबंधित करें',
+  'checkout.deliveryAddress': 'डिलीवरी का पता',
+  'checkout.default': 'डिफ़ॉल्ट',
+  'checkout.newAddress': 'नए पते पर डिलीवर करें',
+  'checkout.saveAddress': 'यह पता अगली बार के लिए सहेजें',
+  'checkout.fulfilment': 'आप अपना ऑर्डर कैसे लेना चाहेंगे?',
+  'checkout.pickupDetails': 'पिकअप की जानकारी',
+  'checkout.pickupHint': 'अपना ऑर्डर काउंटर से लें। ज़रूरत होने पर हम इस नंबर पर कॉल करेंगे।',
+  'checkout.dineInDetails': 'आपकी टेबल',
+  'checkout.tableNumber': 'टेबल नंबर',
+  'checkout.dineInClosed': 'अभी हम बंद हैं, इसलिए डाइन-इन ऑर्डर नहीं ले सकते।',
+  'checkout.eta': 'अनुमानित डिलीवरी: 30 - 45 मिनट',
+  'checkout.deliveryTime': 'डिलीवरी का समय',
+  'checkout.asap': 'जितनी जल्दी हो सके',
+  'checkout.closedNow': 'अभी हम बंद हैं। नीचे से समय चुनें।',
+  'checkout.scheduleLater': 'बाद के लिए शेड्यूल करें',
+  'checkout.chooseSlot': 'डिलीवरी स्लॉट',
+  'checkout.slotFull': '{time} (पूरी तरह बुक)',
+  'checkout.noSlots': 'अगले कुछ दिनों में डिलीवरी का कोई समय उपलब्ध नहीं है।',
+  'checkout.pickupTime': 'पिकअप का समय',
+  'checkout.pickupEta': 'आमतौर पर 15 - 20 मिनट में तैयार',
+  'checkout.items': 'आपके आइटम',
+  'checkout.paymentMethod': 'भुगतान का तरीका',
+  'checkout.nothingToPay': 'आपकी छूट पूरे ऑर्डर को कवर करती है, इसलिए कुछ भी भुगतान नहीं करना है।',
+  'checkout.backToCart': 'कार्ट पर वापस जाएँ',
+  'checkout.finalCost': 'कुल लागत',
+  'checkout.totalDue': 'देय राशि',
+  'checkout.checkAddress': 'कृपया डिलीवरी की जानकारी जाँचें।',
+  'checkout.checkPickup': 'कृपया ऑर्डर के लिए नाम और 10 अंकों का मोबाइल नंबर दर्ज करें।',
+  'checkout.checkTable': 'कृपया अपनी टेबल का नंबर दर्ज करें।',
+  'checkout.notDeliverable': 'माफ़ कीजिए, हम अभी इस पिन कोड पर डिलीवरी नहीं करते।',
+  'checkout.refreshPrices': 'मेरा कार्ट मौजूदा दामों पर अपडेट करें',
+  'checkout.placing': 'ऑर्डर हो रहा है...',
+  'checkout.place': 'अभी ऑर्डर करें',
+  'checkout.placingHint': 'भुगतान की पुष्टि करके आपका ऑर्डर दिया जा रहा है...',
+  'checkout.confirmed': 'ऑर्डर कन्फ़र्म हो गया!',
+  'checkout.placed': 'आपका ऑर्डर {number} दे दिया गया है।',
+  'checkout.scheduledFor': 'इसकी डिलीवरी {time} होगी।',
+  'checkout.scheduledPickup': 'यह {time} लेने के लिए तैयार होगा।',
+  'checkout.servedAt': 'हम इसे टेबल {number} पर लाएँगे।',
+  'checkout.thanks': 'JuiSip चुनने के लिए धन्यवाद। आपके आइटम डिलीवरी के लिए तैयार होते ही आपको सूचना मिलेगी।',
+  'checkout.newOrder': 'नया ऑर्डर शुरू करें',
+  'checkout.viewHistory': 'इतिहास देखें',
+  'checkout.failed': 'हम आपका ऑर्डर नहीं दे सके। कृपया अपना कनेक्शन जाँचकर फिर से कोशिश करें।',
+  'checkout.queued': 'ऑर्डर कतार में है',
+  'checkout.queuedHint': 'आप ऑफ़लाइन हैं। ऑनलाइन होते ही हम आपका ऑर्डर दे देंगे और यहीं पुष्टि करेंगे।',
+  'checkout.offlinePayment': 'ऑनलाइन भुगतान के लिए कनेक्शन चाहिए। कैश ऑन डिलीवरी चुनें या ऑनलाइन होने पर फिर से कोशिश करें।',
+
+  // Fulfilment modes (fulfilment.js)
+  'fulfilment.delivery': 'डिलीवरी',
+  'fulfilment.delivery.description': 'आपके दरवाज़े तक',
+  'fulfilment.takeaway': 'टेकअवे',
+  'fulfilment.takeaway.description': 'काउंटर से लें',
+  'fulfilment.dineIn': 'डाइन-इन',
+  'fulfilment.dineIn.description': 'आपकी टेबल पर परोसा जाएगा',
+  'fulfilment.table': 'टेबल {number}',
+
+  // Offline sync (sync.js)
+  'sync.synced': 'सेव हो गया',
+  'sync.syncing': 'सिंक हो रहा है',
+  'sync.offline': 'ऑफ़लाइन',
+  'sync.error': 'सेव नहीं हुआ',
+  'sync.syncedHint': 'आपका कार्ट सेव है।',
+  'sync.syncingHint': 'आपका कार्ट सेव हो रहा है...',
+  'sync.offlineHint': 'आप ऑफ़लाइन हैं। आपका कार्ट इस डिवाइस पर रखा है और दोबारा जुड़ने पर सिंक होगा।',
+  'sync.errorHint': 'कार्ट का पिछला बदलाव सेव नहीं हो सका।',
+  'queue.waiting': 'ऑनलाइन होते ही आपका ऑर्डर दे दिया जाएगा।',
+  'queue.sending': 'कतार वाला ऑर्डर दिया जा रहा है...',
+  'queue.placed': 'आपका कतार वाला ऑर्डर {number} पक्का हो गया है।',
+  'queue.rejected': 'हम आपका कतार वाला ऑर्डर नहीं दे सके: {reason}',
+  'queue.restore': 'आइटम वापस कार्ट में डालें',
+  'queue.viewOrder': 'ऑर्डर देखें',
+  'queue.dismiss': 'हटाएँ',
+
+  // Payment methods and statuses
+  'payment.cod': 'कैश ऑन डिलीवरी',
+  'payment.cod.description': 'ऑर्डर आने पर राइडर को नकद या UPI से भुगतान करें।',
+  'payment.upi': 'UPI',
+  'payment.upi.description': 'अपने UPI ऐप में भुगतान स्वीकृत करें।',
+  'payment.card': 'क्रेडिट / डेबिट कार्ड',
+  'payment.card.description': 'Visa, Mastercard, RuPay.',
+  'payment.none': 'कोई भुगतान नहीं',
+  'payment.status.authorized': 'भुगतान स्वीकृत',
+  'payment.status.captured': 'भुगतान हो गया',
+  'payment.status.refunded': 'रिफ़ंड हो गया',
+  'payment.status.failed': 'भुगतान विफल',
+  'payment.status.codDue': 'डिलीवरी पर नकद देना है',
+  'payment.status.released': 'कोई शुल्क नहीं लिया गया',
+
+  // Address form and book
+  'address.name': 'पूरा नाम',
+  'address.phone': 'मोबाइल नंबर',
+  'address.line1': 'मकान नं., इमारत, गली',
+  'address.line2': 'इलाका, लैंडमार्क (वैकल्पिक)',
+  'address.city': 'शहर',
+  'address.postalCode': 'पिन कोड',
+  'address.label': 'इस नाम से सहेजें (जैसे घर, ऑफ़िस)',
+  'addressBook.title': 'डिलीवरी के पते',
+  'addressBook.add': 'जोड़ें',
+  'addressBook.empty': 'अभी कोई पता सहेजा नहीं गया है। यहाँ या चेकआउट पर जोड़ें।',
+  'addressBook.default': 'डिफ़ॉल्ट',
+  'addressBook.makeDefault': 'डिफ़ॉल्ट बनाएँ',
+  'addressBook.edit': 'बदलें',
+  'addressBook.delete': 'हटाएँ',
+  'addressBook.save': 'पता सहेजें',
+  'addressBook.saving': 'सहेजा जा रहा है...',
+  'addressBook.cancel': 'रद्द करें',
+  'addressBook.saveFailed': 'पता सहेजा नहीं जा सका। कृपया फिर से कोशिश करें।',
+  'addressBook.defaultFailed': 'डिफ़ॉल्ट पता बदला नहीं जा सका। कृपया फिर से कोशिश करें।',
+  'addressBook.deleteFailed': 'पता हटाया नहीं जा सका। कृपया फिर से कोशिश करें।',
+
+  // Order history
+  'history.title': 'आपके ऑर्डर',
+  'history.empty': 'कोई पुराना ऑर्डर नहीं मिला।',
+  'history.emptyHint': 'आज ही अपना पहला ऑर्डर दें!',
+  'history.browseMenu': 'मेन्यू देखें',
+  'history.userId': 'यूज़र ID: {id}',
+  'history.order': 'ऑर्डर {number}',
+  'history.placedOn': 'ऑर्डर का समय: {date}',
+  'history.scheduledFor': 'डिलीवरी का समय: {time}',
+  'history.dineIn': 'डाइन-इन · टेबल {number}',
+  'history.quantityPrice': '{quantity} x {price}',
+  'history.unavailable': 'अब उपलब्ध नहीं: {names}',
+  'history.priceChanged': '{name}: दाम {oldPrice} से बदलकर {newPrice} हो गया',
+  'history.nothingToReorder': 'इस ऑर्डर का कोई भी आइटम अभी ऑर्डर नहीं किया जा सकता।',
+  'history.addToCart': 'मौजूदा कार्ट में जोड़ें',
+  'history.replaceCart': 'कार्ट बदलें',
+  'history.addAll': 'कार्ट में जोड़ें',
+  'history.cancel': 'रद्द करें',
+  'history.reorder': 'फिर से ऑर्डर करें',
+  'history.allOrders': '← सभी ऑर्डर',
+
+  // Order detail page
+  'orderDetail.readyBy': 'अनुमानित तैयार होने का समय {time}',
+  'orderDetail.deliveredBy': 'अनुमानित डिलीवरी {time} तक',
+  'orderDetail.ordersAhead': { one: 'आपसे पहले {count} ऑर्डर है', other: 'आपसे पहले {count} ऑर्डर हैं' },
+  'orderDetail.timeline': 'स्टेटस अपडेट',
+  'orderDetail.deliverTo': 'डिलीवरी का पता',
+  'orderDetail.pickup': 'पिकअप के लिए',
+  'orderDetail.payment': 'भुगतान',
+  'orderDetail.total': 'कुल',
+  'orderDetail.cancel': 'ऑर्डर रद्द करें',
+  'orderDetail.cancelConfirm': 'क्या यह ऑर्डर रद्द करना है? इसे वापस नहीं लिया जा सकता।',
+  'orderDetail.confirmCancel': 'हाँ, रद्द करें',
+  'orderDetail.keepOrder': 'ऑर्डर रखें',
+  'orderDetail.cancelling': 'रद्द हो रहा है...',
+  'orderDetail.cancelFailed': 'आपका ऑर्डर रद्द नहीं हो सका। कृपया अपना कनेक्शन जाँचें और फिर से कोशिश करें।',
+  'orderDetail.cancelClosed': 'किचन इस ऑर्डर पर काम शुरू कर चुका है, इसलिए अब इसे रद्द नहीं किया जा सकता।',
+  'orderDetail.cancelReason': 'आप ऑर्डर क्यों रद्द कर रहे हैं?',
+  'orderDetail.cancelNote': 'कुछ और बताना चाहेंगे? (वैकल्पिक)',
+  'orderDetail.cancelNoteRequired': 'कृपया कारण बताएँ',
+  'orderDetail.cancelledBecause': 'आपने यह ऑर्डर रद्द किया: {reason}',
+
+  // Cancellation reasons
+  'cancelReason.changed_mind': 'मेरा मन बदल गया',
+  'cancelReason.ordered_by_mistake': 'गलती से ऑर्डर हो गया',
+  'cancelReason.taking_too_long': 'बहुत देर हो रही है',
+  'cancelReason.wrong_details': 'गलत पता या आइटम',
+  'cancelReason.other': 'कुछ और',
+
+  // Order progress
+  'order.progress': 'ऑर्डर की प्रगति',
+  'order.closed': 'ऑर्डर {status}',
+  'order.closedAt': 'ऑर्डर {status}, {time} पर',
+  'status.Placed': 'दिया गया',
+  'status.Accepted': 'स्वीकार हुआ',
+  'status.Preparing': 'बन रहा है',
+  'status.Ready': 'तैयार',
+  'status.Out for delivery': 'डिलीवरी के लिए निकला',
+  'status.Delivered': 'डिलीवर हो गया',
+  'status.Cancelled': 'रद्द',
+  'status.takeaway.Ready': 'पिकअप के लिए तैयार',
+  'status.takeaway.Delivered': 'ले लिया गया',
+  'status.dineIn.Ready': 'परोसने के लिए तैयार',
+  'status.dineIn.Delivered': 'परोसा गया',
+
+  // Account (account.js, AccountScreen.jsx)
+  'account.loading': 'लोड हो रहा है...',
+  'account.guest': 'मेहमान',
+  'account.account': 'खाता',
+  'account.signIn': 'साइन इन करें',
+  'account.signInHint': 'अपना कार्ट और ऑर्डर इतिहास हर डिवाइस पर सुरक्षित रखें। मेहमान के रूप में किए गए ऑर्डर भी आपके साथ आते हैं।',
+  'account.emailLink': 'ईमेल लिंक',
+  'account.phone': 'फ़ोन',
+  'account.sending': 'भेजा जा रहा है...',
+  'account.sendLink': 'मुझे साइन-इन लिंक ईमेल करें',
+  'account.sendCode': 'कोड भेजें',
+  'account.verifying': 'जाँच हो रही है...',
+  'account.verifyCode': 'कोड सत्यापित करें',
+  'account.differentNumber': 'दूसरा नंबर इस्तेमाल करें',
+  'account.signOut': 'साइन आउट करें',
+  'account.linkSent': 'हमने {email} पर साइन-इन लिंक भेजा है। पूरा करने के लिए इसे इसी डिवाइस पर खोलें।',
+  'account.codeSent': '{phone} पर भेजा गया 6 अंकों का कोड डालें।',
+  'account.confirmEmail': 'कृपया वह ईमेल पता पुष्टि करें जिससे आपने साइन इन किया था',
+  'account.signedIn': 'आप साइन इन हो गए हैं।',
+  'account.moved': 'फिर से स्वागत है! हमने इस डिवाइस से {orders} पिछले ऑर्डर और {cartLines} कार्ट आइटम आपके खाते में ले लिए हैं।',
+  'account.movedWithPoints': 'फिर से स्वागत है! हमने इस डिवाइस से {orders} पिछले ऑर्डर, {cartLines} कार्ट आइटम और {points} पॉइंट आपके खाते में ले लिए हैं।',
+  'account.linkExpired': 'यह साइन-इन लिंक अमान्य है या इसकी समय-सीमा समाप्त हो गई है। कृपया नया लिंक मँगाएँ।',
+  'account.signOutFailed': 'साइन आउट नहीं हो सका। कृपया फिर से कोशिश करें।',
+  'account.error.invalidEmail': 'यह ईमेल पता सही नहीं लगता।',
+  'account.error.invalidPhone': 'देश कोड के साथ अपना फ़ोन नंबर डालें, जैसे +91 98765 43210।',
+  'account.error.wrongCode': 'यह कोड सही नहीं है। कृपया फिर से कोशिश करें।',
+  'account.error.codeExpired': 'इस कोड की समय-सीमा समाप्त हो गई है। कृपया नया कोड मँगाएँ।',
+  'account.error.tooManyAttempts': 'बहुत अधिक प्रयास। कृपया थोड़ी देर रुककर फिर से कोशिश करें।',
+  'account.error.failed': 'साइन इन नहीं हो सका। कृपया फिर से कोशिश करें।',
+
+  // Why an order or cancellation was turned down (orderErrors.js)
+  'orderError.cartEmpty': 'आपका कार्ट खाली है।',
+  'orderError.tooManyLines': 'एक ऑर्डर में अधिकतम {count} अलग-अलग आइटम हो सकते हैं।',
+  'orderError.itemUnavailable': '{itemName} अब उपलब्ध नहीं है।',
+  'orderError.quantityInvalid': 'कृपया {itemName} की मात्रा जाँचें।',
+  'orderError.optionsToReview': 'कृपया {itemName} के लिए {groupName} का चुनाव दोबारा देखें।',
+  'orderError.optionUnavailable': '{itemName} का एक विकल्प अब उपलब्ध नहीं है।',
+  'orderError.priceChanged': 'आपके कार्ट खोलने के बाद कीमतें बदल गई हैं। आपका नया कुल {total} है। कृपया अपना ऑर्डर दोबारा देखें।',
+  'orderError.menuUpdating': 'मेन्यू अपडेट हो रहा है। कृपया कुछ मिनट बाद फिर से कोशिश करें।',
+  'orderError.signInToOrder': 'ऑर्डर करने के लिए कृपया फिर से साइन इन करें।',
+  'orderError.promoInvalid': 'यह कोड मान्य नहीं है।',
+  'orderError.promoUsed': 'आप यह कोड पहले ही इस्तेमाल कर चुके हैं।',
+  'orderError.rewardUnavailable': 'यह रिवॉर्ड अब उपलब्ध नहीं है।',
+  'orderError.notEnoughPoints': 'इस रिवॉर्ड के लिए अब आपके पास पर्याप्त पॉइंट नहीं हैं।',
+  'orderError.fulfilmentUnavailable': 'ऑर्डर पाने का यह तरीका अभी उपलब्ध नहीं है। कृपया कोई और चुनें।',
+  'orderError.contactInvalid': 'कृपया ऑर्डर के लिए नाम और 10 अंकों का मोबाइल नंबर डालें।',
+  'orderError.tableInvalid': 'कृपया अपनी टेबल का नंबर डालें।',
+  'orderError.dineInScheduled': 'डाइन-इन ऑर्डर तुरंत बनाए जाते हैं और शेड्यूल नहीं किए जा सकते।',
+  'orderError.addressInvalid': 'कृपया अपना डिलीवरी पता और फ़ोन नंबर जाँचें।',
+  'orderError.notDeliverable': 'क्षमा करें, हम अभी इस पिन कोड पर डिलीवरी नहीं करते।',
+  'orderError.storeClosed': 'हम अभी बंद हैं। कृपया डिलीवरी का समय चुनें।',
+  'orderError.slotUnavailable': 'यह डिलीवरी समय अब उपलब्ध नहीं है। कृपया कोई और चुनें।',
+  'orderError.slotFull': 'यह डिलीवरी समय पूरी तरह बुक है। कृपया कोई और चुनें।',
+  'orderError.paymentMethodMissing': 'कृपया भुगतान का तरीका चुनें।',
+  'orderError.paymentUsed': 'यह भुगतान पहले ही किसी दूसरे ऑर्डर के लिए इस्तेमाल हो चुका है।',
+  'orderError.paymentNotCompleted': 'आपका भुगतान पूरा नहीं हुआ।',
+  'orderError.paymentNotConfirmed': 'आपके भुगतान की पुष्टि नहीं हो सकी। आपसे कोई शुल्क नहीं लिया गया है।',
+  'orderError.paymentDeclined': 'आपका भुगतान अस्वीकार हो गया। आपसे कोई शुल्क नहीं लिया गया है।',
+  'orderError.paymentFailed': 'हम आपका भुगतान पूरा नहीं कर सके। आपसे कोई शुल्क नहीं लिया गया है।',
+  'orderError.paymentsUnavailable': 'ऑनलाइन भुगतान अभी उपलब्ध नहीं है। कृपया कैश ऑन डिलीवरी आज़माएँ।',
+  'orderError.paymentCancelled': 'भुगतान रद्द कर दिया गया। आपसे कोई शुल्क नहीं लिया गया है।',
+  'orderError.offlineCashOnly': 'ऑफ़लाइन केवल कैश ऑन डिलीवरी वाले ऑर्डर ही दिए जा सकते हैं।',
+  'orderError.signInToCancel': 'ऑर्डर रद्द करने के लिए कृपया फिर से साइन इन करें।',
+  'orderError.orderNotFound': 'हमें यह ऑर्डर नहीं मिला।',
+  'orderError.cancelReasonMissing': 'कृपया बताएँ कि आप ऑर्डर क्यों रद्द कर रहे हैं।',
+  'orderError.notCancellable': 'यह ऑर्डर पहले ही बनना शुरू हो गया है और अब रद्द नहीं किया जा सकता।',
+};
@@ -0,0 +1,355 @@
+// Marathi messages. Keys missing here fall back to English (en.js).
+export default {
+  // Header and navigation
+  'header.tagline': 'क्लाउड किचन',
+  'header.myAccount': 'माझे खाते',
+  'header.signIn': 'साइन इन करा',
+  'header.orderHistory': 'ऑर्डर इतिहास',
+  'header.signOut': 'साइन आउट करा',
+  'header.language': 'भाषा',
+  'header.openKitchen': 'किचन डिस्प्ले उघडा',
+  'header.manageMenu': 'मेन्यू व्यवस्थापित करा',
+  'header.viewHistory': 'ऑर्डर इतिहास पहा',
+  'header.viewCart': 'शॉपिंग कार्ट पहा',
+  'header.points': { one: '{count} पॉइंट', other: '{count} पॉइंट्स' },
+  'header.pointsLabel': { one: '{count} लॉयल्टी पॉइंट', other: '{count} लॉयल्टी पॉइंट्स' },
+  'header.pointsTitle': 'तुमचे JuiSip पॉइंट्स',
+  'nav.menu': 'मेन्यू',
+  'nav.cart': 'कार्ट',
+  'nav.history': 'इतिहास',
+
+  // App states
+  'app.connecting': 'JuiSip शी जोडत आहोत...',
+  'app.localData': 'या ब्राउझरमधील लोकल डेटावर चालू आहे. साइन इनसाठी Firebase प्रोजेक्ट आवश्यक आहे.',
+
+  // Not found (routes.js)
+  'notFound.title': 'पेज सापडले नाही',
+  'notFound.body': 'या पत्त्यावर काहीही नाही. लिंक चुकीची टाइप केलेली किंवा जुनी असू शकते.',
+  'notFound.category': 'मेन्यूमधील ही श्रेणी अस्तित्वात नाही किंवा आता मेन्यूमध्ये नाही.',
+  'notFound.order': 'हा ऑर्डर तुमच्या ऑर्डर इतिहासात सापडला नाही.',
+  'notFound.backToMenu': 'मेन्यूवर परत जा',
+
+  // Menu
+  'menu.title': 'आजचा ताजा मेन्यू',
+  'menu.offline': 'आमचा नेहमीचा मेन्यू दाखवत आहोत. ऑनलाइन आल्यावर ताज्या किमती आणि उपलब्धता दिसेल.',
+  'menu.allCategories': 'सर्व',
+  'menu.add': 'जोडा',
+  'menu.customize': 'आवडीनुसार बनवा',
+  'menu.soldOut': 'संपले',
+  'menu.addToCart': '{name} कार्टमध्ये जोडा',
+
+  // Item customisation
+  'customize.close': 'पर्याय बंद करा',
+  'customize.required': 'आवश्यक',
+  'customize.optional': 'ऐच्छिक',
+  'customize.upTo': 'जास्तीत जास्त {count}',
+  'customize.addToCart': 'कार्टमध्ये जोडा · {price}',
+
+  // Cart
+  'cart.title': { one: 'तुमचे कार्ट ({count} आयटम)', other: 'तुमचे कार्ट ({count} आयटम्स)' },
+  'cart.empty': 'तुमची सिप लिस्ट रिकामी आहे.',
+  'cart.emptyHint': 'काही ताजे ज्यूस किंवा बाउल जोडा!',
+  'cart.backToMenu': 'मेन्यूवर परत जा',
+  'cart.each': '{price} प्रत्येकी',
+  'cart.decrease': 'संख्या कमी करा',
+  'cart.increase': 'संख्या वाढवा',
+  'cart.remove': 'कार्टमधून काढा',
+  'cart.clear': 'सर्व आयटम्स काढा',
+  'cart.summary': 'ऑर्डर सारांश',
+  'cart.subtotal': { one: 'उप-एकूण ({count} आयटम)', other: 'उप-एकूण ({count} आयटम्स)' },
+  'cart.grandTotal': 'एकूण रक्कम',
+  'cart.deliveryEstimate': 'पत्ता निवडेपर्यंत डिलिव्हरी शुल्क अंदाजे आहे.',
+  'cart.checkout': 'चेकआउट करा',
+  'cart.continue': 'खरेदी सुरू ठेवा',
+  'cart.lineLimit': 'तुमच्या कार्टमध्ये जास्तीत जास्त {count} वेगवेगळे आयटम बसतात.',
+
+  // Price breakdown
+  'price.subtotal': 'उप-एकूण',
+  'price.delivery': 'डिलिव्हरी शुल्क',
+  'price.deliveryZone': 'डिलिव्हरी शुल्क ({zone})',
+  'price.deliveryFreeOver': 'डिलिव्हरी शुल्क ({amount} पेक्षा जास्त ऑर्डरवर मोफत)',
+  'price.smallOrder': 'लहान ऑर्डर शुल्क ({amount} पेक्षा कमी)',
+  'price.takeawayFee': 'पॅकेजिंग शुल्क',
+  'price.dineInFee': 'सर्व्हिस चार्ज',
+  'price.discount': 'सवलत ({code})',
+  'price.freeDelivery': 'मोफत डिलिव्हरी ({code})',
+  'price.reward': { one: 'बक्षीस: {name} ({count} पॉइंट)', other: 'बक्षीस: {name} ({count} पॉइंट्स)' },
+
+  // Promo codes
+  'promo.placeholder': 'प्रोमो कोड',
+  'promo.apply': 'लागू करा',
+  'promo.remove': 'कोड काढा',
+  'promo.invalid': 'हा कोड वैध नाही.',
+  'promo.notActive': 'हा कोड अजून सुरू झालेला नाही.',
+  'promo.expired': 'या कोडची मुदत संपली आहे.',
+  'promo.used': 'तुम्ही हा कोड आधीच वापरला आहे.',
+  'promo.minSubtotal': 'हा कोड वापरण्यासाठी आणखी {amount} चे आयटम्स जोडा.',
+  'promo.categories': 'हा कोड फक्त {categories} साठी लागू आहे.',
+  'promo.bogo': 'हा कोड वापरण्यासाठी आणखी एक पात्र आयटम जोडा.',
+  'promo.checkFailed': 'आम्ही हा कोड तपासू शकलो नाही. कृपया पुन्हा प्रयत्न करा.',
+
+  // Loyalty
+  'loyalty.title': 'JuiSip पॉइंट्स',
+  'loyalty.earnRule': 'प्रत्येक {amount} खर्चावर एक पॉइंट मिळवा, ऑर्डर डिलिव्हर झाल्यावर जमा होतो.',
+  'loyalty.rewards': 'बक्षिसे',
+  'loyalty.history': 'इतिहास',
+  'loyalty.noHistory': 'अजून पॉइंट्स नाहीत. पहिली डिलिव्हर झालेली ऑर्डर मोजणी सुरू करेल.',
+  'loyalty.earned': 'मिळाले',
+  'loyalty.redeemed': '{name} वापरले',
+  'loyalty.aReward': 'एक बक्षीस',
+  'loyalty.returned': 'रद्द ऑर्डरसाठी परत मिळाले',
+  'loyalty.order': 'ऑर्डर {number}',
+  'loyalty.points': { one: '{count} पॉइंट', other: '{count} पॉइंट्स' },
+  'loyalty.usePoints': 'पॉइंट्स वापरा',
+  'loyalty.available': { one: '({count} उपलब्ध)', other: '({count} उपलब्ध)' },
+  'loyalty.noReward': 'बक्षीस नको',
+  'loyalty.rewardOption': { one: '{name} ({count} पॉइंट)', other: '{name} ({count} पॉइंट्स)' },
+  'loyalty.rewardUnavailable': 'हे बक्षीस आता उपलब्ध नाही.',
+  'loyalty.needMorePoints': { one: 'या बक्षिसासाठी तुम्हाला आणखी {count} पॉइंट हवा.', other: 'या बक्षिसासाठी तुम्हाला आणखी {count} पॉइंट्स हवे.' },
+
+  // Checkout
+  'checkout.title': 'चेकआउट',
+  'checkout.delivery': 'डिलिव्हरीची माहिती',
+  'checkout.manageAddresses': 'पत्ते व्यवस्थापित करा',
+  'checkout.deliveryAddress': 'डिलिव्हरीचा पत्ता',
+  'checkout.default': 'डिफॉल्ट',
+  'checkout.newAddress': 'नवीन पत्त्यावर डिलिव्हर करा',
+  'checkout.saveAddress': 'हा पत्ता पुढच्या वेळेसाठी जतन करा',
+  'checkout.fulfilment': 'तुम्हाला तुमची ऑर्डर कशी हवी आहे?',
+  'checkout.pickupDetails': 'पिकअपची माहिती',
+  'checkout.pickupHint': 'तुमची ऑर्डर काउंटरवरून घ्या. गरज पडल्यास आम्ही या नंबरवर कॉल करू.',
+  'checkout.dineInDetails': 'तुमचे टेबल',
+  'checkout.tableNumber': 'टेबल नंबर',
+  'checkout.dineInClosed': 'आत्ता आम्ही बंद आहोत, त्यामुळे डाइन-इन ऑर्डर घेऊ शकत नाही.',
+  'checkout.eta': 'अंदाजे डिलिव्हरी: 30 - 45 मिनिटे',
+  'checkout.deliveryTime': 'डिलिव्हरीची वेळ',
+  'checkout.asap': 'शक्य तितक्या लवकर',
+  'checkout.closedNow': 'आत्ता आम्ही बंद आहोत. खालून वेळ निवडा.',
+  'checkout.scheduleLater': 'नंतरसाठी शेड्यूल करा',
+  'checkout.chooseSlot': 'डिलिव्हरी स्लॉट',
+  'checkout.slotFull': '{time} (पूर्ण बुक)',
+  'checkout.noSlots': 'पुढील काही दिवसांत डिलिव्हरीची कोणतीही वेळ उपलब्ध नाही.',
+  'checkout.pickupTime': 'पिकअपची वेळ',
+  'checkout.pickupEta': 'साधारण 15 - 20 मिनिटांत तयार',
+  'checkout.items': 'तुमचे आयटम्स',
+  'checkout.paymentMethod': 'पेमेंटची पद्धत',
+  'checkout.nothingToPay': 'तुमच्या सवलतींमध्ये संपूर्ण ऑर्डर येते, त्यामुळे काहीही भरायचे नाही.',
+  'checkout.backToCart': 'कार्टवर परत जा',
+  'checkout.finalCost': 'एकूण खर्च',
+  'checkout.totalDue': 'देय रक्कम',
+  'checkout.checkAddress': 'कृपया डिलिव्हरीची माहिती तपासा.',
+  'checkout.checkPickup': 'कृपया ऑर्डरसाठी नाव आणि 10 अंकी मोबाइल नंबर लिहा.',
+  'checkout.checkTable': 'कृपया तुमच्या टेबलचा नंबर लिहा.',
+  'checkout.notDeliverable': 'माफ करा, आम्ही अजून या पिन कोडवर डिलिव्हरी करत नाही.',
+  'checkout.refreshPrices': 'माझे कार्ट सध्याच्या किमतींनुसार अपडेट करा',
+  'checkout.placing': 'ऑर्डर देत आहोत...',
+  'checkout.place': 'आत्ता ऑर्डर करा',
+  'checkout.placingHint': 'पेमेंटची खात्री करून तुमची ऑर्डर देत आहोत...',
+  'checkout.confirmed': 'ऑर्डर निश्चित झाली!',
+  'checkout.placed': 'तुमची ऑर्डर {number} दिली गेली आहे.',
+  'checkout.scheduledFor': 'त्याची डिलिव्हरी {time} होईल.',
+  'checkout.scheduledPickup': 'ती {time} घेण्यासाठी तयार असेल.',
+  'checkout.servedAt': 'आम्ही ती टेबल {number} वर आणू.',
+  'checkout.thanks': 'JuiSip निवडल्याबद्दल धन्यवाद. तुमचे आयटम्स डिलिव्हरीसाठी तयार झाल्यावर तुम्हाला सूचना मिळेल.',
+  'checkout.newOrder': 'नवीन ऑर्डर सुरू करा',
+  'checkout.viewHistory': 'इतिहास पहा',
+  'checkout.failed': 'आम्ही तुमची ऑर्डर देऊ शकलो नाही. कृपया कनेक्शन तपासून पुन्हा प्रयत्न करा.',
+  'checkout.queued': 'ऑर्डर रांगेत आहे',
+  'checkout.queuedHint': 'तुम्ही ऑफलाइन आहात. ऑनलाइन होताच आम्ही तुमची ऑर्डर देऊ आणि इथेच खात्री करू.',
+  'checkout.offlinePayment': 'ऑनलाइन पेमेंटसाठी कनेक्शन लागते. कॅश ऑन डिलिव्हरी निवडा किंवा ऑनलाइन झाल्यावर पुन्हा प्रयत्न करा.',
+
+  // Fulfilment modes (fulfilment.js)
+  'fulfilment.delivery': 'डिलिव्हरी',
+  'fulfilment.delivery.description': 'तुमच्या दारापर्यंत',
+  'fulfilment.takeaway': 'टेकअवे',
+  'fulfilment.takeaway.description': 'काउंटरवरून घ्या',
+  'fulfilment.dineIn': 'डाइन-इन',
+  'fulfilment.dineIn.description': 'तुमच्या टेबलवर वाढले जाईल',
+  'fulfilment.table': 'टेबल {number}',
+
+  // Offline sync (sync.js)
+  'sync.synced': 'सेव्ह झाले',
+  'sync.syncing': 'सिंक होत आहे',
+  'sync.offline': 'ऑफलाइन',
+  'sync.error': 'सेव्ह झाले नाही',
+  'sync.syncedHint': 'तुमची कार्ट सेव्ह आहे.',
+  'sync.syncingHint': 'तुमची कार्ट सेव्ह होत आहे...',
+  'sync.offlineHint': 'तुम्ही ऑफलाइन आहात. तुमची कार्ट या डिव्हाइसवर ठेवली आहे आणि पुन्हा जोडल्यावर सिंक होईल.',
+  'sync.errorHint': 'कार्टमधील मागील बदल सेव्ह होऊ शकला नाही.',
+  'queue.waiting': 'ऑनलाइन होताच तुमची ऑर्डर दिली जाईल.',
+  'queue.sending': 'रांगेतील ऑर्डर दिली जात आहे...',
+  'queue.placed': 'तुमची रांगेतील ऑर्डर {number} निश्चित झाली आहे.',
+  'queue.rejected': 'आम्ही तुमची रांगेतील ऑर्डर देऊ शकलो नाही: {reason}',
+  'queue.restore': 'आयटम पुन्हा कार्टमध्ये टाका',
+  'queue.viewOrder': 'ऑर्डर पहा',
+  'queue.dismiss': 'काढा',
+
+  // Payment methods and statuses
+  'payment.cod': 'कॅश ऑन डिलिव्हरी',
+  'payment.cod.description': 'ऑर्डर आल्यावर रायडरला रोख किंवा UPI ने पैसे द्या.',
+  'payment.upi': 'UPI',
+  'payment.upi.description': 'तुमच्या UPI ॲपमध्ये पेमेंट मंजूर करा.',
+  'payment.card': 'क्रेडिट / डेबिट कार्ड',
+  'payment.card.description': 'Visa, Mastercard, RuPay.',
+  'payment.none': 'काहीही भरायचे नाही',
+  'payment.status.authorized': 'पेमेंट मंजूर',
+  'payment.status.captured': 'पैसे भरले',
+  'payment.status.refunded': 'परतावा झाला',
+  'payment.status.failed': 'पेमेंट अयशस्वी',
+  'payment.status.codDue': 'डिलिव्हरीवेळी रोख द्यायचे',
+  'payment.status.released': 'कोणतेही शुल्क आकारले नाही',
+
+  // Address form and book
+  'address.name': 'पूर्ण नाव',
+  'address.phone': 'मोबाइल नंबर',
+  'address.line1': 'घर क्र., इमारत, रस्ता',
+  'address.line2': 'परिसर, खूण (ऐच्छिक)',
+  'address.city': 'शहर',
+  'address.postalCode': 'पिन कोड',
+  'address.label': 'या नावाने जतन करा (उदा. घर, ऑफिस)',
+  'addressBook.title': 'डिलिव्हरीचे पत्ते',
+  'addressBook.add': 'जोडा',
+  'addressBook.empty': 'अजून कोणताही पत्ता जतन केलेला नाही. इथे किंवा चेकआउटवेळी जोडा.',
+  'addressBook.default': 'डिफॉल्ट',
+  'addressBook.makeDefault': 'डिफॉल्ट करा',
+  'addressBook.edit': 'बदला',
+  'addressBook.delete': 'काढा',
+  'addressBook.save': 'पत्ता जतन करा',
+  'addressBook.saving': 'जतन करत आहोत...',
+  'addressBook.cancel': 'रद्द करा',
+  'addressBook.saveFailed': 'पत्ता जतन करता आला नाही. कृपया पुन्हा प्रयत्न करा.',
+  'addressBook.defaultFailed': 'डिफॉल्ट पत्ता बदलता आला नाही. कृपया पुन्हा प्रयत्न करा.',
+  'addressBook.deleteFailed': 'पत्ता काढता आला नाही. कृपया पुन्हा प्रयत्न करा.',
+
+  // Order history
+  'history.title': 'तुमच्या ऑर्डर्स',
+  'history.empty': 'जुनी कोणतीही ऑर्डर सापडली नाही.',
+  'history.emptyHint': 'आजच तुमची पहिली ऑर्डर द्या!',
+  'history.browseMenu': 'मेन्यू पहा',
+  'history.userId': 'यूजर ID: {id}',
+  'history.order': 'ऑर्डर {number}',
+  'history.placedOn': 'ऑर्डरची वेळ: {date}',
+  'history.scheduledFor': 'डिलिव्हरीची वेळ: {time}',
+  'history.dineIn': 'डाइन-इन · टेबल {number}',
+  'history.quantityPrice': '{quantity} x {price}',
+  'history.unavailable': 'आता उपलब्ध नाही: {names}',
+  'history.priceChanged': '{name}: किंमत {oldPrice} वरून {newPrice} झाली',
+  'history.nothingToReorder': 'या ऑर्डरमधील कोणताही आयटम सध्या ऑर्डर करता येत नाही.',
+  'history.addToCart': 'सध्याच्या कार्टमध्ये जोडा',
+  'history.replaceCart': 'कार्ट बदला',
+  'history.addAll': 'कार्टमध्ये जोडा',
+  'history.cancel': 'रद्द करा',
+  'history.reorder': 'पुन्हा ऑर्डर करा',
+  'history.allOrders': '← सर्व ऑर्डर',
+
+  // Order detail page
+  'orderDetail.readyBy': 'अंदाजे {time} पर्यंत तयार',
+  'orderDetail.deliveredBy': 'अंदाजे डिलिव्हरी {time} पर्यंत',
+  'orderDetail.ordersAhead': { one: 'तुमच्या आधी {count} ऑर्डर आहे', other: 'तुमच्या आधी {count} ऑर्डर आहेत' },
+  'orderDetail.timeline': 'स्टेटस अपडेट्स',
+  'orderDetail.deliverTo': 'डिलिव्हरीचा पत्ता',
+  'orderDetail.pickup': 'पिकअपसाठी',
+  'orderDetail.payment': 'पेमेंट',
+  'orderDetail.total': 'एकूण',
+  'orderDetail.cancel': 'ऑर्डर रद्द करा',
+  'orderDetail.cancelConfirm': 'हा ऑर्डर रद्द करायचा? हे परत घेता येणार नाही.',
+  'orderDetail.confirmCancel': 'हो, रद्द करा',
+  'orderDetail.keepOrder': 'ऑर्डर ठेवा',
+  'orderDetail.cancelling': 'रद्द करत आहोत...',
+  'orderDetail.cancelFailed': 'तुमचा ऑर्डर रद्द करता आला नाही. कृपया तुमचे कनेक्शन तपासा आणि पुन्हा प्रयत्न करा.',
+  'orderDetail.cancelClosed': 'किचनने या ऑर्डरवर काम सुरू केले आहे, त्यामुळे तो आता रद्द करता येणार नाही.',
+  'orderDetail.cancelReason': 'तुम्ही ऑर्डर का रद्द करत आहात?',
+  'orderDetail.cancelNote': 'आणखी काही सांगायचे आहे? (ऐच्छिक)',
+  'orderDetail.cancelNoteRequired': 'कृपया कारण सांगा',
+  'orderDetail.cancelledBecause': 'तुम्ही हा ऑर्डर रद्द केला: {reason}',
+
+  // Cancellation reasons
+  'cancelReason.changed_mind': 'माझा विचार बदलला',
+  'cancelReason.ordered_by_mistake': 'चुकून ऑर्डर झाला',
+  'cancelReason.taking_too_long': 'खूप वेळ लागत आहे',
+  'cancelReason.wrong_details': 'चुकीचा पत्ता किंवा आयटम',
+  'cancelReason.other': 'दुसरे काही',
+
+  // Order progress
+  'order.progress': 'ऑर्डरची प्रगती',
+  'order.closed': 'ऑर्डर {status}',
+  'order.closedAt': 'ऑर्डर {status}, {time} वाजता',
+  'status.Placed': 'दिली',
+  'status.Accepted': 'स्वीकारली',
+  'status.Preparing': 'बनत आहे',
+  'status.Ready': 'तयार',
+  'status.Out for delivery': 'डिलिव्हरीसाठी निघाली',
+  'status.Delivered': 'डिलिव्हर झाली',
+  'status.Cancelled': 'रद्द',
+  'status.takeaway.Ready': 'पिकअपसाठी तयार',
+  'status.takeaway.Delivered': 'घेतली',
+  'status.dineIn.Ready': 'वाढण्यासाठी तयार',
+  'status.dineIn.Delivered': 'वाढली',
+
+  // Account (account.js, AccountScreen.jsx)
+  'account.loading': 'लोड होत आहे...',
+  'account.guest': 'पाहुणे',
+  'account.account': 'खाते',
+  'account.signIn': 'साइन इन करा',
+  'account.signInHint': 'तुमची कार्ट आणि ऑर्डर इतिहास प्रत्येक डिव्हाइसवर सुरक्षित ठेवा. पाहुणे म्हणून केलेल्या ऑर्डरही तुमच्यासोबत येतात.',
+  'account.emailLink': 'ईमेल लिंक',
+  'account.phone': 'फोन',
+  'account.sending': 'पाठवत आहे...',
+  'account.sendLink': 'मला साइन-इन लिंक ईमेल करा',
+  'account.sendCode': 'कोड पाठवा',
+  'account.verifying': 'तपासत आहे...',
+  'account.verifyCode': 'कोड पडताळा',
+  'account.differentNumber': 'दुसरा नंबर वापरा',
+  'account.signOut': 'साइन आउट करा',
+  'account.linkSent': 'आम्ही {email} वर साइन-इन लिंक पाठवली आहे. पूर्ण करण्यासाठी ती याच डिव्हाइसवर उघडा.',
+  'account.codeSent': '{phone} वर पाठवलेला 6 अंकी कोड टाका.',
+  'account.confirmEmail': 'कृपया साइन इन करण्यासाठी वापरलेला ईमेल पत्ता निश्चित करा',
+  'account.signedIn': 'तुम्ही साइन इन केले आहे.',
+  'account.moved': 'पुन्हा स्वागत! आम्ही या डिव्हाइसवरून {orders} मागील ऑर्डर आणि {cartLines} कार्ट आयटम तुमच्या खात्यात हलवले आहेत.',
+  'account.movedWithPoints': 'पुन्हा स्वागत! आम्ही या डिव्हाइसवरून {orders} मागील ऑर्डर, {cartLines} कार्ट आयटम आणि {points} पॉइंट तुमच्या खात्यात हलवले आहेत.',
+  'account.linkExpired': 'ही साइन-इन लिंक अवैध आहे किंवा तिची मुदत संपली आहे. कृपया नवीन लिंक मागवा.',
+  'account.signOutFailed': 'साइन आउट करता आले नाही. कृपया पुन्हा प्रयत्न करा.',
+  'account.error.invalidEmail': 'हा ईमेल पत्ता बरोबर वाटत नाही.',
+  'account.error.invalidPhone': 'देश कोडसह तुमचा फोन नंबर टाका, उदा. +91 98765 43210.',
+  'account.error.wrongCode': 'हा कोड बरोबर नाही. कृपया पुन्हा प्रयत्न करा.',
+  'account.error.codeExpired': 'या कोडची मुदत संपली आहे. कृपया नवीन कोड मागवा.',
+  'account.error.tooManyAttempts': 'खूप जास्त प्रयत्न झाले. कृपया थोडा वेळ थांबून पुन्हा प्रयत्न करा.',
+  'account.error.failed': 'साइन इन करता आले नाही. कृपया पुन्हा प्रयत्न करा.',
+
+  // Why an order or cancellation was turned down (orderErrors.js)
+  'orderError.cartEmpty': 'तुमची कार्ट रिकामी आहे.',
+  'orderError.tooManyLines': 'एका ऑर्डरमध्ये जास्तीत जास्त {count} वेगवेगळे आयटम असू शकतात.',
+  'orderError.itemUnavailable': '{itemName} आता उपलब्ध नाही.',
+  'orderError.quantityInvalid': 'कृपया {itemName} ची संख्या तपासा.',
+  'orderError.optionsToReview': 'कृपया {itemName} साठी {groupName} ची निवड पुन्हा पाहा.',
+  'orderError.optionUnavailable': '{itemName} चा एक पर्याय आता उपलब्ध नाही.',
+  'orderError.priceChanged': 'तुम्ही कार्ट उघडल्यानंतर किमती बदलल्या आहेत. तुमची नवीन एकूण रक्कम {total} आहे. कृपया तुमची ऑर्डर पुन्हा पाहा.',
+  'orderError.menuUpdating': 'मेन्यू अपडेट होत आहे. कृपया काही मिनिटांनी पुन्हा प्रयत्न करा.',
+  'orderError.signInToOrder': 'ऑर्डर देण्यासाठी कृपया पुन्हा साइन इन करा.',
+  'orderError.promoInvalid': 'हा कोड वैध नाही.',
+  'orderError.promoUsed': 'तुम्ही हा कोड आधीच वापरला आहे.',
+  'orderError.rewardUnavailable': 'हे रिवॉर्ड आता उपलब्ध नाही.',
+  'orderError.notEnoughPoints': 'या रिवॉर्डसाठी आता तुमच्याकडे पुरेसे पॉइंट नाहीत.',
+  'orderError.fulfilmentUnavailable': 'ऑर्डर मिळवण्याची ही पद्धत सध्या उपलब्ध नाही. कृपया दुसरी निवडा.',
+  'orderError.contactInvalid': 'कृपया ऑर्डरसाठी नाव आणि 10 अंकी मोबाइल नंबर टाका.',
+  'orderError.tableInvalid': 'कृपया तुमच्या टेबलचा नंबर टाका.',
+  'orderError.dineInScheduled': 'डाइन-इन ऑर्डर लगेच बनवल्या जातात आणि नंतरसाठी ठरवता येत नाहीत.',
+  'orderError.addressInvalid': 'कृपया तुमचा डिलिव्हरी पत्ता आणि फोन नंबर तपासा.',
+  'orderError.notDeliverable': 'माफ करा, आम्ही अजून या पिन कोडवर डिलिव्हरी करत नाही.',
+  'orderError.storeClosed': 'आम्ही सध्या बंद आहोत. कृपया डिलिव्हरीची वेळ निवडा.',
+  'orderError.slotUnavailable': 'ही डिलिव्हरीची वेळ आता उपलब्ध नाही. कृपया दुसरी निवडा.',
+  'orderError.slotFull': 'ही डिलिव्हरीची वेळ पूर्ण बुक आहे. कृपया दुसरी निवडा.',
+  'orderError.paymentMethodMissing': 'कृपया पेमेंटची पद्धत निवडा.',
+  'orderError.paymentUsed': 'हे पेमेंट आधीच दुसऱ्या ऑर्डरसाठी वापरले गेले आहे.',
+  'orderError.paymentNotCompleted': 'तुमचे पेमेंट पूर्ण झाले नाही.',
+  'orderError.paymentNotConfirmed': 'तुमच्या पेमेंटची खात्री होऊ शकली नाही. तुमच्याकडून काहीही आकारले गेलेले नाही.',
+  'orderError.paymentDeclined': 'तुमचे पेमेंट नाकारले गेले. तुमच्याकडून काहीही आकारले गेलेले नाही.',
+  'orderError.paymentFailed': 'आम्ही तुमचे पेमेंट पूर्ण करू शकलो नाही. तुमच्याकडून काहीही आकारले गेलेले नाही.',
+  'orderError.paymentsUnavailable': 'ऑनलाइन पेमेंट सध्या उपलब्ध नाही. कृपया कॅश ऑन डिलिव्हरी वापरून पाहा.',
+  'orderError.paymentCancelled': 'पेमेंट रद्द केले. तुमच्याकडून काहीही आकारले गेलेले नाही.',
+  'orderError.offlineCashOnly': 'ऑफलाइन असताना फक्त कॅश ऑन डिलिव्हरी ऑर्डर देता येतात.',
+  'orderError.signInToCancel': 'ऑर्डर रद्द करण्यासाठी कृपया पुन्हा साइन इन करा.',
+  'orderError.orderNotFound': 'आम्हाला ही ऑर्डर सापडली नाही.',
+  'orderError.cancelReasonMissing': 'कृपया तुम्ही ऑर्डर का रद्द करत आहात ते सांगा.',
+  'orderError.notCancellable': 'ही ऑर्डर आधीच बनवायला सुरुवात झाली आहे आणि आता रद्द करता येणार नाही.',
+};
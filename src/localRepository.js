@@ -0,0 +1,585 @@
+// --- Local Data ---
+// The repository (see repository.js) kept entirely in this browser, for running
+// the app without a Firebase project. Documents live in memory under their
+// Firestore paths and are saved to localStorage, so carts, orders and menu edits
+// survive a reload and show up in other tabs. The first start seeds the bundled
+// menu, a demo promo code and a demo reward.
+//
+// What Cloud Functions do on the server happens here directly: placeOrder
+// re-prices the order from the local menu, queued orders are placed as soon as
+// they are written, delivery captures the payment and credits points, and
+// cancellation refunds it.
+
+import { OrderRejectedError } from './repository.js';
+import { cartPath } from './cart.js';
+import { readLineItems, toStoredLineItems } from '../functions/shared/lineItems.js';
+import {
+  ORDER_STATUS,
+  ACTIVE_KITCHEN_STATUSES,
+  KITCHEN_QUEUE_STATUSES,
+  ORDER_HISTORY_COLLECTION,
+  orderHistoryPath,
+  buildStatusUpdate,
+  buildKitchenCancellation,
+  kitchenDueTime,
+} from './orders.js';
+import { addressesPath, sortAddresses, toStoredAddress, defaultAddressChanges } from './addresses.js';
+import { FALLBACK_MENU_ITEMS, FALLBACK_CATEGORIES, menuItemsPath, menuCategoriesPath, normalizeMenuItem, normalizeMenuCategory, bySortOrder } from './menu.js';
+import { DEFAULT_PRICING_RULES, normalizePricingRules, pricingRulesPath } from '../functions/shared/pricingRules.js';
+import { normalizeCode, normalizePromotion, promoCodesPath, promoUsagePath, PROMO_TYPES } from '../functions/shared/promotions.js';
+import { loyaltySummaryPath, loyaltyLedgerPath, rewardsPath, normalizeReward } from '../functions/shared/loyalty.js';
+import {
+  OrderRequestError,
+  priceOrder,
+  catalogItemFromDoc,
+  resolveOrderRequest,
+  checkExpectedTotal,
+  takeSlotPlace,
+  releaseSlotPlace,
+  countPromotionUse,
+  redeemReward,
+  redeemEntryId,
+  earnPoints,
+  earnEntryId,
+  paymentClaimPath,
+  paymentRequestFor,
+  NO_PAYMENT_METHOD,
+  claimPayment,
+  scheduledForSlot,
+  buildOrderDocument,
+  buildCustomerCancellation,
+  promoCodeOf,
+  returnRedemptions,
+  returnEntryId,
+  refundRecord,
+} from '../functions/shared/ordering.js';
+import { preferencesPath } from './i18n.js';
+import { orderQueuePath, QUEUED_ORDER_STATUS, QUEUEABLE_PAYMENT_METHODS } from './sync.js';
+import { businessDay, orderCounterPath, formatOrderNumber, orderNumberPrefix } from '../functions/shared/orderNumbers.js';
+import { deliverySlotsPath } from '../functions/shared/schedule.js';
+import { ORDER_ERROR } from '../functions/shared/orderErrors.js';
+
+const DATA_STORAGE_KEY_PREFIX = 'juisip.localData.';
+const USER_ID_STORAGE_KEY = 'juisip.localUserId';
+
+// The customer this browser plays, kept so the cart and history survive a reload.
+export const localUserId = () => {
+  let uid = localStorage.getItem(USER_ID_STORAGE_KEY);
+  if (!uid) {
+    uid = `local-${crypto.randomUUID()}`;
+    localStorage.setItem(USER_ID_STORAGE_KEY, uid);
+  }
+  return uid;
+};
+
+const newId = () => crypto.randomUUID().replace(/-/g, '').slice(0, 20);
+
+const seedDocuments = (appId) => {
+  const now = new Date().toISOString();
+  const documents = {
+    [`${promoCodesPath(appId)}/WELCOME10`]: {
+      type: PROMO_TYPES.PERCENTAGE,
+      value: 10,
+      description: '10% off your first order',
+      perUserLimit: 1,
+    },
+    [`${rewardsPath(appId)}/five-off`]: { name: '5 off', description: '5 off any order', pointsCost: 50, value: 5, sortOrder: 1 },
+  };
+  FALLBACK_CATEGORIES.forEach(({ id, ...data }) => {
+    documents[`${menuCategoriesPath(appId)}/${id}`] = { ...data, archived: false };
+  });
+  FALLBACK_MENU_ITEMS.forEach(({ id, ...data }) => {
+    documents[`${menuItemsPath(appId)}/${id}`] = { ...data, archived: false, updatedAt: now };
+  });
+  return documents;
+};
+
+// Mirrors the payment records of functions/payments.js; nothing is charged locally.
+const localPayment = (method, reference, amount, currency, status = 'authorized') => ({
+  method,
+  provider: method === 'cod' || method === NO_PAYMENT_METHOD ? method : 'mock',
+  reference,
+  amount,
+  currency,
+  status,
+  [`${status}At`]: new Date().toISOString(),
+});
+
+// The shared order checks (ordering.js) reject with the repository's error.
+const rejectingAsRepository = (check) => {
+  try {
+    return check();
+  } catch (e) {
+    throw e instanceof OrderRequestError ? new OrderRejectedError(e.message, e.details) : e;
+  }
+};
+
+/**
+ * The local repository for the store `appId`. Every change is saved to
+ * `storage` in one step, so a write is all-or-nothing like a Firestore batch.
+ */
+export const createLocalRepository = ({ appId, storage = window.localStorage }) => {
+  const storageKey = `${DATA_STORAGE_KEY_PREFIX}${appId}`;
+  const listeners = new Set();
+
+  const load = () => {
+    try {
+      return JSON.parse(storage.getItem(storageKey) || 'null');
+    } catch (e) {
+      console.error("Could not read local data, starting afresh:", e);
+      return null;
+    }
+  };
+
+  let documents = load();
+  if (!documents) {
+    documents = seedDocuments(appId);
+    storage.setItem(storageKey, JSON.stringify(documents));
+  }
+
+  // --- Document store ---
+  const read = (path) => documents[path] ?? null;
+
+  // Direct children of `path`, as { id, ...data }.
+  const list = (path) => {
+    const prefix = `${path}/`;
+    return Object.entries(documents)
+      .filter(([key]) => key.startsWith(prefix) && !key.slice(prefix.length).includes('/'))
+      .map(([key, data]) => ({ id: key.slice(prefix.length), ...data }));
+  };
+
+  // Applies { [path]: data, or null to delete } and tells every listener.
+  const write = (changes) => {
+    const next = { ...documents };
+    Object.entries(changes).forEach(([path, data]) => {
+      if (data === null) {
+        delete next[path];
+      } else {
+        next[path] = data;
+      }
+    });
+    storage.setItem(storageKey, JSON.stringify(next));
+    documents = next;
+    listeners.forEach(listener => listener());
+  };
+
+  const update = (path, fields) => {
+    if (!read(path)) throw new Error(`No document at ${path}.`);
+    return { [path]: { ...read(path), ...fields } };
+  };
+
+  // Calls onChange(...select()) now and after every change, like a snapshot listener.
+  const watch = (select, onChange, onError) => {
+    const listener = () => {
+      try {
+        onChange(...select());
+      } catch (e) {
+        onError?.(e);
+      }
+    };
+    listeners.add(listener);
+    listener();
+    return () => listeners.delete(listener);
+  };
+
+  // Another tab changed the data.
+  window.addEventListener('storage', (event) => {
+    if (event.key !== storageKey) return;
+    documents = load() || {};
+    listeners.forEach(listener => listener());
+  });
+
+  const menuPath = (kind) => (kind === 'categories' ? menuCategoriesPath(appId) : menuItemsPath(appId));
+  const pricingRules = () => (read(pricingRulesPath(appId)) ? normalizePricingRules(read(pricingRulesPath(appId))) : DEFAULT_PRICING_RULES);
+  const pointsBalance = (uid) => read(loyaltySummaryPath(appId, uid))?.balance || 0;
+
+  // Every customer's orders (but not guest orders moved into an account), like a collection group query.
+  const allOrders = () => {
+    const pattern = new RegExp(`^artifacts/${appId}/users/[^/]+/${ORDER_HISTORY_COLLECTION}/[^/]+$`);
+    return Object.entries(documents)
+      .filter(([path, data]) => pattern.test(path) && !data.migratedTo)
+      .map(([path, data]) => ({ id: path.split('/').pop(), ...data, items: readLineItems(data) }));
+  };
+
+  // Orders with one of `statuses`, in the order the kitchen is due to start them.
+  const ordersWithStatus = (statuses) => {
+    const orders = allOrders().filter(order => statuses.includes(order.status));
+    orders.sort((a, b) => new Date(kitchenDueTime(a)).getTime() - new Date(kitchenDueTime(b)).getTime());
+    return orders;
+  };
+
+  // The local counterpart of createOrder in functions/index.js.
+  const createOrder = (uid, request, { clearCart = true } = {}) => rejectingAsRepository(() => {
+    const { items, promoCode, rewardId, payment: requestedPayment, expectedGrandTotal } = request;
+    const rules = pricingRules();
+    const { fulfilment, deliveryAddress, slot } = resolveOrderRequest(request, rules);
+
+    const code = normalizeCode(promoCode);
+    let promotion = null;
+    let usage = null;
+    if (code) {
+      const promoData = code.includes('/') ? null : read(`${promoCodesPath(appId)}/${code}`);
+      if (!promoData) throw new OrderRejectedError('This code is not valid.', { code: ORDER_ERROR.PROMO_INVALID });
+      promotion = normalizePromotion(code, promoData);
+      usage = read(`${promoUsagePath(appId, uid)}/${code}`);
+    }
+
+    let reward = null;
+    if (rewardId) {
+      const rewardData = read(`${rewardsPath(appId)}/${rewardId}`);
+      if (!rewardData) throw new OrderRejectedError('This reward is no longer available.', { code: ORDER_ERROR.REWARD_UNAVAILABLE });
+      reward = normalizeReward(rewardId, rewardData);
+    }
+    const summary = read(loyaltySummaryPath(appId, uid));
+
+    const catalog = new Map(list(menuItemsPath(appId)).map(({ id, ...data }) => [id, catalogItemFromDoc(id, data)]));
+    const priced = priceOrder(catalog, items, rules, {
+      fulfilmentMode: fulfilment.mode,
+      postalCode: deliveryAddress?.postalCode,
+      promotion,
+      usageCount: usage?.count || 0,
+      reward,
+      loyaltyBalance: summary?.balance || 0,
+    });
+    checkExpectedTotal(priced, expectedGrandTotal, rules);
+    const paymentRequest = paymentRequestFor(priced, requestedPayment);
+    if (!paymentRequest?.method) {
+      throw new OrderRejectedError('Please choose a payment method.', { code: ORDER_ERROR.PAYMENT_METHOD_MISSING });
+    }
+
+    const placedAt = new Date();
+    const now = placedAt.toISOString();
+    const day = businessDay(placedAt, rules.timeZone);
+    const counterPath = orderCounterPath(appId, day);
+    const sequence = (read(counterPath)?.lastSequence || 0) + 1;
+    const orderId = formatOrderNumber(day, sequence);
+    const id = newId();
+    const payment = localPayment(paymentRequest.method, paymentRequest.reference ?? null, priced.grandTotal, priced.currency);
+
+    const changes = { [counterPath]: { day, lastSequence: sequence, updatedAt: now } };
+    const claimPath = paymentClaimPath(appId, payment);
+    if (claimPath) {
+      changes[claimPath] = claimPayment(payment, read(claimPath), { uid, orderDocId: id, orderId, now });
+    }
+    if (slot) {
+      const slotPath = `${deliverySlotsPath(appId)}/${slot.id}`;
+      changes[slotPath] = takeSlotPlace(slot, read(slotPath), rules, now);
+    }
+    if (promotion) {
+      changes[`${promoUsagePath(appId, uid)}/${code}`] = countPromotionUse(promotion, usage, orderId, now);
+    }
+    if (reward) {
+      const { entry, balanceAfter } = redeemReward(reward, summary, { orderDocId: id, orderId, now });
+      changes[`${loyaltyLedgerPath(appId, uid)}/${redeemEntryId(id)}`] = entry;
+      changes[loyaltySummaryPath(appId, uid)] = { ...summary, balance: balanceAfter, updatedAt: now };
+    }
+    changes[`${orderHistoryPath(appId, uid)}/${id}`] = buildOrderDocument({
+      appId,
+      uid,
+      orderId,
+      sequence,
+      priced,
+      reward,
+      fulfilment,
+      deliveryAddress,
+      slot,
+      payment,
+      now,
+    });
+    if (clearCart) {
+      changes[cartPath(appId, uid)] = { items: [], updatedAt: now };
+    }
+    write(changes);
+
+    return { id, orderId, grandTotal: priced.grandTotal, fulfilment, scheduledFor: scheduledForSlot(slot) };
+  });
+
+  // What releaseDeliverySlotOnCancel does once a scheduled order is cancelled.
+  const slotReleaseChanges = (order, now) => {
+    const slotPath = order.scheduledFor ? `${deliverySlotsPath(appId)}/${order.scheduledFor.slotId}` : null;
+    const slot = slotPath ? read(slotPath) : null;
+    if (!slot) return {};
+    return { [slotPath]: releaseSlotPlace(slot, now) };
+  };
+
+  // What cancelOrder (or returnRedemptionsOnCancel) gives back of the order's reward points and promo code use.
+  const redemptionReturnChanges = (orderDocId, order, now) => {
+    const code = promoCodeOf(order);
+    const usagePath = code ? `${promoUsagePath(appId, order.userId)}/${code}` : null;
+    const summaryPath = loyaltySummaryPath(appId, order.userId);
+    const returned = returnRedemptions(orderDocId, order, { summary: read(summaryPath), usage: usagePath ? read(usagePath) : null }, now);
+    const changes = {};
+    if (returned.entry) {
+      changes[`${loyaltyLedgerPath(appId, order.userId)}/${returnEntryId(orderDocId)}`] = returned.entry;
+      changes[summaryPath] = { ...read(summaryPath), ...returned.summary };
+    }
+    if (returned.usage) {
+      changes[usagePath] = returned.usage;
+    }
+    return changes;
+  };
+
+  // What refundPaymentOnCancel, releaseDeliverySlotOnCancel and the return of
+  // redemptions do once an order is cancelled, with the mock provider's
+  // behaviour for UPI and cards: { changes, orderFields } like deliveryChanges.
+  const cancellationChanges = (orderDocId, order, now) => {
+    const payment = order.payment;
+    const followUps = { ...slotReleaseChanges(order, now), ...redemptionReturnChanges(orderDocId, order, now) };
+    const returnedFields = { redemptionsReturnedAt: now, ...(order.scheduledFor && { slotReleasedAt: now }) };
+    if (payment?.status !== 'authorized' && payment?.status !== 'captured') return { changes: followUps, orderFields: returnedFields };
+    const refundedAmount = payment.method === 'cod' && payment.status !== 'captured' ? 0 : payment.amount;
+    return {
+      changes: {
+        ...followUps,
+        [`artifacts/${appId}/refunds/${orderDocId}`]: {
+          ...refundRecord(orderDocId, order, now),
+          status: 'refunded',
+          refundedAmount,
+          refundReference: null,
+        },
+      },
+      orderFields: {
+        ...returnedFields,
+        payment: { ...payment, status: 'refunded', refundedAt: now, refundedAmount },
+        paymentStatus: 'refunded',
+      },
+    };
+  };
+
+  // What capturePaymentOnDelivery and creditLoyaltyOnDelivery do once an order is delivered.
+  const deliveryChanges = (orderDocId, order, now) => {
+    const changes = {};
+    const orderFields = {};
+    if (order.payment?.status === 'authorized') {
+      orderFields.payment = { ...order.payment, status: 'captured', capturedAt: now };
+      orderFields.paymentStatus = 'captured';
+    }
+    const entryPath = `${loyaltyLedgerPath(appId, order.userId)}/${earnEntryId(orderDocId)}`;
+    const summary = read(loyaltySummaryPath(appId, order.userId));
+    const earned = read(entryPath) ? null : earnPoints(orderDocId, order, summary, now);
+    if (earned) {
+      changes[entryPath] = earned.entry;
+      changes[loyaltySummaryPath(appId, order.userId)] = { ...summary, ...earned.summary };
+      orderFields.pointsEarned = earned.points;
+    }
+    return { changes, orderFields };
+  };
+
+  // Writes the status change `buildUpdate(storedOrder)` together with what the
+  // order triggers do after it.
+  const changeOrderStatus = (order, buildUpdate) => {
+    const path = `${orderHistoryPath(appId, order.userId)}/${order.id}`;
+    const stored = read(path);
+    if (!stored) {
+      throw new Error('Order no longer exists.');
+    }
+    const statusUpdate = buildUpdate(stored);
+    let followUp = { changes: {}, orderFields: {} };
+    if (statusUpdate.status === ORDER_STATUS.DELIVERED) {
+      followUp = deliveryChanges(order.id, stored, statusUpdate.statusUpdatedAt);
+    } else if (statusUpdate.status === ORDER_STATUS.CANCELLED) {
+      followUp = cancellationChanges(order.id, { ...stored, ...statusUpdate }, statusUpdate.statusUpdatedAt);
+    }
+    const { changes, orderFields } = followUp;
+    write({ ...changes, [path]: { ...stored, ...statusUpdate, ...orderFields } });
+    return statusUpdate;
+  };
+
+  return {
+    isLocal: true,
+
+    // --- Catalog ---
+    watchMenuItems: (onChange, onError) => watch(() => {
+      const items = list(menuItemsPath(appId)).map(({ id, ...data }) => normalizeMenuItem(id, data));
+      items.sort(bySortOrder);
+      return [items];
+    }, onChange, onError),
+
+    watchMenuCategories: (onChange, onError) =>
+      watch(() => [list(menuCategoriesPath(appId)).map(({ id, ...data }) => normalizeMenuCategory(id, data))], onChange, onError),
+
+    watchPricingRules: (onChange, onError) => watch(() => [pricingRules()], onChange, onError),
+
+    watchRewards: (onChange, onError) => watch(() => {
+      const active = list(rewardsPath(appId))
+        .map(({ id, ...data }) => normalizeReward(id, data))
+        .filter(reward => reward.active);
+      active.sort((a, b) => a.sortOrder - b.sortOrder || a.pointsCost - b.pointsCost);
+      return [active];
+    }, onChange, onError),
+
+    // Worked out from the orders themselves; there is no syncKitchenQueue function to keep a copy.
+    watchKitchenQueue: (onChange, onError) => watch(() => [{
+      orders: ordersWithStatus(KITCHEN_QUEUE_STATUSES).map(order => ({ placedAt: order.placedAt, dueAt: kitchenDueTime(order), status: order.status })),
+      updatedAt: new Date().toISOString(),
+    }], onChange, onError),
+
+    watchDeliverySlots: (from, onChange, onError) => watch(() => [Object.fromEntries(
+      list(deliverySlotsPath(appId)).filter(slot => slot.start >= from).map(slot => [slot.id, slot.remaining])
+    )], onChange, onError),
+
+    findPromotion: async (uid, code) => {
+      const data = read(`${promoCodesPath(appId)}/${code}`);
+      if (!data) return null;
+      return {
+        promotion: normalizePromotion(code, data),
+        usageCount: read(`${promoUsagePath(appId, uid)}/${code}`)?.count || 0,
+      };
+    },
+
+    // --- Cart ---
+    // Nothing is ever waiting to sync.
+    watchCart: (uid, onChange, onError) =>
+      watch(() => [readLineItems(read(cartPath(appId, uid))), { hasPendingWrites: false, fromCache: false }], onChange, onError),
+
+    saveCart: async (uid, lines) =>
+      write({ [cartPath(appId, uid)]: { items: toStoredLineItems(lines), updatedAt: new Date().toISOString() } }),
+
+    // --- Orders ---
+    watchOrderHistory: (uid, onChange, onError) => watch(() => {
+      const orders = list(orderHistoryPath(appId, uid)).map(order => ({ ...order, items: readLineItems(order) }));
+      orders.sort((a, b) => new Date(b.placedAt).getTime() - new Date(a.placedAt).getTime());
+      return [orders];
+    }, onChange, onError),
+
+    watchOrder: (uid, id, onChange, onError) => watch(() => {
+      const order = read(`${orderHistoryPath(appId, uid)}/${id}`);
+      return [order ? { id, ...order, items: readLineItems(order) } : null];
+    }, onChange, onError),
+
+    // Checked and refunded the way cancelOrder and refundPaymentOnCancel do it.
+    cancelOrder: async (uid, id, { reason, note }) => {
+      const path = `${orderHistoryPath(appId, uid)}/${id}`;
+      const stored = read(path);
+      if (!stored || stored.migratedTo) {
+        throw new OrderRejectedError('We could not find this order.', { code: ORDER_ERROR.ORDER_NOT_FOUND });
+      }
+      const cancellation = rejectingAsRepository(() => buildCustomerCancellation(stored, uid, pricingRules().cancellation, { reason, note }));
+      const cancelled = { ...stored, ...cancellation };
+      const { changes, orderFields } = cancellationChanges(id, cancelled, cancellation.statusUpdatedAt);
+      write({ ...changes, [path]: { ...cancelled, ...orderFields } });
+      return { status: ORDER_STATUS.CANCELLED };
+    },
+
+    placeOrder: async (uid, orderRequest) => createOrder(uid, orderRequest),
+
+    // --- Addresses ---
+    watchAddresses: (uid, onChange, onError) =>
+      watch(() => [sortAddresses(list(addressesPath(appId, uid)))], onChange, onError),
+
+    saveAddress: async (uid, id, address, addresses) => {
+      const addressId = id || newId();
+      write({ [`${addressesPath(appId, uid)}/${addressId}`]: toStoredAddress(address, id, addresses) });
+      return addressId;
+    },
+
+    deleteAddress: async (uid, id) => write({ [`${addressesPath(appId, uid)}/${id}`]: null }),
+
+    setDefaultAddress: async (uid, id, addresses) => {
+      const changes = {};
+      defaultAddressChanges(addresses, id).forEach(change => {
+        Object.assign(changes, update(`${addressesPath(appId, uid)}/${change.id}`, { isDefault: change.isDefault }));
+      });
+      write(changes);
+    },
+
+    // --- Loyalty ---
+    watchPointsBalance: (uid, onChange, onError) => watch(() => [pointsBalance(uid)], onChange, onError),
+
+    watchLedger: (uid, pageSize, onChange, onError) => watch(() => {
+      const entries = list(loyaltyLedgerPath(appId, uid));
+      entries.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+      return [entries.slice(0, pageSize)];
+    }, onChange, onError),
+
+    // --- Preferences ---
+    watchPreferences: (uid, onChange, onError) => watch(() => [read(preferencesPath(appId, uid))], onChange, onError),
+
+    savePreferences: async (uid, preferences) => write({
+      [preferencesPath(appId, uid)]: { ...read(preferencesPath(appId, uid)), ...preferences, updatedAt: new Date().toISOString() },
+    }),
+
+    // --- Offline order queue ---
+    // There is no server to wait for, so a queued order is placed right away,
+    // with the outcome recorded the way placeQueuedOrder does.
+    watchOrderQueue: (uid, onChange, onError) => watch(() => {
+      const entries = list(orderQueuePath(appId, uid)).map(entry => ({ ...entry, isPending: false }));
+      entries.sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+      return [entries];
+    }, onChange, onError),
+
+    queueOrder: (uid, entry) => {
+      const id = newId();
+      const path = `${orderQueuePath(appId, uid)}/${id}`;
+      const saved = Promise.resolve().then(() => {
+        write({ [path]: entry });
+        const processedAt = new Date().toISOString();
+        try {
+          if (!QUEUEABLE_PAYMENT_METHODS.includes(entry.payment?.method)) {
+            throw new OrderRejectedError('Only cash on delivery orders can be placed offline.', { code: ORDER_ERROR.OFFLINE_CASH_ONLY });
+          }
+          const result = createOrder(uid, entry, { clearCart: false });
+          write(update(path, { status: QUEUED_ORDER_STATUS.PLACED, orderDocId: result.id, orderId: result.orderId, grandTotal: result.grandTotal, processedAt }));
+        } catch (e) {
+          if (!(e instanceof OrderRejectedError)) {
+            console.error("Queued order failed:", e);
+          }
+          const reason = e instanceof OrderRejectedError ? e.message : "We couldn't place your order. Please try again.";
+          const rejection = e instanceof OrderRejectedError ? e.details : null;
+          write(update(path, { status: QUEUED_ORDER_STATUS.REJECTED, reason, rejection, processedAt }));
+        }
+      });
+      return { id, saved };
+    },
+
+    dismissQueuedOrder: async (uid, id) => write({ [`${orderQueuePath(appId, uid)}/${id}`]: null }),
+
+    // --- Kitchen ---
+    watchKitchenOrders: (onChange, onError) =>
+      watch(() => [ordersWithStatus(ACTIVE_KITCHEN_STATUSES)], onChange, onError),
+
+    watchKitchenCancellations: (since, onChange, onError) => watch(() => {
+      const orders = ordersWithStatus([ORDER_STATUS.CANCELLED])
+        .filter(order => order.cancellation?.by === 'customer' && order.statusUpdatedAt >= since);
+      orders.sort((a, b) => b.statusUpdatedAt.localeCompare(a.statusUpdatedAt));
+      return [orders];
+    }, onChange, onError),
+
+    watchSalesOrders: (day, onChange, onError) =>
+      watch(() => [allOrders().filter(order => String(order.orderId).startsWith(orderNumberPrefix(day)))], onChange, onError),
+
+    updateOrderStatus: async (order, to, by, extra = {}) =>
+      changeOrderStatus(order, stored => buildStatusUpdate(stored, to, by, extra)),
+
+    cancelOrderInKitchen: async (order, by, { reason, note }) =>
+      changeOrderStatus(order, stored => buildKitchenCancellation(stored, by, { reason, note })),
+
+    // --- Menu console ---
+    seedMenu: async (categories, items) => {
+      const changes = {};
+      categories.forEach(({ id, ...data }) => {
+        changes[`${menuCategoriesPath(appId)}/${id}`] = { ...data, archived: false };
+      });
+      items.forEach(({ id, ...data }) => {
+        changes[`${menuItemsPath(appId)}/${id}`] = { ...data, archived: false, updatedAt: new Date().toISOString() };
+      });
+      write(changes);
+    },
+
+    addMenuEntry: async (kind, data) => {
+      const id = newId();
+      write({ [`${menuPath(kind)}/${id}`]: data });
+      return id;
+    },
+
+    updateMenuEntry: async (kind, id, fields) => write(update(`${menuPath(kind)}/${id}`, fields)),
+
+    reorderMenu: async (kind, ids) => {
+      const changes = {};
+      ids.forEach((id, position) => {
+        Object.assign(changes, update(`${menuPath(kind)}/${id}`, { sortOrder: position + 1 }));
+      });
+      write(changes);
+    },
+  };
+};
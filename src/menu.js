@@ -0,0 +1,141 @@
+import { normalizeModifierGroups } from './modifiers.js';
+import { normalizeTranslations } from './i18n.js';
+
+// --- Menu Catalog ---
+// The live catalog lives under the public `menu` document of the app:
+//   /artifacts/{appId}/public/menu/items/{itemId}
+//   /artifacts/{appId}/public/menu/categories/{categoryId}
+// The bundled lists below are used until the first snapshot arrives and
+// whenever the catalog cannot be reached (offline, missing config, empty).
+// Items and categories may carry `translations: { hi: { name, description } }`.
+
+// Size, sweetness and add-ons offered on the bundled drinks.
+const DRINK_MODIFIER_GROUPS = [
+  {
+    id: 'size', name: 'Size', minSelect: 1, maxSelect: 1,
+    options: [
+      { id: 'small', name: 'Small', priceDelta: -0.50 },
+      { id: 'medium', name: 'Medium', priceDelta: 0, isDefault: true },
+      { id: 'large', name: 'Large', priceDelta: 1.50 },
+    ],
+  },
+  {
+    id: 'sweetness', name: 'Sweetness', minSelect: 1, maxSelect: 1,
+    options: [
+      { id: 'none', name: 'No Sugar', priceDelta: 0 },
+      { id: 'less', name: 'Less Sweet', priceDelta: 0 },
+      { id: 'regular', name: 'Regular', priceDelta: 0, isDefault: true },
+    ],
+  },
+  {
+    id: 'addons', name: 'Add-ons', minSelect: 0, maxSelect: 3,
+    options: [
+      { id: 'protein', name: 'Protein Powder', priceDelta: 1.50 },
+      { id: 'chia', name: 'Chia Seeds', priceDelta: 0.75 },
+      { id: 'ginger', name: 'Ginger Shot', priceDelta: 1.00 },
+      { id: 'spinach', name: 'Spinach Boost', priceDelta: 0.50 },
+    ],
+  },
+];
+
+const BUNDLED_MENU_ITEMS = [
+  {
+    id: '1', name: 'Zesty Lemonade', price: 5.99, icon: '🍋', category: 'Drinks', description: 'Fresh-squeezed lemons with a hint of mint.', available: true, sortOrder: 1, modifierGroups: DRINK_MODIFIER_GROUPS,
+    translations: {
+      hi: { name: 'चटपटा नींबू पानी', description: 'ताज़े निचोड़े नींबू, हल्के पुदीने के साथ।' },
+      mr: { name: 'चटकदार लिंबू सरबत', description: 'ताज्या लिंबाचा रस, पुदिन्याच्या स्वादासह.' },
+    },
+  },
+  {
+    id: '2', name: 'Classic Green Smoothie', price: 7.49, icon: '🥬', category: 'Drinks', description: 'Spinach, kale, banana and apple.', available: true, sortOrder: 2, modifierGroups: DRINK_MODIFIER_GROUPS,
+    translations: {
+      hi: { name: 'क्लासिक ग्रीन स्मूदी', description: 'पालक, केल, केला और सेब।' },
+      mr: { name: 'क्लासिक ग्रीन स्मूदी', description: 'पालक, केल, केळं आणि सफरचंद.' },
+    },
+  },
+  {
+    id: '3', name: 'Açai Energy Bowl', price: 10.99, icon: '🫐', category: 'Bowls', description: 'Açai topped with granola and berries.', available: true, sortOrder: 3,
+    translations: {
+      hi: { name: 'आसाई एनर्जी बाउल', description: 'ग्रेनोला और बेरी के साथ आसाई।' },
+      mr: { name: 'आसाई एनर्जी बाउल', description: 'ग्रॅनोला आणि बेरींसह आसाई.' },
+    },
+  },
+  {
+    id: '4', name: 'Protein Power Wrap', price: 9.99, icon: '🌯', category: 'Wraps', description: 'Grilled paneer, greens and hummus.', available: true, sortOrder: 4,
+    translations: {
+      hi: { name: 'प्रोटीन पावर रैप', description: 'ग्रिल्ड पनीर, हरी सब्ज़ियाँ और हम्मस।' },
+      mr: { name: 'प्रोटीन पॉवर रॅप', description: 'ग्रिल केलेले पनीर, हिरव्या भाज्या आणि हमस.' },
+    },
+  },
+  {
+    id: '5', name: 'Watermelon Refresher', price: 6.50, icon: '🍉', category: 'Drinks', description: 'Cold-pressed watermelon and lime.', available: true, sortOrder: 5, modifierGroups: DRINK_MODIFIER_GROUPS,
+    translations: {
+      hi: { name: 'तरबूज़ रिफ़्रेशर', description: 'कोल्ड-प्रेस्ड तरबूज़ और नींबू।' },
+      mr: { name: 'कलिंगड रिफ्रेशर', description: 'कोल्ड-प्रेस केलेले कलिंगड आणि लिंबू.' },
+    },
+  },
+  {
+    id: '6', name: 'Mediterranean Salad Wrap', price: 11.50, icon: '🥗', category: 'Wraps', description: 'Falafel, feta, cucumber and tahini.', available: true, sortOrder: 6,
+    translations: {
+      hi: { name: 'मेडिटेरेनियन सलाद रैप', description: 'फलाफल, फ़ेटा, खीरा और ताहिनी।' },
+      mr: { name: 'मेडिटेरेनियन सॅलड रॅप', description: 'फलाफल, फेटा, काकडी आणि ताहिनी.' },
+    },
+  },
+];
+
+const BUNDLED_CATEGORIES = [
+  { id: 'Drinks', name: 'Drinks', sortOrder: 1, translations: { hi: { name: 'पेय' }, mr: { name: 'पेये' } } },
+  { id: 'Bowls', name: 'Bowls', sortOrder: 2, translations: { hi: { name: 'बाउल' }, mr: { name: 'बाउल' } } },
+  { id: 'Wraps', name: 'Wraps', sortOrder: 3, translations: { hi: { name: 'रैप' }, mr: { name: 'रॅप' } } },
+];
+
+export const menuItemsPath = (appId) => `artifacts/${appId}/public/menu/items`;
+export const menuCategoriesPath = (appId) => `artifacts/${appId}/public/menu/categories`;
+
+// Orders by `sortOrder`, then by name so items without an explicit order stay stable.
+export const bySortOrder = (a, b) =>
+  (a.sortOrder ?? Number.MAX_SAFE_INTEGER) - (b.sortOrder ?? Number.MAX_SAFE_INTEGER) ||
+  String(a.name).localeCompare(String(b.name));
+
+/**
+ * Converts a Firestore menu item document into the shape used by the UI,
+ * filling in defaults for fields older documents may not have.
+ */
+export const normalizeMenuItem = (id, data) => ({
+  id,
+  name: data.name || 'Unnamed item',
+  price: Number(data.price) || 0,
+  icon: data.icon || '🥤',
+  category: data.category || 'Other',
+  description: data.description || '',
+  available: data.available !== false,
+  archived: data.archived === true,
+  sortOrder: typeof data.sortOrder === 'number' ? data.sortOrder : null,
+  modifierGroups: normalizeModifierGroups(data.modifierGroups),
+  translations: normalizeTranslations(data.translations),
+});
+
+export const FALLBACK_MENU_ITEMS = BUNDLED_MENU_ITEMS.map(({ id, ...data }) => normalizeMenuItem(id, data));
+
+export const normalizeMenuCategory = (id, data) => ({
+  id,
+  name: data.name || id,
+  archived: data.archived === true,
+  sortOrder: typeof data.sortOrder === 'number' ? data.sortOrder : null,
+  translations: normalizeTranslations(data.translations),
+});
+
+export const FALLBACK_CATEGORIES = BUNDLED_CATEGORIES.map(({ id, ...data }) => normalizeMenuCategory(id, data));
+
+/**
+ * Builds the category list for the menu tabs. Categories that only appear on
+ * items (no metadata document) are appended after the configured ones.
+ */
+export const buildCategoryList = (categories, items) => {
+  const known = [...categories].sort(bySortOrder);
+  const knownIds = new Set(known.map(cat => cat.id));
+  const extra = Array.from(new Set(items.map(item => item.category)))
+    .filter(id => !knownIds.has(id))
+    .map(id => ({ id, name: id, sortOrder: null }));
+  return [...known, ...extra];
+};
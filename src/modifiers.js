@@ -0,0 +1,123 @@
+// --- Item Customisation ---
+// Menu items may carry `modifierGroups`, e.g.
+//   { id: 'size', name: 'Size', minSelect: 1, maxSelect: 1,
+//     options: [{ id: 'large', name: 'Large', priceDelta: 1.5, isDefault: false }] }
+// A group is required when minSelect > 0. Selections are kept as
+// { [groupId]: [optionId, ...] } and turned into cart lines by buildCartLine.
+
+import { sumMoney } from '../functions/shared/locale.js';
+
+export const normalizeModifierGroups = (groups) =>
+  (Array.isArray(groups) ? groups : []).map(group => {
+    const options = (Array.isArray(group.options) ? group.options : []).map(option => ({
+      id: String(option.id),
+      name: option.name || String(option.id),
+      priceDelta: Number(option.priceDelta) || 0,
+      isDefault: option.isDefault === true,
+    }));
+    const minSelect = Math.max(0, Number(group.minSelect) || 0);
+    return {
+      id: String(group.id),
+      name: group.name || String(group.id),
+      minSelect,
+      maxSelect: Math.max(minSelect, Number(group.maxSelect) || options.length),
+      options,
+    };
+  });
+
+export const isGroupRequired = (group) => group.minSelect > 0;
+
+// Starts every group on its default options, so required single-choice groups are pre-filled.
+export const defaultSelections = (item) =>
+  Object.fromEntries((item.modifierGroups || []).map(group => [
+    group.id,
+    group.options.filter(option => option.isDefault).slice(0, group.maxSelect).map(option => option.id),
+  ]));
+
+/**
+ * Checks selections against each group's min/max rules and the options the
+ * item currently offers. Returns { [groupId]: message } for every problem.
+ */
+export const validateSelections = (item, selections) => {
+  const errors = {};
+  (item.modifierGroups || []).forEach(group => {
+    const chosen = selections[group.id] || [];
+    const known = new Set(group.options.map(option => option.id));
+    if (chosen.some(optionId => !known.has(optionId))) {
+      errors[group.id] = `${group.name}: an option is no longer offered.`;
+    } else if (chosen.length < group.minSelect) {
+      errors[group.id] = group.minSelect === 1
+        ? `Choose a ${group.name.toLowerCase()}.`
+        : `Choose at least ${group.minSelect} for ${group.name}.`;
+    } else if (chosen.length > group.maxSelect) {
+      errors[group.id] = `Choose at most ${group.maxSelect} for ${group.name}.`;
+    }
+  });
+  return errors;
+};
+
+// Toggles an option, replacing the previous choice in single-select groups.
+export const toggleSelection = (selections, group, optionId) => {
+  const chosen = selections[group.id] || [];
+  let next;
+  if (chosen.includes(optionId)) {
+    next = chosen.filter(id => id !== optionId);
+  } else if (group.maxSelect === 1) {
+    next = [optionId];
+  } else if (chosen.length < group.maxSelect) {
+    next = [...chosen, optionId];
+  } else {
+    next = chosen;
+  }
+  return { ...selections, [group.id]: next };
+};
+
+// Flattens selections into the modifier entries stored on cart and order lines.
+const selectedModifiers = (item, selections) =>
+  (item.modifierGroups || []).flatMap(group =>
+    group.options
+      .filter(option => (selections[group.id] || []).includes(option.id))
+      .map(option => ({ groupId: group.id, groupName: group.name, optionId: option.id, name: option.name, priceDelta: option.priceDelta }))
+  );
+
+export const unitPriceFor = (item, selections) =>
+  sumMoney([item.price, ...selectedModifiers(item, selections).map(mod => mod.priceDelta)]);
+
+/**
+ * Key identifying an item + configuration. Two lines with the same key are the
+ * same thing and share a quantity; differently customised ones stay separate.
+ */
+export const configurationKey = (itemId, modifiers = []) => {
+  const parts = modifiers
+    .map(mod => `${mod.groupId}:${mod.optionId}`)
+    .sort();
+  return parts.length ? `${itemId}|${parts.join(',')}` : String(itemId);
+};
+
+// Lines saved before customisation existed have no lineId; their menu id is their key.
+export const cartLineKey = (line) => line.lineId || String(line.id);
+
+export const buildCartLine = (item, selections, quantity = 1) => {
+  const modifiers = selectedModifiers(item, selections);
+  return {
+    lineId: configurationKey(item.id, modifiers),
+    id: item.id,
+    name: item.name,
+    icon: item.icon,
+    category: item.category,
+    basePrice: item.price,
+    price: unitPriceFor(item, selections),
+    modifiers,
+    quantity,
+  };
+};
+
+// Rebuilds a selection map from the modifiers stored on a cart or order line.
+export const selectionsFromLine = (line) =>
+  (line.modifiers || []).reduce((acc, mod) => ({
+    ...acc,
+    [mod.groupId]: [...(acc[mod.groupId] || []), mod.optionId],
+  }), {});
+
+// "Large · Less Sweet · Chia Seeds"
+export const describeModifiers = (line) => (line.modifiers || []).map(mod => mod.name).join(' · ');
@@ -0,0 +1,290 @@
+// --- Order Helpers ---
+// Orders are written per user under /artifacts/{appId}/users/{userId}/juisip_history.
+// Staff screens read them across users with a collection group query on this name.
+
+import { sumMoney } from '../functions/shared/locale.js';
+import { FULFILMENT_MODE, fulfilmentModeOf } from '../functions/shared/fulfilment.js';
+import { CANCELLATION_REASON_IDS, MAX_CANCELLATION_NOTE_LENGTH, isCancellableByCustomer } from '../functions/shared/ordering.js';
+
+export const ORDER_HISTORY_COLLECTION = 'juisip_history';
+
+export const orderHistoryPath = (appId, uid) => `artifacts/${appId}/users/${uid}/${ORDER_HISTORY_COLLECTION}`;
+
+// Public summary of the orders the kitchen still has to make, kept by the
+// syncKitchenQueue function: { orders: [{ placedAt, dueAt, status }] } in the
+// order the kitchen is due to start them (see kitchenDueTime).
+// Customers cannot read each other's orders, so estimates come from this.
+export const kitchenQueuePath = (appId) => `artifacts/${appId}/public/kitchenQueue`;
+
+export const normalizeKitchenQueue = (data = {}) => ({
+  orders: Array.isArray(data.orders)
+    ? data.orders
+      .filter(entry => typeof entry?.placedAt === 'string')
+      .map(entry => ({ placedAt: entry.placedAt, dueAt: entry.dueAt || entry.placedAt, status: entry.status }))
+    : [],
+  updatedAt: data.updatedAt || null,
+});
+
+// --- Order Lifecycle ---
+// Keep ORDER_STATUS_TRANSITIONS and statusTransitionsFor in sync with
+// `allowedNextStatuses` in firestore.rules.
+
+export const ORDER_STATUS = {
+  PLACED: 'Placed',
+  ACCEPTED: 'Accepted',
+  PREPARING: 'Preparing',
+  READY: 'Ready',
+  OUT_FOR_DELIVERY: 'Out for delivery',
+  DELIVERED: 'Delivered',
+  CANCELLED: 'Cancelled',
+};
+
+export const ORDER_STATUS_TRANSITIONS = {
+  [ORDER_STATUS.PLACED]: [ORDER_STATUS.ACCEPTED, ORDER_STATUS.CANCELLED],
+  [ORDER_STATUS.ACCEPTED]: [ORDER_STATUS.PREPARING, ORDER_STATUS.CANCELLED],
+  [ORDER_STATUS.PREPARING]: [ORDER_STATUS.READY, ORDER_STATUS.CANCELLED],
+  [ORDER_STATUS.READY]: [ORDER_STATUS.OUT_FOR_DELIVERY],
+  [ORDER_STATUS.OUT_FOR_DELIVERY]: [ORDER_STATUS.DELIVERED],
+  [ORDER_STATUS.DELIVERED]: [],
+  [ORDER_STATUS.CANCELLED]: [],
+};
+
+// The happy path shown in the customer's progress tracker, for deliveries.
+export const ORDER_PROGRESS_STEPS = [
+  ORDER_STATUS.PLACED,
+  ORDER_STATUS.ACCEPTED,
+  ORDER_STATUS.PREPARING,
+  ORDER_STATUS.READY,
+  ORDER_STATUS.OUT_FOR_DELIVERY,
+  ORDER_STATUS.DELIVERED,
+];
+
+// Statuses that still need kitchen attention.
+export const ACTIVE_KITCHEN_STATUSES = ORDER_PROGRESS_STEPS.slice(0, -1);
+
+// Orders waiting to be made. Keep in sync with KITCHEN_QUEUE_STATUSES in functions/index.js.
+export const KITCHEN_QUEUE_STATUSES = [ORDER_STATUS.PLACED, ORDER_STATUS.ACCEPTED, ORDER_STATUS.PREPARING];
+
+export const isTerminalStatus = (status) => status === ORDER_STATUS.CANCELLED;
+
+// Takeaway and dine-in orders are handed over straight from the pass, so they
+// skip Out for delivery: Delivered then means picked up or served.
+export const statusTransitionsFor = (fulfilmentMode = FULFILMENT_MODE.DELIVERY) => (
+  fulfilmentMode === FULFILMENT_MODE.DELIVERY
+    ? ORDER_STATUS_TRANSITIONS
+    : { ...ORDER_STATUS_TRANSITIONS, [ORDER_STATUS.READY]: [ORDER_STATUS.DELIVERED] }
+);
+
+export const progressStepsFor = (fulfilmentMode = FULFILMENT_MODE.DELIVERY) => (
+  fulfilmentMode === FULFILMENT_MODE.DELIVERY
+    ? ORDER_PROGRESS_STEPS
+    : ORDER_PROGRESS_STEPS.filter(step => step !== ORDER_STATUS.OUT_FOR_DELIVERY)
+);
+
+export const canTransition = (from, to, fulfilmentMode) => (statusTransitionsFor(fulfilmentMode)[from] || []).includes(to);
+
+// Forward transitions only; cancellations are offered separately.
+export const nextForwardStatus = (status, fulfilmentMode) =>
+  (statusTransitionsFor(fulfilmentMode)[status] || []).find(next => !isTerminalStatus(next)) || null;
+
+// Ready and Delivered read differently when nobody rides out. The labels are for
+// staff screens; customers see the `status.{mode}.{status}` messages in src/i18n/.
+const FULFILMENT_STATUS_LABELS = {
+  [FULFILMENT_MODE.TAKEAWAY]: { [ORDER_STATUS.READY]: 'Ready for pickup', [ORDER_STATUS.DELIVERED]: 'Picked up' },
+  [FULFILMENT_MODE.DINE_IN]: { [ORDER_STATUS.READY]: 'Ready to serve', [ORDER_STATUS.DELIVERED]: 'Served' },
+};
+
+export const statusLabel = (order, status = order.status) =>
+  FULFILMENT_STATUS_LABELS[fulfilmentModeOf(order)]?.[status] || status;
+
+export const statusMessageId = (order, status = order.status) => {
+  const mode = fulfilmentModeOf(order);
+  return FULFILMENT_STATUS_LABELS[mode]?.[status] ? `status.${mode}.${status}` : `status.${status}`;
+};
+
+export class InvalidTransitionError extends Error {
+  constructor(from, to) {
+    super(`Order cannot move from "${from}" to "${to}".`);
+    this.name = 'InvalidTransitionError';
+    this.from = from;
+    this.to = to;
+  }
+}
+
+/**
+ * Builds the Firestore update for a status change, appending a timestamped
+ * entry to the order's transition log. Throws InvalidTransitionError when the
+ * lifecycle does not allow the move. The Firestore repository writes the
+ * server's time as statusUpdatedAt instead, as firestore.rules requires.
+ */
+export const buildStatusUpdate = (order, to, by, extra = {}) => {
+  if (!canTransition(order.status, to, fulfilmentModeOf(order))) {
+    throw new InvalidTransitionError(order.status, to);
+  }
+  const at = new Date().toISOString();
+  return {
+    status: to,
+    statusUpdatedAt: at,
+    statusHistory: [...(order.statusHistory || []), { status: to, at, by, ...extra }],
+  };
+};
+
+// When the kitchen should start on `order`: as soon as it is placed, or ahead of
+// its delivery slot (`kitchenDueAt`, see schedule.js).
+export const kitchenDueTime = (order) => order.kitchenDueAt || order.placedAt;
+
+// Scheduled orders stay off the kitchen display until they are due.
+export const isDueInKitchen = (order, now = Date.now()) =>
+  order.status !== ORDER_STATUS.PLACED || new Date(kitchenDueTime(order)).getTime() <= now;
+
+// Latest log entry per status, for showing when each step happened.
+export const statusTimestamps = (order) =>
+  Object.fromEntries((order.statusHistory || []).map(entry => [entry.status, entry.at]));
+
+// --- Customer Cancellation ---
+// Customers cancel through the cancelOrder function, which checks the store's
+// window (`cancellation` in pricingRules.js) and records why. Refunds follow
+// for every cancelled order, whoever cancelled it (refundPaymentOnCancel).
+
+// The reasons (CANCELLATION_REASON_IDS), the note limit and the checks are
+// shared with cancelOrder (functions/shared/ordering.js). The labels are for
+// staff screens; customers see the `cancelReason.*` messages in src/i18n/.
+const CANCELLATION_REASON_LABELS = {
+  changed_mind: 'Changed their mind',
+  ordered_by_mistake: 'Ordered by mistake',
+  taking_too_long: 'Taking too long',
+  wrong_details: 'Wrong address or items',
+  other: 'Other',
+};
+
+export const CANCELLATION_REASONS = CANCELLATION_REASON_IDS.map(id => ({ id, label: CANCELLATION_REASON_LABELS[id] }));
+
+export { MAX_CANCELLATION_NOTE_LENGTH, isCancellableByCustomer };
+
+// --- Kitchen Cancellation ---
+// Staff cancel from the kitchen display and say why, recorded as
+// `cancellation: { by: 'kitchen', reason, note, at }` next to the status change.
+// firestore.rules accepts the same reasons. Refunds and returned points follow
+// as for any cancellation.
+const KITCHEN_CANCELLATION_REASON_LABELS = {
+  item_unavailable: 'Item unavailable',
+  kitchen_too_busy: 'Kitchen too busy',
+  customer_request: 'Customer asked to cancel',
+  cannot_hand_over: 'Cannot deliver or hand over',
+  other: 'Other',
+};
+
+export const KITCHEN_CANCELLATION_REASONS = Object.entries(KITCHEN_CANCELLATION_REASON_LABELS).map(([id, label]) => ({ id, label }));
+
+/**
+ * The update for staff member `by` cancelling `order` for `reason` (a
+ * KITCHEN_CANCELLATION_REASONS id) with an optional `note`, which 'other'
+ * needs. Throws InvalidTransitionError when the order can no longer be cancelled.
+ */
+export const buildKitchenCancellation = (order, by, { reason, note } = {}) => {
+  const trimmedNote = typeof note === 'string' ? note.trim().slice(0, MAX_CANCELLATION_NOTE_LENGTH) : '';
+  if (!Object.hasOwn(KITCHEN_CANCELLATION_REASON_LABELS, reason) || (reason === 'other' && !trimmedNote)) {
+    throw new Error('Choose why the order is cancelled.');
+  }
+  const update = buildStatusUpdate(order, ORDER_STATUS.CANCELLED, by);
+  return { ...update, cancellation: { by: 'kitchen', reason, note: trimmedNote, at: update.statusUpdatedAt } };
+};
+
+// A customer's or the kitchen's reason, for staff screens.
+export const cancellationReasonLabel = (reasonId) =>
+  [...CANCELLATION_REASONS, ...KITCHEN_CANCELLATION_REASONS].find(reason => reason.id === reasonId)?.label || reasonId;
+
+// --- Estimated Times ---
+// The kitchen makes orders one after another, in the order they are due; riders
+// take about the same time for every delivery. Rough, but it moves as the queue does.
+export const PREP_MINUTES_PER_ORDER = 6;
+export const DELIVERY_MINUTES = 25;
+
+const addMinutes = (time, minutes) => new Date(time + minutes * 60000).toISOString();
+
+/**
+ * When `order` should be ready and delivered, given the kitchen `queue`
+ * (normalizeKitchenQueue): { ordersAhead, readyAt, deliveredAt }, with times
+ * as ISO strings and steps already done at their real time. Takeaway and
+ * dine-in orders have no delivery leg, so `deliveredAt` is null and there is
+ * nothing left to estimate once they are ready. Null once the
+ * order is delivered or closed, and for scheduled orders until the kitchen
+ * starts on them; their slot says when they arrive. Estimates are never
+ * earlier than `now`.
+ */
+export const estimateOrderTimes = (order, queue, now = Date.now()) => {
+  if (order.status === ORDER_STATUS.DELIVERED || isTerminalStatus(order.status)) return null;
+  if (order.scheduledFor && [ORDER_STATUS.PLACED, ORDER_STATUS.ACCEPTED].includes(order.status)) return null;
+  const isDelivery = fulfilmentModeOf(order) === FULFILMENT_MODE.DELIVERY;
+  if (!isDelivery && order.status === ORDER_STATUS.READY) return null;
+  const timestamps = statusTimestamps(order);
+  const dueAt = new Date(kitchenDueTime(order)).getTime();
+  // Orders scheduled for later are not in the way yet.
+  const ordersAhead = queue.orders.filter(entry => {
+    const entryDueAt = new Date(entry.dueAt).getTime();
+    return entryDueAt < dueAt && entryDueAt <= now;
+  }).length;
+
+  if (order.status === ORDER_STATUS.OUT_FOR_DELIVERY) {
+    const leftAt = new Date(timestamps[ORDER_STATUS.OUT_FOR_DELIVERY] || now).getTime();
+    return { ordersAhead: 0, readyAt: timestamps[ORDER_STATUS.READY] || null, deliveredAt: addMinutes(Math.max(now, leftAt), DELIVERY_MINUTES) };
+  }
+  if (order.status === ORDER_STATUS.READY) {
+    return { ordersAhead: 0, readyAt: timestamps[ORDER_STATUS.READY] || null, deliveredAt: addMinutes(now, DELIVERY_MINUTES) };
+  }
+
+  // Once preparing, the orders ahead no longer hold this one up.
+  const readyTime = order.status === ORDER_STATUS.PREPARING
+    ? Math.max(now, new Date(timestamps[ORDER_STATUS.PREPARING] || now).getTime() + PREP_MINUTES_PER_ORDER * 60000)
+    : now + (ordersAhead + 1) * PREP_MINUTES_PER_ORDER * 60000;
+  return {
+    ordersAhead: order.status === ORDER_STATUS.PREPARING ? 0 : ordersAhead,
+    readyAt: new Date(readyTime).toISOString(),
+    deliveredAt: isDelivery ? addMinutes(readyTime, DELIVERY_MINUTES) : null,
+  };
+};
+
+// --- Sales ---
+// Cancelled orders never count as sales, and a guest order moved
+// into an account counts once, as the account's copy.
+export const isExcludedFromSales = (order) => isTerminalStatus(order.status);
+
+// Totals for `orders` in `currency`: { orderCount, sales, cancelledCount, cancelledAmount }.
+export const summarizeSales = (orders, currency) => {
+  const counted = orders.filter(order => !order.migratedTo);
+  const sold = counted.filter(order => !isExcludedFromSales(order));
+  const cancelled = counted.filter(isExcludedFromSales);
+  return {
+    orderCount: sold.length,
+    sales: sumMoney(sold.map(order => order.grandTotal || 0), currency),
+    cancelledCount: cancelled.length,
+    cancelledAmount: sumMoney(cancelled.map(order => order.grandTotal || 0), currency),
+  };
+};
+
+export const STATUS_BADGE_CLASSES = {
+  [ORDER_STATUS.PLACED]: 'bg-blue-100 text-blue-800',
+  [ORDER_STATUS.ACCEPTED]: 'bg-blue-100 text-blue-800',
+  [ORDER_STATUS.PREPARING]: 'bg-yellow-100 text-yellow-800',
+  [ORDER_STATUS.READY]: 'bg-lime-100 text-lime-800',
+  [ORDER_STATUS.OUT_FOR_DELIVERY]: 'bg-lime-100 text-lime-800',
+  [ORDER_STATUS.DELIVERED]: 'bg-green-100 text-green-800',
+  [ORDER_STATUS.CANCELLED]: 'bg-red-100 text-red-800',
+};
+
+export const statusBadgeClass = (status) => STATUS_BADGE_CLASSES[status] || 'bg-yellow-100 text-yellow-800';
+
+// Orders placed through the placeOrder function carry a daily sequential number
+// such as JS-20261019-0042 (functions/orderNumbers.js). Older orders have a
+// random five-digit number, shown with a leading '#'.
+export const displayOrderNumber = (orderId) => {
+  if (orderId === undefined || orderId === null || orderId === '') return '...';
+  return typeof orderId === 'number' ? `#${orderId}` : String(orderId);
+};
+
+// "4 min", "1 h 05 min"
+export const formatElapsed = (fromIso, now = Date.now()) => {
+  const minutes = Math.max(0, Math.floor((now - new Date(fromIso).getTime()) / 60000));
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)} h ${String(minutes % 60).padStart(2, '0')} min`;
+};
@@ -0,0 +1,109 @@
+// --- Payments (client side) ---
+// The providers themselves run in the placeOrder function (functions/payments.js):
+// that is where payments are authorized, captured on delivery and refunded.
+// The browser's only job is to get the customer's approval for online methods
+// and hand the resulting reference to placeOrder.
+
+import { toMinorUnits } from '../functions/shared/locale.js';
+import { NO_PAYMENT_METHOD } from '../functions/shared/ordering.js';
+import { ORDER_ERROR } from '../functions/shared/orderErrors.js';
+
+export const PAYMENT_METHODS = [
+  { id: 'cod', label: 'Cash on Delivery', description: 'Pay the rider in cash or UPI when your order arrives.' },
+  { id: 'upi', label: 'UPI', description: 'Approve the payment in your UPI app.' },
+  { id: 'card', label: 'Credit / Debit Card', description: 'Visa, Mastercard, RuPay.' },
+];
+
+export const DEFAULT_PAYMENT_METHOD = 'cod';
+
+// Keep in sync with PAYMENT_STATUS in functions/payments.js. Values are
+// message ids in src/i18n/.
+const PAYMENT_STATUS_MESSAGES = {
+  authorized: 'payment.status.authorized',
+  captured: 'payment.status.captured',
+  refunded: 'payment.status.refunded',
+  failed: 'payment.status.failed',
+};
+
+export const describePaymentStatus = (order, t) => {
+  if (!order.paymentStatus || order.payment?.method === NO_PAYMENT_METHOD) return null;
+  if (order.payment?.method === 'cod' && order.paymentStatus === 'authorized') return t('payment.status.codDue');
+  // Cancelled before anything was collected or captured
+  if (order.paymentStatus === 'refunded' && order.payment?.refundedAmount === 0) return t('payment.status.released');
+  const messageId = PAYMENT_STATUS_MESSAGES[order.paymentStatus];
+  return messageId ? t(messageId) : order.paymentStatus;
+};
+
+export const paymentMethodLabel = (methodId) =>
+  PAYMENT_METHODS.find(method => method.id === methodId)?.label || methodId;
+
+// Like OrderRejectedError (repository.js): `details.code` says why, for rejectionMessage.
+export class PaymentError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'PaymentError';
+    this.details = { code };
+  }
+}
+
+const GATEWAY_SCRIPT_URL = 'https://checkout.razorpay.com/v1/checkout.js';
+const GATEWAY_KEY = import.meta.env.VITE_PAYMENT_GATEWAY_KEY;
+
+let gatewayScript = null;
+
+const loadGatewayScript = () => {
+  if (!gatewayScript) {
+    gatewayScript = new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = GATEWAY_SCRIPT_URL;
+      script.onload = () => resolve(window.Razorpay);
+      script.onerror = () => {
+        gatewayScript = null;
+        reject(new PaymentError('Online payments are not available right now.', ORDER_ERROR.PAYMENTS_UNAVAILABLE));
+      };
+      document.body.appendChild(script);
+    });
+  }
+  return gatewayScript;
+};
+
+// Opens the gateway's checkout and resolves with the payment id once the
+// customer approves. The gateway counts in minor units (paise for INR).
+// `contact` ({ name, phone }) prefills the checkout when the order has one.
+const approveWithGateway = async (method, { amount, currency, contact }) => {
+  const Gateway = await loadGatewayScript();
+  return new Promise((resolve, reject) => {
+    const checkout = new Gateway({
+      key: GATEWAY_KEY,
+      amount: toMinorUnits(amount, currency),
+      currency,
+      name: 'JuiSip',
+      description: 'Fresh juice order',
+      method: { upi: method === 'upi', card: method === 'card', netbanking: false, wallet: false },
+      prefill: contact ? { name: contact.name, contact: contact.phone } : {},
+      theme: { color: '#65a30d' },
+      handler: (response) => resolve(response.razorpay_payment_id),
+      modal: { ondismiss: () => reject(new PaymentError('Payment was cancelled.', ORDER_ERROR.PAYMENT_CANCELLED)) },
+    });
+    checkout.on('payment.failed', (response) => {
+      reject(new PaymentError(response.error?.description || 'Your payment was declined.', ORDER_ERROR.PAYMENT_DECLINED));
+    });
+    checkout.open();
+  });
+};
+
+// Online methods need a gateway key, except against the emulators where the mock provider stands in.
+export const availablePaymentMethods = (useMock) =>
+  PAYMENT_METHODS.filter(method => method.id === 'cod' || useMock || Boolean(GATEWAY_KEY));
+
+/**
+ * Collects what placeOrder needs to authorize the payment: { method, reference }.
+ * Cash on delivery, and an order with nothing to pay, need nothing up front. With `useMock` online payments are
+ * approved locally; the functions emulator pairs this with its mock provider.
+ */
+export const approvePayment = async (method, { amount, currency, contact, useMock }) => {
+  if (amount === 0) return { method: NO_PAYMENT_METHOD, reference: null };
+  if (method === 'cod') return { method, reference: null };
+  if (useMock) return { method, reference: `mock_${crypto.randomUUID()}` };
+  return { method, reference: await approveWithGateway(method, { amount, currency, contact }) };
+};
@@ -0,0 +1,86 @@
+// --- Data Repository ---
+// Everything the storefront, kitchen and menu console read or write goes through
+// a repository, so the app runs the same against Firestore
+// (firestoreRepository.js) or entirely in the browser (localRepository.js, for
+// development and demos without a Firebase project). Both store documents under
+// the same paths and in the same shapes.
+//
+// `isLocal` tells the two apart. Listeners take (onChange, onError) and return
+// an unsubscribe function. Reads arrive normalized (menu.js, pricingRules.js,
+// loyalty.js, lineItems.js).
+//
+//   Catalog (public)
+//     watchMenuItems(onChange(items))            items sorted; [] while none are published
+//     watchMenuCategories(onChange(categories))  [] while none are published
+//     watchPricingRules(onChange(rules))         DEFAULT_PRICING_RULES when missing
+//     watchRewards(onChange(rewards))            active rewards, cheapest first
+//     findPromotion(uid, code)                   -> { promotion, usageCount } or null
+//     watchKitchenQueue(onChange(queue))         normalizeKitchenQueue (orders.js)
+//     watchDeliverySlots(from, onChange(remaining))  { [slotId]: places left } for slots starting from `from` (ISO), see schedule.js
+//
+//   Customer (private to `uid`)
+//     watchCart(uid, onChange(lines, metadata))  metadata: { hasPendingWrites, fromCache }
+//     saveCart(uid, lines)
+//     watchOrderHistory(uid, onChange(orders))   newest first
+//     watchOrder(uid, id, onChange(order))       null when there is no such order
+//     cancelOrder(uid, id, { reason, note })     within the store's window, see buildCustomerCancellation (functions/shared/ordering.js)
+//     watchAddresses(uid, onChange(addresses))   default first
+//     saveAddress(uid, id, address, addresses)   -> id (null id adds one)
+//     deleteAddress(uid, id)
+//     setDefaultAddress(uid, id, addresses)
+//     watchPointsBalance(uid, onChange(balance))
+//     watchLedger(uid, pageSize, onChange(entries))
+//     watchPreferences(uid, onChange(preferences or null))
+//     savePreferences(uid, preferences)          merged into what is stored
+//     watchOrderQueue(uid, onChange(entries))    see sync.js
+//     queueOrder(uid, entry)                     -> { id, saved } without waiting for the write
+//     dismissQueuedOrder(uid, id)
+//     placeOrder(uid, orderRequest)              -> { id, orderId, grandTotal, fulfilment, scheduledFor }
+//
+//   Staff
+//     watchKitchenOrders(onChange(orders))       open orders across customers, in the order they are due (kitchenDueTime)
+//     updateOrderStatus(order, status, by)       checked by buildStatusUpdate (orders.js)
+//     cancelOrderInKitchen(order, by, { reason, note })  see buildKitchenCancellation (orders.js)
+//     watchKitchenCancellations(since, onChange(orders))  cancelled by customers since `since` (ISO)
+//     watchSalesOrders(day, onChange(orders))    orders numbered on business day `day` (orderNumbers.js)
+//     seedMenu(categories, items)
+//     addMenuEntry(kind, data)                   kind: 'items' or 'categories'
+//     updateMenuEntry(kind, id, fields)
+//     reorderMenu(kind, ids)                     sortOrder follows the position in `ids`
+//
+// Writes return promises. placeOrder and cancelOrder reject with
+// OrderRejectedError (placeOrder also with PaymentError) when the customer has
+// to change something.
+
+import { ORDER_ERROR } from '../functions/shared/orderErrors.js';
+import { formatMoney } from '../functions/shared/locale.js';
+
+export const MENU_KINDS = ['items', 'categories'];
+
+// placeOrder or cancelOrder turned the request down. `details.code` says why
+// (orderErrors.js), for rejectionMessage; the English message is for logs.
+export class OrderRejectedError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'OrderRejectedError';
+    this.details = details;
+  }
+}
+
+const KNOWN_REJECTIONS = new Set(Object.values(ORDER_ERROR));
+
+/**
+ * What to tell the customer about a rejection whose `details` are
+ * { code, ...values } (orderErrors.js): the `orderError.<code>` message, or the
+ * promotion's or reward's own message. Null for a code this build does not know.
+ * A `grandTotal` is shown as `{total}`, formatted for `storeLocale`.
+ */
+export const rejectionMessage = (details, t, storeLocale) => {
+  const code = details?.code;
+  if (code === ORDER_ERROR.PROMO_REJECTED || code === ORDER_ERROR.REWARD_REJECTED) {
+    return details.message ? t(details.message.id, details.message.params) : null;
+  }
+  if (!KNOWN_REJECTIONS.has(code)) return null;
+  const { grandTotal, ...values } = details;
+  return t(`orderError.${code}`, grandTotal === undefined ? values : { ...values, total: formatMoney(grandTotal, storeLocale) });
+};
@@ -0,0 +1,99 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+
+// --- Routes ---
+// Every screen has its own URL, so a refresh stays on it, the back button moves
+// between screens and an order can be linked to:
+//   /  or  /menu        the menu, all categories
+//   /menu/{category}    the menu, one category
+//   /cart  /checkout  /orders  /orders/{orderDocId}  /account  /admin  /kitchen
+// Anything else is the not-found view. firebase.json rewrites every path to
+// index.html, and Vite's dev server does the same.
+
+export const NOT_FOUND_VIEW = 'notFound';
+
+// Single-segment paths and the view each one shows.
+const VIEW_PATHS = {
+  cart: 'cart',
+  checkout: 'checkout',
+  orders: 'history',
+  account: 'account',
+  admin: 'admin',
+  kitchen: 'kitchen',
+};
+
+const NOT_FOUND = { view: NOT_FOUND_VIEW, category: null, orderId: null };
+
+/**
+ * The route for `pathname`: { view, category, orderId }. `category` is set on
+ * filtered menus and `orderId` (the order document id) on order pages.
+ */
+export const parseRoute = (pathname) => {
+  let segments;
+  try {
+    segments = pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  } catch {
+    return NOT_FOUND; // Malformed %-escapes
+  }
+  const [first, second, ...rest] = segments;
+  if (rest.length > 0) return NOT_FOUND;
+
+  if (!first || first === 'menu') {
+    return { view: 'menu', category: second || null, orderId: null };
+  }
+  if (first === 'orders' && second) {
+    return { view: 'order', category: null, orderId: second };
+  }
+  if (second || !Object.hasOwn(VIEW_PATHS, first)) return NOT_FOUND;
+  return { view: VIEW_PATHS[first], category: null, orderId: null };
+};
+
+// The path for a route; `{ view }` alone will do for views without parameters.
+export const routePath = ({ view, category = null, orderId = null }) => {
+  if (view === 'menu') {
+    return category && category !== 'all' ? `/menu/${encodeURIComponent(category)}` : '/';
+  }
+  if (view === 'order') return `/orders/${encodeURIComponent(orderId)}`;
+  const segment = Object.keys(VIEW_PATHS).find(key => VIEW_PATHS[key] === view);
+  return segment ? `/${segment}` : '/';
+};
+
+/**
+ * The current route plus `navigate(route or path, { replace, preserveScroll })`.
+ * New screens start at the top; going back or forward returns to where that
+ * screen was scrolled, which is kept in the history entry's state.
+ */
+export const useRoute = () => {
+  const [route, setRoute] = useState(() => parseRoute(window.location.pathname));
+  const scrollTarget = useRef(null); // Applied once the route's screen has rendered
+
+  useEffect(() => {
+    window.history.scrollRestoration = 'manual';
+    const handlePopState = (event) => {
+      scrollTarget.current = event.state?.scrollY ?? 0;
+      setRoute(parseRoute(window.location.pathname));
+    };
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  useEffect(() => {
+    if (scrollTarget.current === null) return;
+    window.scrollTo(0, scrollTarget.current);
+    scrollTarget.current = null;
+  }, [route]);
+
+  const navigate = useCallback((target, { replace = false, preserveScroll = false } = {}) => {
+    const path = typeof target === 'string' ? target : routePath(target);
+    // Remembered for when the back button returns to this entry.
+    window.history.replaceState({ ...window.history.state, scrollY: window.scrollY }, '');
+    if (replace) {
+      window.history.replaceState({ scrollY: 0 }, '', path);
+    } else if (path !== window.location.pathname) {
+      window.history.pushState({ scrollY: 0 }, '', path);
+    }
+    scrollTarget.current = preserveScroll ? null : 0;
+    setRoute(parseRoute(path));
+  }, []);
+
+  return [route, navigate];
+};
@@ -0,0 +1,40 @@
+// --- Offline Sync ---
+// Firestore keeps a persistent (IndexedDB) cache, so the cart reads and writes
+// work offline and are sent once the connection returns. Snapshot metadata says
+// where a document stands: `hasPendingWrites` while local changes are unsent,
+// `fromCache` while the server has not confirmed what we see.
+//
+// Orders cannot be priced offline, so they are written to
+// /artifacts/{appId}/users/{userId}/orderQueue/{requestId} instead, which the
+// placeQueuedOrder Cloud Function turns into a real order after it syncs.
+
+import { NO_PAYMENT_METHOD } from '../functions/shared/ordering.js';
+
+export const SYNC_STATUS = {
+  SYNCED: 'synced',
+  SYNCING: 'syncing',
+  OFFLINE: 'offline',
+  ERROR: 'error',
+};
+
+export const QUEUED_ORDER_STATUS = {
+  QUEUED: 'queued',
+  PLACED: 'placed',
+  REJECTED: 'rejected',
+};
+
+// Only cash on delivery (or nothing to pay) can wait; online payments need the
+// customer's approval first.
+export const QUEUEABLE_PAYMENT_METHODS = ['cod', NO_PAYMENT_METHOD];
+
+export const orderQueuePath = (appId, uid) => `artifacts/${appId}/users/${uid}/orderQueue`;
+
+/**
+ * Sync state of a document from its snapshot `metadata` ({ hasPendingWrites,
+ * fromCache }) and whether the browser reports a connection.
+ */
+export const syncStatusOf = (metadata, isOnline) => {
+  if (!isOnline) return SYNC_STATUS.OFFLINE;
+  if (metadata.hasPendingWrites || metadata.fromCache) return SYNC_STATUS.SYNCING;
+  return SYNC_STATUS.SYNCED;
+};
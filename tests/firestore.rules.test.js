@@ -0,0 +1,483 @@
+// Security rules tests. Run on the Firestore emulator with `npm run test:rules`.
+import { readFileSync } from 'node:fs';
+import { describe, it, before, after, beforeEach } from 'node:test';
+import {
+  initializeTestEnvironment,
+  assertSucceeds,
+  assertFails,
+} from '@firebase/rules-unit-testing';
+import {
+  doc,
+  collection,
+  collectionGroup,
+  query,
+  where,
+  getDoc,
+  getDocs,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  serverTimestamp,
+  writeBatch,
+} from 'firebase/firestore';
+
+const APP_ID = 'test-app';
+const userPath = (uid) => `artifacts/${APP_ID}/users/${uid}`;
+const orderPath = (uid, orderId) => `${userPath(uid)}/juisip_history/${orderId}`;
+
+const newOrder = (uid, overrides = {}) => {
+  const placedAt = '2026-10-19T10:00:00.000Z';
+  return {
+    orderId: 'JS-20261019-0001',
+    appId: APP_ID,
+    userId: uid,
+    items: [{ id: '1', name: 'Zesty Lemonade', basePrice: 5.99, price: 5.99, quantity: 2, modifiers: [] }],
+    subtotal: 11.98,
+    taxAmount: 0.96,
+    deliveryFee: 5,
+    grandTotal: 11.98 + 0.96 + 5,
+    placedAt,
+    status: 'Placed',
+    statusUpdatedAt: placedAt,
+    statusHistory: [{ status: 'Placed', at: placedAt, by: uid }],
+    ...overrides,
+  };
+};
+
+const statusChange = (order, status, by = 'staff') => ({
+  status,
+  statusUpdatedAt: serverTimestamp(),
+  statusHistory: [...order.statusHistory, { status, at: '2026-10-19T10:05:00.000Z', by }],
+});
+
+let testEnv;
+
+const seed = (path, data) => testEnv.withSecurityRulesDisabled(context => setDoc(doc(context.firestore(), path), data));
+
+const asGuest = () => testEnv.unauthenticatedContext().firestore();
+const asUser = (uid) => testEnv.authenticatedContext(uid).firestore();
+const asStaff = () => testEnv.authenticatedContext('staff', { staff: true }).firestore();
+const asAdmin = () => testEnv.authenticatedContext('admin', { admin: true }).firestore();
+
+before(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: 'demo-juisip-rules',
+    firestore: { rules: readFileSync(new URL('../firestore.rules', import.meta.url), 'utf8') },
+  });
+});
+
+after(async () => {
+  await testEnv?.cleanup();
+});
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+});
+
+describe('menu catalog', () => {
+  const itemPath = `artifacts/${APP_ID}/public/menu/items/1`;
+  const item = { name: 'Zesty Lemonade', price: 5.99, category: 'Drinks' };
+
+  it('can be read by anyone', async () => {
+    await seed(itemPath, item);
+    await assertSucceeds(getDoc(doc(asGuest(), itemPath)));
+  });
+
+  it('is read-only for customers and staff', async () => {
+    await assertFails(setDoc(doc(asUser('alice'), itemPath), item));
+    await assertFails(setDoc(doc(asStaff(), itemPath), item));
+  });
+
+  it('can be edited by admins', async () => {
+    await assertSucceeds(setDoc(doc(asAdmin(), itemPath), item));
+  });
+});
+
+describe('pricing rules', () => {
+  const pricingPath = `artifacts/${APP_ID}/public/pricing`;
+  const rules = { tax: { defaultRate: 0.05 }, delivery: { defaultFee: 30 } };
+
+  it('can be read by anyone and edited by admins only', async () => {
+    await seed(pricingPath, rules);
+    await assertSucceeds(getDoc(doc(asGuest(), pricingPath)));
+    await assertFails(setDoc(doc(asUser('alice'), pricingPath), rules));
+    await assertFails(setDoc(doc(asStaff(), pricingPath), rules));
+    await assertSucceeds(setDoc(doc(asAdmin(), pricingPath), rules));
+  });
+});
+
+describe('promo codes', () => {
+  const codePath = `artifacts/${APP_ID}/promoCodes/JUICY10`;
+  const promo = { type: 'percentage', value: 10, perUserLimit: 1 };
+
+  it('can be looked up by signed-in customers but not listed', async () => {
+    await seed(codePath, promo);
+    await assertSucceeds(getDoc(doc(asUser('alice'), codePath)));
+    await assertFails(getDoc(doc(asGuest(), codePath)));
+    await assertFails(getDocs(collection(asUser('alice'), `artifacts/${APP_ID}/promoCodes`)));
+    await assertSucceeds(getDocs(collection(asAdmin(), `artifacts/${APP_ID}/promoCodes`)));
+  });
+
+  it('are edited by admins only', async () => {
+    await assertFails(setDoc(doc(asUser('alice'), codePath), promo));
+    await assertSucceeds(setDoc(doc(asAdmin(), codePath), promo));
+  });
+
+  it('keep redemption counts read-only for their owner', async () => {
+    const usagePath = `${userPath('alice')}/promoUsage/JUICY10`;
+    await seed(usagePath, { code: 'JUICY10', count: 1 });
+    await assertSucceeds(getDoc(doc(asUser('alice'), usagePath)));
+    await assertFails(getDoc(doc(asUser('bob'), usagePath)));
+    await assertFails(setDoc(doc(asUser('alice'), usagePath), { code: 'JUICY10', count: 0 }));
+  });
+});
+
+describe('loyalty', () => {
+  const rewardPath = `artifacts/${APP_ID}/public/loyalty/rewards/free-shot`;
+  const summaryPath = `${userPath('alice')}/loyalty/summary`;
+  const entryPath = `${userPath('alice')}/loyaltyLedger/earn-order1`;
+  const entry = { type: 'earn', points: 17, balanceAfter: 17, orderDocId: 'order1', createdAt: '2026-10-19T10:00:00.000Z' };
+
+  it('lists rewards for everyone and lets only admins edit them', async () => {
+    const reward = { name: 'Free ginger shot', pointsCost: 50, value: 2 };
+    await seed(rewardPath, reward);
+    await assertSucceeds(getDocs(collection(asGuest(), `artifacts/${APP_ID}/public/loyalty/rewards`)));
+    await assertFails(setDoc(doc(asUser('alice'), rewardPath), { ...reward, pointsCost: 1 }));
+    await assertSucceeds(setDoc(doc(asAdmin(), rewardPath), reward));
+  });
+
+  it('keeps the balance and ledger private to their owner', async () => {
+    await seed(summaryPath, { balance: 17 });
+    await seed(entryPath, entry);
+    await assertSucceeds(getDoc(doc(asUser('alice'), summaryPath)));
+    await assertSucceeds(getDocs(collection(asUser('alice'), `${userPath('alice')}/loyaltyLedger`)));
+    await assertFails(getDoc(doc(asUser('bob'), summaryPath)));
+    await assertFails(getDoc(doc(asUser('bob'), entryPath)));
+  });
+
+  it('never lets customers change points or ledger entries', async () => {
+    await seed(summaryPath, { balance: 17 });
+    await seed(entryPath, entry);
+    await assertFails(setDoc(doc(asUser('alice'), summaryPath), { balance: 1000 }));
+    await assertFails(updateDoc(doc(asUser('alice'), entryPath), { points: 1000 }));
+    await assertFails(deleteDoc(doc(asUser('alice'), entryPath)));
+    await assertFails(setDoc(doc(asUser('alice'), `${userPath('alice')}/loyaltyLedger/extra`), entry));
+  });
+});
+
+describe('cart', () => {
+  const line = {
+    lineId: '2|size:large', id: '2', name: 'Classic Green Smoothie', icon: '🥬', category: 'Drinks', basePrice: 7.49, price: 8.49, quantity: 1,
+    modifiers: [{ groupId: 'size', groupName: 'Size', optionId: 'large', name: 'Large', priceDelta: 1 }],
+  };
+  const cart = { items: [line], updatedAt: '2026-10-19T10:00:00.000Z' };
+
+  it('belongs to its owner only', async () => {
+    await assertSucceeds(setDoc(doc(asUser('alice'), `${userPath('alice')}/juisip_cart/current`), cart));
+    await assertSucceeds(getDoc(doc(asUser('alice'), `${userPath('alice')}/juisip_cart/current`)));
+    await assertFails(getDoc(doc(asUser('bob'), `${userPath('alice')}/juisip_cart/current`)));
+    await assertFails(setDoc(doc(asUser('bob'), `${userPath('alice')}/juisip_cart/current`), cart));
+    await assertFails(getDoc(doc(asGuest(), `${userPath('alice')}/juisip_cart/current`)));
+  });
+
+  it('rejects unexpected fields', async () => {
+    await assertFails(setDoc(doc(asUser('alice'), `${userPath('alice')}/juisip_cart/current`), { ...cart, discount: 100 }));
+    await assertFails(setDoc(doc(asUser('alice'), `${userPath('alice')}/juisip_cart/current`), { itemsJson: '[]', updatedAt: cart.updatedAt }));
+  });
+
+  it('validates every line', async () => {
+    const cartPath = `${userPath('alice')}/juisip_cart/current`;
+    const db = asUser('alice');
+    await assertSucceeds(setDoc(doc(db, cartPath), { ...cart, items: Array.from({ length: 20 }, () => line) }));
+    await assertFails(setDoc(doc(db, cartPath), { ...cart, items: Array.from({ length: 21 }, () => line) }));
+    await assertFails(setDoc(doc(db, cartPath), { ...cart, items: [line, { ...line, quantity: 0 }] }));
+    await assertFails(setDoc(doc(db, cartPath), { ...cart, items: [line, { ...line, price: '8.49' }] }));
+    await assertFails(setDoc(doc(db, cartPath), { ...cart, items: [{ ...line, secret: true }] }));
+    await assertFails(setDoc(doc(db, cartPath), { ...cart, items: [{ id: '2', quantity: 1 }] }));
+  });
+});
+
+describe('order queue', () => {
+  const queuePath = (uid) => `${userPath(uid)}/orderQueue/q1`;
+  const queued = {
+    items: [{ id: '1', name: 'Zesty Lemonade', quantity: 2, modifiers: [] }],
+    deliveryAddress: { name: 'Asha', phone: '9876543210', line1: '12 MG Road', city: 'Pune', postalCode: '411001' },
+    promoCode: null,
+    rewardId: null,
+    expectedGrandTotal: 17.94,
+    payment: { method: 'cod', reference: null },
+    status: 'queued',
+    createdAt: '2026-10-19T10:00:00.000Z',
+  };
+
+  it('lets owners queue, read and dismiss cash orders', async () => {
+    const db = asUser('alice');
+    await assertSucceeds(setDoc(doc(db, queuePath('alice')), queued));
+    await assertSucceeds(getDoc(doc(db, queuePath('alice'))));
+    await assertFails(getDoc(doc(asUser('bob'), queuePath('alice'))));
+    await assertFails(setDoc(doc(asUser('bob'), `${userPath('alice')}/orderQueue/q2`), queued));
+    await assertSucceeds(deleteDoc(doc(db, queuePath('alice'))));
+  });
+
+  it('lets owners queue fully discounted orders with nothing to pay', async () => {
+    const db = asUser('alice');
+    await assertSucceeds(setDoc(doc(db, queuePath('alice')), { ...queued, expectedGrandTotal: 0, payment: { method: 'none', reference: null } }));
+  });
+
+  it('rejects online payments, outcomes and later edits', async () => {
+    const db = asUser('alice');
+    await assertFails(setDoc(doc(db, queuePath('alice')), { ...queued, payment: { method: 'card', reference: 'x' } }));
+    await assertSucceeds(setDoc(doc(db, `${userPath('alice')}/orderQueue/q2`), { ...queued, deliverySlotId: '20261019-1830' }));
+    await assertSucceeds(setDoc(doc(db, `${userPath('alice')}/orderQueue/q3`), { ...queued, fulfilment: { mode: 'takeaway', contact: { name: 'Asha', phone: '9876543210' } }, deliveryAddress: null }));
+    await assertFails(setDoc(doc(db, queuePath('alice')), { ...queued, status: 'placed', orderId: 'JS-20261019-0001' }));
+    await seed(queuePath('alice'), queued);
+    await assertFails(updateDoc(doc(db, queuePath('alice')), { expectedGrandTotal: 1 }));
+  });
+});
+
+describe('address book', () => {
+  const addressPath = (uid) => `${userPath(uid)}/addresses/a1`;
+  const address = {
+    label: 'Home', name: 'Asha', phone: '9876543210', line1: '12 MG Road', line2: '', city: 'Pune', postalCode: '411001',
+    isDefault: true, updatedAt: '2026-10-19T10:00:00.000Z',
+  };
+
+  it('belongs to its owner only', async () => {
+    await assertSucceeds(setDoc(doc(asUser('alice'), addressPath('alice')), address));
+    await assertSucceeds(getDoc(doc(asUser('alice'), addressPath('alice'))));
+    await assertFails(getDoc(doc(asUser('bob'), addressPath('alice'))));
+    await assertFails(setDoc(doc(asUser('bob'), addressPath('alice')), address));
+  });
+
+  it('rejects unexpected fields', async () => {
+    await assertFails(setDoc(doc(asUser('alice'), addressPath('alice')), { ...address, isDefault: 'yes' }));
+    await assertFails(setDoc(doc(asUser('alice'), addressPath('alice')), { ...address, notes: 'x' }));
+  });
+});
+
+describe('orders', () => {
+  // New orders come from the placeOrder Cloud Function only.
+  it('cannot be created directly, even with consistent totals', async () => {
+    await assertFails(setDoc(doc(asUser('alice'), orderPath('alice', 'o1')), newOrder('alice')));
+    await assertFails(setDoc(doc(asUser('alice'), orderPath('alice', 'o1')), newOrder('alice', { grandTotal: 0.01 })));
+  });
+
+  it('cannot be created for someone else', async () => {
+    await assertFails(setDoc(doc(asUser('bob'), orderPath('alice', 'o1')), newOrder('alice')));
+  });
+
+  it('are append-only for customers', async () => {
+    const order = newOrder('alice');
+    await seed(orderPath('alice', 'o1'), order);
+    const db = asUser('alice');
+    await assertSucceeds(getDoc(doc(db, orderPath('alice', 'o1'))));
+    await assertFails(updateDoc(doc(db, orderPath('alice', 'o1')), { grandTotal: 1 }));
+    await assertFails(updateDoc(doc(db, orderPath('alice', 'o1')), statusChange(order, 'Accepted')));
+    await assertFails(deleteDoc(doc(db, orderPath('alice', 'o1'))));
+  });
+
+  it('are private to their owner', async () => {
+    await seed(orderPath('alice', 'o1'), newOrder('alice'));
+    await assertFails(getDoc(doc(asUser('bob'), orderPath('alice', 'o1'))));
+    await assertFails(getDocs(collectionGroup(asUser('bob'), 'juisip_history')));
+  });
+
+  // Customers cancel through the cancelOrder function, which checks the store's window.
+  it('cannot be cancelled directly by their owner', async () => {
+    const order = newOrder('alice');
+    await seed(orderPath('alice', 'o1'), order);
+    await assertFails(updateDoc(doc(asUser('alice'), orderPath('alice', 'o1')), statusChange(order, 'Cancelled', 'alice')));
+  });
+});
+
+describe('refunds', () => {
+  it('are readable by staff only and written by no client', async () => {
+    const refundPath = `artifacts/${APP_ID}/refunds/o1`;
+    await seed(refundPath, { orderDocId: 'o1', userId: 'alice', status: 'refunded', refundedAmount: 0 });
+    await assertSucceeds(getDoc(doc(asStaff(), refundPath)));
+    await assertFails(getDoc(doc(asUser('alice'), refundPath)));
+    await assertFails(setDoc(doc(asStaff(), refundPath), { status: 'refunded' }));
+  });
+});
+
+describe('payment claims', () => {
+  it('cannot be read, made or cleared by any client', async () => {
+    const claimPath = `artifacts/${APP_ID}/payments/pay_1`;
+    await seed(claimPath, { reference: 'pay_1', userId: 'alice', orderDocId: 'o1' });
+    await assertFails(getDoc(doc(asUser('alice'), claimPath)));
+    await assertFails(deleteDoc(doc(asUser('alice'), claimPath)));
+    await assertFails(setDoc(doc(asAdmin(), `artifacts/${APP_ID}/payments/pay_2`), { reference: 'pay_2' }));
+  });
+});
+
+describe('kitchen queue', () => {
+  it('can be read by anyone and written by no one', async () => {
+    const queuePath = `artifacts/${APP_ID}/public/kitchenQueue`;
+    await seed(queuePath, { orders: [], updatedAt: '2026-10-19T10:00:00.000Z' });
+    await assertSucceeds(getDoc(doc(asGuest(), queuePath)));
+    await assertFails(setDoc(doc(asUser('alice'), queuePath), { orders: [] }));
+    await assertFails(setDoc(doc(asAdmin(), queuePath), { orders: [] }));
+  });
+});
+
+describe('delivery slots', () => {
+  it('can be read by anyone and written by no one', async () => {
+    const slotPath = `artifacts/${APP_ID}/deliverySlots/20261019-1830`;
+    await seed(slotPath, { start: '2026-10-19T13:00:00.000Z', end: '2026-10-19T13:30:00.000Z', capacity: 10, remaining: 3 });
+    await assertSucceeds(getDoc(doc(asGuest(), slotPath)));
+    await assertFails(updateDoc(doc(asUser('alice'), slotPath), { remaining: 10 }));
+    await assertFails(updateDoc(doc(asAdmin(), slotPath), { remaining: 10 }));
+  });
+});
+
+describe('order status (staff)', () => {
+  it('lets staff list open orders across users', async () => {
+    await seed(orderPath('alice', 'o1'), newOrder('alice'));
+    await seed(orderPath('bob', 'o2'), newOrder('bob'));
+    const open = query(collectionGroup(asStaff(), 'juisip_history'), where('appId', '==', APP_ID));
+    await assertSucceeds(getDocs(open));
+  });
+
+  it('allows valid transitions with a log entry', async () => {
+    const order = newOrder('alice');
+    await seed(orderPath('alice', 'o1'), order);
+    await assertSucceeds(updateDoc(doc(asStaff(), orderPath('alice', 'o1')), statusChange(order, 'Accepted')));
+  });
+
+  it('rejects skipped steps and missing log entries', async () => {
+    const order = newOrder('alice');
+    await seed(orderPath('alice', 'o1'), order);
+    const ref = doc(asStaff(), orderPath('alice', 'o1'));
+    await assertFails(updateDoc(ref, statusChange(order, 'Delivered')));
+    await assertFails(updateDoc(ref, { status: 'Accepted', statusUpdatedAt: serverTimestamp() }));
+  });
+
+  it('keeps the earlier log entries as they were', async () => {
+    const order = newOrder('alice');
+    await seed(orderPath('alice', 'o1'), order);
+    const rewritten = { ...order, statusHistory: [{ status: 'Placed', at: '2026-10-19T09:00:00.000Z', by: 'alice' }] };
+    await assertFails(updateDoc(doc(asStaff(), orderPath('alice', 'o1')), statusChange(rewritten, 'Accepted')));
+  });
+
+  it('stamps the change with the server time and the staff member making it', async () => {
+    const order = newOrder('alice');
+    await seed(orderPath('alice', 'o1'), order);
+    const ref = doc(asStaff(), orderPath('alice', 'o1'));
+    await assertFails(updateDoc(ref, { ...statusChange(order, 'Accepted'), statusUpdatedAt: '2026-10-19T10:05:00.000Z' }));
+    await assertFails(updateDoc(ref, statusChange(order, 'Accepted', 'someone-else')));
+  });
+
+  it('moves delivered and cancelled orders no further', async () => {
+    const delivered = newOrder('alice', { status: 'Delivered' });
+    const cancelled = newOrder('alice', { status: 'Cancelled' });
+    await seed(orderPath('alice', 'o1'), delivered);
+    await seed(orderPath('alice', 'o2'), cancelled);
+    await assertFails(updateDoc(doc(asStaff(), orderPath('alice', 'o1')), statusChange(delivered, 'Cancelled')));
+    await assertFails(updateDoc(doc(asStaff(), orderPath('alice', 'o2')), statusChange(cancelled, 'Refunded')));
+    await assertFails(updateDoc(doc(asStaff(), orderPath('alice', 'o2')), statusChange(cancelled, 'Placed')));
+  });
+
+  it('hands takeaway and dine-in orders over without a delivery step', async () => {
+    const delivery = newOrder('alice', { status: 'Ready' });
+    const takeaway = newOrder('alice', { status: 'Ready', fulfilment: { mode: 'takeaway', contact: { name: 'Asha', phone: '9876543210' } } });
+    await seed(orderPath('alice', 'o1'), delivery);
+    await seed(orderPath('alice', 'o2'), takeaway);
+    await assertFails(updateDoc(doc(asStaff(), orderPath('alice', 'o1')), statusChange(delivery, 'Delivered')));
+    await assertFails(updateDoc(doc(asStaff(), orderPath('alice', 'o2')), statusChange(takeaway, 'Out for delivery')));
+    await assertSucceeds(updateDoc(doc(asStaff(), orderPath('alice', 'o2')), statusChange(takeaway, 'Delivered')));
+  });
+
+  it('cancels only with a kitchen reason stamped with the server time', async () => {
+    const order = newOrder('alice', { status: 'Accepted' });
+    await seed(orderPath('alice', 'o1'), order);
+    const ref = doc(asStaff(), orderPath('alice', 'o1'));
+    const cancellation = { by: 'kitchen', reason: 'item_unavailable', note: '', at: serverTimestamp() };
+    await assertFails(updateDoc(ref, statusChange(order, 'Cancelled')));
+    await assertFails(updateDoc(ref, { ...statusChange(order, 'Cancelled'), cancellation: { ...cancellation, by: 'customer', reason: 'changed_mind' } }));
+    await assertFails(updateDoc(ref, { ...statusChange(order, 'Cancelled'), cancellation: { ...cancellation, reason: 'other' } }));
+    await assertFails(updateDoc(ref, { ...statusChange(order, 'Cancelled'), cancellation: { ...cancellation, at: '2026-10-19T10:05:00.000Z' } }));
+    await assertSucceeds(updateDoc(ref, { ...statusChange(order, 'Cancelled'), cancellation }));
+  });
+
+  it('does not let staff record a cancellation on other changes', async () => {
+    const order = newOrder('alice');
+    await seed(orderPath('alice', 'o1'), order);
+    await assertFails(updateDoc(doc(asStaff(), orderPath('alice', 'o1')), {
+      ...statusChange(order, 'Accepted'),
+      cancellation: { by: 'kitchen', reason: 'item_unavailable', note: '', at: serverTimestamp() },
+    }));
+  });
+
+  it('does not let staff edit anything but the status', async () => {
+    const order = newOrder('alice');
+    await seed(orderPath('alice', 'o1'), order);
+    await assertFails(updateDoc(doc(asStaff(), orderPath('alice', 'o1')), { ...statusChange(order, 'Accepted'), grandTotal: 1 }));
+  });
+
+  it('is not available to customers', async () => {
+    const order = newOrder('alice');
+    await seed(orderPath('alice', 'o1'), order);
+    await assertFails(updateDoc(doc(asUser('bob'), orderPath('alice', 'o1')), statusChange(order, 'Accepted')));
+  });
+});
+
+describe('guest-to-account transfer', () => {
+  const token = 'transfer-token';
+  const copyOf = (uid, overrides = {}) => ({ ...newOrder('guest'), userId: uid, migratedFrom: 'guest', transferToken: token, ...overrides });
+
+  // Writes the copy for `uid` and, unless `handOver` is null, the guest order's hand-over mark in one batch.
+  const moveOrder = (uid, copy, handOver = { migratedTo: uid, transferToken: token }) => {
+    const db = asUser(uid);
+    const batch = writeBatch(db);
+    batch.set(doc(db, orderPath(uid, 'o1')), copy);
+    if (handOver) batch.update(doc(db, orderPath('guest', 'o1')), handOver);
+    return batch.commit();
+  };
+
+  beforeEach(async () => {
+    await seed(`${userPath('guest')}/account/transfer`, { token, createdAt: '2026-10-19T10:00:00.000Z' });
+    await seed(orderPath('guest', 'o1'), newOrder('guest'));
+  });
+
+  it('accepts a copy written together with the hand-over mark quoting the guest token', async () => {
+    await assertSucceeds(moveOrder('alice', copyOf('alice')));
+  });
+
+  it('rejects a wrong token or an altered copy', async () => {
+    await assertFails(moveOrder('alice', copyOf('alice', { transferToken: 'guess' })));
+    await assertFails(moveOrder('alice', copyOf('alice', { status: 'Delivered' })));
+    await assertFails(moveOrder('alice', copyOf('alice'), { migratedTo: 'alice', transferToken: 'guess' }));
+  });
+
+  it('rejects a copy with a forged payment or any field the guest order lacks', async () => {
+    await assertFails(moveOrder('alice', copyOf('alice', {
+      payment: { method: 'card', provider: 'gateway', reference: 'pay_forged', amount: 17.94, currency: 'INR', status: 'captured' },
+      paymentStatus: 'captured',
+    })));
+    await assertFails(moveOrder('alice', copyOf('alice', { kitchenDueAt: '2026-10-19T09:00:00.000Z' })));
+    await assertFails(moveOrder('alice', copyOf('bob')));
+  });
+
+  it('rejects a copy without the hand-over mark in the same write', async () => {
+    await assertFails(moveOrder('alice', copyOf('alice'), null));
+    await assertFails(setDoc(doc(asUser('alice'), orderPath('alice', 'o1')), copyOf('alice')));
+  });
+
+  it('copies an order into one account only', async () => {
+    await assertSucceeds(moveOrder('alice', copyOf('alice')));
+    await assertFails(moveOrder('bob', copyOf('bob')));
+    await assertFails(moveOrder('bob', copyOf('bob'), null));
+  });
+
+  it('keeps the transfer token private to the guest', async () => {
+    await assertFails(getDoc(doc(asUser('alice'), `${userPath('guest')}/account/transfer`)));
+  });
+});
+
+describe('everything else', () => {
+  it('is denied', async () => {
+    await assertFails(getDoc(doc(asUser('alice'), 'artifacts/other/anything/else')));
+    await assertFails(setDoc(doc(asUser('alice'), `${userPath('alice')}/unknown/doc`), { a: 1 }));
+    await assertFails(getDocs(collection(asAdmin(), 'artifacts')));
+  });
+});
@@ -0,0 +1,58 @@
+// Fulfilment mode tests: delivery, takeaway and dine-in requests.
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { FULFILMENT_MODE, enabledFulfilmentModes, fulfilmentFromRequest, normalizeFulfilment } from '../functions/shared/fulfilment.js';
+import { ORDER_ERROR } from '../functions/shared/orderErrors.js';
+
+const settings = normalizeFulfilment({ dineIn: { tableCount: 12 } });
+
+describe('fulfilment requests', () => {
+  it('treats a request without a mode as a delivery', () => {
+    assert.deepEqual(fulfilmentFromRequest(undefined, settings), { fulfilment: { mode: FULFILMENT_MODE.DELIVERY } });
+    assert.deepEqual(fulfilmentFromRequest({}, settings), { fulfilment: { mode: FULFILMENT_MODE.DELIVERY } });
+  });
+
+  it('keeps a takeaway contact with the phone number tidied up', () => {
+    const result = fulfilmentFromRequest({ mode: FULFILMENT_MODE.TAKEAWAY, contact: { name: '  Asha ', phone: '+91 (98765) 43210' } }, settings);
+    assert.deepEqual(result, { fulfilment: { mode: FULFILMENT_MODE.TAKEAWAY, contact: { name: 'Asha', phone: '+919876543210' } } });
+  });
+
+  it('needs a name and a mobile number for takeaway', () => {
+    const takeaway = (contact) => fulfilmentFromRequest({ mode: FULFILMENT_MODE.TAKEAWAY, contact }, settings).code;
+    assert.equal(takeaway({ name: '', phone: '9876543210' }), ORDER_ERROR.CONTACT_INVALID);
+    assert.equal(takeaway({ name: 'Asha', phone: '12345' }), ORDER_ERROR.CONTACT_INVALID);
+    assert.equal(takeaway(undefined), ORDER_ERROR.CONTACT_INVALID);
+  });
+
+  it('seats dine-in orders at a table the store has', () => {
+    const dineIn = (tableNumber) => fulfilmentFromRequest({ mode: FULFILMENT_MODE.DINE_IN, tableNumber }, settings);
+    assert.deepEqual(dineIn('7'), { fulfilment: { mode: FULFILMENT_MODE.DINE_IN, tableNumber: 7 } });
+    assert.equal(dineIn(13).code, ORDER_ERROR.TABLE_INVALID);
+    assert.equal(dineIn(0).code, ORDER_ERROR.TABLE_INVALID);
+    assert.equal(dineIn(2.5).code, ORDER_ERROR.TABLE_INVALID);
+  });
+
+  it('does not schedule dine-in orders', () => {
+    const result = fulfilmentFromRequest({ mode: FULFILMENT_MODE.DINE_IN, tableNumber: 3 }, settings, { deliverySlotId: '20261019-1030' });
+    assert.equal(result.code, ORDER_ERROR.DINE_IN_SCHEDULED);
+  });
+
+  it('turns away modes the store has switched off or does not know', () => {
+    const noTakeaway = normalizeFulfilment({ takeaway: { enabled: false } });
+    assert.equal(fulfilmentFromRequest({ mode: FULFILMENT_MODE.TAKEAWAY }, noTakeaway).code, ORDER_ERROR.FULFILMENT_UNAVAILABLE);
+    assert.equal(fulfilmentFromRequest({ mode: 'drone' }, settings).code, ORDER_ERROR.FULFILMENT_UNAVAILABLE);
+    assert.equal(fulfilmentFromRequest({ mode: 'constructor' }, settings).code, ORDER_ERROR.FULFILMENT_UNAVAILABLE);
+  });
+});
+
+describe('fulfilment settings', () => {
+  it('keeps delivery on when every mode is switched off', () => {
+    const settingsOff = normalizeFulfilment({ delivery: { enabled: false }, takeaway: { enabled: false }, dineIn: { enabled: false } });
+    assert.deepEqual(enabledFulfilmentModes(settingsOff), [FULFILMENT_MODE.DELIVERY]);
+  });
+
+  it('ignores a table count that is not a positive whole number', () => {
+    assert.equal(normalizeFulfilment({ dineIn: { tableCount: -3 } }).dineIn.tableCount, null);
+    assert.equal(normalizeFulfilment({ dineIn: { tableCount: '20' } }).dineIn.tableCount, 20);
+  });
+});
@@ -0,0 +1,68 @@
+// Currency, minor unit and business day tests.
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_STORE_LOCALE,
+  normalizeStoreLocale,
+  minorUnitDigits,
+  toMinorUnits,
+  fromMinorUnits,
+  roundMoney,
+  sumMoney,
+  multiplyMoney,
+  formatMoney,
+} from '../functions/shared/locale.js';
+import { businessDay } from '../functions/shared/orderNumbers.js';
+
+describe('minor units', () => {
+  it('knows how many digits each currency has', () => {
+    assert.equal(minorUnitDigits('INR'), 2);
+    assert.equal(minorUnitDigits('JPY'), 0);
+    assert.equal(minorUnitDigits('KWD'), 3);
+  });
+
+  it('rounds half up without floating point drift', () => {
+    assert.equal(toMinorUnits(1.005), 101);
+    assert.equal(toMinorUnits(12.5, 'JPY'), 13);
+    assert.equal(toMinorUnits(1.2345, 'KWD'), 1235);
+    assert.equal(fromMinorUnits(1235, 'KWD'), 1.235);
+  });
+
+  it('adds and multiplies in minor units', () => {
+    assert.equal(roundMoney(0.1 + 0.2), 0.3);
+    assert.equal(sumMoney([0.1, 0.2]), 0.3);
+    assert.equal(multiplyMoney(19.99, 3), 59.97);
+    assert.equal(roundMoney(99.5, 'JPY'), 100);
+  });
+
+  it('treats missing amounts as zero', () => {
+    assert.equal(toMinorUnits(undefined), 0);
+    assert.equal(toMinorUnits('not a number'), 0);
+  });
+
+  it('formats in the store currency, rounded to its minor unit', () => {
+    assert.equal(formatMoney(50), '₹50.00');
+    assert.equal(formatMoney(1234.5, { currency: 'JPY', locale: 'ja-JP' }), '￥1,235');
+  });
+});
+
+describe('store locale', () => {
+  it('falls back to the defaults for unknown codes', () => {
+    assert.deepEqual(normalizeStoreLocale({ currency: 'rupees', locale: 'xx-invalid-!!', timeZone: 'Mars/Base' }), DEFAULT_STORE_LOCALE);
+  });
+
+  it('upper-cases the currency code', () => {
+    assert.equal(normalizeStoreLocale({ currency: 'usd' }).currency, 'USD');
+  });
+});
+
+describe('business day', () => {
+  // 20:00 UTC on 19 October is already the 20th in India but still the 19th in New York.
+  const lateEvening = new Date('2026-10-19T20:00:00Z');
+
+  it('is the calendar day on the store clock', () => {
+    assert.equal(businessDay(lateEvening), '20261020');
+    assert.equal(businessDay(lateEvening, 'America/New_York'), '20261019');
+    assert.equal(businessDay(lateEvening, 'UTC'), '20261019');
+  });
+});
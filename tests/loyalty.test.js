@@ -0,0 +1,79 @@
+// Loyalty point tests: earning on delivery and spending on rewards.
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { LEDGER_ENTRY_TYPES, evaluateReward, normalizeReward, pointsEarnedFor } from '../functions/shared/loyalty.js';
+import { OrderRequestError, earnPoints, redeemReward } from '../functions/shared/ordering.js';
+import { ORDER_ERROR } from '../functions/shared/orderErrors.js';
+
+const now = '2026-06-01T12:00:00.000Z';
+const reward = normalizeReward('fifty-off', { name: 'Fifty off', pointsCost: 100, value: 50 });
+const bowl = (quantity = 1) => ({ price: 100, quantity, category: 'Bowls' });
+
+describe('earning', () => {
+  it('gives a point per whole currency unit of the grand total', () => {
+    assert.equal(pointsEarnedFor(249.99), 249);
+    assert.equal(pointsEarnedFor(0), 0);
+    assert.equal(pointsEarnedFor(-5), 0);
+    assert.equal(pointsEarnedFor(undefined), 0);
+  });
+
+  it('credits the summary and writes an earn entry', () => {
+    const earned = earnPoints('doc-1', { orderId: 'JS-20260601-0001', grandTotal: 306.5 }, { balance: 40, lifetimeEarned: 90 }, now);
+    assert.equal(earned.points, 306);
+    assert.deepEqual(earned.summary, { balance: 346, lifetimeEarned: 396, updatedAt: now });
+    assert.equal(earned.entry.type, LEDGER_ENTRY_TYPES.EARN);
+    assert.equal(earned.entry.balanceAfter, 346);
+    assert.equal(earned.entry.orderId, 'JS-20260601-0001');
+  });
+
+  it('starts a summary for a first order and skips orders worth no points', () => {
+    assert.deepEqual(earnPoints('doc-1', { orderId: 'A', grandTotal: 12 }, null, now).summary, { balance: 12, lifetimeEarned: 12, updatedAt: now });
+    assert.equal(earnPoints('doc-2', { orderId: 'B', grandTotal: 0.5 }, { balance: 10 }, now), null);
+  });
+});
+
+describe('rewards', () => {
+  it('takes the reward value off the order', () => {
+    const { ok, discount } = evaluateReward(reward, [bowl(2)], { balance: 150 });
+    assert.equal(ok, true);
+    assert.equal(discount.amount, 50);
+    assert.deepEqual(discount.perLine, [50]);
+    assert.equal(discount.pointsCost, 100);
+    assert.deepEqual(discount.message, { id: 'price.reward', params: { name: 'Fifty off', count: 100 } });
+  });
+
+  it('says how many points are missing', () => {
+    const result = evaluateReward(reward, [bowl(2)], { balance: 60 });
+    assert.equal(result.ok, false);
+    assert.deepEqual(result.message, { id: 'loyalty.needMorePoints', params: { count: 40 } });
+  });
+
+  it('turns away inactive rewards', () => {
+    const inactive = normalizeReward('old', { pointsCost: 10, value: 5, active: false });
+    assert.equal(evaluateReward(inactive, [bowl()], { balance: 100 }).message.id, 'loyalty.rewardUnavailable');
+  });
+
+  it('never takes the order below zero after other discounts', () => {
+    const promo = { perLine: [80] };
+    const { discount } = evaluateReward(reward, [bowl()], { balance: 100, discounts: [promo] });
+    assert.equal(discount.amount, 20);
+  });
+});
+
+describe('redeeming', () => {
+  it('spends the points cost and writes a redeem entry', () => {
+    const { balanceAfter, entry } = redeemReward(reward, { balance: 150 }, { orderDocId: 'doc-1', orderId: 'A', now });
+    assert.equal(balanceAfter, 50);
+    assert.equal(entry.type, LEDGER_ENTRY_TYPES.REDEEM);
+    assert.equal(entry.points, -100);
+    assert.equal(entry.rewardId, 'fifty-off');
+  });
+
+  it('refuses when the balance dropped since checkout', () => {
+    assert.throws(
+      () => redeemReward(reward, { balance: 99 }, { orderDocId: 'doc-1', orderId: 'A', now }),
+      error => error instanceof OrderRequestError && error.details.code === ORDER_ERROR.NOT_ENOUGH_POINTS
+    );
+    assert.throws(() => redeemReward(reward, null, { orderDocId: 'doc-1', orderId: 'A', now }), OrderRequestError);
+  });
+});
@@ -0,0 +1,167 @@
+// Payment provider and payment claim tests. Plain Node, no emulator: `npm run test:payments`.
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  PAYMENT_STATUS,
+  PaymentError,
+  createCashOnDeliveryProvider,
+  createGatewayProvider,
+  createMockProvider,
+  createNoPaymentProvider,
+  createPaymentProviders,
+  providerFor,
+} from '../functions/payments.js';
+import { OrderRequestError, paymentClaimPath, claimPayment, paymentRequestFor } from '../functions/shared/ordering.js';
+
+// Stands in for fetch with canned gateway responses keyed by "METHOD path".
+const fakeGateway = (responses) => {
+  const calls = [];
+  const fetchImpl = async (url, { method, body }) => {
+    const path = url.replace('https://api.razorpay.com/v1', '');
+    calls.push({ method, path, body: body && JSON.parse(body) });
+    const [status, data] = responses[`${method} ${path}`] || [404, { error: { code: 'NOT_FOUND' } }];
+    return { ok: status < 400, json: async () => data };
+  };
+  return { fetchImpl, calls };
+};
+
+describe('cash on delivery', () => {
+  it('authorizes straight away and captures on delivery', async () => {
+    const provider = createCashOnDeliveryProvider();
+    const authorized = await provider.authorize({ amount: 17.94 });
+    assert.equal(authorized.status, PAYMENT_STATUS.AUTHORIZED);
+    assert.equal(authorized.amount, 17.94);
+
+    const captured = await provider.capture(authorized);
+    assert.equal(await provider.status(captured), PAYMENT_STATUS.CAPTURED);
+  });
+
+  it('refunds nothing when the cash was never collected', async () => {
+    const provider = createCashOnDeliveryProvider();
+    const refunded = await provider.refund(await provider.authorize({ amount: 10 }));
+    assert.equal(refunded.status, PAYMENT_STATUS.REFUNDED);
+    assert.equal(refunded.refundedAmount, 0);
+  });
+});
+
+describe('nothing to pay', () => {
+  it('is used for every order the discounts pay for in full', () => {
+    const chosen = { method: 'upi', reference: 'pay_1' };
+    assert.deepEqual(paymentRequestFor({ grandTotal: 0 }, chosen), { method: 'none', reference: null });
+    assert.equal(paymentRequestFor({ grandTotal: 12.5 }, chosen), chosen);
+  });
+
+  it('authorizes a zero total and refuses anything else', async () => {
+    const provider = createNoPaymentProvider();
+    const authorized = await provider.authorize({ amount: 0 });
+    assert.equal(authorized.method, 'none');
+    assert.equal(authorized.status, PAYMENT_STATUS.AUTHORIZED);
+    assert.equal((await provider.refund(authorized)).refundedAmount, 0);
+    await assert.rejects(provider.authorize({ amount: 5 }), PaymentError);
+  });
+});
+
+describe('mock provider', () => {
+  it('goes through authorize, capture and refund', async () => {
+    const provider = createMockProvider({ method: 'upi' });
+    const authorized = await provider.authorize({ amount: 12, reference: 'mock_1' });
+    assert.equal(authorized.method, 'upi');
+    assert.equal(authorized.reference, 'mock_1');
+
+    const captured = await provider.capture(authorized);
+    const refunded = await provider.refund(captured, 5);
+    assert.equal(refunded.status, PAYMENT_STATUS.REFUNDED);
+    assert.equal(refunded.refundedAmount, 5);
+  });
+
+  it('declines references starting with "decline"', async () => {
+    const provider = createMockProvider();
+    await assert.rejects(provider.authorize({ amount: 12, reference: 'decline_card' }), PaymentError);
+  });
+
+  it('refuses to capture twice or refund more than was paid', async () => {
+    const provider = createMockProvider();
+    const captured = await provider.capture(await provider.authorize({ amount: 12, reference: 'mock_1' }));
+    await assert.rejects(provider.capture(captured), PaymentError);
+    await assert.rejects(provider.refund(captured, 13), PaymentError);
+  });
+});
+
+describe('gateway provider', () => {
+  it('accepts a payment the gateway reports as authorized for the exact amount', async () => {
+    const { fetchImpl, calls } = fakeGateway({
+      'GET /payments/pay_1': [200, { id: 'pay_1', status: 'authorized', amount: 1794, currency: 'INR' }],
+      'POST /payments/pay_1/capture': [200, { id: 'pay_1', status: 'captured' }],
+    });
+    const provider = createGatewayProvider({ method: 'card', keyId: 'key', keySecret: 'secret', fetchImpl });
+
+    const authorized = await provider.authorize({ amount: 17.94, reference: 'pay_1' });
+    assert.equal(authorized.status, PAYMENT_STATUS.AUTHORIZED);
+
+    await provider.capture(authorized);
+    assert.deepEqual(calls[1], { method: 'POST', path: '/payments/pay_1/capture', body: { amount: 1794, currency: 'INR' } });
+  });
+
+  it('rejects payments for a different amount or not yet authorized', async () => {
+    const { fetchImpl } = fakeGateway({
+      'GET /payments/pay_low': [200, { id: 'pay_low', status: 'authorized', amount: 100, currency: 'INR' }],
+      'GET /payments/pay_new': [200, { id: 'pay_new', status: 'created', amount: 1794, currency: 'INR' }],
+    });
+    const provider = createGatewayProvider({ method: 'upi', keyId: 'key', keySecret: 'secret', fetchImpl });
+    await assert.rejects(provider.authorize({ amount: 17.94, reference: 'pay_low' }), PaymentError);
+    await assert.rejects(provider.authorize({ amount: 17.94, reference: 'pay_new' }), PaymentError);
+    await assert.rejects(provider.authorize({ amount: 17.94, reference: 'pay_unknown' }), PaymentError);
+  });
+
+  it('refunds captured payments and leaves uncaptured holds to lapse', async () => {
+    const { fetchImpl, calls } = fakeGateway({
+      'POST /payments/pay_1/refund': [200, { id: 'rfnd_1', status: 'processed' }],
+    });
+    const provider = createGatewayProvider({ method: 'card', keyId: 'key', keySecret: 'secret', fetchImpl });
+    const authorized = { method: 'card', provider: 'gateway', reference: 'pay_1', amount: 17.94, currency: 'INR', status: PAYMENT_STATUS.AUTHORIZED };
+
+    const released = await provider.refund(authorized);
+    assert.equal(released.status, PAYMENT_STATUS.REFUNDED);
+    assert.equal(released.refundedAmount, 0);
+    assert.equal(calls.length, 0);
+
+    const refunded = await provider.refund({ ...authorized, status: PAYMENT_STATUS.CAPTURED });
+    assert.equal(refunded.refundedAmount, 17.94);
+    assert.equal(refunded.refundReference, 'rfnd_1');
+    assert.deepEqual(calls[0], { method: 'POST', path: '/payments/pay_1/refund', body: { amount: 1794 } });
+  });
+});
+
+describe('provider registry', () => {
+  it('maps stored payments back to their provider', () => {
+    const providers = createPaymentProviders({ useMock: true });
+    assert.equal(providerFor(providers, { method: 'cod' }).id, 'cod');
+    assert.equal(providerFor(providers, { method: 'card' }).id, 'card');
+    assert.equal(providerFor(providers, { method: 'none' }).id, 'none');
+    assert.equal(providerFor(providers, { method: 'toString' }), null);
+    assert.equal(providerFor(providers, null), null);
+  });
+});
+
+describe('payment claims', () => {
+  const order = { uid: 'u1', orderDocId: 'o1', orderId: 'JS-20261019-0001', now: '2026-10-19T10:00:00.000Z' };
+
+  it('claims an online payment for the order that uses it first', async () => {
+    const payment = await createMockProvider({ method: 'upi' }).authorize({ amount: 12, reference: 'pay/1' });
+    assert.equal(paymentClaimPath('demo', payment), 'artifacts/demo/payments/pay%2F1');
+    const claim = claimPayment(payment, null, order);
+    assert.equal(claim.orderDocId, 'o1');
+    assert.equal(claim.reference, 'pay/1');
+    assert.equal(claim.amount, 12);
+  });
+
+  it('refuses a reference another order already claimed', async () => {
+    const payment = await createMockProvider({ method: 'card' }).authorize({ amount: 12, reference: 'pay_1' });
+    const stored = claimPayment(payment, null, order);
+    assert.throws(() => claimPayment(payment, stored, { ...order, orderDocId: 'o2' }), OrderRequestError);
+  });
+
+  it('has nothing to claim for cash on delivery', async () => {
+    assert.equal(paymentClaimPath('demo', await createCashOnDeliveryProvider().authorize({ amount: 12 })), null);
+  });
+});
@@ -0,0 +1,120 @@
+// Order total tests: tax slabs, delivery zones, fees and discounts.
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeOrderTotals, deliveryZoneFor, normalizePricingRules } from '../functions/shared/pricingRules.js';
+import { FULFILMENT_MODE } from '../functions/shared/fulfilment.js';
+
+const rules = normalizePricingRules({
+  tax: { label: 'GST', defaultRate: 0.05, categoryRates: { Drinks: 0.12 } },
+  delivery: {
+    defaultFee: 40,
+    zones: [
+      { id: 'central', name: 'Central', postalCodePrefixes: ['4110'], fee: 20 },
+      { id: 'outskirts', name: 'Outskirts', postalCodePrefixes: ['41'], distanceKm: 8 },
+    ],
+    distanceBands: [{ upToKm: 10, fee: 50 }, { upToKm: 5, fee: 30 }],
+    freeAbove: 500,
+  },
+  smallOrder: { below: 100, surcharge: 15 },
+  fulfilment: { takeaway: { fee: 10 }, dineIn: { fee: 25 } },
+});
+
+const bowl = (quantity = 1) => ({ price: 100, quantity, category: 'Bowls' });
+const juice = (quantity = 1) => ({ price: 50, quantity, category: 'Drinks' });
+
+describe('taxes', () => {
+  it('adds one line per rate, lowest first', () => {
+    const totals = computeOrderTotals([juice(), bowl(2)], rules);
+    assert.equal(totals.subtotal, 250);
+    assert.deepEqual(totals.taxes, [{ rate: 0.05, amount: 10 }, { rate: 0.12, amount: 6 }]);
+    assert.equal(totals.taxAmount, 16);
+    assert.deepEqual(
+      totals.breakdown.filter(line => line.key.startsWith('tax-')).map(line => line.label),
+      ['GST (5%)', 'GST (12%)']
+    );
+  });
+
+  it('taxes what is left of each line after its discount', () => {
+    const discount = { code: 'TEN', type: 'percentage', label: 'Discount (TEN)', amount: 20, perLine: [20, 0] };
+    const totals = computeOrderTotals([bowl(2), juice()], rules, { discounts: [discount] });
+    assert.deepEqual(totals.taxes, [{ rate: 0.05, amount: 9 }, { rate: 0.12, amount: 6 }]);
+    assert.equal(totals.discountAmount, 20);
+    assert.equal(totals.grandTotal, 250 - 20 + 15 + 40);
+  });
+});
+
+describe('delivery fee', () => {
+  it('picks the zone with the longest matching PIN code prefix', () => {
+    assert.equal(deliveryZoneFor(rules, '411001').id, 'central');
+    assert.equal(deliveryZoneFor(rules, '412105').id, 'outskirts');
+    assert.equal(deliveryZoneFor(rules, '560001'), null);
+  });
+
+  it('charges a zone its flat fee or its distance band', () => {
+    const central = computeOrderTotals([bowl(2)], rules, { postalCode: '411001' });
+    assert.equal(central.deliveryFee, 20);
+    assert.equal(central.deliveryZone, 'central');
+    assert.equal(computeOrderTotals([bowl(2)], rules, { postalCode: '412105' }).deliveryFee, 50);
+  });
+
+  it('charges the default fee outside every zone and without a PIN code', () => {
+    assert.equal(computeOrderTotals([bowl(2)], rules, { postalCode: '560001' }).deliveryFee, 40);
+    assert.equal(computeOrderTotals([bowl(2)], rules).deliveryFee, 40);
+  });
+
+  it('turns away addresses outside every zone when the store serves only its zones', () => {
+    const zonesOnly = { ...rules, delivery: { ...rules.delivery, servesOtherAreas: false } };
+    assert.equal(computeOrderTotals([bowl(2)], zonesOnly, { postalCode: '560001' }).isDeliverable, false);
+    assert.equal(computeOrderTotals([bowl(2)], zonesOnly, { postalCode: '411001' }).isDeliverable, true);
+    assert.equal(computeOrderTotals([bowl(2)], zonesOnly).isDeliverable, true);
+  });
+
+  it('is free from the threshold on', () => {
+    const below = computeOrderTotals([bowl(4), juice(1)], rules, { postalCode: '411001' });
+    assert.equal(below.subtotal, 450);
+    assert.equal(below.deliveryFee, 20);
+
+    const above = computeOrderTotals([bowl(5)], rules, { postalCode: '411001' });
+    assert.equal(above.deliveryFee, 0);
+    assert.equal(above.breakdown.find(line => line.key === 'delivery').message.id, 'price.deliveryFreeOver');
+  });
+
+  it('is waived once by a free delivery discount', () => {
+    const freeDelivery = { code: 'SHIP', type: 'free_delivery', label: 'Free delivery (SHIP)', amount: 0, perLine: [0], freeDelivery: true };
+    const totals = computeOrderTotals([bowl(2)], rules, { postalCode: '411001', discounts: [freeDelivery, { ...freeDelivery, code: 'SHIP2' }] });
+    assert.deepEqual(totals.discounts.map(discount => discount.amount), [20, 0]);
+    assert.equal(totals.grandTotal, 200 + 10);
+  });
+});
+
+describe('other fees', () => {
+  it('adds the small order surcharge below its threshold only', () => {
+    const small = computeOrderTotals([juice()], rules);
+    assert.equal(small.smallOrderFee, 15);
+    assert.equal(small.grandTotal, 50 + 6 + 40 + 15);
+    assert.equal(computeOrderTotals([bowl()], rules).smallOrderFee, 0);
+  });
+
+  it('charges takeaway and dine-in their flat fee instead of delivery', () => {
+    const takeaway = computeOrderTotals([bowl(2)], rules, { fulfilmentMode: FULFILMENT_MODE.TAKEAWAY, postalCode: '411001' });
+    assert.equal(takeaway.deliveryFee, 0);
+    assert.equal(takeaway.fulfilmentFee, 10);
+    assert.equal(takeaway.isDeliverable, true);
+    assert.equal(computeOrderTotals([bowl(2)], rules, { fulfilmentMode: FULFILMENT_MODE.DINE_IN }).fulfilmentFee, 25);
+  });
+
+  it('charges nothing for an empty cart', () => {
+    const totals = computeOrderTotals([], rules, { postalCode: '411001' });
+    assert.equal(totals.grandTotal, 0);
+    assert.equal(totals.smallOrderFee, 0);
+    assert.equal(totals.deliveryFee, 0);
+  });
+
+  it('adds up in minor units', () => {
+    const totals = computeOrderTotals([{ price: 0.1, quantity: 3, category: 'Bowls' }], { ...rules, tax: { ...rules.tax, defaultRate: 0 } }, {
+      fulfilmentMode: FULFILMENT_MODE.DINE_IN,
+    });
+    assert.equal(totals.subtotal, 0.3);
+    assert.equal(totals.grandTotal, 40.3);
+  });
+});
@@ -0,0 +1,106 @@
+// Promo code tests: discount types, eligible categories and when a code applies.
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { PROMO_TYPES, evaluatePromotion, normalizePromotion, spreadAmount } from '../functions/shared/promotions.js';
+import { computeOrderTotals, normalizePricingRules } from '../functions/shared/pricingRules.js';
+
+const now = new Date('2026-06-01T12:00:00Z');
+const bowl = (quantity = 1) => ({ price: 100, quantity, category: 'Bowls' });
+const juice = (quantity = 1) => ({ price: 50, quantity, category: 'Drinks' });
+
+const evaluate = (data, lines, options = {}) => evaluatePromotion(normalizePromotion('save', data), lines, { now, ...options });
+
+describe('discounts', () => {
+  it('takes a percentage off, spread over the lines by value', () => {
+    const { ok, discount } = evaluate({ type: PROMO_TYPES.PERCENTAGE, value: 10 }, [bowl(2), juice()]);
+    assert.equal(ok, true);
+    assert.equal(discount.code, 'SAVE');
+    assert.equal(discount.amount, 25);
+    assert.deepEqual(discount.perLine, [20, 5]);
+    assert.deepEqual(discount.message, { id: 'price.discount', params: { code: 'SAVE' } });
+  });
+
+  it('caps a percentage at maxDiscount', () => {
+    const { discount } = evaluate({ type: PROMO_TYPES.PERCENTAGE, value: 10, maxDiscount: 20 }, [bowl(2), juice()]);
+    assert.equal(discount.amount, 20);
+    assert.deepEqual(discount.perLine, [16, 4]);
+  });
+
+  it('never takes more than the eligible items are worth with a flat amount', () => {
+    assert.equal(evaluate({ type: PROMO_TYPES.FLAT, value: 30 }, [bowl(2)]).discount.amount, 30);
+    assert.equal(evaluate({ type: PROMO_TYPES.FLAT, value: 300 }, [bowl(2)]).discount.amount, 200);
+  });
+
+  it('gives every second item free, cheapest first', () => {
+    const { discount } = evaluate({ type: PROMO_TYPES.BOGO }, [{ price: 120, quantity: 1, category: 'Bowls' }, { price: 80, quantity: 2, category: 'Bowls' }]);
+    assert.deepEqual(discount.perLine, [0, 80]);
+
+    const pairs = evaluate({ type: PROMO_TYPES.BOGO }, [bowl(4)]);
+    assert.equal(pairs.discount.amount, 200);
+  });
+
+  it('needs a second eligible item for buy one get one', () => {
+    const result = evaluate({ type: PROMO_TYPES.BOGO, categories: ['Bowls'] }, [bowl(), juice(3)]);
+    assert.equal(result.ok, false);
+    assert.equal(result.message.id, 'promo.bogo');
+  });
+
+  it('waives the delivery fee with free delivery', () => {
+    const { discount } = evaluate({ type: PROMO_TYPES.FREE_DELIVERY }, [bowl(2)]);
+    assert.equal(discount.amount, 0);
+    assert.equal(discount.freeDelivery, true);
+    assert.equal(discount.message.id, 'price.freeDelivery');
+
+    const rules = normalizePricingRules({ delivery: { defaultFee: 40 }, tax: { defaultRate: 0 } });
+    const totals = computeOrderTotals([bowl(2)], rules, { discounts: [discount] });
+    assert.equal(totals.deliveryFee, 40);
+    assert.equal(totals.discountAmount, 40);
+    assert.equal(totals.grandTotal, 200);
+  });
+
+  it('rounds shares to whole minor units and puts the leftover on the last line', () => {
+    assert.deepEqual(spreadAmount(10, [1, 1, 1]), [3.33, 3.33, 3.34]);
+    assert.deepEqual(spreadAmount(10, [1, 1, 0]), [5, 5, 0]);
+    assert.deepEqual(spreadAmount(10, [0, 0]), [0, 0]);
+  });
+});
+
+describe('categories', () => {
+  it('discounts only the eligible categories', () => {
+    const { discount } = evaluate({ type: PROMO_TYPES.PERCENTAGE, value: 10, categories: ['Drinks'] }, [bowl(2), juice(2)]);
+    assert.deepEqual(discount.perLine, [0, 10]);
+  });
+
+  it('turns a cart without eligible items away', () => {
+    const result = evaluate({ type: PROMO_TYPES.PERCENTAGE, value: 10, categories: ['Drinks', 'Shakes'] }, [bowl(2)]);
+    assert.equal(result.ok, false);
+    assert.deepEqual(result.message, { id: 'promo.categories', params: { categories: 'Drinks, Shakes' } });
+  });
+});
+
+describe('validity', () => {
+  it('turns away unknown types and inactive codes', () => {
+    assert.equal(evaluate({ type: 'mystery' }, [bowl()]).message.id, 'promo.invalid');
+    assert.equal(evaluate({ type: PROMO_TYPES.FLAT, value: 10, active: false }, [bowl()]).message.id, 'promo.invalid');
+    assert.equal(evaluatePromotion(null, [bowl()]).ok, false);
+  });
+
+  it('applies from startsAt until expiresAt', () => {
+    const promo = { type: PROMO_TYPES.FLAT, value: 10, startsAt: '2026-06-01T12:00:00Z', expiresAt: '2026-07-01T00:00:00Z' };
+    assert.equal(evaluate(promo, [bowl()], { now: new Date('2026-06-01T11:59:59Z') }).message.id, 'promo.notActive');
+    assert.equal(evaluate(promo, [bowl()]).ok, true);
+    assert.equal(evaluate(promo, [bowl()], { now: new Date('2026-07-01T00:00:00Z') }).message.id, 'promo.expired');
+  });
+
+  it('stops at the per-customer limit', () => {
+    const promo = { type: PROMO_TYPES.FLAT, value: 10, perUserLimit: 2 };
+    assert.equal(evaluate(promo, [bowl()], { usageCount: 1 }).ok, true);
+    assert.equal(evaluate(promo, [bowl()], { usageCount: 2 }).message.id, 'promo.used');
+  });
+
+  it('says how much more to add below the minimum subtotal', () => {
+    const promo = { type: PROMO_TYPES.FLAT, value: 10, minSubtotal: 300 };
+    assert.deepEqual(evaluate(promo, [bowl(2), juice()]).message, { id: 'promo.minSubtotal', params: { amount: '₹50.00' } });
+    assert.equal(evaluate(promo, [bowl(3)]).ok, true);
+  });
+});
@@ -0,0 +1,60 @@
+// URL routing tests: parseRoute and routePath.
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { NOT_FOUND_VIEW, parseRoute, routePath } from '../src/routes.js';
+
+const route = (view, { category = null, orderId = null } = {}) => ({ view, category, orderId });
+
+describe('parseRoute', () => {
+  it('shows the whole menu at / and /menu', () => {
+    assert.deepEqual(parseRoute('/'), route('menu'));
+    assert.deepEqual(parseRoute('/menu'), route('menu'));
+  });
+
+  it('filters the menu by a decoded category', () => {
+    assert.deepEqual(parseRoute('/menu/Smoothie%20Bowls'), route('menu', { category: 'Smoothie Bowls' }));
+  });
+
+  it('maps single segments to their views, trailing slash or not', () => {
+    assert.deepEqual(parseRoute('/cart'), route('cart'));
+    assert.deepEqual(parseRoute('/checkout/'), route('checkout'));
+    assert.deepEqual(parseRoute('/orders'), route('history'));
+    assert.deepEqual(parseRoute('/account'), route('account'));
+    assert.deepEqual(parseRoute('/admin'), route('admin'));
+    assert.deepEqual(parseRoute('/kitchen'), route('kitchen'));
+  });
+
+  it('opens an order by its document id', () => {
+    assert.deepEqual(parseRoute('/orders/abc123'), route('order', { orderId: 'abc123' }));
+  });
+
+  it('sends anything else to the not-found view', () => {
+    [
+      '/nowhere',
+      '/cart/extra',
+      '/menu/Bowls/extra',
+      '/orders/abc/extra',
+      '/constructor',
+      '/toString',
+      '/%E0%A4%A',
+    ].forEach(pathname => assert.equal(parseRoute(pathname).view, NOT_FOUND_VIEW, pathname));
+  });
+});
+
+describe('routePath', () => {
+  it('builds the path parseRoute reads back', () => {
+    [
+      route('menu', { category: 'Smoothie Bowls' }),
+      route('order', { orderId: 'a/b' }),
+      route('history'),
+      route('checkout'),
+      route('kitchen'),
+    ].forEach(original => assert.deepEqual(parseRoute(routePath(original)), original));
+  });
+
+  it('sends the all-categories menu and unknown views home', () => {
+    assert.equal(routePath({ view: 'menu', category: 'all' }), '/');
+    assert.equal(routePath({ view: 'menu' }), '/');
+    assert.equal(routePath({ view: NOT_FOUND_VIEW }), '/');
+  });
+});
@@ -0,0 +1,99 @@
+// Delivery slot and slot capacity tests.
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { isOpenAt, kitchenDueAt, normalizeSchedule, placesLeft, resolveDeliveryTime, upcomingSlots } from '../functions/shared/schedule.js';
+import { OrderRequestError, checkSlotHasRoom, releaseSlotPlace, takeSlotPlace } from '../functions/shared/ordering.js';
+import { normalizePricingRules } from '../functions/shared/pricingRules.js';
+import { ORDER_ERROR } from '../functions/shared/orderErrors.js';
+
+const IST = 'Asia/Kolkata';
+// Open 10:00 to 12:00 on Mondays only.
+const schedule = normalizeSchedule({
+  openingHours: { mon: [{ opens: '10:00', closes: '12:00' }] },
+  slotMinutes: 30,
+  slotCapacity: 3,
+  daysAhead: 7,
+  leadMinutes: 60,
+});
+// Monday 19 October 2026, 09:30 in India.
+const mondayMorning = Date.parse('2026-10-19T04:00:00Z');
+
+describe('upcoming slots', () => {
+  it('cuts slots from the opening hours, at least the lead time from now', () => {
+    const slots = upcomingSlots(schedule, IST, mondayMorning);
+    assert.deepEqual(slots.slice(0, 3), [
+      { id: '20261019-1030', start: '2026-10-19T05:00:00.000Z', end: '2026-10-19T05:30:00.000Z' },
+      { id: '20261019-1100', start: '2026-10-19T05:30:00.000Z', end: '2026-10-19T06:00:00.000Z' },
+      { id: '20261019-1130', start: '2026-10-19T06:00:00.000Z', end: '2026-10-19T06:30:00.000Z' },
+    ]);
+  });
+
+  it('offers the following days up to daysAhead, skipping closed days', () => {
+    const ids = upcomingSlots(schedule, IST, mondayMorning).map(slot => slot.id);
+    assert.deepEqual(ids.slice(3), ['20261026-1000', '20261026-1030', '20261026-1100', '20261026-1130']);
+    assert.equal(upcomingSlots({ ...schedule, daysAhead: 6 }, IST, mondayMorning).length, 3);
+  });
+
+  it('reads the opening hours on the store clock', () => {
+    const [first] = upcomingSlots(schedule, 'Europe/London', Date.parse('2026-10-19T07:00:00Z'));
+    assert.equal(first.id, '20261019-1000');
+    assert.equal(first.start, '2026-10-19T09:00:00.000Z');
+  });
+
+  it('drops slots that would run past closing time', () => {
+    const slots = upcomingSlots({ ...schedule, slotMinutes: 45, daysAhead: 0 }, IST, Date.parse('2026-10-19T00:00:00Z'));
+    assert.deepEqual(slots.map(slot => slot.id), ['20261019-1000', '20261019-1045']);
+  });
+
+  it('sends scheduled orders to the kitchen ahead of the slot', () => {
+    assert.equal(kitchenDueAt({ start: '2026-10-19T05:00:00.000Z' }), '2026-10-19T04:15:00.000Z');
+  });
+});
+
+describe('delivery time', () => {
+  it('takes ASAP orders only while open', () => {
+    assert.equal(isOpenAt(schedule, IST, mondayMorning), false);
+    assert.equal(isOpenAt(schedule, IST, Date.parse('2026-10-19T05:00:00Z')), true);
+    assert.deepEqual(resolveDeliveryTime(schedule, IST, null, Date.parse('2026-10-19T05:00:00Z')), { slot: null });
+    assert.equal(resolveDeliveryTime(schedule, IST, null, mondayMorning).code, ORDER_ERROR.STORE_CLOSED);
+  });
+
+  it('accepts an offered slot and turns away any other', () => {
+    assert.equal(resolveDeliveryTime(schedule, IST, '20261019-1100', mondayMorning).slot.start, '2026-10-19T05:30:00.000Z');
+    assert.equal(resolveDeliveryTime(schedule, IST, '20261019-1000', mondayMorning).code, ORDER_ERROR.SLOT_UNAVAILABLE);
+    assert.equal(resolveDeliveryTime(schedule, IST, 1030, mondayMorning).code, ORDER_ERROR.SLOT_UNAVAILABLE);
+  });
+});
+
+describe('slot capacity', () => {
+  const rules = normalizePricingRules({ schedule: { slotCapacity: 3 } });
+  const slot = { id: '20261019-1030', start: '2026-10-19T05:00:00.000Z', end: '2026-10-19T05:30:00.000Z' };
+  const now = '2026-10-19T04:00:00.000Z';
+
+  it('counts a slot nobody booked as fully open', () => {
+    assert.equal(placesLeft(schedule, {}, slot.id), 3);
+    assert.equal(placesLeft(schedule, { [slot.id]: 0 }, slot.id), 0);
+  });
+
+  it('takes a place per order', () => {
+    const first = takeSlotPlace(slot, null, rules, now);
+    assert.deepEqual(first, { start: slot.start, end: slot.end, capacity: 3, remaining: 2, updatedAt: now });
+    assert.equal(takeSlotPlace(slot, first, rules, now).remaining, 1);
+  });
+
+  it('keeps the capacity the slot was opened with', () => {
+    const stored = { start: slot.start, end: slot.end, capacity: 5, remaining: 4 };
+    assert.equal(takeSlotPlace(slot, stored, rules, now).capacity, 5);
+  });
+
+  it('refuses a full slot', () => {
+    const full = { start: slot.start, end: slot.end, capacity: 3, remaining: 0 };
+    assert.throws(() => checkSlotHasRoom(full, rules), error => error instanceof OrderRequestError && error.details.code === ORDER_ERROR.SLOT_FULL);
+    assert.throws(() => takeSlotPlace(slot, full, rules, now), OrderRequestError);
+  });
+
+  it('gives a cancelled order its place back, up to the capacity', () => {
+    assert.equal(releaseSlotPlace({ capacity: 3, remaining: 0 }, now).remaining, 1);
+    assert.equal(releaseSlotPlace({ capacity: 3, remaining: 3 }, now).remaining, 3);
+  });
+});